@@ -1,13 +1,40 @@
 import React from 'react';
-import { BrowserRouter as Router, Routes, Route } from 'react-router-dom';
+import { BrowserRouter as Router, Routes, Route, Navigate, useParams } from 'react-router-dom';
 import { TreeProvider } from './context/TreeContext';
 import HomePage from './components/HomePage';
 import Auth from './components/Auth';
 import RequireAuth from './components/RequireAuth';
 import ChatTree from './components/ChatTree';
 import Toolbar from './components/Toolbar';
+import ProjectDashboard from './components/ProjectDashboard';
+import StorageWarning from './components/StorageWarning';
+import { useProjects } from './hooks/useProjects';
+import { projectExists } from './utils/storage';
 import './styles/App.css';
 
+/**
+ * The tree of the project in the URL; unknown projects go back to the dashboard
+ */
+function ProjectWorkspace() {
+  const { projectId } = useParams();
+  // Re-checked whenever the list changes, e.g. when the project is deleted on another device
+  useProjects();
+
+  if (!projectExists(projectId)) {
+    return <Navigate to="/app" replace />;
+  }
+
+  return (
+    <TreeProvider projectId={projectId}>
+      <div className="app">
+        <Toolbar />
+        <StorageWarning />
+        <ChatTree />
+      </div>
+    </TreeProvider>
+  );
+}
+
 function App() {
   return (
     <Router>
@@ -18,12 +45,15 @@ function App() {
           path="/app" 
           element={
             <RequireAuth>
-              <TreeProvider>
-                <div className="app">
-                  <Toolbar />
-                  <ChatTree />
-                </div>
-              </TreeProvider>
+              <ProjectDashboard />
+            </RequireAuth>
+          } 
+        />
+        <Route 
+          path="/app/:projectId" 
+          element={
+            <RequireAuth>
+              <ProjectWorkspace />
             </RequireAuth>
           } 
         />
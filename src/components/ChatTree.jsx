@@ -11,6 +11,9 @@ import 'reactflow/dist/style.css';
 
 import { useChatTree } from '../hooks/useChatTree';
 import { useLLM } from '../hooks/useLLM';
+import { getAlternatives, getLayoutDepth, DEFAULT_PIN_GROUP_ID } from '../utils/treeUtils';
+import { rebuildContext } from '../utils/contextCompiler';
+import { getRefLabels } from '../utils/refs';
 import MessageNode from './MessageNode';
 import MessageInput from './MessageInput';
 import ContextPanel from './ContextPanel';
@@ -31,15 +34,26 @@ function ChatTreeInner() {
     selectedNodeId,
     sendMessage,
     branchFromNode,
+    regenerateNode,
+    selectAlternative,
+    editMessage,
+    mergeBranches,
     setActiveNode,
     setSelectedNode,
     togglePin,
+    pinGroups,
+    sendTargetId,
+    setSendTarget,
+    refs,
+    headBranch,
     deleteNode,
     createInitialNode,
-    getNodeDepth
+    getNodeDepth,
+    isGenerating,
+    stopGeneration
   } = useChatTree();
 
-  const { sendToGemini, sendToMockLLM, isLoading, error } = useLLM();
+  const { generate, isLoading, error } = useLLM();
   
   // State for collapsible context panel
   const [isContextPanelCollapsed, setIsContextPanelCollapsed] = useState(false);
@@ -47,6 +61,9 @@ function ChatTreeInner() {
   // State for terminal
   const [isTerminalVisible, setIsTerminalVisible] = useState(false);
 
+  // Provider, model and sampling parameters chosen in the message input (also used by Regenerate)
+  const [llmOptions, setLLMOptions] = useState({});
+
   // Convert tree nodes to React Flow format
   const [reactFlowNodes, setNodes, onNodesChange] = useNodesState([]);
   const [reactFlowEdges, setEdges, onEdgesChange] = useEdgesState([]);
@@ -79,10 +96,11 @@ function ChatTreeInner() {
   const calculateAllNodePositions = useCallback(() => {
     const positions = new Map();
     
-    // Process nodes in order of depth to ensure parents are calculated first
+    // Process nodes in order of depth to ensure parents (including merge parents) are calculated first
+    const depthMemo = new Map();
     const sortedNodes = [...nodes].sort((a, b) => {
-      const depthA = getNodeDepth(a.id);
-      const depthB = getNodeDepth(b.id);
+      const depthA = getLayoutDepth(nodes, a.id, depthMemo);
+      const depthB = getLayoutDepth(nodes, b.id, depthMemo);
       return depthA - depthB;
     });
     
@@ -105,15 +123,25 @@ function ChatTreeInner() {
         const startX = parentPos.x - (totalChildren - 1) * childSpacing / 2;
         
         // Position children below and spread horizontally from parent
-        const x = startX + siblingIndex * childSpacing;
-        const y = parentPos.y + 300; // Increased vertical spacing
+        let x = startX + siblingIndex * childSpacing;
+        let y = parentPos.y + 300; // Increased vertical spacing
+
+        // Merge nodes sit between all their parents, below the deepest one
+        const mergeParentPositions = (node.mergeParents || [])
+          .map(id => positions.get(id))
+          .filter(Boolean);
+        if (mergeParentPositions.length > 0) {
+          const allPositions = [{ x, y: parentPos.y }, ...mergeParentPositions];
+          x = allPositions.reduce((sum, pos) => sum + pos.x, 0) / allPositions.length;
+          y = Math.max(...allPositions.map(pos => pos.y)) + 300;
+        }
         
         positions.set(node.id, { x, y });
       }
     });
     
     return positions;
-  }, [nodes, getNodeDepth]);
+  }, [nodes]);
 
   // Calculate position for a specific node
   const calculateNodePosition = useCallback((node) => {
@@ -128,23 +156,90 @@ function ChatTreeInner() {
     }
   }, [nodes.length, createInitialNode]);
 
+  // Handle regenerating an assistant reply as a sibling alternative
+  const handleRegenerate = useCallback(async (nodeId) => {
+    try {
+      await regenerateNode(nodeId, (context, { onToken, signal }) => (
+        generate(context, { ...llmOptions, onToken, signal })
+      ), llmOptions);
+    } catch (err) {
+      console.error('Failed to regenerate reply:', err);
+    }
+  }, [regenerateNode, generate, llmOptions]);
+
+  // Handle editing a user message (forks a new sibling with a fresh reply)
+  const handleEditMessage = useCallback(async (nodeId, messageText) => {
+    try {
+      await editMessage(nodeId, messageText, (context, { onToken, signal }) => (
+        generate(context, { ...llmOptions, onToken, signal })
+      ), llmOptions);
+    } catch (err) {
+      console.error('Failed to edit message:', err);
+    }
+  }, [editMessage, generate, llmOptions]);
+
+  // Handle merging a branch into the active branch
+  const handleMerge = useCallback(async (nodeId) => {
+    try {
+      await mergeBranches(activeNodeId, nodeId, (context, { onToken, signal }) => (
+        generate(context, { ...llmOptions, onToken, signal })
+      ), llmOptions);
+    } catch (err) {
+      console.error('Failed to merge branches:', err);
+      window.alert(err.message);
+    }
+  }, [activeNodeId, mergeBranches, generate, llmOptions]);
+
   // Convert tree nodes to React Flow nodes
   useEffect(() => {
-    const flowNodes = nodes.map(node => ({
-      id: node.id,
-      type: 'messageNode',
-      position: calculateNodePosition(node),
-      data: {
-        node,
-        isActive: node.id === activeNodeId,
-        isSelected: node.id === selectedNodeId,
-        depth: getNodeDepth(node.id),
-        onSelect: () => setSelectedNode(node.id),
-        onActivate: () => setActiveNode(node.id),
-        onTogglePin: () => togglePin(node.id),
-        onDelete: () => deleteNode(node.id)
-      }
-    }));
+    const flowNodes = nodes.map(node => {
+      const alternatives = node.role === 'assistant' ? getAlternatives(nodes, node.id) : [];
+      const alternativeIndex = alternatives.findIndex(n => n.id === node.id);
+      const parentNode = nodes.find(n => n.id === node.parentId);
+      // Without an explicit choice, the newest alternative continues the branch
+      const selectedAlternativeId = parentNode?.metadata.selectedAlternativeId
+        || alternatives[alternatives.length - 1]?.id;
+
+      return {
+        id: node.id,
+        type: 'messageNode',
+        position: calculateNodePosition(node),
+        data: {
+          node,
+          isActive: node.id === activeNodeId,
+          isSelected: node.id === selectedNodeId,
+          depth: getNodeDepth(node.id),
+          alternativeIndex,
+          alternativeCount: alternatives.length,
+          isSelectedAlternative: node.id === selectedAlternativeId,
+          onSelect: () => setSelectedNode(node.id),
+          onActivate: () => setActiveNode(node.id),
+          pinGroupName: (pinGroups.find(group => group.id === node.metadata.pinGroupId)
+            || pinGroups.find(group => group.id === DEFAULT_PIN_GROUP_ID))?.name,
+          isSendTarget: node.id === sendTargetId,
+          refLabels: getRefLabels(refs, node.id, headBranch),
+          onTogglePin: () => togglePin(node.id),
+          onToggleSendTarget: () => setSendTarget(node.id === sendTargetId ? null : node.id),
+          onDelete: () => deleteNode(node.id),
+          onRegenerate: () => handleRegenerate(node.id),
+          onEdit: (messageText) => handleEditMessage(node.id, messageText),
+          // Merging is offered on the selected node, into the active branch
+          onMerge: node.id === selectedNodeId && activeNodeId && node.id !== activeNodeId
+            ? () => handleMerge(node.id)
+            : null,
+          onShowAlternative: (offset) => {
+            const target = alternatives[(alternativeIndex + offset + alternatives.length) % alternatives.length];
+            setSelectedNode(target.id);
+            if (window.scrollToNode) window.scrollToNode(target.id);
+          },
+          onSelectAlternative: () => selectAlternative(node.id),
+          // Replies keep a reference to the context they were generated from
+          onRebuildPrompt: node.metadata.contextRef
+            ? () => rebuildContext(nodes, node.metadata.contextRef)
+            : null
+        }
+      };
+    });
 
     const flowEdges = nodes
       .filter(node => node.parentId)
@@ -173,55 +268,57 @@ function ChatTreeInner() {
         };
       });
 
+    // Extra edges from the secondary parents of merge nodes
+    const mergeEdges = nodes.flatMap(node => (node.mergeParents || [])
+      .filter(mergeParentId => nodes.some(n => n.id === mergeParentId))
+      .map(mergeParentId => ({
+        id: `${mergeParentId}-${node.id}-merge`,
+        source: mergeParentId,
+        target: node.id,
+        type: 'smoothstep',
+        animated: node.id === activeNodeId,
+        style: {
+          stroke: '#a855f7',
+          strokeWidth: 2.5,
+          strokeDasharray: '6,3'
+        },
+        label: 'merge',
+        labelStyle: {
+          fontSize: 9,
+          fill: '#a855f7'
+        }
+      }))
+    );
+
     setNodes(flowNodes);
-    setEdges(flowEdges);
-  }, [nodes, activeNodeId, selectedNodeId, setActiveNode, setSelectedNode, togglePin, deleteNode, getNodeDepth, calculateNodePosition, setNodes, setEdges]);
+    setEdges([...flowEdges, ...mergeEdges]);
+  }, [nodes, activeNodeId, selectedNodeId, pinGroups, sendTargetId, refs, headBranch, setActiveNode, setSelectedNode, togglePin, setSendTarget, deleteNode, handleRegenerate, handleEditMessage, handleMerge, selectAlternative, getNodeDepth, calculateNodePosition, setNodes, setEdges]);
 
   // Handle sending a message
-  const handleSendMessage = useCallback(async (messageText) => {
-    if (!activeNodeId) {
+  const handleSendMessage = useCallback(async (messageText, llmOptions = {}) => {
+    if (!activeNodeId && !sendTargetId) {
       return;
     }
 
     try {
-      await sendMessage(messageText, async (context) => {
-        // Try Gemini first, fallback to mock if no API key
-        try {
-          return await sendToGemini(context, {
-            model: 'gemini-2.0-flash-exp',
-            temperature: 0.7,
-            maxTokens: 2000
-          });
-        } catch (geminiError) {
-          console.warn('Gemini API not available, using mock:', geminiError.message);
-          return await sendToMockLLM(context);
-        }
-      });
+      await sendMessage(messageText, (context, { onToken, signal }) => (
+        generate(context, { ...llmOptions, onToken, signal })
+      ), llmOptions);
     } catch (err) {
       console.error('Failed to send message:', err);
     }
-  }, [activeNodeId, sendMessage, sendToGemini, sendToMockLLM]);
+  }, [activeNodeId, sendTargetId, sendMessage, generate]);
 
   // Handle branching from a node
-  const handleBranchFromNode = useCallback(async (nodeId, messageText) => {
+  const handleBranchFromNode = useCallback(async (nodeId, messageText, llmOptions = {}) => {
     try {
-      await branchFromNode(nodeId, messageText, async (context) => {
-        // Try Gemini first, fallback to mock if no API key
-        try {
-          return await sendToGemini(context, {
-            model: 'gemini-2.0-flash-exp',
-            temperature: 0.7,
-            maxTokens: 2000
-          });
-        } catch (geminiError) {
-          console.warn('Gemini API not available, using mock:', geminiError.message);
-          return await sendToMockLLM(context);
-        }
-      });
+      await branchFromNode(nodeId, messageText, (context, { onToken, signal }) => (
+        generate(context, { ...llmOptions, onToken, signal })
+      ), llmOptions);
     } catch (err) {
       console.error('Failed to branch from node:', err);
     }
-  }, [branchFromNode, sendToGemini, sendToMockLLM]);
+  }, [branchFromNode, generate]);
 
   // Handle node click
   const onNodeClick = useCallback((event, node) => {
@@ -282,7 +379,7 @@ function ChatTreeInner() {
               {isContextPanelCollapsed ? '▶' : '▼'}
             </button>
           </div>
-          {!isContextPanelCollapsed && <ContextPanel />}
+          {!isContextPanelCollapsed && <ContextPanel llmOptions={llmOptions} />}
         </div>
         
         {/* Conversation Panel */}
@@ -293,6 +390,12 @@ function ChatTreeInner() {
         <MessageInput 
           onSendMessage={handleSendMessage}
           onBranchFromNode={handleBranchFromNode}
+          onStop={() => stopGeneration()}
+          sendTargetId={sendTargetId}
+          onClearSendTarget={() => setSendTarget(null)}
+          llmOptions={llmOptions}
+          onLLMOptionsChange={setLLMOptions}
+          isGenerating={isGenerating}
           isLoading={isLoading}
           error={error}
         />
@@ -1,18 +1,65 @@
-import React from 'react';
+import React, { useState } from 'react';
 import { useChatTree } from '../hooks/useChatTree';
-import { getContextSummary } from '../utils/contextCompiler';
-import { getPathToRoot } from '../utils/treeUtils';
+import { useLLM } from '../hooks/useLLM';
+import { getContextSummary, hasContextOverrides, CONTEXT_STRATEGIES, MEMORY_MODES } from '../utils/contextCompiler';
+import { getPathToRoot, getPinnedNodes, getPinGroupId, DEFAULT_PIN_GROUP_ID } from '../utils/treeUtils';
 
 /**
  * Context panel component
  * Shows information about the current context and pinned nodes
  */
-function ContextPanel({ showConversationOnly = false }) {
-  const { nodes, activeNodeId, selectedNodeId, togglePin } = useChatTree();
+function ContextPanel({ showConversationOnly = false, llmOptions = {} }) {
+  const {
+    nodes,
+    activeNodeId,
+    selectedNodeId,
+    togglePin,
+    movePin,
+    pinGroups,
+    addPinGroup,
+    updatePinGroup,
+    movePinGroup,
+    deletePinGroup,
+    systemPrompt,
+    setSystemPrompt,
+    setNodeSystemPrompt,
+    getCompileOptions,
+    setMemoryMode,
+    sendTargetId,
+    contextOverrides,
+    setContextOverrides,
+    inspectContext,
+    excludeFromContext,
+    includeInContext,
+    moveInContext
+  } = useChatTree();
+  const { contextSettings, setContextSettings, personas, savePersona, deletePersona } = useLLM();
+  const [newGroupName, setNewGroupName] = useState('');
+  const [personaDraft, setPersonaDraft] = useState(null);
+  const [expandedEntryKey, setExpandedEntryKey] = useState(null);
 
-  const contextSummary = activeNodeId ? getContextSummary(nodes, activeNodeId) : null;
-  const pinnedNodes = nodes.filter(node => node.metadata.isPinned);
+  // contextSettings and personas re-render the panel when they change
+  const contextSummary = activeNodeId
+    ? getContextSummary(nodes, activeNodeId, getCompileOptions())
+    : null;
+  const activeNode = nodes.find(node => node.id === activeNodeId);
+  // Exactly what the next message would send, inspector edits included
+  const contextReport = showConversationOnly ? null : inspectContext(llmOptions);
+  const budgetEntries = contextReport
+    ? contextReport.entries.filter(entry => entry.source !== 'prompt')
+    : [];
+  // Entries standing for a node can be excluded and reordered; the system prompt and summary can't
+  const isNodeEntry = (entry) => Boolean(entry.nodeId) && entry.source !== 'system' && entry.source !== 'summary';
+  const nodeEntryIds = budgetEntries.filter(isNodeEntry).map(entry => entry.nodeId);
+  const overrideCount = contextOverrides
+    ? contextOverrides.excludeIds.length + contextOverrides.includeIds.length + (contextOverrides.order.length > 0 ? 1 : 0)
+    : 0;
+  // Every pin in display order, including pins of disabled groups
+  const allPins = getPinnedNodes(nodes, pinGroups.map(group => ({ ...group, enabled: true })));
   const selectedNode = nodes.find(node => node.id === selectedNodeId);
+  const originalOfEdit = selectedNode?.metadata.editedFrom
+    ? nodes.find(node => node.id === selectedNode.metadata.editedFrom)
+    : null;
   
   // Get full conversation path when a node is selected
   const fullConversation = selectedNodeId ? getPathToRoot(nodes, selectedNodeId) : [];
@@ -21,6 +68,71 @@ function ContextPanel({ showConversationOnly = false }) {
     return new Date(timestamp).toLocaleString();
   };
 
+  const memoryModeIcons = {
+    isolated: '🔒',
+    'ancestors-siblings': '🌿',
+    hierarchical: '🧠',
+    'full-tree': '🌳',
+    retrieval: '🔎',
+    'pinned-only': '📌'
+  };
+
+  // A system prompt is either a persona from the library or custom text
+  const getPromptChoice = (setting) => setting?.personaId || (setting ? 'custom' : '');
+  const toPromptSetting = (choice, current) => {
+    if (!choice) return null;
+    if (choice === 'custom') return { content: current?.content || '' };
+    const persona = personas.find(p => p.id === choice);
+    return { personaId: persona.id, content: persona.content };
+  };
+
+  const renderPromptPicker = (setting, onChange, emptyLabel, placeholder) => (
+    <>
+      <select
+        value={getPromptChoice(setting)}
+        onChange={(e) => onChange(toPromptSetting(e.target.value, setting))}
+      >
+        <option value="">{emptyLabel}</option>
+        <option value="custom">Custom prompt</option>
+        {personas.map(persona => (
+          <option key={persona.id} value={persona.id}>{persona.name}</option>
+        ))}
+        {setting?.personaId && !personas.some(p => p.id === setting.personaId) && (
+          <option value={setting.personaId}>(deleted persona)</option>
+        )}
+      </select>
+      {setting && !setting.personaId && (
+        <textarea
+          className="system-prompt-text"
+          value={setting.content}
+          onChange={(e) => onChange({ content: e.target.value })}
+          placeholder={placeholder}
+          rows={3}
+        />
+      )}
+    </>
+  );
+
+  // Inspector edits can refer to nodes that changed since; report the reason instead of failing silently
+  const runContextEdit = (edit) => (e) => {
+    e.stopPropagation();
+    try {
+      edit();
+    } catch (error) {
+      window.alert(error.message);
+    }
+  };
+
+  const handleSavePersona = (e) => {
+    e.preventDefault();
+    try {
+      savePersona(personaDraft);
+      setPersonaDraft(null);
+    } catch (error) {
+      window.alert(error.message);
+    }
+  };
+
   const truncateContent = (content, maxLength = 50) => {
     return content.length > maxLength ? `${content.substring(0, maxLength)}...` : content;
   };
@@ -46,10 +158,14 @@ function ContextPanel({ showConversationOnly = false }) {
                   </div>
                   <div className="message-content">
                     {node.content}
+                    {node.metadata.status === 'streaming' && <span className="streaming-cursor" />}
                   </div>
                   {node.metadata.modelUsed && (
                     <div className="message-meta">
-                      <span className="model-info">Model: {node.metadata.modelUsed}</span>
+                      <span className="model-info">
+                        Model: {node.metadata.modelUsed}
+                        {node.metadata.fallback && ' (fallback)'}
+                      </span>
                       {node.metadata.tokenCount > 0 && (
                         <span className="token-info">Tokens: {node.metadata.tokenCount}</span>
                       )}
@@ -73,9 +189,25 @@ function ContextPanel({ showConversationOnly = false }) {
       {contextSummary && (
         <div className="context-summary">
           <div className="memory-type-indicator">
-            <span className={`memory-type ${contextSummary.memoryType}`}>
-              {contextSummary.memoryType === 'hierarchical' ? '🧠 Main Branch (Full Memory)' : '🔒 Sub-Branch (Isolated Memory)'}
+            <span
+              className={`memory-type ${contextSummary.memoryType}`}
+              title={contextSummary.memoryModeSource ? `Set on ${contextSummary.memoryModeSource}` : 'Default for this position in the tree'}
+            >
+              {memoryModeIcons[contextSummary.memoryType]} {MEMORY_MODES[contextSummary.memoryType]}
             </span>
+            <select
+              className="memory-mode-select"
+              value={activeNode?.metadata.memoryMode || ''}
+              onChange={(e) => setMemoryMode(activeNodeId, e.target.value || null)}
+              title="Memory mode of the active node; nodes below it inherit it"
+            >
+              <option value="">
+                Inherit{contextSummary.isMemoryModeInherited || !contextSummary.memoryModeSource ? ` (${contextSummary.memoryType})` : ''}
+              </option>
+              {Object.entries(MEMORY_MODES).map(([id, label]) => (
+                <option key={id} value={id}>{label}</option>
+              ))}
+            </select>
           </div>
           <div className="summary-stats">
             <div className="stat">
@@ -88,10 +220,16 @@ function ContextPanel({ showConversationOnly = false }) {
             </div>
             {contextSummary.descendantCount > 0 && (
               <div className="stat">
-                <span className="stat-label">Sub-branch Memories:</span>
+                <span className="stat-label">Branch Memories:</span>
                 <span className="stat-value">{contextSummary.descendantCount}</span>
               </div>
             )}
+            {contextSummary.memoryType === 'retrieval' && (
+              <div className="stat">
+                <span className="stat-label">Retrieved ({contextSummary.retrievalMethod === 'embedding' ? 'embeddings' : 'BM25'}):</span>
+                <span className="stat-value">{contextSummary.retrievedCount}</span>
+              </div>
+            )}
             <div className="stat">
               <span className="stat-label">Total Context:</span>
               <span className="stat-value">{contextSummary.totalContextNodes}</span>
@@ -101,37 +239,361 @@ function ContextPanel({ showConversationOnly = false }) {
               <span className="stat-value">{contextSummary.totalTokens}</span>
             </div>
           </div>
+          {contextSummary.memoryType === 'retrieval' && (
+            <div className="retrieval-settings">
+              <label title="Nodes pulled in from anywhere in the tree for each prompt">
+                Top
+                <input
+                  type="number"
+                  min="0"
+                  step="1"
+                  value={contextSettings.retrievalTopK}
+                  onChange={(e) => {
+                    const parsed = parseInt(e.target.value, 10);
+                    setContextSettings({ retrievalTopK: Number.isNaN(parsed) ? 0 : Math.max(parsed, 0) });
+                  }}
+                />
+              </label>
+              <input
+                type="text"
+                value={contextSettings.embeddingModel || ''}
+                placeholder="Embedding model (BM25 when empty)"
+                onChange={(e) => setContextSettings({ embeddingModel: e.target.value.trim() || null })}
+                title="Embedding model on the local server, e.g. nomic-embed-text"
+              />
+            </div>
+          )}
+          {contextSummary.retrieved.length > 0 && (
+            <div className="retrieved-list" title="Matches for the active message; a send retrieves for its own prompt">
+              {contextSummary.retrieved.map(item => (
+                <div key={item.id} className="retrieved-item" title={item.content}>
+                  <span className="entry-id">{item.id.slice(0, 8)}</span>
+                  <span className="retrieved-content">{truncateContent(item.content, 40)}</span>
+                  <span className="retrieved-score">{item.score}</span>
+                </div>
+              ))}
+            </div>
+          )}
         </div>
       )}
 
-      {pinnedNodes.length > 0 && (
-        <div className="pinned-nodes">
-          <h4>Pinned Nodes</h4>
-          <div className="pinned-list">
-            {pinnedNodes.map(node => (
-              <div key={node.id} className="pinned-node">
-                <div className="node-header">
-                  <span className="node-role">{node.role}</span>
-                  <button
-                    onClick={() => togglePin(node.id)}
-                    className="unpin-button"
-                    title="Unpin from context"
-                  >
-                    📌
-                  </button>
-                </div>
-                <div className="node-content">
-                  {truncateContent(node.content)}
-                </div>
-                <div className="node-meta">
-                  {formatTimestamp(node.metadata.timestamp)}
-                </div>
+      {!showConversationOnly && (
+        <div className="system-prompt">
+          <h4>System Prompt</h4>
+          {contextSummary && (
+            <div className="system-prompt-effective" title={contextSummary.systemPrompt?.content}>
+              {contextSummary.systemPrompt
+                ? `${contextSummary.systemPrompt.personaName || 'Custom prompt'} · from ${contextSummary.systemPrompt.sourceNodeId ? `node ${contextSummary.systemPrompt.sourceNodeId.slice(0, 8)}` : 'the project'}`
+                : 'No system prompt'}
+            </div>
+          )}
+          <div className="system-prompt-scope">
+            <span>Project</span>
+            {renderPromptPicker(systemPrompt, setSystemPrompt, 'None', 'System prompt for the whole project')}
+          </div>
+          {activeNode && (
+            <div className="system-prompt-scope">
+              <span>Active node</span>
+              {renderPromptPicker(
+                activeNode.metadata.systemPrompt,
+                (setting) => setNodeSystemPrompt(activeNode.id, setting),
+                'Inherit',
+                'System prompt for this node and below (empty sends none)'
+              )}
+            </div>
+          )}
+
+          <div className="persona-library">
+            <div className="persona-library-header">
+              <span>Personas</span>
+              {!personaDraft && (
+                <button className="unpin-button" onClick={() => setPersonaDraft({ name: '', content: '' })}>
+                  New
+                </button>
+              )}
+            </div>
+            {personas.map(persona => (
+              <div key={persona.id} className="persona-item" title={persona.content}>
+                <span className="persona-name">{persona.name}</span>
+                <button className="unpin-button" onClick={() => setPersonaDraft(persona)} title="Edit persona">✏️</button>
+                <button
+                  className="unpin-button"
+                  onClick={() => {
+                    if (window.confirm(`Delete the persona "${persona.name}"? Prompts using it keep a copy of its text.`)) {
+                      deletePersona(persona.id);
+                    }
+                  }}
+                  title="Delete persona"
+                >
+                  ✕
+                </button>
               </div>
             ))}
+            {personas.length === 0 && !personaDraft && (
+              <div className="persona-empty">Save prompts as personas to reuse them in any project</div>
+            )}
+            {personaDraft && (
+              <form className="persona-form" onSubmit={handleSavePersona}>
+                <input
+                  value={personaDraft.name}
+                  onChange={(e) => setPersonaDraft({ ...personaDraft, name: e.target.value })}
+                  placeholder="Persona name"
+                />
+                <textarea
+                  className="system-prompt-text"
+                  value={personaDraft.content}
+                  onChange={(e) => setPersonaDraft({ ...personaDraft, content: e.target.value })}
+                  placeholder="System prompt"
+                  rows={4}
+                />
+                <div className="persona-form-actions">
+                  <button type="button" className="unpin-button" onClick={() => setPersonaDraft(null)}>Cancel</button>
+                  <button type="submit" className="unpin-button">Save</button>
+                </div>
+              </form>
+            )}
+          </div>
+        </div>
+      )}
+
+      {contextReport && (
+        <div className="context-budget">
+          <h4>Context Budget</h4>
+          <div className="context-budget-controls">
+            <select
+              value={contextSettings.strategy}
+              onChange={(e) => setContextSettings({ strategy: e.target.value })}
+              title="What to do when the context is over budget"
+            >
+              {Object.entries(CONTEXT_STRATEGIES).map(([id, label]) => (
+                <option key={id} value={id}>{label}</option>
+              ))}
+            </select>
+            <input
+              type="number"
+              min="1"
+              step="1000"
+              value={contextSettings.maxTokens ?? ''}
+              placeholder="Model limit"
+              onChange={(e) => {
+                const parsed = parseInt(e.target.value, 10);
+                setContextSettings({ maxTokens: Number.isNaN(parsed) ? null : parsed });
+              }}
+              title="Token budget (empty uses the model's context window)"
+            />
+            <label className="context-budget-toggle" title="Send sub-branches as rolling summaries instead of full transcripts">
+              <input
+                type="checkbox"
+                checked={contextSettings.branchSummaries}
+                onChange={(e) => setContextSettings({ branchSummaries: e.target.checked })}
+              />
+              Summaries
+            </label>
+          </div>
+          <div className={`context-budget-usage ${contextReport.overBudget ? 'over' : ''}`}>
+            {contextReport.totalTokens.toLocaleString()} / {contextReport.budget.toLocaleString()} tokens
+            {' '}({contextReport.target?.model || contextReport.target?.provider || 'default model'})
+          </div>
+          <div className="context-inspector-header">
+            <span>
+              Sent from {(sendTargetId || activeNodeId).slice(0, 8)}
+              {hasContextOverrides(contextOverrides) && ` · ${overrideCount} edit${overrideCount === 1 ? '' : 's'}, saved with the next message`}
+            </span>
+            {hasContextOverrides(contextOverrides) && (
+              <button className="unpin-button" onClick={() => setContextOverrides(null)}>Reset</button>
+            )}
+          </div>
+          <div className="context-budget-list">
+            {budgetEntries.map(entry => {
+              const key = `${entry.source}-${entry.nodeId}`;
+              const position = nodeEntryIds.indexOf(entry.nodeId);
+              const isExcluded = entry.status === 'excluded';
+              return (
+                <div
+                  key={key}
+                  className={`context-budget-entry ${entry.status}`}
+                  onClick={() => setExpandedEntryKey(expandedEntryKey === key ? null : key)}
+                  title="Show the message as sent"
+                >
+                  <span className="entry-id">{entry.nodeId ? entry.nodeId.slice(0, 8) : entry.source}</span>
+                  <span className="entry-role">{entry.role}</span>
+                  <span className="entry-source">
+                    {entry.forced ? `${entry.source} (forced)` : entry.source}
+                    {entry.score !== undefined && ` ${entry.score}`}
+                  </span>
+                  <span className="entry-tokens">
+                    {entry.status === 'truncated' ? `${entry.tokens}/${entry.originalTokens}` : entry.originalTokens}
+                  </span>
+                  <span className="entry-status">{entry.status}</span>
+                  <span className="entry-actions">
+                    {isNodeEntry(entry) && (
+                      <>
+                        <button
+                          onClick={runContextEdit(() => moveInContext(entry.nodeId, position - 1))}
+                          disabled={position === 0}
+                          title="Send earlier"
+                        >
+                          ▲
+                        </button>
+                        <button
+                          onClick={runContextEdit(() => moveInContext(entry.nodeId, position + 1))}
+                          disabled={position === nodeEntryIds.length - 1}
+                          title="Send later"
+                        >
+                          ▼
+                        </button>
+                        <button
+                          onClick={runContextEdit(() => (isExcluded ? includeInContext(entry.nodeId) : excludeFromContext(entry.nodeId)))}
+                          title={isExcluded ? 'Send this message' : 'Leave this message out'}
+                        >
+                          {isExcluded ? '+' : '✕'}
+                        </button>
+                      </>
+                    )}
+                  </span>
+                  {expandedEntryKey === key && (
+                    <pre className="entry-content">{entry.content}</pre>
+                  )}
+                </div>
+              );
+            })}
           </div>
+          {selectedNode && !nodeEntryIds.includes(selectedNode.id) && (
+            <button
+              className="context-include-button"
+              onClick={runContextEdit(() => includeInContext(selectedNode.id))}
+              title="Send the selected node with the next message, whatever the memory mode"
+            >
+              + Include selected node ({selectedNode.id.slice(0, 8)})
+            </button>
+          )}
         </div>
       )}
 
+      <div className="pinned-nodes">
+        <h4>Pinned Nodes</h4>
+        {pinGroups.map((group, groupIndex) => {
+          const groupPins = allPins.filter(node => getPinGroupId(node, pinGroups) === group.id);
+          return (
+            <div key={group.id} className={`pin-group ${group.enabled ? '' : 'disabled'}`}>
+              <div className="pin-group-header">
+                <input
+                  type="checkbox"
+                  checked={group.enabled}
+                  onChange={() => updatePinGroup(group.id, { enabled: !group.enabled })}
+                  title="Send this group's pins as context"
+                />
+                <input
+                  className="pin-group-name"
+                  value={group.name}
+                  onChange={(e) => updatePinGroup(group.id, { name: e.target.value })}
+                  title="Rename group"
+                />
+                <span className="pin-group-count">{groupPins.length}</span>
+                <button
+                  className="unpin-button"
+                  onClick={() => movePinGroup(group.id, groupIndex - 1)}
+                  disabled={groupIndex === 0}
+                  title="Send this group earlier"
+                >
+                  ▲
+                </button>
+                <button
+                  className="unpin-button"
+                  onClick={() => movePinGroup(group.id, groupIndex + 1)}
+                  disabled={groupIndex === pinGroups.length - 1}
+                  title="Send this group later"
+                >
+                  ▼
+                </button>
+                {group.id !== DEFAULT_PIN_GROUP_ID && (
+                  <button
+                    className="unpin-button"
+                    onClick={() => {
+                      if (window.confirm(`Delete the group "${group.name}" and unpin its nodes?`)) {
+                        deletePinGroup(group.id);
+                      }
+                    }}
+                    title="Delete group and unpin its nodes"
+                  >
+                    ✕
+                  </button>
+                )}
+              </div>
+              <div className="pinned-list">
+                {groupPins.map((node, index) => (
+                  <div key={node.id} className="pinned-node">
+                    <div className="node-header">
+                      <span className="node-role">{node.role}</span>
+                      <div className="pinned-node-actions">
+                        <button
+                          className="unpin-button"
+                          onClick={() => movePin(node.id, index - 1)}
+                          disabled={index === 0}
+                          title="Move up"
+                        >
+                          ▲
+                        </button>
+                        <button
+                          className="unpin-button"
+                          onClick={() => movePin(node.id, index + 1)}
+                          disabled={index === groupPins.length - 1}
+                          title="Move down"
+                        >
+                          ▼
+                        </button>
+                        {pinGroups.length > 1 && (
+                          <select
+                            className="pin-group-select"
+                            value={group.id}
+                            onChange={(e) => movePin(node.id, undefined, e.target.value)}
+                            title="Move to another group"
+                          >
+                            {pinGroups.map(option => (
+                              <option key={option.id} value={option.id}>{option.name}</option>
+                            ))}
+                          </select>
+                        )}
+                        <button
+                          onClick={() => togglePin(node.id)}
+                          className="unpin-button"
+                          title="Unpin from context"
+                        >
+                          📌
+                        </button>
+                      </div>
+                    </div>
+                    <div className="node-content">
+                      {truncateContent(node.content)}
+                    </div>
+                    <div className="node-meta">
+                      {formatTimestamp(node.metadata.timestamp)}
+                    </div>
+                  </div>
+                ))}
+              </div>
+            </div>
+          );
+        })}
+        <form
+          className="pin-group-new"
+          onSubmit={(e) => {
+            e.preventDefault();
+            if (newGroupName.trim()) {
+              addPinGroup(newGroupName.trim());
+              setNewGroupName('');
+            }
+          }}
+        >
+          <input
+            value={newGroupName}
+            onChange={(e) => setNewGroupName(e.target.value)}
+            placeholder="New pin group"
+          />
+          <button type="submit" className="unpin-button" disabled={!newGroupName.trim()}>Add</button>
+        </form>
+      </div>
+
       {selectedNode && (
         <div className="selected-node-info">
           <h4>Selected Node</h4>
@@ -151,7 +613,9 @@ function ContextPanel({ showConversationOnly = false }) {
             <div className="detail-row">
               <span className="detail-label">Pinned:</span>
               <span className="detail-value">
-                {selectedNode.metadata.isPinned ? 'Yes' : 'No'}
+                {selectedNode.metadata.isPinned
+                  ? `Yes (${pinGroups.find(group => group.id === getPinGroupId(selectedNode, pinGroups))?.name})`
+                  : 'No'}
               </span>
             </div>
             <div className="detail-row">
@@ -160,19 +624,84 @@ function ContextPanel({ showConversationOnly = false }) {
                 {formatTimestamp(selectedNode.metadata.timestamp)}
               </span>
             </div>
+            {selectedNode.metadata.provider && (
+              <div className="detail-row">
+                <span className="detail-label">Provider:</span>
+                <span className="detail-value">
+                  {selectedNode.metadata.provider}
+                  {selectedNode.metadata.fallback && ' (fallback)'}
+                </span>
+              </div>
+            )}
             {selectedNode.metadata.modelUsed && (
               <div className="detail-row">
                 <span className="detail-label">Model:</span>
                 <span className="detail-value">{selectedNode.metadata.modelUsed}</span>
               </div>
             )}
+            {selectedNode.metadata.parameters && (
+              <div className="detail-row">
+                <span className="detail-label">Parameters:</span>
+                <span className="detail-value">
+                  temp {selectedNode.metadata.parameters.temperature}, max {selectedNode.metadata.parameters.maxTokens}
+                </span>
+              </div>
+            )}
+            {selectedNode.metadata.latencyMs != null && (
+              <div className="detail-row">
+                <span className="detail-label">Latency:</span>
+                <span className="detail-value">{selectedNode.metadata.latencyMs} ms</span>
+              </div>
+            )}
+            {selectedNode.metadata.failedProviders?.length > 0 && (
+              <div className="detail-row">
+                <span className="detail-label">Failed:</span>
+                <span className="detail-value">
+                  {selectedNode.metadata.failedProviders.map(f => f.provider).join(', ')}
+                </span>
+              </div>
+            )}
             {selectedNode.metadata.tokenCount > 0 && (
               <div className="detail-row">
                 <span className="detail-label">Tokens:</span>
                 <span className="detail-value">{selectedNode.metadata.tokenCount}</span>
               </div>
             )}
+            {selectedNode.metadata.usage && (
+              <div className="detail-row">
+                <span className="detail-label">API usage:</span>
+                <span className="detail-value">
+                  {selectedNode.metadata.usage.inputTokens} in, {selectedNode.metadata.usage.outputTokens} out
+                </span>
+              </div>
+            )}
           </div>
+          {selectedNode.metadata.branchSummary && (
+            <div className="edit-comparison">
+              <h4>Branch Summary</h4>
+              <div className="edit-version">
+                <span className="detail-label">
+                  Covers {selectedNode.metadata.branchSummary.coveredIds.length} messages, updated {formatTimestamp(selectedNode.metadata.branchSummary.updatedAt)}:
+                </span>
+                <div className="node-content">{selectedNode.metadata.branchSummary.content}</div>
+              </div>
+            </div>
+          )}
+          {selectedNode.metadata.editedFrom && (
+            <div className="edit-comparison">
+              <h4>Edited Message</h4>
+              <div className="edit-version">
+                <span className="detail-label">Original ({selectedNode.metadata.editedFrom.slice(0, 8)}):</span>
+                <div className="node-content">
+                  {originalOfEdit ? originalOfEdit.content : 'Original message was deleted'}
+                </div>
+              </div>
+              <div className="edit-version">
+                <span className="detail-label">Edited:</span>
+                <div className="node-content">{selectedNode.content}</div>
+              </div>
+            </div>
+          )}
         </div>
       )}
 
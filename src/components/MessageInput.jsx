@@ -1,10 +1,11 @@
 import React, { useState, useRef } from 'react';
+import ModelPicker from './ModelPicker';
 
 /**
  * Message input component for sending new messages
  * Handles both regular messages and branching from specific nodes
  */
-function MessageInput({ onSendMessage, onBranchFromNode, isLoading, error }) {
+function MessageInput({ onSendMessage, onBranchFromNode, onStop, isGenerating, sendTargetId, onClearSendTarget, llmOptions = {}, onLLMOptionsChange, isLoading, error }) {
   const [message, setMessage] = useState('');
   const [isBranchMode, setIsBranchMode] = useState(false);
   const [branchNodeId, setBranchNodeId] = useState(null);
@@ -20,9 +21,9 @@ function MessageInput({ onSendMessage, onBranchFromNode, isLoading, error }) {
 
     try {
       if (isBranchMode && branchNodeId) {
-        await onBranchFromNode(branchNodeId, message);
+        await onBranchFromNode(branchNodeId, message, llmOptions);
       } else {
-        await onSendMessage(message);
+        await onSendMessage(message, llmOptions);
       }
       
       setMessage('');
@@ -68,6 +69,17 @@ function MessageInput({ onSendMessage, onBranchFromNode, isLoading, error }) {
         </div>
       )}
 
+      {sendTargetId && !isBranchMode && (
+        <div className="branch-mode-indicator">
+          <span>🎯 Sending from node: {sendTargetId.slice(0, 8)}...</span>
+          <button onClick={onClearSendTarget} className="cancel-branch-btn" title="Send from the active node again">
+            Follow active
+          </button>
+        </div>
+      )}
+
+      <ModelPicker value={llmOptions} onChange={onLLMOptionsChange} disabled={isLoading} />
+
       <form onSubmit={handleSubmit} className="message-input-form">
         <div className="input-group">
           <textarea
@@ -86,6 +98,16 @@ function MessageInput({ onSendMessage, onBranchFromNode, isLoading, error }) {
           />
           
           <div className="input-actions">
+            {isGenerating && (
+              <button
+                type="button"
+                className="stop-button"
+                onClick={onStop}
+                title="Stop generating"
+              >
+                Stop
+              </button>
+            )}
             <button
               type="submit"
               disabled={!message.trim() || isLoading}
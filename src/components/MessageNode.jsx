@@ -1,16 +1,57 @@
-import React, { memo } from 'react';
+import React, { memo, useState } from 'react';
 import { Handle, Position } from 'reactflow';
 
 /**
  * Custom message node component for React Flow
  * Displays individual messages in the conversation tree
  */
+const alternativeButtonStyle = {
+  background: '#2a2a2a',
+  border: '1px solid #444444',
+  borderRadius: '4px',
+  padding: '0 6px',
+  fontSize: '11px',
+  cursor: 'pointer',
+  color: '#ffffff'
+};
+
 const MessageNode = memo(({ data }) => {
-  const { node, isActive, isSelected, depth, onSelect, onActivate, onTogglePin, onDelete } = data;
+  const {
+    node,
+    isActive,
+    isSelected,
+    depth,
+    alternativeIndex,
+    alternativeCount,
+    isSelectedAlternative,
+    onSelect,
+    onActivate,
+    pinGroupName,
+    isSendTarget,
+    refLabels = [],
+    onTogglePin,
+    onToggleSendTarget,
+    onDelete,
+    onRegenerate,
+    onEdit,
+    onMerge,
+    onShowAlternative,
+    onSelectAlternative,
+    onRebuildPrompt
+  } = data;
   const { role, content, metadata, parentId } = node;
   
   // Check if this is a sub-branch (child of an assistant node)
   const isSubBranch = parentId && depth > 1;
+  const isStreaming = metadata.status === 'streaming';
+  const isMerge = (node.mergeParents || []).length > 0;
+  // The root message has no parent to fork from, so it can't be edited
+  const canEdit = role === 'user' && Boolean(parentId);
+
+  const [isEditing, setIsEditing] = useState(false);
+  const [draft, setDraft] = useState(content);
+  // The rebuilt prompt is only computed while the view is open
+  const [shownPrompt, setShownPrompt] = useState(null);
 
   const handleClick = () => {
     onSelect();
@@ -25,6 +66,67 @@ const MessageNode = memo(({ data }) => {
     onTogglePin();
   };
 
+  const handleSendTargetToggle = (e) => {
+    e.stopPropagation();
+    onToggleSendTarget();
+  };
+
+  const handleRegenerate = (e) => {
+    e.stopPropagation();
+    onRegenerate();
+  };
+
+  const handleShowAlternative = (offset) => (e) => {
+    e.stopPropagation();
+    onShowAlternative(offset);
+  };
+
+  const handleSelectAlternative = (e) => {
+    e.stopPropagation();
+    onSelectAlternative();
+  };
+
+  const startEditing = (e) => {
+    e.stopPropagation();
+    setDraft(content);
+    setIsEditing(true);
+  };
+
+  const cancelEditing = (e) => {
+    e?.stopPropagation();
+    setIsEditing(false);
+  };
+
+  const submitEdit = (e) => {
+    e?.stopPropagation();
+    if (!draft.trim() || draft.trim() === content) {
+      setIsEditing(false);
+      return;
+    }
+    setIsEditing(false);
+    onEdit(draft);
+  };
+
+  const handleEditKeyDown = (e) => {
+    e.stopPropagation();
+    if (e.key === 'Enter' && !e.shiftKey) {
+      e.preventDefault();
+      submitEdit();
+    } else if (e.key === 'Escape') {
+      cancelEditing();
+    }
+  };
+
+  const togglePrompt = (e) => {
+    e.stopPropagation();
+    setShownPrompt(shownPrompt ? null : onRebuildPrompt());
+  };
+
+  const handleMerge = (e) => {
+    e.stopPropagation();
+    onMerge();
+  };
+
   const handleDelete = (e) => {
     e.stopPropagation();
     if (window.confirm('Delete this branch and all its sub-branches? This action cannot be undone.')) {
@@ -148,10 +250,88 @@ const MessageNode = memo(({ data }) => {
             color: metadata.isPinned ? '#000000' : '#ffffff',
             transition: 'all 0.2s ease'
           }}
-          title={metadata.isPinned ? 'Unpin from context' : 'Pin to context'}
+          title={metadata.isPinned ? `Unpin from context (${pinGroupName})` : 'Pin to context'}
         >
           {metadata.isPinned ? '📌' : '📍'}
         </button>
+
+        {/* Send target toggle (new messages are sent from here instead of the active node) */}
+        <button
+          onClick={handleSendTargetToggle}
+          style={{
+            background: isSendTarget ? '#f59e0b' : '#2a2a2a',
+            border: '1px solid #444444',
+            borderRadius: '6px',
+            padding: '4px 8px',
+            fontSize: '10px',
+            cursor: 'pointer',
+            color: isSendTarget ? '#000000' : '#ffffff',
+            transition: 'all 0.2s ease'
+          }}
+          title={isSendTarget ? 'Stop sending new messages from here' : 'Send new messages from here'}
+        >
+          🎯
+        </button>
+        
+        {/* Edit button */}
+        {canEdit && !isEditing && (
+          <button
+            onClick={startEditing}
+            style={{
+              background: '#2a2a2a',
+              border: '1px solid #444444',
+              borderRadius: '6px',
+              padding: '4px 8px',
+              fontSize: '10px',
+              cursor: 'pointer',
+              color: '#ffffff',
+              transition: 'all 0.2s ease'
+            }}
+            title="Edit and resubmit as a new branch"
+          >
+            ✏️
+          </button>
+        )}
+
+        {/* Merge button (shown on the selected node, merges it into the active branch) */}
+        {onMerge && (
+          <button
+            onClick={handleMerge}
+            style={{
+              background: '#2a2a2a',
+              border: '1px solid #a855f7',
+              borderRadius: '6px',
+              padding: '4px 8px',
+              fontSize: '10px',
+              cursor: 'pointer',
+              color: '#a855f7',
+              transition: 'all 0.2s ease'
+            }}
+            title="Merge this branch with the active branch"
+          >
+            ⑂
+          </button>
+        )}
+
+        {/* Regenerate button */}
+        {role === 'assistant' && !isStreaming && (
+          <button
+            onClick={handleRegenerate}
+            style={{
+              background: '#2a2a2a',
+              border: '1px solid #444444',
+              borderRadius: '6px',
+              padding: '4px 8px',
+              fontSize: '10px',
+              cursor: 'pointer',
+              color: '#ffffff',
+              transition: 'all 0.2s ease'
+            }}
+            title="Regenerate this reply as an alternative"
+          >
+            🔄
+          </button>
+        )}
         
         {/* Delete button */}
         <button
@@ -181,18 +361,111 @@ const MessageNode = memo(({ data }) => {
         textTransform: 'uppercase',
         display: 'flex',
         alignItems: 'center',
+        flexWrap: 'wrap',
         gap: '6px',
         letterSpacing: '0.5px'
       }}>
         {isSubBranch && <span style={{ color: '#ffffff' }}>↳</span>}
         {role}
         {isSubBranch && <span style={{ color: '#ffffff', fontSize: '8px', background: '#333333', padding: '1px 4px', borderRadius: '3px' }}>SUB</span>}
+        {isMerge && <span style={{ color: '#a855f7', fontSize: '8px', background: '#2a1a3a', padding: '1px 4px', borderRadius: '3px' }}>MERGE</span>}
+        {isSendTarget && <span style={{ color: '#f59e0b', fontSize: '8px', background: '#3a2a0a', padding: '1px 4px', borderRadius: '3px' }}>SEND TARGET</span>}
+        {refLabels.map(label => (
+          <span
+            key={`${label.type}:${label.name}`}
+            style={{
+              color: label.type === 'tag' ? '#facc15' : '#4ade80',
+              fontSize: '8px',
+              background: label.type === 'tag' ? '#3a340a' : '#0f2a1a',
+              border: label.isHead ? '1px solid #4ade80' : '1px solid transparent',
+              padding: '0 4px',
+              borderRadius: '3px',
+              textTransform: 'none'
+            }}
+            title={label.type === 'tag' ? `Tag ${label.name}` : `Branch ${label.name}${label.isHead ? ' (HEAD)' : ''}`}
+          >
+            {label.type === 'tag' ? `🏷 ${label.name}` : `${label.isHead ? 'HEAD → ' : ''}${label.name}`}
+          </span>
+        ))}
+        {metadata.branchSummary && (
+          <span
+            style={{ color: '#38bdf8', fontSize: '8px', background: '#0c2a3a', padding: '1px 4px', borderRadius: '3px', textTransform: 'none' }}
+            title={metadata.branchSummary.content}
+          >
+            summary · {metadata.branchSummary.coveredIds.length}
+          </span>
+        )}
       </div>
 
-      {/* Message content */}
-      <div style={getContentStyle()}>
-        {content.length > 100 ? `${content.substring(0, 100)}...` : content}
-      </div>
+      {/* Message content (renders partial text while the reply is streaming) */}
+      {isEditing ? (
+        <div
+          className="nodrag nowheel"
+          style={{ marginBottom: '10px' }}
+          onClick={(e) => e.stopPropagation()}
+          onDoubleClick={(e) => e.stopPropagation()}
+        >
+          <textarea
+            value={draft}
+            onChange={(e) => setDraft(e.target.value)}
+            onKeyDown={handleEditKeyDown}
+            autoFocus
+            rows={4}
+            style={{
+              width: '100%',
+              boxSizing: 'border-box',
+              background: '#0a0a0a',
+              color: '#ffffff',
+              border: '1px solid #444444',
+              borderRadius: '6px',
+              padding: '8px',
+              fontSize: '13px',
+              fontFamily: 'inherit',
+              resize: 'vertical'
+            }}
+          />
+          <div style={{ display: 'flex', gap: '6px', justifyContent: 'flex-end', marginTop: '6px' }}>
+            <button onClick={cancelEditing} style={alternativeButtonStyle}>Cancel</button>
+            <button
+              onClick={submitEdit}
+              style={{ ...alternativeButtonStyle, background: '#ffffff', color: '#000000' }}
+              title="Create a new branch with the edited message"
+            >
+              Save &amp; Submit
+            </button>
+          </div>
+        </div>
+      ) : (
+        <div style={getContentStyle()}>
+          {isStreaming && !content && <span style={{ color: '#888888' }}>Thinking...</span>}
+          {content.length > 100 ? `${content.substring(0, 100)}...` : content}
+          {isStreaming && <span className="streaming-cursor" />}
+        </div>
+      )}
+
+      {metadata.editedFrom && (
+        <div style={{ fontSize: '10px', color: '#888888', marginBottom: '8px' }}>
+          ✏️ Edited from {metadata.editedFrom.slice(0, 8)}
+        </div>
+      )}
+
+      {metadata.cherryPickedFrom && (
+        <div style={{ fontSize: '10px', color: '#888888', marginBottom: '8px' }}>
+          🍒 Copied from {metadata.cherryPickedFrom.slice(0, 8)}
+        </div>
+      )}
+
+      {metadata.status === 'aborted' && (
+        <div style={{ fontSize: '11px', color: '#f59e0b', marginBottom: '8px' }}>
+          Stopped before completion
+        </div>
+      )}
+
+      {metadata.status === 'error' && (
+        <div style={{ fontSize: '11px', color: '#ff6666', marginBottom: '8px' }}>
+          {metadata.error || 'Failed to generate response'}
+        </div>
+      )}
 
       {/* Metadata */}
       <div style={getMetadataStyle()}>
@@ -202,6 +475,82 @@ const MessageNode = memo(({ data }) => {
         )}
       </div>
 
+      {/* The exact prompt the reply was generated from */}
+      {onRebuildPrompt && (
+        <div style={{ marginTop: '8px' }}>
+          <button onClick={togglePrompt} style={alternativeButtonStyle} title="Rebuild the context this reply was generated from">
+            {shownPrompt ? 'Hide prompt' : 'Show prompt'}
+          </button>
+        </div>
+      )}
+      {shownPrompt && (
+        <div
+          className="nodrag nowheel"
+          onClick={(e) => e.stopPropagation()}
+          onDoubleClick={(e) => e.stopPropagation()}
+          style={{
+            marginTop: '8px',
+            maxHeight: '240px',
+            overflowY: 'auto',
+            background: '#0a0a0a',
+            border: '1px solid #333333',
+            borderRadius: '6px',
+            padding: '8px',
+            fontSize: '11px',
+            cursor: 'text'
+          }}
+        >
+          <div style={{ color: shownPrompt.matches ? '#10b981' : '#f59e0b', marginBottom: '6px' }}>
+            {shownPrompt.matches
+              ? `✓ Exact prompt (hash ${metadata.contextRef.hash})`
+              : `⚠ Differs from what was sent${shownPrompt.missingNodeIds.length > 0 ? ` (${shownPrompt.missingNodeIds.length} node(s) deleted)` : ' (nodes changed since)'}`}
+          </div>
+          {metadata.contextRef.parameters && (
+            <div style={{ color: '#888888', marginBottom: '6px' }}>
+              {metadata.contextRef.parameters.provider}
+              {metadata.contextRef.parameters.model && ` · ${metadata.contextRef.parameters.model}`}
+              {metadata.contextRef.parameters.temperature !== undefined && ` · T ${metadata.contextRef.parameters.temperature}`}
+              {metadata.contextRef.parameters.maxTokens !== undefined && ` · max ${metadata.contextRef.parameters.maxTokens}`}
+            </div>
+          )}
+          {shownPrompt.messages.map((message, index) => (
+            <div key={index} style={{ marginBottom: '6px' }}>
+              <div style={{ color: '#888888', fontSize: '9px', textTransform: 'uppercase' }}>
+                {message.role} · {message.source}
+              </div>
+              <div style={{ color: '#dddddd', whiteSpace: 'pre-wrap', wordBreak: 'break-word' }}>{message.content}</div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {/* Alternative answers to the same message */}
+      {alternativeCount > 1 && (
+        <div style={{
+          display: 'flex',
+          alignItems: 'center',
+          gap: '6px',
+          marginTop: '8px',
+          fontSize: '11px',
+          color: '#cccccc'
+        }}>
+          <button onClick={handleShowAlternative(-1)} style={alternativeButtonStyle} title="Previous alternative">‹</button>
+          <span>{alternativeIndex + 1} of {alternativeCount}</span>
+          <button onClick={handleShowAlternative(1)} style={alternativeButtonStyle} title="Next alternative">›</button>
+          {isSelectedAlternative ? (
+            <span style={{ color: '#10b981', marginLeft: 'auto' }}>✓ continues branch</span>
+          ) : (
+            <button
+              onClick={handleSelectAlternative}
+              style={{ ...alternativeButtonStyle, marginLeft: 'auto', padding: '2px 8px' }}
+              title="Continue the branch from this alternative"
+            >
+              Use this
+            </button>
+          )}
+        </div>
+      )}
+
       {/* Depth indicator */}
       <div style={{
         position: 'absolute',
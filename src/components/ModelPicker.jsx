@@ -0,0 +1,114 @@
+import React, { useState, useEffect } from 'react';
+import { useLLM } from '../hooks/useLLM';
+import { DEFAULT_PARAMETERS } from '../providers';
+
+/**
+ * Model picker component
+ * Chooses provider, model, temperature and max tokens for a single send
+ */
+function ModelPicker({ value, onChange, disabled = false }) {
+  const { providers, selectedModels, listModels } = useLLM();
+  const [discoveredModels, setDiscoveredModels] = useState({});
+  const [discoveryError, setDiscoveryError] = useState(null);
+
+  const providerId = value.provider || '';
+  const provider = providers.find(p => p.id === providerId);
+
+  // Providers such as the local server only know their models at runtime
+  useEffect(() => {
+    if (!provider?.capabilities.modelDiscovery) return;
+
+    let cancelled = false;
+    setDiscoveryError(null);
+    listModels(provider.id)
+      .then(models => {
+        if (!cancelled) {
+          setDiscoveredModels(prev => ({ ...prev, [provider.id]: models }));
+        }
+      })
+      .catch(err => {
+        if (!cancelled) setDiscoveryError(err.message);
+      });
+
+    return () => { cancelled = true; };
+  }, [provider, listModels]);
+
+  const models = provider
+    ? (discoveredModels[provider.id] || provider.models)
+    : [];
+
+  const update = (changes) => onChange({ ...value, ...changes });
+
+  const handleProviderChange = (e) => {
+    // Reset the model so it always belongs to the chosen provider
+    update({ provider: e.target.value || undefined, model: undefined });
+  };
+
+  const handleNumberChange = (field) => (e) => {
+    const parsed = parseFloat(e.target.value);
+    update({ [field]: Number.isNaN(parsed) ? undefined : parsed });
+  };
+
+  return (
+    <div className="model-picker">
+      <select
+        className="model-picker-select"
+        value={providerId}
+        onChange={handleProviderChange}
+        disabled={disabled}
+        title="Provider"
+      >
+        <option value="">Auto (provider order)</option>
+        {providers.map(p => (
+          <option key={p.id} value={p.id}>{p.name}</option>
+        ))}
+      </select>
+
+      {provider && (
+        <select
+          className="model-picker-select"
+          value={value.model || ''}
+          onChange={(e) => update({ model: e.target.value || undefined })}
+          disabled={disabled}
+          title={discoveryError || 'Model'}
+        >
+          <option value="">
+            Default{(selectedModels?.[provider.id] || provider.defaultModel) ? ` (${selectedModels?.[provider.id] || provider.defaultModel})` : ''}
+          </option>
+          {models.map(model => (
+            <option key={model.id} value={model.id}>{model.label}</option>
+          ))}
+        </select>
+      )}
+
+      <label className="model-picker-param" title="Temperature">
+        T
+        <input
+          type="number"
+          min="0"
+          max="2"
+          step="0.1"
+          value={value.temperature ?? ''}
+          placeholder={String(DEFAULT_PARAMETERS.temperature)}
+          onChange={handleNumberChange('temperature')}
+          disabled={disabled}
+        />
+      </label>
+
+      <label className="model-picker-param" title="Max tokens">
+        Max
+        <input
+          type="number"
+          min="1"
+          step="100"
+          value={value.maxTokens ?? ''}
+          placeholder={String(DEFAULT_PARAMETERS.maxTokens)}
+          onChange={handleNumberChange('maxTokens')}
+          disabled={disabled}
+        />
+      </label>
+    </div>
+  );
+}
+
+export default ModelPicker;
@@ -0,0 +1,126 @@
+import React, { useState } from 'react';
+import { useProjects } from '../hooks/useProjects';
+import Toolbar from './Toolbar';
+import StorageWarning from './StorageWarning';
+
+/**
+ * Project dashboard component
+ * Lists the saved projects and creates, renames, duplicates, deletes and opens them
+ */
+function ProjectDashboard() {
+  const {
+    projects,
+    openProject,
+    createProject,
+    renameProject,
+    duplicateProject,
+    deleteProject
+  } = useProjects();
+  const [newName, setNewName] = useState('');
+  // Project being renamed: { id, name }
+  const [renameDraft, setRenameDraft] = useState(null);
+
+  const runProjectAction = async (action) => {
+    try {
+      return await action();
+    } catch (error) {
+      alert(error.message);
+      return null;
+    }
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    const project = await runProjectAction(() => createProject(newName));
+    if (project) {
+      setNewName('');
+      openProject(project.id);
+    }
+  };
+
+  const handleRename = (e) => {
+    e.preventDefault();
+    runProjectAction(() => {
+      renameProject(renameDraft.id, renameDraft.name);
+      setRenameDraft(null);
+    });
+  };
+
+  const handleDelete = (project) => {
+    if (window.confirm(`Delete the project "${project.name}" and all its conversations? This action cannot be undone.`)) {
+      runProjectAction(() => deleteProject(project.id));
+    }
+  };
+
+  return (
+    <div className="app">
+      <Toolbar />
+      <StorageWarning />
+      <div className="project-dashboard">
+        <div className="project-dashboard-header">
+          <h2>Projects</h2>
+          <form className="project-create-form" onSubmit={handleCreate}>
+            <input
+              value={newName}
+              onChange={(e) => setNewName(e.target.value)}
+              placeholder="New project name"
+            />
+            <button type="submit" className="toolbar-button" disabled={!newName.trim()}>Create</button>
+          </form>
+        </div>
+
+        {projects.length === 0 && (
+          <div className="project-empty">No projects yet. Name one above to start a conversation tree.</div>
+        )}
+
+        <div className="project-list">
+          {projects.map(project => (
+            <div key={project.id} className="project-card">
+              {renameDraft?.id === project.id ? (
+                <form className="project-rename-form" onSubmit={handleRename}>
+                  <input
+                    autoFocus
+                    value={renameDraft.name}
+                    onChange={(e) => setRenameDraft({ ...renameDraft, name: e.target.value })}
+                    onKeyDown={(e) => e.key === 'Escape' && setRenameDraft(null)}
+                  />
+                  <button type="submit" className="unpin-button">Save</button>
+                  <button type="button" className="unpin-button" onClick={() => setRenameDraft(null)}>Cancel</button>
+                </form>
+              ) : (
+                <button className="project-open" onClick={() => openProject(project.id)} title="Open project">
+                  <span className="project-name">{project.name}</span>
+                  <span className="project-meta">
+                    {project.nodeCount !== undefined && `${project.nodeCount} messages · `}
+                    Modified {new Date(project.lastModified).toLocaleString()}
+                  </span>
+                </button>
+              )}
+              <div className="project-actions">
+                <button
+                  className="unpin-button"
+                  onClick={() => setRenameDraft({ id: project.id, name: project.name })}
+                  title="Rename project"
+                >
+                  ✏️
+                </button>
+                <button
+                  className="unpin-button"
+                  onClick={() => runProjectAction(() => duplicateProject(project.id))}
+                  title="Duplicate project"
+                >
+                  ⧉
+                </button>
+                <button className="unpin-button" onClick={() => handleDelete(project)} title="Delete project">
+                  ✕
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default ProjectDashboard;
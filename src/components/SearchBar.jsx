@@ -7,11 +7,12 @@ import { useLLM } from '../hooks/useLLM';
  */
 function SearchBar() {
   const { nodes, setSelectedNode, setActiveNode } = useChatTree();
-  const { sendToGemini, sendToMockLLM } = useLLM();
+  const { sendToConfiguredProvider } = useLLM();
   
   const [searchQuery, setSearchQuery] = useState('');
   const [searchResults, setSearchResults] = useState([]);
   const [isSearching, setIsSearching] = useState(false);
+  const [searchError, setSearchError] = useState(null);
   const [isDropdownOpen, setIsDropdownOpen] = useState(false);
   const [selectedResultIndex, setSelectedResultIndex] = useState(-1);
   
@@ -69,10 +70,12 @@ function SearchBar() {
   const performSearch = async (query) => {
     if (!query.trim()) {
       setSearchResults([]);
+      setSearchError(null);
       return;
     }
 
     setIsSearching(true);
+    setSearchError(null);
     try {
       // Prepare context for AI search
       const nodeContexts = nodes.map(node => ({
@@ -90,16 +93,16 @@ ${nodeContexts.map(node => `ID: ${node.id}\nRole: ${node.role}\nContent: ${node.
 Return a JSON array of the most relevant node IDs, ordered by relevance. Include 3-5 most relevant results.
 Format: ["node-id-1", "node-id-2", "node-id-3"]`;
 
-      let aiResponse;
+      // When every provider in the chain fails, the text search below still finds results
+      let aiResponse = '';
       try {
-        aiResponse = await sendToGemini([{ role: 'user', content: searchPrompt }], {
-          model: 'gemini-2.0-flash-exp',
+        aiResponse = await sendToConfiguredProvider([{ role: 'user', content: searchPrompt }], {
           temperature: 0.3,
           maxTokens: 500
         });
       } catch (error) {
-        console.warn('Gemini search failed, using mock:', error.message);
-        aiResponse = await sendToMockLLM([{ role: 'user', content: searchPrompt }]);
+        console.warn('AI search failed, using text search:', error.message);
+        setSearchError(`AI search unavailable (${error.message}), showing text matches`);
       }
 
       // Parse AI response to get node IDs
@@ -154,6 +157,8 @@ Format: ["node-id-1", "node-id-2", "node-id-3"]`;
     } catch (error) {
       console.error('Search failed:', error);
       setSearchResults([]);
+      setSearchError(`Search failed: ${error.message}`);
+      setIsDropdownOpen(true);
     } finally {
       setIsSearching(false);
     }
@@ -223,6 +228,7 @@ Format: ["node-id-1", "node-id-2", "node-id-3"]`;
           <div className="search-results-header">
             <span>Search Results ({searchResults.length})</span>
           </div>
+          {searchError && <div className="search-error">{searchError}</div>}
           {searchResults.map((result, index) => (
             <div
               key={result.id}
@@ -244,6 +250,7 @@ Format: ["node-id-1", "node-id-2", "node-id-3"]`;
 
       {isDropdownOpen && searchResults.length === 0 && !isSearching && searchQuery.trim() && (
         <div className="search-dropdown">
+          {searchError && <div className="search-error">{searchError}</div>}
           <div className="no-results">
             <span>No matching conversations found</span>
           </div>
@@ -0,0 +1,24 @@
+import React, { useState, useEffect } from 'react';
+import { subscribeStorageStatus } from '../utils/storage';
+
+/**
+ * Storage warning component
+ * Shows a banner while changes can't be saved, e.g. when the browser's storage quota is used up
+ */
+function StorageWarning() {
+  const [storageError, setStorageError] = useState(null);
+
+  useEffect(() => subscribeStorageStatus(setStorageError), []);
+
+  if (!storageError) {
+    return null;
+  }
+
+  return (
+    <div className={`storage-warning ${storageError.quotaExceeded ? 'quota' : ''}`} role="alert">
+      ⚠ {storageError.message}
+    </div>
+  );
+}
+
+export default StorageWarning;
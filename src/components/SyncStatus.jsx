@@ -0,0 +1,43 @@
+import React, { useState, useEffect } from 'react';
+import { subscribeSyncStatus, syncNow } from '../utils/cloudSync';
+
+const STATE_LABELS = {
+  idle: 'Synced',
+  syncing: 'Syncing…',
+  offline: 'Offline',
+  error: 'Sync failed'
+};
+
+/**
+ * Sync status component
+ * Shows whether projects are synced to the cloud; clicking syncs now
+ */
+function SyncStatus() {
+  const [status, setStatus] = useState(null);
+
+  useEffect(() => subscribeSyncStatus(setStatus), []);
+
+  if (!status || status.state === 'disabled') {
+    return null;
+  }
+
+  const pending = status.pending > 0 && status.state !== 'syncing' ? ` · ${status.pending} pending` : '';
+  const title = [
+    status.error,
+    status.lastSyncedAt && `Last synced ${new Date(status.lastSyncedAt).toLocaleString()}`,
+    status.state === 'offline' ? 'Changes are kept on this device and synced when back online' : 'Click to sync now'
+  ].filter(Boolean).join('\n');
+
+  return (
+    <button
+      className={`sync-status ${status.state}`}
+      onClick={() => syncNow()}
+      disabled={status.state === 'syncing'}
+      title={title}
+    >
+      {STATE_LABELS[status.state]}{pending}
+    </button>
+  );
+}
+
+export default SyncStatus;
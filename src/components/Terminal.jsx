@@ -1,6 +1,60 @@
 import React, { useState, useRef, useEffect } from 'react';
 import { useChatTree } from '../hooks/useChatTree';
 import { useLLM } from '../hooks/useLLM';
+import { useProjects } from '../hooks/useProjects';
+import { getProvider, findProviderForModel, embedTexts } from '../providers';
+import { getContextSummary, resolveSystemPrompt, rebuildContext, CONTEXT_STRATEGIES, MEMORY_MODES } from '../utils/contextCompiler';
+import { getPinnedNodes, getPinGroupId, DEFAULT_PIN_GROUP_ID } from '../utils/treeUtils';
+import { indexEmbeddings, getRetrievalIndexStats } from '../utils/retrieval';
+import { tokenizeCommand, parseArgs } from '../utils/commandParser';
+import { resolveNodeRef, getNamedRefs, getRefLabels, describeInvalidRefName } from '../utils/refs';
+import { getHistory, layoutGraph, hideGraphNodes, parseLogDate } from '../utils/history';
+import { getNodeTokenCount } from '../utils/tokenizer';
+
+// Options that pick the model and sampling for commands that generate a reply
+const LLM_FLAGS = ['provider', 'model', 'temperature', 'max-tokens'];
+
+/**
+ * Reads --provider/--model/--temperature/--max-tokens into options for generate()
+ * @param {Object} flags - Parsed command options
+ * @returns {Object} LLM options
+ */
+function getLLMOptions(flags) {
+  const llmOptions = {};
+
+  for (const flag of LLM_FLAGS) {
+    const value = flags[flag];
+    if (value === undefined) {
+      continue;
+    }
+
+    if (flag === 'provider') {
+      if (!getProvider(value)) {
+        throw new Error(`Unknown provider: ${value}`);
+      }
+      llmOptions.provider = value;
+    } else if (flag === 'model') {
+      llmOptions.model = value;
+    } else {
+      const number = Number(value);
+      if (Number.isNaN(number)) {
+        throw new Error(`--${flag} must be a number`);
+      }
+      llmOptions[flag === 'max-tokens' ? 'maxTokens' : 'temperature'] = number;
+    }
+  }
+
+  // A model on its own implies the provider that serves it
+  if (llmOptions.model && !llmOptions.provider) {
+    const provider = findProviderForModel(llmOptions.model);
+    if (!provider) {
+      throw new Error(`Unknown model ${llmOptions.model}; pass --provider=<id> as well`);
+    }
+    llmOptions.provider = provider.id;
+  }
+
+  return llmOptions;
+}
 
 /**
  * Terminal component for command-line interface
@@ -8,20 +62,78 @@ import { useLLM } from '../hooks/useLLM';
  */
 function Terminal({ isVisible, onToggle, docked = false }) {
   const {
+    projectId,
     nodes,
     activeNodeId,
     selectedNodeId,
     sendMessage,
     branchFromNode,
+    regenerateNode,
+    mergeBranches,
+    cherryPick,
+    rebaseBranch,
+    refreshBranchSummary,
+    setMemoryMode,
     setActiveNode,
-    setSelectedNode,
     togglePin,
+    movePin,
+    pinGroups,
+    addPinGroup,
+    updatePinGroup,
+    movePinGroup,
+    deletePinGroup,
+    sendTargetId,
+    setSendTarget,
+    systemPrompt,
+    setSystemPrompt,
+    setNodeSystemPrompt,
+    getCompileOptions,
+    contextOverrides,
+    setContextOverrides,
+    inspectContext,
+    excludeFromContext,
+    includeInContext,
+    moveInContext,
+    refs,
+    headBranch,
+    setBranch,
+    renameBranch,
+    deleteBranch,
+    checkoutBranch,
+    createTag,
+    deleteTag,
     deleteNode,
-    getNodePath,
-    getNodeDepth
+    isGenerating,
+    stopGeneration
   } = useChatTree();
 
-  const { sendToGemini, sendToMockLLM, isLoading } = useLLM();
+  const {
+    generate,
+    providers,
+    providerOrder,
+    setProviderOrder,
+    selectedModels,
+    selectModel,
+    providerConfig,
+    setProviderConfig,
+    contextSettings,
+    setContextSettings,
+    personas,
+    savePersona,
+    deletePersona,
+    listModels,
+    isLoading
+  } = useLLM();
+
+  const {
+    projects,
+    findProject,
+    openProject,
+    createProject,
+    renameProject,
+    deleteProject,
+    getQuarantinedNodes
+  } = useProjects();
 
   const [command, setCommand] = useState('');
   const [history, setHistory] = useState([]);
@@ -76,15 +188,60 @@ function Terminal({ isVisible, onToggle, docked = false }) {
     setHistory(prev => [...prev, { type, content, timestamp }]);
   };
 
+  /**
+   * Finds the node a command argument names: an ID or unique ID prefix, HEAD (the active node),
+   * a branch or tag, or any of these followed by ~n / ^n for an ancestor
+   * @param {string} ref - Node reference
+   * @returns {Object} The node
+   * @throws {Error} When no node, or more than one, matches
+   */
+  const resolveNode = (ref) => resolveNodeRef(nodes, ref, { headId: activeNodeId, refs: getNamedRefs(refs) });
+
+  /**
+   * Formats the branches and tags on a node the way git log decorates commits
+   * @param {string} nodeId - Node to describe
+   * @returns {string} e.g. " (HEAD -> main, tag: v1)", or '' when nothing points at the node
+   */
+  const formatRefLabels = (nodeId) => {
+    const labels = getRefLabels(refs, nodeId, headBranch).map(label => (
+      label.type === 'tag' ? `tag: ${label.name}` : `${label.isHead ? 'HEAD -> ' : ''}${label.name}`
+    ));
+    return labels.length > 0 ? ` (${labels.join(', ')})` : '';
+  };
+
+  /**
+   * Checks a new branch or tag name against the rules and the names already taken
+   * @param {string} name - Proposed name
+   * @returns {string|null} Why it can't be used, or null if it can
+   */
+  const describeUnavailableRefName = (name) => {
+    if (refs.branches[name]) {
+      return `A branch named ${name} already exists`;
+    }
+    if (refs.tags[name]) {
+      return `A tag named ${name} already exists`;
+    }
+    return describeInvalidRefName(name);
+  };
+
   const executeCommand = async (cmd) => {
     if (!cmd.trim()) return;
 
-    const parts = cmd.trim().split(' ');
-    const command = parts[0].toLowerCase();
-    const args = parts.slice(1);
+    const [commandWord] = cmd.trim().split(/\s+/);
+    const command = commandWord.toLowerCase();
+    // Arguments are split shell-style only once the first word is a command; anything else is
+    // sent as typed. Options a command doesn't list are an error rather than part of a message.
+    const argText = cmd.trim().slice(commandWord.length);
+    const parse = (spec) => parseArgs(tokenizeCommand(argText), spec);
 
     addToHistory('input', `$ ${cmd}`);
 
+    // Stop runs alongside the command it cancels, so it bypasses the processing lock
+    if (command === 'stop') {
+      handleStop();
+      return;
+    }
+
     try {
       setIsProcessing(true);
 
@@ -101,36 +258,111 @@ function Terminal({ isVisible, onToggle, docked = false }) {
 
         case 'log':
         case 'l':
-          showLog(args);
+          showLog(parse({
+            values: ['limit', 'author', 'since', 'until', 'grep'],
+            switches: ['oneline', 'all', 'graph', 'stat'],
+            aliases: { n: 'limit' }
+          }));
           break;
 
         case 'branch':
         case 'br':
-          await handleBranch(args);
+          await handleBranch(parse({
+            values: LLM_FLAGS,
+            switches: ['list', 'move', 'delete'],
+            aliases: { l: 'list', m: 'move', d: 'delete' }
+          }));
+          break;
+
+        case 'regen':
+        case 'regenerate':
+          await handleRegen(parse({ values: LLM_FLAGS }));
+          break;
+
+        case 'merge':
+          await handleMerge(parse({ values: LLM_FLAGS }));
+          break;
+
+        case 'cherry-pick':
+        case 'cp':
+          await handleReplay('cherry-pick', parse({ values: [...LLM_FLAGS, 'onto'], switches: ['rerun'] }));
+          break;
+
+        case 'rebase':
+          await handleReplay('rebase', parse({ values: [...LLM_FLAGS, 'onto'], switches: ['rerun'] }));
+          break;
+
+        case 'summarize':
+          await handleSummarize(parse({ values: LLM_FLAGS, switches: ['rebuild'] }));
           break;
 
         case 'checkout':
         case 'co':
-          handleCheckout(args);
+          handleCheckout(parse({ values: ['branch'], aliases: { b: 'branch' } }));
+          break;
+
+        case 'tag':
+          handleTag(parse({ switches: ['list', 'delete'], aliases: { l: 'list', d: 'delete' } }));
           break;
 
         case 'pin':
         case 'p':
-          handlePin(args);
+          handlePin(parse({ values: ['group'], aliases: { g: 'group' } }));
+          break;
+
+        case 'pins':
+          showPins();
+          break;
+
+        case 'unpin':
+          handleUnpin(parse().args);
+          break;
+
+        case 'target':
+          handleTarget(parse().args);
           break;
 
         case 'delete':
         case 'del':
-          handleDelete(args);
+          handleDelete(parse().args);
           break;
 
         case 'send':
         case 's':
-          await handleSend(args);
+          await handleSend(parse({ values: LLM_FLAGS }));
           break;
 
         case 'search':
-          await handleSearch(args);
+          await handleSearch(parse().args);
+          break;
+
+        case 'provider':
+        case 'providers':
+          handleProvider(parse().args);
+          break;
+
+        case 'local':
+          await handleLocal(parse().args);
+          break;
+
+        case 'context':
+        case 'ctx':
+          await handleContext(parse({ values: LLM_FLAGS }));
+          break;
+
+        case 'system':
+        case 'sys':
+          handleSystem(parse({ values: ['node'] }));
+          break;
+
+        case 'persona':
+        case 'personas':
+          handlePersona(parse().args);
+          break;
+
+        case 'memory':
+        case 'mem':
+          handleMemory(parse().args);
           break;
 
         case 'tree':
@@ -138,6 +370,15 @@ function Terminal({ isVisible, onToggle, docked = false }) {
           showTree();
           break;
 
+        case 'project':
+        case 'projects':
+          await handleProject(parse().args);
+          break;
+
+        case 'show':
+          showNode(parse({ switches: ['prompt'], aliases: { p: 'prompt' } }));
+          break;
+
         case 'clear':
         case 'c':
           setHistory([]);
@@ -150,7 +391,7 @@ function Terminal({ isVisible, onToggle, docked = false }) {
 
         default:
           // If it's not a command, treat it as a message
-          await handleSend([cmd]);
+          await handleSend({ args: [cmd.trim()], flags: {} });
           break;
       }
     } catch (error) {
@@ -166,16 +407,93 @@ Available commands:
 
 Tree Operations:
   status, st          Show current tree status
-  log, l [options]    Show conversation history
+  log, l [<node>] [--oneline] [-n <count>]
+                      Show the history of HEAD (or of a node), newest first
+    --all --graph     Every node, with the branches drawn as lanes
+    --author=user|assistant --since=<date> --until=<date> --grep=<pattern>
+    --stat            Tokens per node, with a total
   tree, t             Show tree structure
-  branch, br <node>   Branch from specific node
-  checkout, co <node> Switch to specific node
-  pin, p <node>       Pin a node for context
+  show <node> [--prompt|-p]
+                      Show a node (--prompt: rebuild the exact prompt a reply was sent)
+  branch, br <node> <message>
+                      Branch from a specific node with a new message
+  branch [-l]         List branches (* marks the one HEAD is on)
+  branch <name>       Name the line at HEAD; messages sent from its tip advance it
+  branch -m [<branch>] <new-name> | branch -d <branch>
+                      Rename or delete a branch (its messages stay)
+  tag [-l] | tag <name> [<node>] | tag -d <tag>
+                      List, create or delete tags (names that never move)
+  regen <node>        Regenerate a reply as a sibling alternative
+  merge <a> <b>       Synthesize two branches into one merge node
+  cherry-pick, cp <node> --onto <target> [--rerun]
+                      Copy one exchange under another node
+  rebase <tip> --onto <target> [--rerun]
+                      Replay a branch's messages onto another node
+  summarize <node> [--rebuild]
+                      Refresh the rolling summary of the node's sub-branch
+  checkout, co <node|branch>
+                      Switch to a node, or to a branch's tip with HEAD on the branch
+  checkout -b <name> [<node>]
+                      Create a branch at a node (HEAD by default) and switch to it
+  pin, p <node> [--group=<name>|-g <name>]
+                      Pin a node for context (or move a pin to another group)
+  unpin <node>        Remove a pin
+  pins, pin list      List pin groups and their pins in send order
+  pin move <node> <position> [--group=<name>]
+                      Reorder a pin, optionally into another group
+  pin group add|rm|on|off <name>
+  pin group rename <name> <new-name> | pin group move <name> <position>
+  target [node|off]   Send new messages from a fixed node (off = the active node)
   delete, del <node>  Delete a node and its children
 
 Communication:
-  send, s <message>   Send message to active node
+  send, s <message>   Send message to the active node (or the send target)
+    --provider=<id> --model=<id> --temperature=<n> --max-tokens=<n>
+  stop                Stop the in-flight response (or Ctrl+C)
   search <query>      Search through conversations
+  provider [order <ids>]  List providers or set the fallback order
+  local [models]      List models on the local OpenAI-compatible server
+  local use <model>   Use a local model (and try the local server first)
+  local url <url>     Set the local server URL (Ollama, llama.cpp, vLLM)
+  context, ctx        Show what the next message would send and the token budget
+  context strategy <drop-oldest|first-last|summarize>
+  context budget <n|auto>   Cap the context tokens (auto = model window)
+  context keep <first> <last>  Turns kept by the first-last strategy
+  context summaries <on|off>   Remember sub-branches as rolling summaries
+  context topk <n>    Nodes the retrieval memory mode pulls in per prompt
+  context embeddings <model|off>  Retrieve with a local embedding model (BM25 when off)
+  context show        Print the next message's context in full, as it will be sent
+  context exclude <node>       Leave a message out of the next send
+  context include <node>       Send any node with the next message (or re-include one)
+  context move <node> <pos>    Reorder a message in the next send
+  context reset       Drop the exclude/include/move edits
+  system, sys [node]  Show the system prompt a node uses and where it comes from
+  system set <text> [--node=<node>]     Set the project's (or a node's) system prompt
+  system use <persona> [--node=<node>]  Use a persona as the system prompt
+  system clear [--node=<node>]          Remove it (a node inherits again)
+  persona [list]      List saved personas (shared by all projects)
+  persona add <name> <text>  |  persona rm <name>  |  persona show <name>
+  memory, mem [mode|inherit] [node]
+                      Show or set what a node remembers (inherited by its children):
+                      isolated, ancestors+siblings, hierarchical, full-tree, retrieval, pinned-only
+
+Projects:
+  project [list]      List projects (* marks the open one)
+  project new <name>  Create a project and switch to it
+  project switch <project>           Open a project (by name, ID or ID prefix)
+  project rename <project> <name>    Rename a project
+  project rm <project>               Delete a project and its conversations
+  project quarantine [<project>]     List nodes set aside as invalid when a project was loaded
+
+Nodes and arguments:
+  <node>              A node ID or a unique prefix of one (4+ characters, e.g. 3f2a9c1e)
+  <branch>, <tag>     The node a branch or tag points at
+  HEAD                The active node; HEAD~2 is its grandparent, HEAD^ its parent,
+                      HEAD^2 its first merge parent (the suffixes work after any node)
+  "..." or '...'      Quote an argument to keep its spaces; \\ escapes the next character
+  --name=<value>      Options also take their value as the next word (--onto <node>);
+                      -- ends the options, so "send -- --help" sends "--help"
+  Text that doesn't start with a command is sent as a message, exactly as typed
 
 Navigation:
   help, h             Show this help
@@ -184,10 +502,18 @@ Navigation:
 
 Examples:
   $ send "What are the benefits of exercise?"
-  $ branch node-123 "Tell me more about this topic"
-  $ checkout node-456
-  $ pin node-789
-  $ log --oneline
+  $ send "Summarize this" --model=gpt-4o --temperature=0.2
+  $ branch 3f2a9c1e "Tell me more about this topic"
+  $ rebase HEAD --onto 3f2a --rerun
+  $ checkout HEAD~2
+  $ checkout -b hooks-exploration
+  $ tag v1 HEAD
+  $ pin 7b01 -g research
+  $ memory full-tree HEAD^
+  $ log --oneline -n 10
+  $ log --all --graph --oneline
+  $ log --author=assistant --since="2 days ago" --grep=hooks --stat
+  $ show HEAD -p
   $ tree
 `;
     addToHistory('output', helpText);
@@ -196,73 +522,190 @@ Examples:
   const showStatus = () => {
     const activeNode = nodes.find(n => n.id === activeNodeId);
     const selectedNode = nodes.find(n => n.id === selectedNodeId);
-    const pinnedNode = nodes.find(n => n.metadata.isPinned);
+    const sendTarget = nodes.find(n => n.id === sendTargetId);
+    const pinnedCount = getPinnedNodes(nodes, pinGroups).length;
+    const enabledGroups = pinGroups.filter(group => group.enabled).length;
+    
+    const branchCount = Object.keys(refs.branches).length;
+    const tagCount = Object.keys(refs.tags).length;
     
     const status = `
 Current Status:
-  Active Node: ${activeNode ? `${activeNode.id.slice(0, 8)}... (${activeNode.role})` : 'None'}
+  Branch: ${headBranch || (branchCount > 0 ? 'None (HEAD detached)' : 'None')}
+  Active Node: ${activeNode ? `${activeNode.id.slice(0, 8)}... (${activeNode.role})${formatRefLabels(activeNode.id)}` : 'None'}
   Selected Node: ${selectedNode ? `${selectedNode.id.slice(0, 8)}... (${selectedNode.role})` : 'None'}
-  Pinned Node: ${pinnedNode ? `${pinnedNode.id.slice(0, 8)}... (${pinnedNode.role})` : 'None'}
+  Send Target: ${sendTarget ? `${sendTarget.id.slice(0, 8)}... (${sendTarget.role})` : 'Active node'}
+  Pinned: ${pinnedCount} in context (${enabledGroups} of ${pinGroups.length} groups on)
+  Refs: ${branchCount} branch${branchCount === 1 ? '' : 'es'}, ${tagCount} tag${tagCount === 1 ? '' : 's'}
   Total Nodes: ${nodes.length}
   Processing: ${isLoading ? 'Yes' : 'No'}
+  Generating: ${isGenerating ? 'Yes (type "stop" to cancel)' : 'No'}
 `;
     addToHistory('output', status);
   };
 
-  const showLog = (args) => {
-    const oneline = args.includes('--oneline');
-    const limit = args.find(arg => arg.startsWith('--limit='))?.split('=')[1];
-    
-    let logNodes = [...nodes].sort((a, b) => b.metadata.timestamp - a.metadata.timestamp);
-    
-    if (limit) {
-      logNodes = logNodes.slice(0, parseInt(limit));
+  const showLog = ({ args, flags }) => {
+    const { oneline, all, graph, stat, author } = flags;
+    const limit = flags.limit !== undefined ? parseInt(flags.limit, 10) : null;
+    if (limit !== null && !(limit > 0)) {
+      addToHistory('error', 'Usage: log ... -n <count> (a positive number)');
+      return;
+    }
+    if (author && author !== 'user' && author !== 'assistant') {
+      addToHistory('error', 'Usage: log ... --author=user|assistant');
+      return;
+    }
+    if (all && args.length > 0) {
+      addToHistory('error', 'Usage: log [<node>] | log --all');
+      return;
+    }
+    const since = flags.since ? parseLogDate(flags.since) : null;
+    const until = flags.until ? parseLogDate(flags.until) : null;
+    let grep = null;
+    try {
+      grep = flags.grep ? new RegExp(flags.grep, 'i') : null;
+    } catch (error) {
+      throw new Error(`Invalid --grep pattern: ${error.message}`);
     }
 
-    const logOutput = logNodes.map(node => {
-      const timestamp = new Date(node.metadata.timestamp).toLocaleString();
-      const shortId = node.id.slice(0, 8);
-      
+    // The history of HEAD (or of the node given) unless --all asks for every node
+    const history = all ? getHistory(nodes, { all: true }) : getHistory(nodes, { startId: resolveNode(args[0] || 'HEAD').id });
+    const isShown = (node) => (!author || node.role === author)
+      && (since === null || node.metadata.timestamp >= since)
+      && (until === null || node.metadata.timestamp <= until)
+      && (!grep || grep.test(node.content));
+
+    // Filtered-out nodes keep their place in the graph so its lanes stay connected
+    const rows = graph
+      ? hideGraphNodes(layoutGraph(history), isShown)
+      : history.filter(isShown).map(node => ({ node, graph: '', continuation: '' }));
+    const lines = [];
+    let shownCount = 0;
+    let shownTokens = 0;
+
+    for (const row of rows) {
+      if (limit !== null && shownCount >= limit) {
+        break;
+      }
+      if (!row.node) {
+        lines.push(row.edges);
+        continue;
+      }
+
+      const { node } = row;
+      const prefix = row.graph ? `${row.graph} ` : '';
+      const more = row.continuation ? `${row.continuation} ` : '';
+      const tokens = getNodeTokenCount(node);
+      shownCount += 1;
+      shownTokens += tokens;
+      const header = `${prefix}${node.id.slice(0, 8)}${formatRefLabels(node.id)} ${node.role.toUpperCase()}`;
+
       if (oneline) {
-        return `${shortId} ${node.role.toUpperCase()} ${node.content.substring(0, 50)}...`;
-      } else {
-        return `${shortId} ${node.role.toUpperCase()} (${timestamp})
-  ${node.content}`;
+        lines.push(`${header} ${node.content.split('\n')[0].substring(0, 50)}${stat ? ` (${tokens} tokens)` : ''}`);
+        continue;
       }
-    }).join('\n\n');
+      lines.push(
+        `${header} (${new Date(node.metadata.timestamp).toLocaleString()})`,
+        ...node.content.split('\n').map(line => `${more}  ${line}`),
+        ...(stat ? [`${more}  ${tokens} tokens`] : []),
+        more.trimEnd()
+      );
+    }
 
-    addToHistory('output', logOutput || 'No nodes found');
+    if (shownCount === 0) {
+      addToHistory('output', 'No nodes found');
+      return;
+    }
+    if (stat) {
+      lines.push(`${shownCount} node${shownCount === 1 ? '' : 's'}, ${shownTokens} tokens`);
+    }
+    addToHistory('output', lines.join('\n').replace(/\n+$/, ''));
   };
 
-  const handleBranch = async (args) => {
-    if (args.length < 2) {
-      addToHistory('error', 'Usage: branch <node-id> <message>');
+  const showBranches = () => {
+    const names = Object.keys(refs.branches).sort();
+    if (names.length === 0) {
+      addToHistory('output', 'No branches (name the active node\'s line with "branch <name>")');
       return;
     }
+    const width = Math.max(...names.map(name => name.length));
+    const lines = names.map(name => {
+      const tip = nodes.find(n => n.id === refs.branches[name]);
+      const summary = tip ? `${tip.role.toUpperCase()} ${tip.content.substring(0, 50)}` : '(node missing)';
+      return `${name === headBranch ? '*' : ' '} ${name.padEnd(width)}  ${refs.branches[name].slice(0, 8)} ${summary}`;
+    });
+    addToHistory('output', lines.join('\n'));
+  };
 
-    const nodeId = args[0];
-    const message = args.slice(1).join(' ');
+  const handleBranch = async ({ args, flags }) => {
+    if (flags.list || (args.length === 0 && !flags.move && !flags.delete)) {
+      showBranches();
+      return;
+    }
+
+    if (flags.move) {
+      const [name, newName] = args.length === 1 ? [headBranch, args[0]] : args;
+      if (!name || !newName || args.length > 2) {
+        addToHistory('error', 'Usage: branch -m [<branch>] <new-name> (the current branch when only the new name is given)');
+        return;
+      }
+      if (!refs.branches[name]) {
+        addToHistory('error', `Branch ${name} not found`);
+        return;
+      }
+      const problem = describeUnavailableRefName(newName);
+      if (problem) {
+        addToHistory('error', problem);
+        return;
+      }
+      renameBranch(name, newName);
+      addToHistory('output', `Renamed branch ${name} to ${newName}`);
+      return;
+    }
+
+    if (flags.delete) {
+      if (args.length === 0) {
+        addToHistory('error', 'Usage: branch -d <branch>...');
+        return;
+      }
+      for (const name of args) {
+        if (!refs.branches[name]) {
+          addToHistory('error', `Branch ${name} not found`);
+          continue;
+        }
+        deleteBranch(name);
+        // Only the name goes; the messages stay in the tree
+        addToHistory('output', `Deleted branch ${name} (was ${refs.branches[name].slice(0, 8)})${name === headBranch ? '; HEAD is now detached' : ''}`);
+      }
+      return;
+    }
 
-    const node = nodes.find(n => n.id === nodeId);
-    if (!node) {
-      addToHistory('error', `Node ${nodeId} not found`);
+    // A single name creates a branch at HEAD; a node and a message branch the conversation
+    if (args.length === 1) {
+      const [name] = args;
+      const problem = describeUnavailableRefName(name);
+      if (problem) {
+        addToHistory('error', problem);
+        return;
+      }
+      const head = resolveNode('HEAD');
+      setBranch(name, head.id);
+      addToHistory('output', `Created branch ${name} at ${head.id.slice(0, 8)} (switch to it with "checkout ${name}")`);
       return;
     }
 
+    const llmOptions = getLLMOptions(flags);
+
+    const node = resolveNode(args[0]);
+    const nodeId = node.id;
+    const message = args.slice(1).join(' ');
+
     addToHistory('output', `Branching from node ${nodeId.slice(0, 8)}...`);
     
     try {
-      await branchFromNode(nodeId, message, async (context) => {
-        try {
-          return await sendToGemini(context, {
-            model: 'gemini-2.0-flash-exp',
-            temperature: 0.7,
-            maxTokens: 2000
-          });
-        } catch (error) {
-          return await sendToMockLLM(context);
-        }
-      });
+      await branchFromNode(nodeId, message, (context, { onToken, signal }) => (
+        generate(context, { ...llmOptions, onToken, signal })
+      ), llmOptions);
       
       addToHistory('output', `Successfully created branch from ${nodeId.slice(0, 8)}`);
     } catch (error) {
@@ -270,81 +713,421 @@ Current Status:
     }
   };
 
-  const handleCheckout = (args) => {
+  const handleRegen = async ({ args, flags }) => {
+    const llmOptions = getLLMOptions(flags);
     if (args.length === 0) {
-      addToHistory('error', 'Usage: checkout <node-id>');
+      addToHistory('error', 'Usage: regen <node> [--model=<id>] [--temperature=<n>]');
       return;
     }
 
-    const nodeId = args[0];
-    const node = nodes.find(n => n.id === nodeId);
-    
-    if (!node) {
-      addToHistory('error', `Node ${nodeId} not found`);
+    const node = resolveNode(args[0]);
+    const nodeId = node.id;
+
+    addToHistory('output', `Regenerating ${nodeId.slice(0, 8)}...`);
+    const aiNode = await regenerateNode(nodeId, (context, { onToken, signal }) => (
+      generate(context, { ...llmOptions, onToken, signal })
+    ), llmOptions);
+
+    if (aiNode) {
+      const alternatives = nodes.filter(n => n.parentId === node.parentId && n.role === 'assistant').length + 1;
+      addToHistory('output', `Created alternative ${aiNode.id.slice(0, 8)} (${alternatives} of ${alternatives})`);
+    } else {
+      addToHistory('output', 'Regeneration stopped');
+    }
+  };
+
+  const handleMerge = async ({ args, flags }) => {
+    const llmOptions = getLLMOptions(flags);
+    if (args.length < 2) {
+      addToHistory('error', 'Usage: merge <node-a> <node-b> [--model=<id>]');
       return;
     }
 
-    setActiveNode(nodeId);
-    addToHistory('output', `Switched to node ${nodeId.slice(0, 8)} (${node.role})`);
+    const [nodeIdA, nodeIdB] = args.slice(0, 2).map(ref => resolveNode(ref).id);
+
+    addToHistory('output', `Merging ${nodeIdA.slice(0, 8)} and ${nodeIdB.slice(0, 8)}...`);
+    const mergeNode = await mergeBranches(nodeIdA, nodeIdB, (context, { onToken, signal }) => (
+      generate(context, { ...llmOptions, onToken, signal })
+    ), llmOptions);
+
+    addToHistory('output', mergeNode
+      ? `Created merge node ${mergeNode.id.slice(0, 8)}`
+      : 'Merge stopped');
+  };
+
+  const handleReplay = async (commandName, { args, flags }) => {
+    const llmOptions = getLLMOptions(flags);
+    const rerun = Boolean(flags.rerun);
+
+    const sourceLabel = commandName === 'rebase' ? 'branch-tip' : 'node';
+    if (args.length === 0 || !flags.onto) {
+      addToHistory('error', `Usage: ${commandName} <${sourceLabel}> --onto <target> [--rerun] [--model=<id>]`);
+      return;
+    }
+
+    const sourceId = resolveNode(args[0]).id;
+    const targetId = resolveNode(flags.onto).id;
+
+    const replay = commandName === 'rebase' ? rebaseBranch : cherryPick;
+    addToHistory('output', `${commandName === 'rebase' ? 'Rebasing' : 'Cherry-picking'} ${sourceId.slice(0, 8)} onto ${targetId.slice(0, 8)}${rerun ? ' (re-running replies)' : ''}...`);
+
+    const created = await replay(sourceId, targetId, (context, { onToken, signal }) => (
+      generate(context, { ...llmOptions, onToken, signal })
+    ), { rerun, llmOptions });
+
+    const lines = created.map(n => {
+      const source = n.metadata.cherryPickedFrom ? n.metadata.cherryPickedFrom.slice(0, 8) : 'new     ';
+      const note = rerun && n.role === 'assistant' ? ' (re-run)' : '';
+      return `  ${source} -> ${n.id.slice(0, 8)} ${n.role.toUpperCase()}${note}`;
+    });
+    addToHistory('output', created.length > 0
+      ? `Created ${created.length} node(s):\n${lines.join('\n')}`
+      : 'Nothing was copied');
+  };
+
+  const handleSummarize = async ({ args, flags }) => {
+    const llmOptions = getLLMOptions(flags);
+    const rebuild = Boolean(flags.rebuild);
+    const nodeId = resolveNode(args[0] || 'HEAD').id;
+
+    addToHistory('output', `Summarizing the branch of ${nodeId.slice(0, 8)}...`);
+    const summary = await refreshBranchSummary(nodeId, (context, { signal }) => (
+      generate(context, { ...llmOptions, signal })
+    ), { force: true, rebuild });
+
+    if (!summary) {
+      addToHistory('error', 'The root is the main branch; pick a node inside a sub-branch');
+      return;
+    }
+    addToHistory('output', `Branch summary (${summary.coveredIds.length} messages, ${summary.tokenCount} tokens):
+${summary.content}`);
   };
 
-  const handlePin = (args) => {
+  const showNode = ({ args, flags }) => {
+    const showPrompt = Boolean(flags.prompt);
     if (args.length === 0) {
-      addToHistory('error', 'Usage: pin <node-id>');
+      addToHistory('error', 'Usage: show <node> [--prompt]');
       return;
     }
 
-    const nodeId = args[0];
-    const node = nodes.find(n => n.id === nodeId);
-    
-    if (!node) {
-      addToHistory('error', `Node ${nodeId} not found`);
+    const node = resolveNode(args[0]);
+    const nodeId = node.id;
+
+    if (!showPrompt) {
+      const { metadata } = node;
+      const details = [
+        `Node ${node.id} (${node.role})`,
+        `  Parent: ${node.parentId ? node.parentId.slice(0, 8) : 'None'}`,
+        `  Children: ${node.children.length}`,
+        `  Time: ${new Date(metadata.timestamp).toLocaleString()}`,
+        metadata.provider && `  Model: ${metadata.provider}${metadata.modelUsed ? `/${metadata.modelUsed}` : ''}`,
+        metadata.tokenCount > 0 && `  Tokens: ${metadata.tokenCount}`,
+        metadata.status && `  Status: ${metadata.status}`,
+        metadata.contextRef && `  Prompt: ${metadata.contextRef.messages.length} messages, hash ${metadata.contextRef.hash} (show ${node.id.slice(0, 8)}... --prompt)`,
+        '',
+        node.content
+      ].filter(line => line !== false && line !== undefined && line !== null);
+      addToHistory('output', details.join('\n'));
       return;
     }
 
-    togglePin(nodeId);
-    addToHistory('output', `Pinned node ${nodeId.slice(0, 8)}`);
+    if (!node.metadata.contextRef) {
+      addToHistory('error', node.role === 'assistant'
+        ? `Node ${nodeId.slice(0, 8)} has no saved prompt (it was generated before prompts were recorded)`
+        : `Node ${nodeId.slice(0, 8)} is a ${node.role} message; only replies have a prompt`);
+      return;
+    }
+
+    const { messages, hash, matches, missingNodeIds } = rebuildContext(nodes, node.metadata.contextRef);
+    const { parameters } = node.metadata.contextRef;
+    const status = matches
+      ? `Exact prompt (hash ${hash})`
+      : `Differs from the prompt sent (hash ${hash}, sent ${node.metadata.contextRef.hash}): ${missingNodeIds.length > 0 ? `${missingNodeIds.length} node(s) deleted` : 'nodes changed since'}`;
+    const parameterLine = parameters
+      ? Object.entries(parameters)
+        .filter(([, value]) => value !== null && value !== undefined)
+        .map(([key, value]) => `${key}=${value}`)
+        .join(' ')
+      : 'not recorded';
+    const messageLines = messages.map((message, index) => (
+      `[${index + 1}] ${message.role.toUpperCase()} (${message.source}${message.nodeId ? ` ${message.nodeId.slice(0, 8)}` : ''})\n${message.content}`
+    ));
+
+    addToHistory(matches ? 'output' : 'error', `Prompt for ${node.id.slice(0, 8)}: ${status}`);
+    addToHistory('output', `Parameters: ${parameterLine}\n\n${messageLines.join('\n\n')}`);
   };
 
-  const handleDelete = (args) => {
+  const handleCheckout = ({ args, flags }) => {
+    // checkout -b <name> [<node>] creates a branch and switches to it, as in git
+    if (flags.branch) {
+      const name = flags.branch;
+      const problem = describeUnavailableRefName(name);
+      if (problem) {
+        addToHistory('error', problem);
+        return;
+      }
+      const node = resolveNode(args[0] || 'HEAD');
+      setBranch(name, node.id);
+      checkoutBranch(name);
+      addToHistory('output', `Switched to a new branch ${name} at ${node.id.slice(0, 8)}`);
+      return;
+    }
+
     if (args.length === 0) {
-      addToHistory('error', 'Usage: delete <node-id>');
+      addToHistory('error', 'Usage: checkout <node|branch> | checkout -b <new-branch> [<node>]');
       return;
     }
 
-    const nodeId = args[0];
-    const node = nodes.find(n => n.id === nodeId);
-    
-    if (!node) {
-      addToHistory('error', `Node ${nodeId} not found`);
+    if (refs.branches[args[0]]) {
+      const tip = resolveNode(args[0]);
+      checkoutBranch(args[0]);
+      addToHistory('output', `Switched to branch ${args[0]} (${tip.id.slice(0, 8)}, ${tip.role})`);
+      return;
+    }
+
+    const node = resolveNode(args[0]);
+    const nodeId = node.id;
+
+    setActiveNode(nodeId);
+    // Only the tip of HEAD's branch keeps HEAD on it
+    const detached = headBranch && refs.branches[headBranch] !== nodeId;
+    addToHistory('output', `Switched to node ${nodeId.slice(0, 8)} (${node.role})${detached ? `; HEAD is detached from ${headBranch}` : ''}`);
+  };
+
+  const handleTag = ({ args, flags }) => {
+    if (flags.delete) {
+      if (args.length === 0) {
+        addToHistory('error', 'Usage: tag -d <tag>...');
+        return;
+      }
+      for (const name of args) {
+        if (!refs.tags[name]) {
+          addToHistory('error', `Tag ${name} not found`);
+          continue;
+        }
+        deleteTag(name);
+        addToHistory('output', `Deleted tag ${name} (was ${refs.tags[name].slice(0, 8)})`);
+      }
+      return;
+    }
+
+    if (flags.list || args.length === 0) {
+      const names = Object.keys(refs.tags).sort();
+      addToHistory('output', names.length > 0
+        ? names.map(name => `${name.padEnd(Math.max(...names.map(n => n.length)))}  ${refs.tags[name].slice(0, 8)}`).join('\n')
+        : 'No tags (mark a node with "tag <name> [<node>]")');
+      return;
+    }
+
+    if (args.length > 2) {
+      addToHistory('error', 'Usage: tag <name> [<node>] | tag -l | tag -d <tag>');
+      return;
+    }
+    const [name, ref] = args;
+    if (refs.tags[name]) {
+      addToHistory('error', `Tag ${name} already exists at ${refs.tags[name].slice(0, 8)}; tags never move (delete it with "tag -d ${name}" first)`);
+      return;
+    }
+    const problem = describeUnavailableRefName(name);
+    if (problem) {
+      addToHistory('error', problem);
+      return;
+    }
+    const node = resolveNode(ref || 'HEAD');
+    createTag(name, node.id);
+    addToHistory('output', `Tagged ${node.id.slice(0, 8)} as ${name}`);
+  };
+
+  const findPinGroup = (nameOrId) => pinGroups.find(group => (
+    group.id === nameOrId || group.name.toLowerCase() === (nameOrId || '').toLowerCase()
+  ));
+
+  const showPins = () => {
+    const lines = pinGroups.map(group => {
+      const pins = getPinnedNodes(nodes, pinGroups.map(g => ({ ...g, enabled: true })))
+        .filter(node => getPinGroupId(node, pinGroups) === group.id);
+      const pinLines = pins.map((node, index) => (
+        `    ${index + 1}. ${node.id.slice(0, 8)} ${node.role.toUpperCase()} ${node.content.substring(0, 50)}`
+      ));
+      return `  ${group.enabled ? '[on] ' : '[off]'} ${group.name} (${pins.length})\n${pinLines.join('\n') || '    (empty)'}`;
+    });
+    addToHistory('output', `Pin groups (sent in this order):\n${lines.join('\n')}`);
+  };
+
+  const handlePinGroup = (args) => {
+    const [action, name, value] = args;
+    const group = findPinGroup(name);
+
+    if (action === 'add' && name) {
+      if (group) {
+        addToHistory('error', `Pin group ${name} already exists`);
+        return;
+      }
+      addPinGroup(name);
+      addToHistory('output', `Created pin group ${name}`);
+      return;
+    }
+
+    if (!['rm', 'rename', 'on', 'off', 'move'].includes(action) || !name) {
+      addToHistory('error', 'Usage: pin group <add|rm|on|off> <name> | pin group rename <name> <new-name> | pin group move <name> <position>');
+      return;
+    }
+    if (!group) {
+      addToHistory('error', `Pin group ${name} not found`);
+      return;
+    }
+
+    switch (action) {
+      case 'rm':
+        if (group.id === DEFAULT_PIN_GROUP_ID) {
+          addToHistory('error', 'The default pin group cannot be deleted');
+          return;
+        }
+        deletePinGroup(group.id);
+        addToHistory('output', `Deleted pin group ${group.name} and unpinned its nodes`);
+        return;
+
+      case 'rename':
+        if (!value) {
+          addToHistory('error', 'Usage: pin group rename <name> <new-name>');
+          return;
+        }
+        updatePinGroup(group.id, { name: value });
+        addToHistory('output', `Renamed pin group ${group.name} to ${value}`);
+        return;
+
+      case 'move': {
+        const position = parseInt(value, 10);
+        if (!(position >= 1)) {
+          addToHistory('error', 'Usage: pin group move <name> <position>');
+          return;
+        }
+        movePinGroup(group.id, position - 1);
+        addToHistory('output', `Moved pin group ${group.name} to position ${position}`);
+        return;
+      }
+
+      default:
+        updatePinGroup(group.id, { enabled: action === 'on' });
+        addToHistory('output', `Pin group ${group.name} is ${action === 'on' ? 'sent as context' : 'switched off'}`);
+    }
+  };
+
+  const handlePin = ({ args, flags }) => {
+    const group = flags.group ? findPinGroup(flags.group) : null;
+
+    if (flags.group && !group) {
+      addToHistory('error', `Pin group ${flags.group} not found (create it with "pin group add <name>")`);
+      return;
+    }
+
+    if (args.length === 0 || args[0] === 'list') {
+      showPins();
+      return;
+    }
+    if (args[0] === 'group') {
+      handlePinGroup(args.slice(1));
+      return;
+    }
+
+    const isMove = args[0] === 'move';
+    const ref = isMove ? args[1] : args[0];
+    if (!ref) {
+      addToHistory('error', 'Usage: pin move <node> <position> [--group=<name>]');
+      return;
+    }
+    const node = resolveNode(ref);
+    const nodeId = node.id;
+
+    if (isMove) {
+      const position = parseInt(args[2], 10);
+      if (!node.metadata.isPinned || !(position >= 1)) {
+        addToHistory('error', node.metadata.isPinned
+          ? 'Usage: pin move <node> <position> [--group=<name>]'
+          : `Node ${nodeId.slice(0, 8)} is not pinned`);
+        return;
+      }
+      movePin(node.id, position - 1, group?.id);
+      addToHistory('output', `Moved pin ${nodeId.slice(0, 8)} to position ${position}${group ? ` in ${group.name}` : ''}`);
       return;
     }
 
+    if (node.metadata.isPinned) {
+      if (group) {
+        movePin(node.id, undefined, group.id);
+        addToHistory('output', `Moved pin ${nodeId.slice(0, 8)} to ${group.name}`);
+      } else {
+        addToHistory('output', `Node ${nodeId.slice(0, 8)} is already pinned`);
+      }
+      return;
+    }
+
+    togglePin(nodeId, group?.id);
+    addToHistory('output', `Pinned node ${nodeId.slice(0, 8)}${group ? ` in ${group.name}` : ''}`);
+  };
+
+  const handleUnpin = (args) => {
+    if (args.length === 0) {
+      addToHistory('error', 'Usage: unpin <node>');
+      return;
+    }
+    const node = resolveNode(args[0]);
+    if (!node.metadata.isPinned) {
+      addToHistory('output', `Node ${node.id.slice(0, 8)} is not pinned`);
+      return;
+    }
+
+    togglePin(node.id);
+    addToHistory('output', `Unpinned node ${node.id.slice(0, 8)}`);
+  };
+
+  const handleTarget = (args) => {
+    if (args.length === 0) {
+      addToHistory('output', sendTargetId
+        ? `New messages are sent from ${sendTargetId.slice(0, 8)}`
+        : 'New messages are sent from the active node');
+      return;
+    }
+
+    if (args[0] === 'off' || args[0] === 'active') {
+      setSendTarget(null);
+      addToHistory('output', 'New messages are sent from the active node');
+      return;
+    }
+
+    const node = resolveNode(args[0]);
+    setSendTarget(node.id);
+    addToHistory('output', `New messages are sent from ${node.id.slice(0, 8)} until "target off"`);
+  };
+
+  const handleDelete = (args) => {
+    if (args.length === 0) {
+      addToHistory('error', 'Usage: delete <node>');
+      return;
+    }
+
+    const nodeId = resolveNode(args[0]).id;
+
     deleteNode(nodeId);
     addToHistory('output', `Deleted node ${nodeId.slice(0, 8)} and its children`);
   };
 
-  const handleSend = async (args) => {
+  const handleSend = async ({ args, flags }) => {
+    const llmOptions = getLLMOptions(flags);
     if (args.length === 0) {
-      addToHistory('error', 'Usage: send <message>');
+      addToHistory('error', 'Usage: send <message> [--provider=<id>] [--model=<id>] [--temperature=<n>] [--max-tokens=<n>]');
       return;
     }
 
     const message = args.join(' ');
-    addToHistory('output', `Sending message to active node...`);
+    addToHistory('output', sendTargetId
+      ? `Sending message to target node ${sendTargetId.slice(0, 8)}...`
+      : `Sending message to active node...`);
     
     try {
-      await sendMessage(message, async (context) => {
-        try {
-          return await sendToGemini(context, {
-            model: 'gemini-2.0-flash-exp',
-            temperature: 0.7,
-            maxTokens: 2000
-          });
-        } catch (error) {
-          return await sendToMockLLM(context);
-        }
-      });
+      await sendMessage(message, (context, { onToken, signal }) => (
+        generate(context, { ...llmOptions, onToken, signal })
+      ), llmOptions);
       
       addToHistory('output', `Message sent successfully`);
     } catch (error) {
@@ -352,6 +1135,484 @@ Current Status:
     }
   };
 
+  const handleStop = () => {
+    const stopped = stopGeneration();
+    if (stopped === 0) {
+      addToHistory('output', 'Nothing to stop');
+      return;
+    }
+    addToHistory('output', `Stopped ${stopped} response${stopped === 1 ? '' : 's'}`);
+  };
+
+  const handleProvider = (args) => {
+    if (args[0] === 'order') {
+      const order = args.slice(1).join(',').split(',').map(id => id.trim()).filter(Boolean);
+      if (order.length === 0) {
+        addToHistory('error', 'Usage: provider order <id>[,<id>...]');
+        return;
+      }
+      setProviderOrder(order);
+      addToHistory('output', `Provider order set to: ${order.join(' → ')}`);
+      return;
+    }
+
+    const providerList = providers.map(provider => {
+      const position = providerOrder.indexOf(provider.id);
+      const order = position >= 0 ? `#${position + 1}` : '  ';
+      const state = provider.isConfigured() ? 'ready' : 'not configured';
+      return `  ${order} ${provider.id.padEnd(10)} ${provider.name} (${state})`;
+    }).join('\n');
+
+    addToHistory('output', `Providers (tried in order):\n${providerList}`);
+  };
+
+  const handleLocal = async (args) => {
+    const subcommand = args[0] || 'models';
+    const baseUrl = providerConfig?.local?.baseUrl || providers.find(p => p.id === 'local')?.defaultBaseUrl;
+
+    switch (subcommand) {
+      case 'models':
+      case 'ls': {
+        addToHistory('output', `Fetching models from ${baseUrl}...`);
+        const models = await listModels('local');
+        if (models.length === 0) {
+          addToHistory('output', 'No models found on the local server');
+          return;
+        }
+        const selected = selectedModels?.local;
+        const modelList = models
+          .map(model => `  ${model.id === selected ? '*' : ' '} ${model.id}`)
+          .join('\n');
+        addToHistory('output', `Local models:\n${modelList}`);
+        break;
+      }
+
+      case 'use': {
+        const model = args[1];
+        if (!model) {
+          addToHistory('error', 'Usage: local use <model>');
+          return;
+        }
+        const models = await listModels('local');
+        if (!models.some(m => m.id === model)) {
+          addToHistory('error', `Model ${model} is not served by ${baseUrl}. Run "local models" to list them.`);
+          return;
+        }
+        selectModel('local', model);
+        setProviderOrder(['local', ...providerOrder.filter(id => id !== 'local')]);
+        addToHistory('output', `Using local model ${model}`);
+        break;
+      }
+
+      case 'url': {
+        const url = args[1];
+        if (!url) {
+          addToHistory('output', `Local server: ${baseUrl}`);
+          return;
+        }
+        setProviderConfig('local', { baseUrl: url });
+        addToHistory('output', `Local server set to ${url}`);
+        break;
+      }
+
+      default:
+        addToHistory('error', 'Usage: local [models | use <model> | url <url>]');
+    }
+  };
+
+  const handleContext = async ({ args, flags }) => {
+    const llmOptions = getLLMOptions(flags);
+    const [subcommand, ...values] = args;
+
+    switch (subcommand) {
+      case 'strategy': {
+        if (!CONTEXT_STRATEGIES[values[0]]) {
+          addToHistory('error', `Usage: context strategy <${Object.keys(CONTEXT_STRATEGIES).join('|')}>`);
+          return;
+        }
+        setContextSettings({ strategy: values[0] });
+        addToHistory('output', `Context strategy: ${CONTEXT_STRATEGIES[values[0]]}`);
+        return;
+      }
+
+      case 'budget': {
+        const budget = values[0] === 'auto' ? null : parseInt(values[0], 10);
+        if (budget !== null && !(budget > 0)) {
+          addToHistory('error', 'Usage: context budget <tokens|auto>');
+          return;
+        }
+        setContextSettings({ maxTokens: budget });
+        addToHistory('output', `Context budget: ${budget ? `${budget} tokens` : "the model's context window"}`);
+        return;
+      }
+
+      case 'keep': {
+        const [keepFirst, keepLast] = values.map(value => parseInt(value, 10));
+        if (!(keepFirst >= 0) || !(keepLast >= 0)) {
+          addToHistory('error', 'Usage: context keep <first> <last>');
+          return;
+        }
+        setContextSettings({ keepFirst, keepLast });
+        addToHistory('output', `First-last strategy keeps the first ${keepFirst} and last ${keepLast} turns`);
+        return;
+      }
+
+      case 'summaries': {
+        if (values[0] !== 'on' && values[0] !== 'off') {
+          addToHistory('error', 'Usage: context summaries <on|off>');
+          return;
+        }
+        setContextSettings({ branchSummaries: values[0] === 'on' });
+        addToHistory('output', values[0] === 'on'
+          ? 'Sub-branches are remembered as rolling summaries'
+          : 'Sub-branches are remembered as full transcripts');
+        return;
+      }
+
+      case 'topk': {
+        const topK = parseInt(values[0], 10);
+        if (!(topK >= 0)) {
+          addToHistory('error', 'Usage: context topk <n>');
+          return;
+        }
+        setContextSettings({ retrievalTopK: topK });
+        addToHistory('output', `The retrieval memory mode pulls in up to ${topK} relevant nodes per prompt`);
+        return;
+      }
+
+      case 'embeddings': {
+        if (!values[0]) {
+          const stats = getRetrievalIndexStats(contextSettings.embeddingModel);
+          addToHistory('output', contextSettings.embeddingModel
+            ? `Retrieval embeds with ${contextSettings.embeddingModel}: ${stats.embedded} of ${stats.documents} nodes embedded`
+            : `Retrieval uses BM25 over ${stats.documents} nodes (${stats.terms} terms)`);
+          return;
+        }
+        if (values[0] === 'off') {
+          setContextSettings({ embeddingModel: null });
+          addToHistory('output', 'Retrieval uses BM25');
+          return;
+        }
+
+        setContextSettings({ embeddingModel: values[0] });
+        addToHistory('output', `Embedding the tree with ${values[0]}...`);
+        try {
+          const embedded = await indexEmbeddings(nodes, embedTexts, values[0]);
+          addToHistory('output', `Embedded ${embedded} nodes; retrieval now ranks by similarity`);
+        } catch (error) {
+          addToHistory('error', `Embedding failed, retrieval falls back to BM25: ${error.message}`);
+        }
+        return;
+      }
+
+      case 'exclude': {
+        if (!values[0]) {
+          addToHistory('error', 'Usage: context exclude <node>');
+          return;
+        }
+        const nodeId = resolveNode(values[0]).id;
+        excludeFromContext(nodeId);
+        addToHistory('output', `Node ${nodeId.slice(0, 8)} is left out of the next message`);
+        return;
+      }
+
+      case 'include': {
+        if (!values[0]) {
+          addToHistory('error', 'Usage: context include <node>');
+          return;
+        }
+        const nodeId = resolveNode(values[0]).id;
+        includeInContext(nodeId);
+        addToHistory('output', `Node ${nodeId.slice(0, 8)} is sent with the next message`);
+        return;
+      }
+
+      case 'move': {
+        const position = parseInt(values[1], 10);
+        if (!values[0] || !(position >= 1)) {
+          addToHistory('error', 'Usage: context move <node> <position>');
+          return;
+        }
+        const nodeId = resolveNode(values[0]).id;
+        moveInContext(nodeId, position - 1);
+        addToHistory('output', `Moved node ${nodeId.slice(0, 8)} to position ${position} in the next message's context`);
+        return;
+      }
+
+      case 'reset':
+        setContextOverrides(null);
+        addToHistory('output', 'Context edits cleared');
+        return;
+
+      case 'show':
+      case undefined:
+        break;
+
+      default:
+        addToHistory('error', 'Usage: context [show|strategy <name>|budget <n|auto>|keep <first> <last>|summaries <on|off>|exclude <node>|include <node>|move <node> <pos>|reset]');
+        return;
+    }
+
+    const report = inspectContext(llmOptions);
+    if (!report) {
+      addToHistory('error', 'No active node');
+      return;
+    }
+
+    const entries = report.entries.filter(entry => entry.source !== 'prompt');
+
+    // Show the messages in full, exactly as they will be sent
+    if (subcommand === 'show') {
+      const messages = entries
+        .filter(entry => entry.status === 'included' || entry.status === 'truncated')
+        .map((entry, index) => `[${index + 1}] ${entry.role.toUpperCase()} (${entry.source}${entry.nodeId ? ` ${entry.nodeId.slice(0, 8)}` : ''}, ${entry.tokens} tokens)\n${entry.content}`);
+      addToHistory('output', messages.join('\n\n') || '(no context messages)');
+      return;
+    }
+
+    const lines = entries.map(entry => {
+      const id = entry.nodeId ? entry.nodeId.slice(0, 8) : entry.source.padEnd(8);
+      const tokens = entry.status === 'truncated'
+        ? `${entry.tokens}/${entry.originalTokens}`
+        : String(entry.originalTokens);
+      const notes = [entry.forced && 'forced', entry.score !== undefined && `score ${entry.score}`].filter(Boolean);
+      return `  ${id} ${entry.role.padEnd(9)} ${entry.source.padEnd(10)} ${tokens.padStart(9)}  ${entry.status}${notes.length > 0 ? ` (${notes.join(', ')})` : ''}`;
+    });
+    const edits = contextOverrides
+      ? [
+        contextOverrides.excludeIds.length > 0 && `${contextOverrides.excludeIds.length} excluded`,
+        contextOverrides.includeIds.length > 0 && `${contextOverrides.includeIds.length} force-included`,
+        contextOverrides.order.length > 0 && 'reordered'
+      ].filter(Boolean)
+      : [];
+
+    addToHistory('output', `Context for ${report.target.model || report.target.provider}: ${report.totalTokens} / ${report.budget} tokens${report.overBudget ? ' (OVER BUDGET)' : ''}
+Sent from: ${(sendTargetId || activeNodeId).slice(0, 8)}
+Strategy: ${CONTEXT_STRATEGIES[contextSettings.strategy]}
+Memory: ${MEMORY_MODES[report.memoryMode]}${report.retrievalMethod ? ` (${report.retrievalMethod === 'embedding' ? 'embeddings' : 'BM25'})` : ''}${edits.length > 0 ? `\nEdits: ${edits.join(', ')} (saved with the next message; 'context reset' clears them)` : ''}
+${lines.join('\n') || '  (empty)'}`);
+  };
+
+  const findPersona = (name) => personas.find(p => p.id === name || p.name.toLowerCase() === (name || '').toLowerCase());
+
+  const handleSystem = ({ args, flags }) => {
+    const [subcommand, ...values] = args;
+    const node = flags.node ? resolveNode(flags.node) : null;
+    // Without --node the project's prompt is changed
+    const apply = (setting) => (node ? setNodeSystemPrompt(node.id, setting) : setSystemPrompt(setting));
+    const scope = node ? `node ${node.id.slice(0, 8)} and below` : 'the project';
+
+    switch (subcommand) {
+      case 'set': {
+        const content = values.join(' ');
+        if (!content) {
+          addToHistory('error', 'Usage: system set <text> [--node=<node>]');
+          return;
+        }
+        apply({ content });
+        addToHistory('output', `System prompt set for ${scope}`);
+        return;
+      }
+
+      case 'use': {
+        const persona = findPersona(values.join(' '));
+        if (!persona) {
+          addToHistory('error', `Persona ${values.join(' ')} not found (see "persona list")`);
+          return;
+        }
+        apply({ personaId: persona.id, content: persona.content });
+        addToHistory('output', `System prompt for ${scope}: the ${persona.name} persona`);
+        return;
+      }
+
+      case 'clear':
+        apply(null);
+        addToHistory('output', node
+          ? `Node ${node.id.slice(0, 8)} inherits its system prompt again`
+          : 'The project has no system prompt');
+        return;
+
+      default: {
+        const targetId = resolveNode(subcommand || 'HEAD').id;
+        const resolved = resolveSystemPrompt(nodes, targetId, { systemPrompt, personas });
+        if (!resolved) {
+          addToHistory('output', `No system prompt for ${targetId.slice(0, 8)}`);
+          return;
+        }
+        const source = resolved.sourceNodeId ? `set on ${resolved.sourceNodeId.slice(0, 8)}` : 'project default';
+        addToHistory('output', `System prompt for ${targetId.slice(0, 8)} (${resolved.personaName || 'custom'}, ${source}):
+  ${resolved.content}`);
+      }
+    }
+  };
+
+  const handlePersona = (args) => {
+    const [subcommand, name, ...rest] = args;
+
+    switch (subcommand) {
+      case undefined:
+      case 'list':
+        addToHistory('output', personas.length > 0
+          ? `Personas:\n${personas.map(p => `  ${p.name.padEnd(16)} ${p.content.substring(0, 60)}`).join('\n')}`
+          : 'No personas saved (add one with "persona add <name> <text>")');
+        return;
+
+      case 'add': {
+        if (!name || rest.length === 0) {
+          addToHistory('error', 'Usage: persona add <name> <text>');
+          return;
+        }
+        const existing = findPersona(name);
+        savePersona({ id: existing?.id, name, content: rest.join(' ') });
+        addToHistory('output', `${existing ? 'Updated' : 'Saved'} persona ${name}`);
+        return;
+      }
+
+      case 'rm':
+      case 'show': {
+        const persona = findPersona(name);
+        if (!persona) {
+          addToHistory('error', name ? `Persona ${name} not found` : `Usage: persona ${subcommand} <name>`);
+          return;
+        }
+        if (subcommand === 'show') {
+          addToHistory('output', `${persona.name}:\n  ${persona.content}`);
+          return;
+        }
+        deletePersona(persona.id);
+        addToHistory('output', `Deleted persona ${persona.name}; prompts that used it keep their copy`);
+        return;
+      }
+
+      default:
+        addToHistory('error', 'Usage: persona [list | add <name> <text> | rm <name> | show <name>]');
+    }
+  };
+
+  const handleProject = async (args) => {
+    const [subcommand, ...rest] = args;
+    const describe = (project) => `${project.name} (${project.id.slice(0, 8)})`;
+
+    switch (subcommand) {
+      case undefined:
+      case 'list':
+        addToHistory('output', projects.length > 0
+          ? `Projects:\n${projects.map(project => (
+            `${project.id === projectId ? '*' : ' '} ${project.id.slice(0, 8)} ${project.name.padEnd(24)} `
+            + `${project.nodeCount !== undefined ? `${project.nodeCount} messages, ` : ''}modified ${new Date(project.lastModified).toLocaleString()}`
+          )).join('\n')}`
+          : 'No projects (create one with "project new <name>")');
+        return;
+
+      case 'new': {
+        if (rest.length === 0) {
+          addToHistory('error', 'Usage: project new <name>');
+          return;
+        }
+        const project = await createProject(rest.join(' '));
+        openProject(project.id);
+        addToHistory('output', `Created project ${describe(project)} and switched to it`);
+        return;
+      }
+
+      case 'switch': {
+        if (rest.length === 0) {
+          addToHistory('error', 'Usage: project switch <project>');
+          return;
+        }
+        const project = findProject(rest.join(' '));
+        if (project.id === projectId) {
+          addToHistory('output', `Already on project ${describe(project)}`);
+          return;
+        }
+        openProject(project.id);
+        addToHistory('output', `Switched to project ${describe(project)}`);
+        return;
+      }
+
+      case 'rename': {
+        const [ref, ...name] = rest;
+        if (!ref || name.length === 0) {
+          addToHistory('error', 'Usage: project rename <project> <new-name>');
+          return;
+        }
+        const project = findProject(ref);
+        renameProject(project.id, name.join(' '));
+        addToHistory('output', `Renamed project ${describe(project)} to ${name.join(' ')}`);
+        return;
+      }
+
+      case 'rm': {
+        if (rest.length === 0) {
+          addToHistory('error', 'Usage: project rm <project>');
+          return;
+        }
+        const project = findProject(rest.join(' '));
+        await deleteProject(project.id);
+        addToHistory('output', `Deleted project ${describe(project)}`);
+        if (project.id === projectId) {
+          // Move to the most recently modified project left, or to the dashboard when none is
+          const next = projects.find(p => p.id !== project.id);
+          openProject(next ? next.id : null);
+          if (next) {
+            addToHistory('output', `Switched to project ${describe(next)}`);
+          }
+        }
+        return;
+      }
+
+      case 'quarantine': {
+        const project = rest.length > 0 ? findProject(rest.join(' ')) : projects.find(p => p.id === projectId);
+        if (!project) {
+          addToHistory('error', 'Usage: project quarantine [<project>]');
+          return;
+        }
+        const quarantined = getQuarantinedNodes(project.id);
+        addToHistory('output', quarantined.length > 0
+          ? `Nodes set aside from ${describe(project)}:\n${quarantined.map(({ node, reason, quarantinedAt }) => (
+            `  ${String(node?.id || '?').slice(0, 8)} ${reason} (${new Date(quarantinedAt).toLocaleString()})`
+            + (typeof node?.content === 'string' ? `: ${node.content.slice(0, 50)}` : '')
+          )).join('\n')}`
+          : `No nodes set aside from ${describe(project)}`);
+        return;
+      }
+
+      default:
+        addToHistory('error', 'Usage: project [list | new <name> | switch <project> | rename <project> <new-name> | rm <project> | quarantine [<project>]]');
+    }
+  };
+
+  const handleMemory = (args) => {
+    // The request spells the sibling mode with a plus sign, which is also accepted here
+    const modeArg = args[0] === 'ancestors+siblings' ? 'ancestors-siblings' : args[0];
+    const isMode = modeArg === 'inherit' || Boolean(MEMORY_MODES[modeArg]);
+    const ref = isMode ? args[1] : args[0];
+
+    if (args.length > (isMode ? 2 : 1)) {
+      addToHistory('error', `Usage: memory [${Object.keys(MEMORY_MODES).join('|')}|inherit] [node]`);
+      return;
+    }
+
+    const node = resolveNode(ref || 'HEAD');
+
+    if (isMode) {
+      setMemoryMode(node.id, modeArg === 'inherit' ? null : modeArg);
+      addToHistory('output', modeArg === 'inherit'
+        ? `Node ${node.id.slice(0, 8)} now inherits its memory mode`
+        : `Memory mode of ${node.id.slice(0, 8)} and the nodes below it: ${MEMORY_MODES[modeArg]}`);
+      return;
+    }
+
+    const summary = getContextSummary(nodes, node.id, getCompileOptions());
+    const source = !summary.memoryModeSource
+      ? 'default'
+      : summary.isMemoryModeInherited ? `inherited from ${summary.memoryModeSource.slice(0, 8)}` : 'set on this node';
+    const retrieved = summary.retrieved.map(item => `    ${item.id.slice(0, 8)} ${String(item.score).padStart(7)}  ${item.role.toUpperCase()}: ${item.content.slice(0, 60)}`);
+    addToHistory('output', `Memory of ${node.id.slice(0, 8)}: ${MEMORY_MODES[summary.memoryType]} (${source})
+  ${summary.pinnedCount} pinned, ${summary.ancestorCount} ancestors, ${summary.descendantCount} from other branches (${summary.summaryCount} summarized)${summary.retrievalMethod ? `, ${summary.retrievedCount} retrieved (${summary.retrievalMethod === 'embedding' ? 'embeddings' : 'BM25'})` : ''}
+  ${summary.totalContextNodes} nodes, ~${summary.totalTokens} tokens${retrieved.length > 0 ? `\n  Retrieved for this node's message, best first:\n${retrieved.join('\n')}` : ''}`);
+  };
+
   const handleSearch = async (args) => {
     if (args.length === 0) {
       addToHistory('error', 'Usage: search <query>');
@@ -408,7 +1669,8 @@ Current Status:
 
   const handleSubmit = (e) => {
     e.preventDefault();
-    if (command.trim() && !isProcessing) {
+    const isStopCommand = command.trim().toLowerCase() === 'stop';
+    if (command.trim() && (!isProcessing || isStopCommand)) {
       executeCommand(command);
       setCommand('');
       setHistoryIndex(-1);
@@ -416,7 +1678,11 @@ Current Status:
   };
 
   const handleKeyDown = (e) => {
-    if (e.key === 'ArrowUp') {
+    if (e.ctrlKey && e.key === 'c' && isGenerating) {
+      e.preventDefault();
+      addToHistory('input', '^C');
+      handleStop();
+    } else if (e.key === 'ArrowUp') {
       e.preventDefault();
       if (historyIndex < history.length - 1) {
         const newIndex = historyIndex + 1;
@@ -498,7 +1764,6 @@ Current Status:
               onKeyDown={handleKeyDown}
               placeholder="Enter command..."
               className="terminal-input"
-              disabled={isProcessing}
               autoComplete="off"
             />
           </div>
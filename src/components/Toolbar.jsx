@@ -1,14 +1,19 @@
 import React from 'react';
-import { useNavigate } from 'react-router-dom';
+import { useNavigate, useParams } from 'react-router-dom';
 import { supabase } from '../lib/supabase';
+import { useProjects } from '../hooks/useProjects';
 import SearchBar from './SearchBar';
+import SyncStatus from './SyncStatus';
 
 /**
  * Toolbar component for LangFork
- * Provides project management and tree operations
+ * Provides project management and tree operations. On the project dashboard (no project in the
+ * URL) only the title, the sync status and sign-out are shown.
  */
 function Toolbar() {
   const navigate = useNavigate();
+  const { projectId } = useParams();
+  const { projects, openProject } = useProjects();
 
   const handleLogout = async () => {
     await supabase.auth.signOut();
@@ -24,12 +29,27 @@ function Toolbar() {
       </div>
 
       <div className="toolbar-center">
-        {/* Empty center - can be used for future features */}
+        {projectId && (
+          <div className="project-info">
+            <select
+              className="project-switcher"
+              value={projectId}
+              onChange={(e) => openProject(e.target.value)}
+              title="Switch project"
+            >
+              {projects.map(project => (
+                <option key={project.id} value={project.id}>{project.name}</option>
+              ))}
+            </select>
+            <button className="toolbar-button" onClick={() => openProject(null)}>All projects</button>
+          </div>
+        )}
       </div>
 
       <div className="toolbar-right">
-        <SearchBar />
+        {projectId && <SearchBar />}
         <div className="toolbar-actions" style={{ marginLeft: 12 }}>
+          <SyncStatus />
           <button className="toolbar-button" onClick={handleLogout}>Sign out</button>
         </div>
       </div>
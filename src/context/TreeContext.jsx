@@ -1,15 +1,26 @@
-import React, { createContext, useContext, useReducer, useEffect } from 'react';
-import { createNode, addChildToNode, findNodeById } from '../utils/treeUtils';
-import { saveTree, loadTree } from '../utils/storage';
+import React, { createContext, useContext, useReducer, useEffect, useRef, useCallback } from 'react';
+import { createNode, addChildToNode, generateUUID, DEFAULT_PIN_GROUP_ID, DEFAULT_PIN_GROUPS } from '../utils/treeUtils';
+import { saveTree, loadProjectData, subscribeRemoteChanges, DEFAULT_PROJECT_ID } from '../utils/storage';
+import { preloadTokenizers } from '../utils/tokenizer';
+import { indexEmbeddings } from '../utils/retrieval';
+import { getLLMSettings, embedTexts } from '../providers';
+import { EMPTY_REFS } from '../utils/refs';
 
 // Initial state
 const initialState = {
   nodes: [], // Array of tree nodes
   activeNodeId: null, // Currently active node
   selectedNodeId: null, // Currently selected node
-  isLoading: false, // Loading state
+  isLoading: true, // Loading state
   error: null, // Error state
-  projectId: 'default-project' // Current project ID
+  projectId: null, // Current project ID, set once it has loaded
+  pinGroups: DEFAULT_PIN_GROUPS, // Ordered, named pin groups
+  sendTargetId: null, // Node new messages are sent from; null follows the active node
+  systemPrompt: null, // Project-level system prompt ({ personaId, content }), inherited by every node
+  refs: EMPTY_REFS, // Named branches and tags ({ branches, tags }, name → node ID)
+  headBranch: null, // Branch HEAD is on, which new messages sent from its tip advance; null when detached
+  contextOverrides: null, // Inspector edits ({ excludeIds, includeIds, order }) for the next message sent
+  generatingNodeIds: [] // Assistant nodes with an in-flight LLM request
 };
 
 // Action types
@@ -23,9 +34,37 @@ const TREE_ACTIONS = {
   SET_ACTIVE_NODE: 'SET_ACTIVE_NODE',
   SET_SELECTED_NODE: 'SET_SELECTED_NODE',
   TOGGLE_PIN: 'TOGGLE_PIN',
-  LOAD_PROJECT: 'LOAD_PROJECT'
+  MOVE_PIN: 'MOVE_PIN',
+  ADD_PIN_GROUP: 'ADD_PIN_GROUP',
+  UPDATE_PIN_GROUP: 'UPDATE_PIN_GROUP',
+  MOVE_PIN_GROUP: 'MOVE_PIN_GROUP',
+  DELETE_PIN_GROUP: 'DELETE_PIN_GROUP',
+  SET_SEND_TARGET: 'SET_SEND_TARGET',
+  SET_SYSTEM_PROMPT: 'SET_SYSTEM_PROMPT',
+  SET_CONTEXT_OVERRIDES: 'SET_CONTEXT_OVERRIDES',
+  SET_BRANCH: 'SET_BRANCH',
+  RENAME_BRANCH: 'RENAME_BRANCH',
+  DELETE_BRANCH: 'DELETE_BRANCH',
+  CHECKOUT_BRANCH: 'CHECKOUT_BRANCH',
+  CREATE_TAG: 'CREATE_TAG',
+  DELETE_TAG: 'DELETE_TAG',
+  LOAD_PROJECT: 'LOAD_PROJECT',
+  APPLY_REMOTE_CHANGES: 'APPLY_REMOTE_CHANGES',
+  START_GENERATION: 'START_GENERATION',
+  END_GENERATION: 'END_GENERATION'
 };
 
+/**
+ * Gets the branch HEAD stays on when the active node changes: only moving to the branch's tip keeps it
+ * @param {Object} state - Reducer state
+ * @param {string|null} activeNodeId - New active node
+ * @returns {string|null} Branch HEAD is on, or null when it is now detached
+ */
+function keepHeadBranch(state, activeNodeId) {
+  const { headBranch, refs } = state;
+  return headBranch && refs.branches[headBranch] === activeNodeId ? headBranch : null;
+}
+
 // Reducer
 function treeReducer(state, action) {
   switch (action.type) {
@@ -40,36 +79,44 @@ function treeReducer(state, action) {
     
     case TREE_ACTIONS.ADD_NODE:
       const newNode = action.payload;
-      const updatedNodes = [...state.nodes, newNode];
       
       // Update parent node's children array
-      if (newNode.parentId) {
-        const parentNode = findNodeById(updatedNodes, newNode.parentId);
-        if (parentNode) {
-          addChildToNode(parentNode, newNode.id);
-        }
-      }
+      const updatedNodes = [
+        ...state.nodes.map(node => node.id === newNode.parentId ? addChildToNode(node, newNode.id) : node),
+        newNode
+      ];
       
       // Set the new node as active if it's the first node or if it's an assistant response
       const shouldSetActive = state.nodes.length === 0 || newNode.role === 'assistant';
       const newActiveNodeId = shouldSetActive ? newNode.id : state.activeNodeId;
-      
+
+      // A message added below the tip of HEAD's branch advances the branch, as a commit does in git;
+      // so does a regenerated reply, since the newest alternative continues the branch
+      const { headBranch } = state;
+      const headTip = headBranch && state.nodes.find(node => node.id === state.refs.branches[headBranch]);
+      const advancesHead = Boolean(headTip) && Boolean(newNode.parentId) && (newNode.parentId === headTip.id
+        || (newNode.role === 'assistant' && headTip.role === 'assistant' && newNode.parentId === headTip.parentId));
+      const advancedState = advancesHead
+        ? { ...state, refs: { ...state.refs, branches: { ...state.refs.branches, [headBranch]: newNode.id } } }
+        : state;
       
       return { 
-        ...state, 
+        ...advancedState, 
         nodes: updatedNodes,
-        activeNodeId: newActiveNodeId
+        activeNodeId: newActiveNodeId,
+        headBranch: shouldSetActive ? keepHeadBranch(advancedState, newActiveNodeId) : headBranch
       };
     
-    case TREE_ACTIONS.UPDATE_NODE:
+    case TREE_ACTIONS.UPDATE_NODE: {
+      const { id, updates } = action.payload;
       return {
         ...state,
-        nodes: state.nodes.map(node =>
-          node.id === action.payload.id
-            ? { ...node, ...action.payload.updates }
-            : node
-        )
+        nodes: state.nodes.map(node => {
+          if (node.id !== id) return node;
+          return { ...node, ...(typeof updates === 'function' ? updates(node) : updates) };
+        })
       };
+    }
     
     case TREE_ACTIONS.DELETE_NODE:
       const nodeIdToDelete = action.payload;
@@ -87,71 +134,289 @@ function treeReducer(state, action) {
       const descendantsToDelete = getDescendants(nodeIdToDelete);
       const nodeIdsToDelete = [nodeIdToDelete, ...descendantsToDelete.map(n => n.id)];
       
-      // Remove the node and all its descendants
-      const filteredNodes = state.nodes.filter(node => !nodeIdsToDelete.includes(node.id));
-      
-      // Update parent node's children array
+      // Remove the node and all its descendants, and drop merge links pointing at them
       const nodeToDelete = state.nodes.find(n => n.id === nodeIdToDelete);
-      if (nodeToDelete && nodeToDelete.parentId) {
-        const parentNode = filteredNodes.find(n => n.id === nodeToDelete.parentId);
-        if (parentNode) {
-          parentNode.children = parentNode.children.filter(childId => childId !== nodeIdToDelete);
-        }
-      }
+      const filteredNodes = state.nodes
+        .filter(node => !nodeIdsToDelete.includes(node.id))
+        // Update parent node's children array
+        .map(node => node.id === nodeToDelete?.parentId
+          ? { ...node, children: node.children.filter(childId => childId !== nodeIdToDelete) }
+          : node
+        )
+        .map(node => (node.mergeParents || []).some(id => nodeIdsToDelete.includes(id))
+          ? { ...node, mergeParents: node.mergeParents.filter(id => !nodeIdsToDelete.includes(id)) }
+          : node
+        )
+        // A branch summary that covers deleted messages would keep remembering them
+        .map(node => (node.metadata.branchSummary?.coveredIds || []).some(id => nodeIdsToDelete.includes(id))
+          ? { ...node, metadata: { ...node.metadata, branchSummary: undefined } }
+          : node
+        );
       
+      // Branches on deleted nodes fall back to the parent of what was deleted; tags on them go
+      const fallbackTipId = filteredNodes.some(n => n.id === nodeToDelete?.parentId) ? nodeToDelete.parentId : null;
+      const keptRefs = (map, fallbackId) => Object.fromEntries(Object.entries(map)
+        .map(([name, nodeId]) => [name, nodeIdsToDelete.includes(nodeId) ? fallbackId : nodeId])
+        .filter(([, nodeId]) => nodeId));
+      const refsAfterDelete = {
+        branches: keptRefs(state.refs.branches, fallbackTipId),
+        tags: keptRefs(state.refs.tags, null)
+      };
+      const headTipAfterDelete = refsAfterDelete.branches[state.headBranch];
+
       // Update active node if it was deleted
       let activeNodeAfterDelete = state.activeNodeId;
       if (nodeIdsToDelete.includes(state.activeNodeId)) {
-        // Find the first remaining node as new active node
-        activeNodeAfterDelete = filteredNodes.length > 0 ? filteredNodes[0].id : null;
+        // HEAD follows its branch back; otherwise the first remaining node becomes active
+        activeNodeAfterDelete = headTipAfterDelete
+          || (filteredNodes.length > 0 ? filteredNodes[0].id : null);
       }
       
       return {
         ...state,
         nodes: filteredNodes,
         activeNodeId: activeNodeAfterDelete,
+        refs: refsAfterDelete,
+        headBranch: headTipAfterDelete && headTipAfterDelete === activeNodeAfterDelete ? state.headBranch : null,
+        sendTargetId: nodeIdsToDelete.includes(state.sendTargetId) ? null : state.sendTargetId,
         selectedNodeId: nodeIdsToDelete.includes(state.selectedNodeId) ? null : state.selectedNodeId
       };
     
     case TREE_ACTIONS.SET_ACTIVE_NODE:
-      return { ...state, activeNodeId: action.payload };
+      return {
+        ...state,
+        activeNodeId: action.payload,
+        headBranch: keepHeadBranch(state, action.payload),
+        // Inspector edits belong to the context of the node being sent from
+        contextOverrides: state.sendTargetId || action.payload === state.activeNodeId ? state.contextOverrides : null
+      };
     
     case TREE_ACTIONS.SET_SELECTED_NODE:
       return { ...state, selectedNodeId: action.payload };
     
-    case TREE_ACTIONS.TOGGLE_PIN:
+    case TREE_ACTIONS.TOGGLE_PIN: {
+      const { nodeId, groupId = DEFAULT_PIN_GROUP_ID } = action.payload;
+      // New pins go to the end of their group
+      const lastOrder = Math.max(-1, ...state.nodes
+        .filter(node => node.metadata.isPinned && (node.metadata.pinGroupId || DEFAULT_PIN_GROUP_ID) === groupId)
+        .map(node => node.metadata.pinOrder ?? -1));
+
       return {
         ...state,
         nodes: state.nodes.map(node => {
-          if (node.id === action.payload) {
-            // Toggle the clicked node's pin state
-            return {
-              ...node,
-              metadata: {
-                ...node.metadata,
-                isPinned: !node.metadata.isPinned
-              }
-            };
-          } else {
-            // Unpin all other nodes to enforce single-pin constraint
-            return {
-              ...node,
-              metadata: {
-                ...node.metadata,
-                isPinned: false
-              }
-            };
+          if (node.id !== nodeId) {
+            return node;
           }
+          const { pinGroupId, pinOrder, ...metadata } = node.metadata;
+          return {
+            ...node,
+            metadata: node.metadata.isPinned
+              ? { ...metadata, isPinned: false }
+              : { ...metadata, isPinned: true, pinGroupId: groupId, pinOrder: lastOrder + 1 }
+          };
         })
       };
+    }
+
+    case TREE_ACTIONS.MOVE_PIN: {
+      const { nodeId, groupId, index } = action.payload;
+      const movedNode = state.nodes.find(node => node.id === nodeId);
+      if (!movedNode?.metadata.isPinned) {
+        return state;
+      }
+
+      // Renumber the target group with the pin at its new position
+      const groupOf = (node) => node.metadata.pinGroupId || DEFAULT_PIN_GROUP_ID;
+      const targetGroupId = groupId || groupOf(movedNode);
+      const groupPins = state.nodes
+        .filter(node => node.metadata.isPinned && node.id !== nodeId && groupOf(node) === targetGroupId)
+        .sort((a, b) => (a.metadata.pinOrder ?? 0) - (b.metadata.pinOrder ?? 0));
+      const position = Math.max(0, Math.min(index ?? groupPins.length, groupPins.length));
+      groupPins.splice(position, 0, movedNode);
+      const orders = new Map(groupPins.map((node, order) => [node.id, order]));
+
+      return {
+        ...state,
+        nodes: state.nodes.map(node => orders.has(node.id)
+          ? { ...node, metadata: { ...node.metadata, pinGroupId: targetGroupId, pinOrder: orders.get(node.id) } }
+          : node
+        )
+      };
+    }
+
+    case TREE_ACTIONS.ADD_PIN_GROUP:
+      return { ...state, pinGroups: [...state.pinGroups, action.payload] };
+
+    case TREE_ACTIONS.UPDATE_PIN_GROUP:
+      return {
+        ...state,
+        pinGroups: state.pinGroups.map(group =>
+          group.id === action.payload.id ? { ...group, ...action.payload.updates } : group
+        )
+      };
+
+    case TREE_ACTIONS.MOVE_PIN_GROUP: {
+      const { id, index } = action.payload;
+      const group = state.pinGroups.find(g => g.id === id);
+      if (!group) {
+        return state;
+      }
+      const pinGroups = state.pinGroups.filter(g => g.id !== id);
+      pinGroups.splice(Math.max(0, Math.min(index, pinGroups.length)), 0, group);
+      return { ...state, pinGroups };
+    }
+
+    case TREE_ACTIONS.DELETE_PIN_GROUP: {
+      const groupIdToDelete = action.payload;
+      // The default group always exists so there is somewhere for new pins to go
+      if (groupIdToDelete === DEFAULT_PIN_GROUP_ID) {
+        return state;
+      }
+      // Pins of a deleted group are unpinned rather than silently moved into another group
+      return {
+        ...state,
+        pinGroups: state.pinGroups.filter(group => group.id !== groupIdToDelete),
+        nodes: state.nodes.map(node => {
+          if (!node.metadata.isPinned || (node.metadata.pinGroupId || DEFAULT_PIN_GROUP_ID) !== groupIdToDelete) {
+            return node;
+          }
+          const { pinGroupId, pinOrder, ...metadata } = node.metadata;
+          return { ...node, metadata: { ...metadata, isPinned: false } };
+        })
+      };
+    }
+
+    case TREE_ACTIONS.SET_SEND_TARGET:
+      return {
+        ...state,
+        sendTargetId: action.payload,
+        contextOverrides: action.payload === state.sendTargetId ? state.contextOverrides : null
+      };
+
+    case TREE_ACTIONS.SET_SYSTEM_PROMPT:
+      return { ...state, systemPrompt: action.payload };
+
+    case TREE_ACTIONS.SET_CONTEXT_OVERRIDES:
+      return { ...state, contextOverrides: action.payload };
+
+    case TREE_ACTIONS.SET_BRANCH: {
+      const { name, nodeId } = action.payload;
+      return { ...state, refs: { ...state.refs, branches: { ...state.refs.branches, [name]: nodeId } } };
+    }
+
+    case TREE_ACTIONS.RENAME_BRANCH: {
+      const { name, newName } = action.payload;
+      if (!state.refs.branches[name]) {
+        return state;
+      }
+      const { [name]: nodeId, ...branches } = state.refs.branches;
+      return {
+        ...state,
+        refs: { ...state.refs, branches: { ...branches, [newName]: nodeId } },
+        headBranch: state.headBranch === name ? newName : state.headBranch
+      };
+    }
+
+    case TREE_ACTIONS.DELETE_BRANCH: {
+      const { [action.payload]: deleted, ...branches } = state.refs.branches;
+      return {
+        ...state,
+        refs: { ...state.refs, branches },
+        headBranch: state.headBranch === action.payload ? null : state.headBranch
+      };
+    }
+
+    case TREE_ACTIONS.CHECKOUT_BRANCH: {
+      const tipId = state.refs.branches[action.payload];
+      if (!tipId) {
+        return state;
+      }
+      return {
+        ...state,
+        activeNodeId: tipId,
+        headBranch: action.payload,
+        contextOverrides: state.sendTargetId || tipId === state.activeNodeId ? state.contextOverrides : null
+      };
+    }
+
+    case TREE_ACTIONS.CREATE_TAG: {
+      const { name, nodeId } = action.payload;
+      // Tags never move once created
+      if (state.refs.tags[name]) {
+        return state;
+      }
+      return { ...state, refs: { ...state.refs, tags: { ...state.refs.tags, [name]: nodeId } } };
+    }
+
+    case TREE_ACTIONS.DELETE_TAG: {
+      const { [action.payload]: deleted, ...tags } = state.refs.tags;
+      return { ...state, refs: { ...state.refs, tags } };
+    }
+    
+    case TREE_ACTIONS.START_GENERATION:
+      return {
+        ...state,
+        generatingNodeIds: [...state.generatingNodeIds, action.payload]
+      };
+    
+    case TREE_ACTIONS.END_GENERATION:
+      return {
+        ...state,
+        generatingNodeIds: state.generatingNodeIds.filter(id => id !== action.payload)
+      };
     
     case TREE_ACTIONS.LOAD_PROJECT:
       return {
         ...state,
         nodes: action.payload.nodes,
         projectId: action.payload.projectId,
-        activeNodeId: action.payload.activeNodeId || null
+        activeNodeId: action.payload.activeNodeId || null,
+        selectedNodeId: null,
+        isLoading: false,
+        error: null,
+        pinGroups: action.payload.pinGroups || DEFAULT_PIN_GROUPS,
+        sendTargetId: action.payload.sendTargetId || null,
+        systemPrompt: action.payload.systemPrompt || null,
+        refs: action.payload.refs || EMPTY_REFS,
+        headBranch: action.payload.headBranch || null,
+        contextOverrides: null
+      };
+
+    case TREE_ACTIONS.APPLY_REMOTE_CHANGES: {
+      const { projectId, nodes: changedNodes = [], deletedIds = [], settings } = action.payload;
+      if (projectId !== state.projectId) {
+        return state;
+      }
+
+      // The exact objects storage saved, so the next autosave finds nothing to write
+      const changedById = new Map(changedNodes.map(node => [node.id, node]));
+      const deleted = new Set(deletedIds);
+      const nodes = state.nodes
+        .filter(node => !deleted.has(node.id))
+        .map(node => changedById.get(node.id) || node);
+      const existingIds = new Set(state.nodes.map(node => node.id));
+      nodes.push(...changedNodes.filter(node => !existingIds.has(node.id)));
+
+      const liveIds = new Set(nodes.map(node => node.id));
+      const keepLive = (nodeId) => (liveIds.has(nodeId) ? nodeId : null);
+      const sendTargetId = settings ? settings.sendTargetId || null : state.sendTargetId;
+      const refs = settings ? settings.refs || EMPTY_REFS : state.refs;
+      const activeNodeId = keepLive(state.activeNodeId);
+      return {
+        ...state,
+        nodes,
+        activeNodeId,
+        selectedNodeId: keepLive(state.selectedNodeId),
+        ...(settings && {
+          pinGroups: settings.pinGroups || DEFAULT_PIN_GROUPS,
+          systemPrompt: settings.systemPrompt || null
+        }),
+        sendTargetId: keepLive(sendTargetId),
+        refs,
+        // HEAD is local to this browser; it stays on its branch while the branch is still where HEAD is
+        headBranch: keepHeadBranch({ ...state, refs }, activeNodeId)
       };
+    }
     
     default:
       return state;
@@ -161,54 +426,120 @@ function treeReducer(state, action) {
 // Context
 const TreeContext = createContext();
 
-// Provider component
-export function TreeProvider({ children }) {
+/**
+ * Provider component
+ * @param {Object} props
+ * @param {string} [props.projectId] - Project to open; switching it loads the other project
+ */
+export function TreeProvider({ projectId = DEFAULT_PROJECT_ID, children }) {
   const [state, dispatch] = useReducer(treeReducer, initialState);
+  // AbortControllers for in-flight generations, keyed by assistant node ID
+  const generationsRef = useRef(new Map());
+  // Project state as it was loaded, so opening a project doesn't count as modifying it
+  const loadedRef = useRef(null);
+  // Project most recently asked for, so a slow load doesn't replace a project opened after it
+  const requestedProjectRef = useRef(null);
 
-  // Load initial project on mount
+  // Fetch the BPE ranks in the background so token counts are exact once they arrive
   useEffect(() => {
-    loadProject('default-project');
+    preloadTokenizers();
   }, []);
 
-  // Auto-save when nodes change
-  useEffect(() => {
-    if (state.nodes.length > 0) {
-      saveTree(state.projectId, state.nodes);
-    }
-  }, [state.nodes, state.projectId]);
-
-  // Actions
-  const loadProject = (projectId) => {
+  const loadProject = useCallback(async (projectId) => {
+    requestedProjectRef.current = projectId;
     dispatch({ type: TREE_ACTIONS.SET_LOADING, payload: true });
+    // Replies still streaming belong to the project being closed
+    generationsRef.current.forEach(controller => controller.abort());
     
     try {
-      const nodes = loadTree(projectId);
-      const loadedNodes = nodes || [];
+      const data = await loadProjectData(projectId);
+      if (requestedProjectRef.current !== projectId) {
+        return;
+      }
+      const loadedNodes = data?.nodes || [];
+      const settings = data?.settings || {};
       // Set activeNodeId to the last assistant node, or the first node if no assistant nodes
       const lastAssistantNode = loadedNodes.filter(n => n.role === 'assistant').pop();
       const firstNode = loadedNodes[0];
       const defaultActiveNodeId = lastAssistantNode?.id || firstNode?.id || null;
+      // HEAD isn't saved: it starts on the branch whose tip the project opens at, if just one is there
+      const refs = settings.refs || EMPTY_REFS;
+      const branchesHere = Object.keys(refs.branches).filter(name => refs.branches[name] === defaultActiveNodeId);
       
-      
-      dispatch({
-        type: TREE_ACTIONS.LOAD_PROJECT,
-        payload: {
-          nodes: loadedNodes,
-          projectId,
-          activeNodeId: defaultActiveNodeId
-        }
-      });
+      const payload = {
+        nodes: loadedNodes,
+        projectId,
+        activeNodeId: defaultActiveNodeId,
+        pinGroups: settings.pinGroups || DEFAULT_PIN_GROUPS,
+        sendTargetId: settings.sendTargetId || null,
+        systemPrompt: settings.systemPrompt || null,
+        refs,
+        headBranch: branchesHere.length === 1 ? branchesHere[0] : null
+      };
+      loadedRef.current = payload;
+      dispatch({ type: TREE_ACTIONS.LOAD_PROJECT, payload });
     } catch (error) {
       dispatch({ type: TREE_ACTIONS.SET_ERROR, payload: error.message });
     }
-  };
+  }, []);
+
+  // Load the project on mount and whenever another one is opened
+  useEffect(() => {
+    loadProject(projectId);
+  }, [projectId, loadProject]);
+
+  // Show changes synced from other devices
+  useEffect(() => subscribeRemoteChanges(change => {
+    if (!change.deleted) {
+      dispatch({ type: TREE_ACTIONS.APPLY_REMOTE_CHANGES, payload: change });
+    }
+  }), []);
+
+  // Auto-save when nodes change
+  useEffect(() => {
+    const loaded = loadedRef.current;
+    if (!state.projectId) {
+      return;
+    }
+    if (loaded && loaded.nodes === state.nodes && loaded.pinGroups === state.pinGroups
+      && loaded.sendTargetId === state.sendTargetId && loaded.systemPrompt === state.systemPrompt
+      && loaded.refs === state.refs) {
+      return;
+    }
+    if (state.nodes.length > 0) {
+      saveTree(state.projectId, state.nodes, {
+        pinGroups: state.pinGroups,
+        sendTargetId: state.sendTargetId,
+        systemPrompt: state.systemPrompt,
+        refs: state.refs
+      });
+    }
+  }, [state.nodes, state.projectId, state.pinGroups, state.sendTargetId, state.systemPrompt, state.refs]);
 
+  // Embed new and edited nodes for retrieval in the background once an embedding model is set;
+  // replies are embedded after they finish streaming
+  useEffect(() => {
+    const { embeddingModel } = getLLMSettings().context;
+    if (!embeddingModel || state.nodes.length === 0 || state.generatingNodeIds.length > 0) {
+      return;
+    }
+    indexEmbeddings(state.nodes, embedTexts, embeddingModel).catch(error => {
+      console.warn('Failed to embed nodes for retrieval, falling back to BM25:', error.message);
+    });
+  }, [state.nodes, state.generatingNodeIds]);
+
+  // Actions
   const addNode = (nodeData) => {
     const newNode = createNode(nodeData);
     dispatch({ type: TREE_ACTIONS.ADD_NODE, payload: newNode });
     return newNode;
   };
 
+  /**
+   * Updates a node's fields
+   * @param {string} nodeId - Node to update
+   * @param {Object|Function} updates - Fields to set, or a function of the node as it is in state that returns them
+   */
   const updateNode = (nodeId, updates) => {
     dispatch({
       type: TREE_ACTIONS.UPDATE_NODE,
@@ -224,16 +555,142 @@ export function TreeProvider({ children }) {
     dispatch({ type: TREE_ACTIONS.SET_SELECTED_NODE, payload: nodeId });
   };
 
-  const togglePin = (nodeId) => {
-    dispatch({ type: TREE_ACTIONS.TOGGLE_PIN, payload: nodeId });
+  /**
+   * Pins a node to context, or unpins it when it already is
+   * @param {string} nodeId - Node to pin or unpin
+   * @param {string} [groupId] - Group a new pin is added to (the default group when omitted)
+   */
+  const togglePin = (nodeId, groupId) => {
+    dispatch({ type: TREE_ACTIONS.TOGGLE_PIN, payload: { nodeId, groupId } });
+  };
+
+  /**
+   * Moves a pin to another position, optionally in another group
+   * @param {string} nodeId - Pinned node
+   * @param {number} [index] - New position in the group (the end when omitted)
+   * @param {string} [groupId] - Group to move the pin into (its current group when omitted)
+   */
+  const movePin = (nodeId, index, groupId) => {
+    dispatch({ type: TREE_ACTIONS.MOVE_PIN, payload: { nodeId, index, groupId } });
+  };
+
+  const addPinGroup = (name) => {
+    const group = { id: generateUUID(), name, enabled: true };
+    dispatch({ type: TREE_ACTIONS.ADD_PIN_GROUP, payload: group });
+    return group;
+  };
+
+  const updatePinGroup = (groupId, updates) => {
+    dispatch({ type: TREE_ACTIONS.UPDATE_PIN_GROUP, payload: { id: groupId, updates } });
+  };
+
+  const movePinGroup = (groupId, index) => {
+    dispatch({ type: TREE_ACTIONS.MOVE_PIN_GROUP, payload: { id: groupId, index } });
+  };
+
+  const deletePinGroup = (groupId) => {
+    dispatch({ type: TREE_ACTIONS.DELETE_PIN_GROUP, payload: groupId });
+  };
+
+  /**
+   * Sets the node new messages are sent from
+   * @param {string|null} nodeId - Fixed node to send from, or null to send from the active node
+   */
+  const setSendTarget = (nodeId) => {
+    dispatch({ type: TREE_ACTIONS.SET_SEND_TARGET, payload: nodeId });
+  };
+
+  /**
+   * Sets the project's system prompt, used by every node that doesn't set its own
+   * @param {Object|null} systemPrompt - { personaId } or { content }, or null for none
+   */
+  const setSystemPrompt = (systemPrompt) => {
+    dispatch({ type: TREE_ACTIONS.SET_SYSTEM_PROMPT, payload: systemPrompt });
+  };
+
+  /**
+   * Sets the inspector edits applied to the next message sent
+   * @param {Object|null} overrides - { excludeIds, includeIds, order }, or null for the compiled context as is
+   */
+  const setContextOverrides = (overrides) => {
+    dispatch({ type: TREE_ACTIONS.SET_CONTEXT_OVERRIDES, payload: overrides });
+  };
+
+  /**
+   * Points a branch at a node, creating the branch if needed
+   * @param {string} name - Branch name
+   * @param {string} nodeId - Node the branch points at (its tip)
+   */
+  const setBranch = (name, nodeId) => {
+    dispatch({ type: TREE_ACTIONS.SET_BRANCH, payload: { name, nodeId } });
+  };
+
+  const renameBranch = (name, newName) => {
+    dispatch({ type: TREE_ACTIONS.RENAME_BRANCH, payload: { name, newName } });
+  };
+
+  const deleteBranch = (name) => {
+    dispatch({ type: TREE_ACTIONS.DELETE_BRANCH, payload: name });
+  };
+
+  /**
+   * Makes a branch's tip the active node and puts HEAD on the branch, so messages sent from it advance it
+   * @param {string} name - Branch name
+   */
+  const checkoutBranch = (name) => {
+    dispatch({ type: TREE_ACTIONS.CHECKOUT_BRANCH, payload: name });
+  };
+
+  /**
+   * Tags a node; an existing tag is left where it is
+   * @param {string} name - Tag name
+   * @param {string} nodeId - Node to tag
+   */
+  const createTag = (name, nodeId) => {
+    dispatch({ type: TREE_ACTIONS.CREATE_TAG, payload: { name, nodeId } });
+  };
+
+  const deleteTag = (name) => {
+    dispatch({ type: TREE_ACTIONS.DELETE_TAG, payload: name });
   };
 
   const deleteNode = (nodeId) => {
     dispatch({ type: TREE_ACTIONS.DELETE_NODE, payload: nodeId });
   };
 
+  /**
+   * Registers an in-flight generation for an assistant node
+   * @param {string} nodeId - Assistant node receiving the reply
+   * @returns {AbortController} Controller whose signal should be passed to the LLM call
+   */
+  const startGeneration = (nodeId) => {
+    const controller = new AbortController();
+    generationsRef.current.set(nodeId, controller);
+    dispatch({ type: TREE_ACTIONS.START_GENERATION, payload: nodeId });
+    return controller;
+  };
+
+  const endGeneration = (nodeId) => {
+    generationsRef.current.delete(nodeId);
+    dispatch({ type: TREE_ACTIONS.END_GENERATION, payload: nodeId });
+  };
+
+  /**
+   * Aborts in-flight generations
+   * @param {string} [nodeId] - Assistant node to stop; stops every generation when omitted
+   * @returns {number} Number of generations aborted
+   */
+  const stopGeneration = (nodeId) => {
+    const controllers = nodeId
+      ? [generationsRef.current.get(nodeId)].filter(Boolean)
+      : [...generationsRef.current.values()];
+    controllers.forEach(controller => controller.abort());
+    return controllers.length;
+  };
+
   const createInitialNode = () => {
-    if (state.nodes.length === 0) {
+    // A project still loading may well have nodes
+    if (state.nodes.length === 0 && state.projectId && !state.isLoading) {
       const rootNode = addNode({
         parentId: null,
         role: 'user',
@@ -255,7 +712,24 @@ export function TreeProvider({ children }) {
     setActiveNode,
     setSelectedNode,
     togglePin,
-    createInitialNode
+    movePin,
+    addPinGroup,
+    updatePinGroup,
+    movePinGroup,
+    deletePinGroup,
+    setSendTarget,
+    setSystemPrompt,
+    setContextOverrides,
+    setBranch,
+    renameBranch,
+    deleteBranch,
+    checkoutBranch,
+    createTag,
+    deleteTag,
+    createInitialNode,
+    startGeneration,
+    endGeneration,
+    stopGeneration
   };
 
   return (
@@ -1,6 +1,71 @@
 import { useCallback } from 'react';
 import { useTree } from '../context/TreeContext';
-import { compileContext } from '../utils/contextCompiler';
+import { compileContextWithReport, compileMergeContext, compileSummaryContext, createContextReference, hasContextOverrides, getMemoryMode, EMPTY_CONTEXT_OVERRIDES, MEMORY_MODES } from '../utils/contextCompiler';
+import { findNodeById, getDescendants, getCommonAncestor, getBranchSegment, getBranchStart } from '../utils/treeUtils';
+import { isAbortError } from '../utils/streaming';
+import { countTokens } from '../utils/tokenizer';
+import { getContextOptions, getContextTarget, getLLMSettings, embedTexts } from '../providers';
+
+// Minimum delay between streamed content updates on the canvas
+const STREAM_FLUSH_INTERVAL_MS = 50;
+
+// A branch summary is refreshed once this many messages are not yet covered by it
+const SUMMARY_REFRESH_MIN_NEW_NODES = 2;
+
+/**
+ * Adds freshly created nodes to a node list, linking them to their parents. The nodes in
+ * state only refresh on the next render, so multi-step operations track their own copy.
+ * @param {Node[]} nodes - Current nodes
+ * @param {Node[]} newNodes - Nodes created since, parents before children
+ * @returns {Node[]} New node list
+ */
+function appendNodes(nodes, newNodes) {
+  return newNodes.reduce((list, node) => [
+    ...list.map(n => (n.id === node.parentId && !n.children.includes(node.id))
+      ? { ...n, children: [...n.children, node.id] }
+      : n
+    ),
+    node
+  ], nodes);
+}
+
+/**
+ * Compiles the context a reply is generated from, together with the reference to it that is saved
+ * on the reply so the exact prompt can be rebuilt later
+ * @param {Node[]} allNodes - Nodes to compile from
+ * @param {string} baseNodeId - Node the prompt is sent from
+ * @param {Node} promptNode - The user message being answered; its text is the prompt
+ * @param {Object} options - Options for compileContextWithReport
+ * @returns {Object} { context, contextRef }
+ */
+function compileReplyContext(allNodes, baseNodeId, promptNode, options) {
+  const report = compileContextWithReport(allNodes, baseNodeId, promptNode.content, options);
+  return {
+    context: report.messages,
+    contextRef: createContextReference(report.entries, [...allNodes, promptNode], promptNode.id)
+  };
+}
+
+/**
+ * Extracts the node metadata describing how a reply was generated
+ * @param {Object} result - Generation result from useLLM().generate
+ * @returns {Object} Metadata fields for the assistant node
+ */
+function getGenerationMetadata(result) {
+  if (!result.provider) {
+    return {};
+  }
+
+  return {
+    provider: result.provider,
+    modelUsed: result.model || null,
+    parameters: result.parameters,
+    latencyMs: result.latencyMs,
+    fallback: Boolean(result.fallback),
+    ...(result.fallback && { failedProviders: result.failedProviders }),
+    ...(result.usage && { usage: result.usage })
+  };
+}
 
 /**
  * Custom hook for ChatTree operations
@@ -8,77 +73,293 @@ import { compileContext } from '../utils/contextCompiler';
  */
 export function useChatTree() {
   const {
+    projectId,
     nodes,
     activeNodeId,
     selectedNodeId,
     addNode,
+    updateNode,
     setActiveNode,
     setSelectedNode,
     togglePin,
+    movePin,
+    addPinGroup,
+    updatePinGroup,
+    movePinGroup,
+    deletePinGroup,
+    pinGroups,
+    sendTargetId,
+    setSendTarget,
+    systemPrompt,
+    setSystemPrompt,
+    contextOverrides,
+    setContextOverrides,
+    refs,
+    headBranch,
+    setBranch,
+    renameBranch,
+    deleteBranch,
+    checkoutBranch,
+    createTag,
+    deleteTag,
     deleteNode,
-    createInitialNode
+    createInitialNode,
+    generatingNodeIds,
+    startGeneration,
+    endGeneration,
+    stopGeneration
   } = useTree();
 
   /**
-   * Sends a new message from the active node
-   * @param {string} messageText - The user's message
+   * Gets the compileContext options for a send: the shared budget settings and persona library,
+   * plus this project's pin groups and system prompt
+   * @param {Object} [llmOptions] - Provider, model and parameters the reply will use
+   * @returns {Object} Options for compileContext and compileContextWithReport
+   */
+  const getCompileOptions = useCallback((llmOptions = {}) => ({
+    ...getContextOptions(llmOptions),
+    pinGroups,
+    systemPrompt
+  }), [pinGroups, systemPrompt]);
+
+  /**
+   * Embeds a prompt for the 'retrieval' memory mode when an embedding model is set, so nodes are ranked
+   * by similarity; without one, or when the local server can't be reached, retrieval uses BM25
+   * @param {string} baseNodeId - Node the message is sent from
+   * @param {string} text - The prompt
+   * @param {Node[]} [allNodes] - Tree the message is sent in, when it has nodes not yet in state
+   * @returns {Promise<Object>} { queryEmbedding } to add to the compile options, or an empty object
+   */
+  const embedPrompt = useCallback(async (baseNodeId, text, allNodes = nodes) => {
+    const { embeddingModel } = getLLMSettings().context;
+    if (!embeddingModel || getMemoryMode(allNodes, baseNodeId).mode !== 'retrieval') {
+      return {};
+    }
+
+    try {
+      const [queryEmbedding] = await embedTexts([text]);
+      return { queryEmbedding };
+    } catch (error) {
+      console.warn('Failed to embed the prompt, retrieving with BM25:', error.message);
+      return {};
+    }
+  }, [nodes]);
+
+  /**
+   * Creates the assistant node up front and streams the LLM response into it.
+   * Stopping the generation keeps the partial reply flagged as 'aborted'; if nothing
+   * was received yet, the empty reply and (by default) the orphaned user node are rolled back.
+   * @param {Node} userNode - The node being answered (the reply's parent, normally a user message)
+   * @param {Object[]} context - Compiled context messages
+   * @param {Function} onLLMResponse - Called with (context, { onToken, signal }); resolves to the full
+   *   text or to a generation result ({ content, provider, model, parameters, latencyMs, fallback })
+   * @param {Object} options - Generation options
+   * @param {boolean} [options.rollbackUserNode=true] - Also delete the user node when aborted before any output
+   * @param {Object} [options.metadata] - Extra metadata for the assistant node
+   * @param {string[]} [options.mergeParents] - Extra parents when the reply merges branches
+   * @param {Object} [options.contextRef] - Reference to the compiled context (see createContextReference);
+   *   the provider, model and parameters that answered are added to it
+   * @param {Object} [options.target] - Provider and model the reply is asked of ({ provider, model }), to count
+   *   a reply stopped before the response said which answered
+   * @returns {Promise<Node|null>} The finished assistant node, or null when rolled back
+   */
+  const generateReply = useCallback(async (userNode, context, onLLMResponse, options = {}) => {
+    const { rollbackUserNode = true, metadata = {}, mergeParents = [], contextRef, target = {} } = options;
+
+    const aiNode = addNode({
+      parentId: userNode.id,
+      mergeParents,
+      role: 'assistant',
+      content: '',
+      metadata: {
+        ...metadata,
+        ...(contextRef && { contextRef }),
+        isPinned: false,
+        status: 'streaming'
+      }
+    });
+    const controller = startGeneration(aiNode.id);
+
+    // A pin, pin group or branch summary may be set while the reply streams, so the final metadata
+    // is merged into the node as it is by then, not as it was created
+    const finish = (content, metadataUpdates) => {
+      updateNode(aiNode.id, node => ({ content, metadata: { ...node.metadata, ...metadataUpdates } }));
+      return { ...aiNode, content, metadata: { ...aiNode.metadata, ...metadataUpdates } };
+    };
+
+    // Throttle canvas updates so long answers don't re-layout the tree on every token
+    let streamedText = '';
+    let lastFlush = 0;
+    const onToken = (delta, textSoFar) => {
+      streamedText = textSoFar;
+      const now = Date.now();
+      if (now - lastFlush >= STREAM_FLUSH_INTERVAL_MS) {
+        lastFlush = now;
+        updateNode(aiNode.id, { content: textSoFar });
+      }
+    };
+
+    try {
+      const response = await onLLMResponse(context, { onToken, signal: controller.signal });
+      const result = typeof response === 'string' ? { content: response } : response;
+
+      return finish(result.content, {
+        ...getGenerationMetadata(result),
+        ...(contextRef && result.provider && {
+          contextRef: {
+            ...contextRef,
+            parameters: { provider: result.provider, model: result.model || null, ...result.parameters }
+          }
+        }),
+        status: 'complete',
+        // Usage reported by the API is authoritative; otherwise count with the model's tokenizer
+        tokenCount: result.usage?.outputTokens
+          || countTokens(result.content, { provider: result.provider, model: result.model })
+      });
+    } catch (error) {
+      if (isAbortError(error) || controller.signal.aborted) {
+        if (!streamedText) {
+          // Deleting the user node also removes the empty reply beneath it
+          deleteNode(rollbackUserNode ? userNode.id : aiNode.id);
+          setActiveNode(rollbackUserNode ? userNode.parentId : userNode.id);
+          return null;
+        }
+
+        return finish(streamedText, {
+          status: 'aborted',
+          tokenCount: countTokens(streamedText, target)
+        });
+      }
+
+      finish(streamedText, { status: 'error', error: error.message });
+      throw error;
+    } finally {
+      endGeneration(aiNode.id);
+    }
+  }, [addNode, updateNode, deleteNode, setActiveNode, startGeneration, endGeneration]);
+
+  /**
+   * Refreshes the rolling summary of the sub-branch containing a node. Only messages added since
+   * the last refresh are summarized, on top of the previous summary.
+   * @param {string} nodeId - Any node in the branch
+   * @param {Function} onLLMResponse - Callback for LLM response, receives (context, { onToken, signal })
+   * @param {Object} [options] - Refresh options
+   * @param {boolean} [options.force=false] - Refresh even when only a few messages are new
+   * @param {boolean} [options.rebuild=false] - Discard the current summary and summarize the whole branch
+   * @param {Node[]} [options.latestNodes] - Nodes to read from when state has not caught up yet
+   * @returns {Promise<Object|null>} The branch summary, or null when the node is on the main branch
+   */
+  const refreshBranchSummary = useCallback(async (nodeId, onLLMResponse, options = {}) => {
+    const { force = false, rebuild = false, latestNodes = nodes } = options;
+
+    const branchStart = getBranchStart(latestNodes, nodeId);
+    if (!branchStart) {
+      return null;
+    }
+
+    // Replies still streaming or failed are picked up by a later refresh
+    const branchNodes = [branchStart, ...getDescendants(latestNodes, branchStart.id)]
+      .filter(node => node.metadata.status !== 'streaming' && node.metadata.status !== 'error')
+      .sort((a, b) => a.metadata.timestamp - b.metadata.timestamp);
+
+    const previous = rebuild ? null : branchStart.metadata.branchSummary;
+    const coveredIds = new Set(previous?.coveredIds || []);
+    const newNodes = branchNodes.filter(node => !coveredIds.has(node.id));
+    if (newNodes.length === 0 || (!force && newNodes.length < SUMMARY_REFRESH_MIN_NEW_NODES)) {
+      return previous || null;
+    }
+
+    const response = await onLLMResponse(compileSummaryContext(previous?.content, newNodes), {});
+    const content = (typeof response === 'string' ? response : response.content).trim();
+    const branchSummary = {
+      content,
+      coveredIds: [...coveredIds, ...newNodes.map(node => node.id)],
+      updatedAt: Date.now(),
+      tokenCount: countTokens(content)
+    };
+
+    updateNode(branchStart.id, node => ({ metadata: { ...node.metadata, branchSummary } }));
+    return branchSummary;
+  }, [nodes, updateNode]);
+
+  /**
+   * Keeps the summary of the branch a new exchange landed in up to date, in the background
+   * @param {Node[]} latestNodes - Nodes including the new exchange
+   * @param {string} nodeId - Newest node of the exchange
    * @param {Function} onLLMResponse - Callback for LLM response
    */
-  const sendMessage = useCallback(async (messageText, onLLMResponse) => {
-    if (!activeNodeId || !messageText.trim()) {
+  const scheduleSummaryRefresh = useCallback((latestNodes, nodeId, onLLMResponse) => {
+    if (!getLLMSettings().context.branchSummaries) {
+      return;
+    }
+    refreshBranchSummary(nodeId, onLLMResponse, { latestNodes }).catch(error => {
+      if (!isAbortError(error)) {
+        console.warn('Failed to refresh branch summary:', error.message);
+      }
+    });
+  }, [refreshBranchSummary]);
+
+  /**
+   * Sends a new message from the send target, or from the active node when no target is set.
+   * Pending inspector edits are applied, saved on the new user node and then cleared.
+   * @param {string} messageText - The user's message
+   * @param {Function} onLLMResponse - Callback for LLM response, receives (context, { onToken, signal })
+   * @param {Object} [llmOptions] - Provider, model and parameters the reply will use; sizes the context
+   */
+  const sendMessage = useCallback(async (messageText, onLLMResponse, llmOptions = {}) => {
+    const parentNodeId = sendTargetId || activeNodeId;
+    if (!parentNodeId || !messageText.trim()) {
       return;
     }
 
     try {
-      // Check if there is a pinned node (only one can be pinned at a time)
-      const pinnedNode = nodes.find(node => node.metadata.isPinned);
-      
-      // If there is a pinned node, create sub-nodes from it
-      // Otherwise, use the active node as before
-      const parentNodeId = pinnedNode ? pinnedNode.id : activeNodeId;
+      // Inspector edits are kept on the message so the send can be reproduced
+      const overrides = hasContextOverrides(contextOverrides) ? contextOverrides : null;
 
       // Create user message node
       const userNode = addNode({
         parentId: parentNodeId,
         role: 'user',
         content: messageText.trim(),
-        metadata: { isPinned: false }
+        metadata: { isPinned: false, ...(overrides && { contextOverrides: overrides }) }
       });
 
       // Compile context for LLM - use the parent node for context compilation
-      const context = compileContext(nodes, parentNodeId, messageText);
+      const { context, contextRef } = compileReplyContext(nodes, parentNodeId, userNode, {
+        ...getCompileOptions(llmOptions),
+        ...(await embedPrompt(parentNodeId, userNode.content)),
+        overrides
+      });
+      if (overrides) {
+        setContextOverrides(null);
+      }
       
-      // Call LLM API (this would be implemented in useLLM hook)
+      // Call LLM API and stream the reply into a new assistant node
       if (onLLMResponse) {
-        const aiResponse = await onLLMResponse(context);
-        
-        // Create AI response node
-        const aiNode = addNode({
-          parentId: userNode.id,
-          role: 'assistant',
-          content: aiResponse,
-          metadata: { 
-            isPinned: false,
-            modelUsed: 'gemini-2.0-flash-exp',
-            tokenCount: Math.ceil(aiResponse.length / 4) // Rough estimation
-          }
+        const aiNode = await generateReply(userNode, context, onLLMResponse, {
+          contextRef,
+          target: getContextTarget(llmOptions)
         });
 
         // Set the AI response as the new active node
-        setActiveNode(aiNode.id);
+        if (aiNode) {
+          setActiveNode(aiNode.id);
+          scheduleSummaryRefresh(appendNodes(nodes, [userNode, aiNode]), aiNode.id, onLLMResponse);
+        }
       }
     } catch (error) {
       console.error('Failed to send message:', error);
     }
-  }, [nodes, activeNodeId, addNode, setActiveNode]);
+  }, [nodes, activeNodeId, sendTargetId, contextOverrides, getCompileOptions, embedPrompt, addNode, generateReply, setContextOverrides, setActiveNode, scheduleSummaryRefresh]);
 
   /**
    * Branches from any node in the tree
    * @param {string} nodeId - ID of the node to branch from
    * @param {string} messageText - The user's message
    * @param {Function} onLLMResponse - Callback for LLM response
+   * @param {Object} [llmOptions] - Provider, model and parameters the reply will use; sizes the context
    */
-  const branchFromNode = useCallback(async (nodeId, messageText, onLLMResponse) => {
+  const branchFromNode = useCallback(async (nodeId, messageText, onLLMResponse, llmOptions = {}) => {
     if (!nodeId || !messageText.trim()) {
       return;
     }
@@ -93,31 +374,458 @@ export function useChatTree() {
       });
 
       // Compile context for LLM
-      const context = compileContext(nodes, nodeId, messageText);
+      const { context, contextRef } = compileReplyContext(nodes, nodeId, userNode, {
+        ...getCompileOptions(llmOptions),
+        ...(await embedPrompt(nodeId, userNode.content))
+      });
       
       // Call LLM API
       if (onLLMResponse) {
-        const aiResponse = await onLLMResponse(context);
-        
-        // Create AI response node
-        const aiNode = addNode({
-          parentId: userNode.id,
-          role: 'assistant',
-          content: aiResponse,
-          metadata: { 
-            isPinned: false,
-            modelUsed: 'gemini-2.0-flash-exp',
-            tokenCount: Math.ceil(aiResponse.length / 4)
-          }
+        const aiNode = await generateReply(userNode, context, onLLMResponse, {
+          contextRef,
+          target: getContextTarget(llmOptions)
         });
 
         // Set the AI response as the new active node
-        setActiveNode(aiNode.id);
+        if (aiNode) {
+          setActiveNode(aiNode.id);
+          scheduleSummaryRefresh(appendNodes(nodes, [userNode, aiNode]), aiNode.id, onLLMResponse);
+        }
       }
     } catch (error) {
       console.error('Failed to branch from node:', error);
     }
-  }, [nodes, addNode, setActiveNode]);
+  }, [nodes, getCompileOptions, embedPrompt, addNode, generateReply, setActiveNode, scheduleSummaryRefresh]);
+
+  /**
+   * Picks which alternative answer continues the branch
+   * @param {string} assistantNodeId - ID of the chosen assistant node
+   */
+  const selectAlternative = useCallback((assistantNodeId) => {
+    const assistantNode = nodes.find(n => n.id === assistantNodeId);
+    const userNode = assistantNode && nodes.find(n => n.id === assistantNode.parentId);
+    if (!userNode) {
+      return;
+    }
+
+    updateNode(userNode.id, {
+      metadata: { ...userNode.metadata, selectedAlternativeId: assistantNodeId }
+    });
+    setActiveNode(assistantNodeId);
+  }, [nodes, updateNode, setActiveNode]);
+
+  /**
+   * Sets which parts of the tree a node (and every node below it that doesn't set its own) remembers
+   * @param {string} nodeId - Node to set the mode on
+   * @param {string|null} mode - One of MEMORY_MODES, or null to inherit from the parent again
+   */
+  const setMemoryMode = useCallback((nodeId, mode) => {
+    const node = nodes.find(n => n.id === nodeId);
+    if (!node) {
+      throw new Error(`Node ${nodeId} not found`);
+    }
+    if (mode && !MEMORY_MODES[mode]) {
+      throw new Error(`Unknown memory mode: ${mode}`);
+    }
+
+    const { memoryMode, ...metadata } = node.metadata;
+    updateNode(nodeId, {
+      metadata: mode ? { ...metadata, memoryMode: mode } : metadata
+    });
+  }, [nodes, updateNode]);
+
+  /**
+   * Sets the system prompt of a node and the nodes below it that don't set their own
+   * @param {string} nodeId - Node to set the prompt on
+   * @param {Object|null} setting - { personaId, content } or { content }, or null to inherit again
+   */
+  const setNodeSystemPrompt = useCallback((nodeId, setting) => {
+    const node = nodes.find(n => n.id === nodeId);
+    if (!node) {
+      throw new Error(`Node ${nodeId} not found`);
+    }
+
+    const { systemPrompt: previous, ...metadata } = node.metadata;
+    updateNode(nodeId, {
+      metadata: setting ? { ...metadata, systemPrompt: setting } : metadata
+    });
+  }, [nodes, updateNode]);
+
+  /**
+   * Compiles the context the next message would be sent with, pending inspector edits included
+   * @param {Object} [llmOptions] - Provider, model and parameters the reply will use; sizes the context
+   * @returns {Object|null} Report from compileContextWithReport, or null when there is nothing to send from
+   */
+  const inspectContext = useCallback((llmOptions = {}) => {
+    const baseNodeId = sendTargetId || activeNodeId;
+    if (!baseNodeId) {
+      return null;
+    }
+    return compileContextWithReport(nodes, baseNodeId, '', {
+      ...getCompileOptions(llmOptions),
+      overrides: contextOverrides
+    });
+  }, [nodes, activeNodeId, sendTargetId, contextOverrides, getCompileOptions]);
+
+  /**
+   * Applies a change to the pending inspector edits, clearing them when nothing is left
+   * @param {Function} edit - Receives the current { excludeIds, includeIds, order } and returns the new ones
+   */
+  const editContextOverrides = useCallback((edit) => {
+    const next = edit({ ...EMPTY_CONTEXT_OVERRIDES, ...contextOverrides });
+    setContextOverrides(hasContextOverrides(next) ? next : null);
+  }, [contextOverrides, setContextOverrides]);
+
+  // Entries of the next message's context that stand for a node (not the system prompt, summary or prompt)
+  const getInspectedNodeEntries = useCallback(() => (
+    (inspectContext()?.entries || []).filter(entry => entry.nodeId && !['system', 'summary', 'prompt'].includes(entry.source))
+  ), [inspectContext]);
+
+  /**
+   * Leaves a node out of the next message's context
+   * @param {string} nodeId - Node currently in the context
+   */
+  const excludeFromContext = useCallback((nodeId) => {
+    const entry = getInspectedNodeEntries().find(e => e.nodeId === nodeId && e.status !== 'excluded');
+    if (!entry) {
+      throw new Error(`Node ${nodeId} is not in the context`);
+    }
+
+    // A force-included node is simply no longer forced; anything else is excluded
+    editContextOverrides(overrides => ({
+      ...overrides,
+      includeIds: overrides.includeIds.filter(id => id !== nodeId),
+      excludeIds: entry.source === 'included' ? overrides.excludeIds : [...overrides.excludeIds, nodeId]
+    }));
+  }, [getInspectedNodeEntries, editContextOverrides]);
+
+  /**
+   * Sends a node with the next message, whether or not its memory mode remembers it
+   * @param {string} nodeId - Any node in the tree
+   */
+  const includeInContext = useCallback((nodeId) => {
+    if (!nodes.some(n => n.id === nodeId)) {
+      throw new Error(`Node ${nodeId} not found`);
+    }
+    const entry = getInspectedNodeEntries().find(e => e.nodeId === nodeId);
+    if (entry && entry.status !== 'excluded') {
+      throw new Error(`Node ${nodeId} is already in the context`);
+    }
+
+    editContextOverrides(overrides => (
+      entry
+        ? { ...overrides, excludeIds: overrides.excludeIds.filter(id => id !== nodeId) }
+        : { ...overrides, includeIds: [...overrides.includeIds, nodeId] }
+    ));
+  }, [nodes, getInspectedNodeEntries, editContextOverrides]);
+
+  /**
+   * Moves a node to another position in the next message's context
+   * @param {string} nodeId - Node in the context
+   * @param {number} index - New position among the context's nodes (clamped to the list)
+   */
+  const moveInContext = useCallback((nodeId, index) => {
+    const order = getInspectedNodeEntries().map(entry => entry.nodeId);
+    if (!order.includes(nodeId)) {
+      throw new Error(`Node ${nodeId} is not in the context`);
+    }
+
+    const reordered = order.filter(id => id !== nodeId);
+    reordered.splice(Math.max(0, Math.min(index, reordered.length)), 0, nodeId);
+    editContextOverrides(overrides => ({ ...overrides, order: reordered }));
+  }, [getInspectedNodeEntries, editContextOverrides]);
+
+  /**
+   * Re-rolls an assistant answer, adding the new answer as a sibling alternative
+   * @param {string} assistantNodeId - ID of the assistant node to regenerate
+   * @param {Function} onLLMResponse - Callback for LLM response, receives (context, { onToken, signal })
+   * @param {Object} [llmOptions] - Provider, model and parameters the reply will use; sizes the context
+   * @returns {Promise<Node|null>} The new assistant node
+   */
+  const regenerateNode = useCallback(async (assistantNodeId, onLLMResponse, llmOptions = {}) => {
+    const assistantNode = nodes.find(n => n.id === assistantNodeId);
+    const userNode = assistantNode && nodes.find(n => n.id === assistantNode.parentId);
+
+    if (!assistantNode || assistantNode.role !== 'assistant' || !userNode) {
+      throw new Error('Only assistant replies can be regenerated');
+    }
+
+    // Compile the context the user message was originally sent with, inspector edits included,
+    // leaving out the message itself and every answer already given to it
+    const excludeIds = [userNode.id, ...getDescendants(nodes, userNode.id).map(n => n.id)];
+    const { context, contextRef } = compileReplyContext(nodes, userNode.parentId, userNode, {
+      ...getCompileOptions(llmOptions),
+      ...(await embedPrompt(userNode.parentId, userNode.content)),
+      excludeIds,
+      overrides: userNode.metadata.contextOverrides
+    });
+
+    const aiNode = await generateReply(userNode, context, onLLMResponse, {
+      rollbackUserNode: false,
+      contextRef,
+      target: getContextTarget(llmOptions),
+      metadata: { regeneratedFrom: assistantNodeId }
+    });
+
+    if (aiNode) {
+      updateNode(userNode.id, {
+        metadata: { ...userNode.metadata, selectedAlternativeId: aiNode.id }
+      });
+      setActiveNode(aiNode.id);
+    }
+    return aiNode;
+  }, [nodes, getCompileOptions, embedPrompt, generateReply, updateNode, setActiveNode]);
+
+  /**
+   * Edits a user message by forking: the edited text becomes a new sibling user node with a
+   * fresh reply, and the original message and its subtree are left untouched
+   * @param {string} userNodeId - ID of the user node being edited
+   * @param {string} messageText - The edited message
+   * @param {Function} onLLMResponse - Callback for LLM response, receives (context, { onToken, signal })
+   * @param {Object} [llmOptions] - Provider, model and parameters the reply will use; sizes the context
+   * @returns {Promise<Node|null>} The new user node
+   */
+  const editMessage = useCallback(async (userNodeId, messageText, onLLMResponse, llmOptions = {}) => {
+    const originalNode = nodes.find(n => n.id === userNodeId);
+
+    if (!originalNode || originalNode.role !== 'user') {
+      throw new Error('Only user messages can be edited');
+    }
+    if (!originalNode.parentId) {
+      throw new Error('The root message cannot be edited');
+    }
+    if (!messageText.trim() || messageText.trim() === originalNode.content) {
+      return null;
+    }
+
+    const editedNode = addNode({
+      parentId: originalNode.parentId,
+      role: 'user',
+      content: messageText.trim(),
+      metadata: { isPinned: false, editedFrom: originalNode.id }
+    });
+
+    // The edit replaces the original in this fork, so its conversation stays out of the context
+    const excludeIds = [originalNode.id, ...getDescendants(nodes, originalNode.id).map(n => n.id)];
+    const { context, contextRef } = compileReplyContext(nodes, originalNode.parentId, editedNode, {
+      ...getCompileOptions(llmOptions),
+      ...(await embedPrompt(originalNode.parentId, editedNode.content)),
+      excludeIds
+    });
+
+    if (onLLMResponse) {
+      const aiNode = await generateReply(editedNode, context, onLLMResponse, {
+        contextRef,
+        target: getContextTarget(llmOptions)
+      });
+      if (aiNode) {
+        setActiveNode(aiNode.id);
+      }
+    }
+    return editedNode;
+  }, [nodes, getCompileOptions, embedPrompt, addNode, generateReply, setActiveNode]);
+
+  /**
+   * Merges two branches into a single assistant node that synthesizes both paths.
+   * The node's primary parent is the first branch tip; the second is kept in mergeParents.
+   * @param {string} nodeIdA - Tip of the first branch
+   * @param {string} nodeIdB - Tip of the second branch
+   * @param {Function} onLLMResponse - Callback for LLM response, receives (context, { onToken, signal })
+   * @param {Object} [llmOptions] - Provider, model and parameters the reply will use; sizes the context
+   * @returns {Promise<Node|null>} The merge node
+   */
+  const mergeBranches = useCallback(async (nodeIdA, nodeIdB, onLLMResponse, llmOptions = {}) => {
+    const nodeA = nodes.find(n => n.id === nodeIdA);
+    const nodeB = nodes.find(n => n.id === nodeIdB);
+
+    if (!nodeA || !nodeB) {
+      throw new Error('Both branches must exist to merge them');
+    }
+    if (nodeIdA === nodeIdB) {
+      throw new Error('Cannot merge a branch with itself');
+    }
+
+    const commonAncestor = getCommonAncestor(nodes, nodeIdA, nodeIdB);
+    if (commonAncestor && (commonAncestor.id === nodeIdA || commonAncestor.id === nodeIdB)) {
+      throw new Error('One node is an ancestor of the other; there is nothing to merge');
+    }
+
+    const context = compileMergeContext(nodes, nodeIdA, nodeIdB, getCompileOptions(llmOptions));
+    const mergeNode = await generateReply(nodeA, context, onLLMResponse, {
+      rollbackUserNode: false,
+      mergeParents: [nodeIdB],
+      target: getContextTarget(llmOptions),
+      // The merge prompt is written for the occasion, so it is saved as text
+      contextRef: createContextReference(context.map(message => ({ ...message, source: 'merge' })), nodes)
+    });
+
+    if (mergeNode) {
+      setActiveNode(mergeNode.id);
+    }
+    return mergeNode;
+  }, [nodes, getCompileOptions, generateReply, setActiveNode]);
+
+  /**
+   * Copies a run of messages under a new parent, oldest first. User messages are always copied;
+   * assistant replies are copied verbatim, or re-run against the new context when rerun is set.
+   * Every copy records the node it came from in metadata.cherryPickedFrom.
+   * @param {Node[]} messages - Messages to copy in chronological order
+   * @param {string} targetId - Node the first copy is attached to
+   * @param {Function} [onLLMResponse] - Callback for LLM response, required when rerunning
+   * @param {Object} [options] - Replay options
+   * @param {boolean} [options.rerun=false] - Generate fresh replies instead of copying the old ones
+   * @param {Object} [options.llmOptions] - Provider, model and parameters re-run replies will use
+   * @returns {Promise<Node[]>} The created nodes
+   */
+  const replayMessages = useCallback(async (messages, targetId, onLLMResponse, { rerun = false, llmOptions = {} } = {}) => {
+    if (!nodes.some(n => n.id === targetId)) {
+      throw new Error(`Target node ${targetId} not found`);
+    }
+    if (rerun && !onLLMResponse) {
+      throw new Error('An LLM callback is required to re-run replies');
+    }
+
+    // Copies are tracked locally to compile the context of re-run replies
+    let workingNodes = nodes;
+    const track = (node) => {
+      workingNodes = appendNodes(workingNodes, [node]);
+    };
+
+    const created = [];
+    let parentId = targetId;
+
+    for (const [index, original] of messages.entries()) {
+      if (rerun && original.role === 'assistant') continue;
+
+      // Links to the original's siblings and replies, inspector edits made for its old place in the
+      // tree, its branch summary, pin group and prompt all describe where the original sits, so they
+      // are dropped and worked out again for the new parent. The memory mode and system prompt set on
+      // a message shape the conversation that follows it, so they travel with the copy.
+      const {
+        selectedAlternativeId, regeneratedFrom, editedFrom, contextOverrides: originalOverrides,
+        branchSummary, pinGroupId, pinOrder, status, contextRef: originalContextRef,
+        ...metadata
+      } = original.metadata;
+
+      // A reply copied verbatim is finished (or stays cut short), and follows the prompt its new parent
+      // would send; nothing answered that prompt, so the reference has no provider or parameters
+      let copiedReplyMetadata = {};
+      if (original.role === 'assistant') {
+        const parentNode = findNodeById(workingNodes, parentId);
+        const { contextRef } = compileReplyContext(workingNodes, parentNode.parentId, parentNode, {
+          ...getCompileOptions(llmOptions),
+          ...(await embedPrompt(parentNode.parentId, parentNode.content, workingNodes)),
+          excludeIds: [parentNode.id]
+        });
+        copiedReplyMetadata = { status: status === 'aborted' ? 'aborted' : 'complete', contextRef };
+      }
+
+      const copy = addNode({
+        parentId,
+        role: original.role,
+        content: original.content,
+        metadata: {
+          ...metadata,
+          ...copiedReplyMetadata,
+          timestamp: Date.now(),
+          isPinned: false,
+          cherryPickedFrom: original.id
+        }
+      });
+      track(copy);
+      created.push(copy);
+      parentId = copy.id;
+
+      if (!rerun || original.role !== 'user') continue;
+
+      const originalReply = messages[index + 1]?.role === 'assistant' ? messages[index + 1] : null;
+      const { context, contextRef } = compileReplyContext(workingNodes, copy.parentId, copy, {
+        ...getCompileOptions(llmOptions),
+        ...(await embedPrompt(copy.parentId, copy.content, workingNodes)),
+        excludeIds: [copy.id]
+      });
+      const aiNode = await generateReply(copy, context, onLLMResponse, {
+        rollbackUserNode: false,
+        contextRef,
+        target: getContextTarget(llmOptions),
+        ...(originalReply && { metadata: { cherryPickedFrom: originalReply.id } })
+      });
+
+      // Stopping a reply stops the whole replay
+      if (!aiNode || aiNode.metadata.status === 'aborted') {
+        if (aiNode) created.push(aiNode);
+        break;
+      }
+      track(aiNode);
+      created.push(aiNode);
+      parentId = aiNode.id;
+    }
+
+    if (created.length > 0) {
+      setActiveNode(created[created.length - 1].id);
+      if (onLLMResponse) {
+        scheduleSummaryRefresh(workingNodes, created[created.length - 1].id, onLLMResponse);
+      }
+    }
+    return created;
+  }, [nodes, getCompileOptions, embedPrompt, addNode, generateReply, setActiveNode, scheduleSummaryRefresh]);
+
+  /**
+   * Copies one exchange onto another node: a user message with the reply that continues it,
+   * or an assistant reply with the message it answers
+   * @param {string} nodeId - User or assistant node to pick
+   * @param {string} targetId - Node to attach the copy to
+   * @param {Function} [onLLMResponse] - Callback for LLM response, used when rerunning
+   * @param {Object} [options] - Replay options ({ rerun, llmOptions })
+   * @returns {Promise<Node[]>} The created nodes
+   */
+  const cherryPick = useCallback(async (nodeId, targetId, onLLMResponse, options = {}) => {
+    const node = nodes.find(n => n.id === nodeId);
+    if (!node) {
+      throw new Error(`Node ${nodeId} not found`);
+    }
+
+    let messages;
+    if (node.role === 'assistant') {
+      const userNode = nodes.find(n => n.id === node.parentId);
+      messages = userNode?.role === 'user' ? [userNode, node] : [node];
+    } else {
+      const replies = nodes.filter(n => n.parentId === node.id && n.role === 'assistant');
+      const reply = replies.find(n => n.id === node.metadata.selectedAlternativeId) || replies[replies.length - 1];
+      messages = reply ? [node, reply] : [node];
+    }
+
+    return replayMessages(messages, targetId, onLLMResponse, options);
+  }, [nodes, replayMessages]);
+
+  /**
+   * Replays a branch onto another node: every message after the point where the branch and
+   * the target diverge is copied under the target, in order
+   * @param {string} tipId - Last node of the branch
+   * @param {string} targetId - New base for the branch
+   * @param {Function} [onLLMResponse] - Callback for LLM response, used when rerunning
+   * @param {Object} [options] - Replay options ({ rerun, llmOptions })
+   * @returns {Promise<Node[]>} The created nodes
+   */
+  const rebaseBranch = useCallback(async (tipId, targetId, onLLMResponse, options = {}) => {
+    if (!nodes.some(n => n.id === tipId)) {
+      throw new Error(`Node ${tipId} not found`);
+    }
+
+    const commonAncestor = getCommonAncestor(nodes, tipId, targetId);
+    if (commonAncestor?.id === targetId) {
+      throw new Error('The branch already starts from the target');
+    }
+
+    // A reply to a message that stays behind has nothing to answer on the new base
+    const segment = getBranchSegment(nodes, tipId, targetId);
+    const firstUserIndex = segment.findIndex(n => n.role === 'user');
+    if (firstUserIndex === -1) {
+      throw new Error('Nothing to rebase: the branch has no messages of its own');
+    }
+
+    return replayMessages(segment.slice(firstUserIndex), targetId, onLLMResponse, options);
+  }, [nodes, replayMessages]);
 
   /**
    * Gets the root node of the tree
@@ -172,16 +880,54 @@ export function useChatTree() {
   }, [nodes]);
 
   return {
+    projectId,
     nodes,
     activeNodeId,
     selectedNodeId,
     sendMessage,
     branchFromNode,
+    regenerateNode,
+    selectAlternative,
+    setMemoryMode,
+    editMessage,
+    mergeBranches,
+    cherryPick,
+    rebaseBranch,
+    refreshBranchSummary,
     setActiveNode,
     setSelectedNode,
     togglePin,
+    movePin,
+    pinGroups,
+    addPinGroup,
+    updatePinGroup,
+    movePinGroup,
+    deletePinGroup,
+    sendTargetId,
+    setSendTarget,
+    systemPrompt,
+    setSystemPrompt,
+    setNodeSystemPrompt,
+    contextOverrides,
+    setContextOverrides,
+    inspectContext,
+    excludeFromContext,
+    includeInContext,
+    moveInContext,
+    getCompileOptions,
+    refs,
+    headBranch,
+    setBranch,
+    renameBranch,
+    deleteBranch,
+    checkoutBranch,
+    createTag,
+    deleteTag,
     deleteNode,
     createInitialNode,
+    isGenerating: generatingNodeIds.length > 0,
+    generatingNodeIds,
+    stopGeneration,
     getRootNode,
     getLeafNodes,
     getNodeDepth,
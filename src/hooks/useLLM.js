@@ -1,58 +1,63 @@
-import { useState, useCallback } from 'react';
+import { useState, useCallback, useEffect } from 'react';
+import { isAbortError } from '../utils/streaming';
+import { generateUUID } from '../utils/treeUtils';
+import {
+  getProvider,
+  getProviders,
+  getConfiguredProviders,
+  getSelectedModel,
+  getProviderConfig,
+  listProviderModels,
+  DEFAULT_PARAMETERS,
+  getLLMSettings,
+  updateLLMSettings,
+  subscribeLLMSettings
+} from '../providers';
 
 /**
  * Custom hook for LLM API interactions
- * Handles communication with various LLM providers
+ * Handles communication with the providers in the provider registry
  */
 export function useLLM() {
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState(null);
+  const [settings, setSettings] = useState(getLLMSettings);
+
+  // Keep every hook instance in sync when settings change elsewhere (e.g. from the Terminal)
+  useEffect(() => subscribeLLMSettings(setSettings), []);
 
   /**
-   * Sends a request to the LLM API
+   * Sends a request to a single provider
+   * @param {string} providerId - Provider identifier
    * @param {Object[]} messages - Array of messages in OpenAI format
    * @param {Object} options - API options
+   * @param {string} [options.model] - Model ID, defaults to the provider's selected model
+   * @param {Function} [options.onToken] - Enables streaming; called with (delta, textSoFar)
+   * @param {Function} [options.onUsage] - Called with { inputTokens, outputTokens } reported by the API
+   * @param {AbortSignal} [options.signal] - Cancels the request when aborted
    * @returns {Promise<string>} LLM response
    */
-  const sendToLLM = useCallback(async (messages, options = {}) => {
+  const sendToProvider = useCallback(async (providerId, messages, options = {}) => {
     setIsLoading(true);
     setError(null);
 
     try {
-      const {
-        model = 'gpt-4',
-        temperature = 0.7,
-        maxTokens = 2000,
-        apiKey = process.env.REACT_APP_OPENAI_API_KEY
-      } = options;
-
-      if (!apiKey) {
-        throw new Error('OpenAI API key not found. Please set REACT_APP_OPENAI_API_KEY in your environment.');
+      const provider = getProvider(providerId);
+      if (!provider) {
+        throw new Error(`Unknown LLM provider: ${providerId}`);
       }
 
-      const response = await fetch('https://api.openai.com/v1/chat/completions', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${apiKey}`
-        },
-        body: JSON.stringify({
-          model,
-          messages,
-          temperature,
-          max_tokens: maxTokens
-        })
+      return await provider.send(messages, {
+        ...getProviderConfig(providerId),
+        ...options,
+        model: options.model || getSelectedModel(providerId)
       });
-
-      if (!response.ok) {
-        const errorData = await response.json();
-        throw new Error(errorData.error?.message || `HTTP ${response.status}: ${response.statusText}`);
-      }
-
-      const data = await response.json();
-      return data.choices[0].message.content;
     } catch (err) {
-      const errorMessage = err.message || 'Failed to get response from LLM';
+      // Cancellation is not a failure; let callers tell it apart from API errors
+      if (isAbortError(err)) {
+        throw err;
+      }
+      const errorMessage = err.message || `Failed to get response from ${providerId}`;
       setError(errorMessage);
       throw new Error(errorMessage);
     } finally {
@@ -61,151 +66,163 @@ export function useLLM() {
   }, []);
 
   /**
-   * Sends a request to Anthropic Claude API
-   * @param {Object[]} messages - Array of messages
+   * Generates a response, trying the requested provider first and then the configured fallback order
+   * @param {Object[]} messages - Array of messages in OpenAI format
    * @param {Object} options - API options
-   * @returns {Promise<string>} Claude response
+   * @param {string} [options.provider] - Preferred provider id, defaults to the configured order
+   * @param {string} [options.model] - Model for the preferred provider
+   * @param {number} [options.temperature] - Sampling temperature
+   * @param {number} [options.maxTokens] - Maximum response tokens
+   * @returns {Promise<Object>} { content, provider, model, parameters, latencyMs, fallback, failedProviders, usage }
    */
-  const sendToClaude = useCallback(async (messages, options = {}) => {
-    setIsLoading(true);
-    setError(null);
+  const generate = useCallback(async (messages, options = {}) => {
+    const { provider: preferredId, model, ...requestOptions } = options;
+    const parameters = {
+      temperature: options.temperature ?? DEFAULT_PARAMETERS.temperature,
+      maxTokens: options.maxTokens ?? DEFAULT_PARAMETERS.maxTokens
+    };
 
-    try {
-      const {
-        model = 'claude-3-sonnet-20240229',
-        maxTokens = 2000,
-        apiKey = process.env.REACT_APP_ANTHROPIC_API_KEY
-      } = options;
-
-      if (!apiKey) {
-        throw new Error('Anthropic API key not found. Please set REACT_APP_ANTHROPIC_API_KEY in your environment.');
+    const configured = getConfiguredProviders();
+    let chain = configured;
+    if (preferredId) {
+      const preferred = getProvider(preferredId);
+      if (!preferred) {
+        throw new Error(`Unknown LLM provider: ${preferredId}`);
       }
+      chain = [preferred, ...configured.filter(p => p.id !== preferredId)];
+    }
 
-      // Convert OpenAI format to Claude format
-      const claudeMessages = messages.map(msg => ({
-        role: msg.role === 'assistant' ? 'assistant' : 'user',
-        content: msg.content
-      }));
-
-      const response = await fetch('https://api.anthropic.com/v1/messages', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'x-api-key': apiKey,
-          'anthropic-version': '2023-06-01'
-        },
-        body: JSON.stringify({
-          model,
-          messages: claudeMessages,
-          max_tokens: maxTokens
-        })
-      });
+    const failedProviders = [];
+    let lastError = null;
 
-      if (!response.ok) {
-        const errorData = await response.json();
-        throw new Error(errorData.error?.message || `HTTP ${response.status}: ${response.statusText}`);
-      }
+    for (const [index, provider] of chain.entries()) {
+      // An explicit model only applies to the provider it was chosen for
+      let modelUsed = (index === 0 && model) || getSelectedModel(provider.id);
+      const startedAt = Date.now();
+      let usage = null;
 
-      const data = await response.json();
-      return data.content[0].text;
-    } catch (err) {
-      const errorMessage = err.message || 'Failed to get response from Claude';
-      setError(errorMessage);
-      throw new Error(errorMessage);
-    } finally {
-      setIsLoading(false);
+      try {
+        // Providers without a fixed default (e.g. local servers) use whatever they serve first
+        if (!modelUsed && provider.listModels) {
+          const [firstModel] = await listProviderModels(provider.id, { signal: options.signal });
+          modelUsed = firstModel?.id;
+        }
+
+        const content = await sendToProvider(provider.id, messages, {
+          ...requestOptions,
+          ...parameters,
+          model: modelUsed,
+          onUsage: (reported) => { usage = reported; }
+        });
+
+        return {
+          content,
+          provider: provider.id,
+          model: modelUsed,
+          parameters,
+          latencyMs: Date.now() - startedAt,
+          fallback: failedProviders.length > 0,
+          failedProviders,
+          usage
+        };
+      } catch (err) {
+        if (isAbortError(err)) {
+          throw err;
+        }
+        console.warn(`${provider.name} not available, trying next provider:`, err.message);
+        failedProviders.push({ provider: provider.id, error: err.message });
+        lastError = err;
+      }
     }
-  }, []);
+
+    throw lastError || new Error('No LLM provider configured');
+  }, [sendToProvider]);
 
   /**
-   * Sends a request to Google Gemini API
-   * @param {Object[]} messages - Array of messages
-   * @param {Object} options - API options
-   * @returns {Promise<string>} Gemini response
+   * Sends a request to the configured providers, falling back down the provider order
+   * @param {Object[]} messages - Array of messages in OpenAI format
+   * @param {Object} options - API options, see generate()
+   * @returns {Promise<string>} LLM response from the first provider that succeeds
    */
-  const sendToGemini = useCallback(async (messages, options = {}) => {
-    setIsLoading(true);
-    setError(null);
+  const sendToConfiguredProvider = useCallback(async (messages, options = {}) => {
+    const result = await generate(messages, options);
+    return result.content;
+  }, [generate]);
 
-    try {
-      const {
-        model = 'gemini-2.0-flash-exp',
-        temperature = 0.7,
-        maxTokens = 2000,
-        apiKey = process.env.REACT_APP_GEMINI_API_KEY
-      } = options;
-
-      if (!apiKey) {
-        throw new Error('Gemini API key not found. Please set REACT_APP_GEMINI_API_KEY in your environment.');
-      }
+  const sendToLLM = useCallback((messages, options) => sendToProvider('openai', messages, options), [sendToProvider]);
+  const sendToClaude = useCallback((messages, options) => sendToProvider('anthropic', messages, options), [sendToProvider]);
+  const sendToGemini = useCallback((messages, options) => sendToProvider('gemini', messages, options), [sendToProvider]);
+  const sendToMockLLM = useCallback((messages, options) => sendToProvider('mock', messages, options), [sendToProvider]);
 
-      // Convert OpenAI format to Gemini format
-      const geminiMessages = messages.map(msg => ({
-        role: msg.role === 'assistant' ? 'model' : 'user',
-        parts: [{ text: msg.content }]
-      }));
-
-      const response = await fetch(`https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent?key=${apiKey}`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          contents: geminiMessages,
-          generationConfig: {
-            temperature,
-            maxOutputTokens: maxTokens,
-            topP: 0.95,
-            topK: 40
-          }
-        })
-      });
+  /**
+   * Sets the fallback order of providers
+   * @param {string[]} providerOrder - Provider ids, tried first to last
+   */
+  const setProviderOrder = useCallback((providerOrder) => {
+    const unknown = providerOrder.filter(id => !getProvider(id));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown LLM provider: ${unknown.join(', ')}`);
+    }
+    updateLLMSettings({ providerOrder });
+  }, []);
 
-      if (!response.ok) {
-        const errorData = await response.json();
-        throw new Error(errorData.error?.message || `HTTP ${response.status}: ${response.statusText}`);
-      }
+  /**
+   * Selects the model a provider should use
+   * @param {string} providerId - Provider identifier
+   * @param {string} model - Model ID
+   */
+  const selectModel = useCallback((providerId, model) => {
+    updateLLMSettings({ models: { ...getLLMSettings().models, [providerId]: model } });
+  }, []);
 
-      const data = await response.json();
-      
-      if (!data.candidates || !data.candidates[0] || !data.candidates[0].content) {
-        throw new Error('Invalid response format from Gemini API');
+  /**
+   * Updates a provider's configuration (e.g. { baseUrl } for the local provider)
+   * @param {string} providerId - Provider identifier
+   * @param {Object} config - Configuration to merge
+   */
+  const setProviderConfig = useCallback((providerId, config) => {
+    const { providerConfig = {} } = getLLMSettings();
+    updateLLMSettings({
+      providerConfig: {
+        ...providerConfig,
+        [providerId]: { ...providerConfig[providerId], ...config }
       }
+    });
+  }, []);
 
-      return data.candidates[0].content.parts[0].text;
-    } catch (err) {
-      const errorMessage = err.message || 'Failed to get response from Gemini';
-      setError(errorMessage);
-      throw new Error(errorMessage);
-    } finally {
-      setIsLoading(false);
-    }
+  /**
+   * Updates how compiled context is fitted into the token budget
+   * @param {Object} contextSettings - Settings to merge ({ strategy, maxTokens, keepFirst, keepLast })
+   */
+  const setContextSettings = useCallback((contextSettings) => {
+    updateLLMSettings({ context: { ...getLLMSettings().context, ...contextSettings } });
   }, []);
 
   /**
-   * Mock LLM response for development/testing
-   * @param {Object[]} messages - Array of messages
-   * @returns {Promise<string>} Mock response
+   * Adds a persona to the library, or updates the persona with the same id
+   * @param {Object} persona - { id?, name, content }
+   * @returns {Persona} The saved persona
    */
-  const sendToMockLLM = useCallback(async (messages) => {
-    setIsLoading(true);
-    setError(null);
+  const savePersona = useCallback((persona) => {
+    if (!persona.name?.trim() || !persona.content?.trim()) {
+      throw new Error('A persona needs a name and a system prompt');
+    }
 
-    try {
-      // Simulate API delay
-      await new Promise(resolve => setTimeout(resolve, 1000));
+    const saved = { ...persona, id: persona.id || generateUUID(), name: persona.name.trim() };
+    const { personas } = getLLMSettings();
+    const exists = personas.some(p => p.id === saved.id);
+    updateLLMSettings({
+      personas: exists ? personas.map(p => (p.id === saved.id ? saved : p)) : [...personas, saved]
+    });
+    return saved;
+  }, []);
 
-      const lastMessage = messages[messages.length - 1];
-      const response = `This is a mock response to: "${lastMessage.content}". In a real implementation, this would be sent to an actual LLM API.`;
-      
-      return response;
-    } catch (err) {
-      const errorMessage = err.message || 'Mock LLM failed';
-      setError(errorMessage);
-      throw new Error(errorMessage);
-    } finally {
-      setIsLoading(false);
-    }
+  /**
+   * Removes a persona from the library; prompts that used it keep the copy saved with them
+   * @param {string} personaId - Persona identifier
+   */
+  const deletePersona = useCallback((personaId) => {
+    updateLLMSettings({ personas: getLLMSettings().personas.filter(p => p.id !== personaId) });
   }, []);
 
   /**
@@ -218,6 +235,22 @@ export function useLLM() {
   return {
     isLoading,
     error,
+    providers: getProviders(),
+    providerOrder: settings.providerOrder,
+    setProviderOrder,
+    selectedModels: settings.models,
+    selectModel,
+    providerConfig: settings.providerConfig,
+    setProviderConfig,
+    contextSettings: settings.context,
+    setContextSettings,
+    personas: settings.personas,
+    savePersona,
+    deletePersona,
+    listModels: listProviderModels,
+    sendToProvider,
+    sendToConfiguredProvider,
+    generate,
     sendToLLM,
     sendToClaude,
     sendToGemini,
@@ -0,0 +1,107 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import {
+  getProjectsList,
+  subscribeProjectsList,
+  createProject as createStoredProject,
+  renameProject as renameStoredProject,
+  duplicateProject as duplicateStoredProject,
+  deleteTree,
+  getQuarantinedNodes
+} from '../utils/storage';
+
+/**
+ * Custom hook for the saved projects
+ * Lists, creates, renames, duplicates, deletes and opens projects, and reads the nodes set aside
+ * when a project was repaired on load
+ */
+export function useProjects() {
+  const navigate = useNavigate();
+  const [projects, setProjects] = useState(getProjectsList);
+
+  // Keep every hook instance in sync when the list changes elsewhere (e.g. from the Terminal)
+  useEffect(() => subscribeProjectsList(setProjects), []);
+
+  /**
+   * Finds a project by ID, name (case-insensitive) or unique ID prefix
+   * @param {string} ref - What to look for
+   * @returns {Object} Project metadata
+   * @throws {Error} When no project, or more than one, matches
+   */
+  const findProject = useCallback((ref) => {
+    const query = (ref || '').trim();
+    const exact = projects.find(p => p.id === query)
+      || projects.find(p => p.name.toLowerCase() === query.toLowerCase());
+    if (exact) {
+      return exact;
+    }
+
+    const matches = query ? projects.filter(p => p.id.startsWith(query)) : [];
+    if (matches.length === 1) {
+      return matches[0];
+    }
+    throw new Error(matches.length > 1
+      ? `Project ${query} is ambiguous: ${matches.map(p => `${p.name} (${p.id.slice(0, 8)})`).join(', ')}`
+      : `Project ${query} not found`);
+  }, [projects]);
+
+  const openProject = useCallback((projectId) => {
+    navigate(projectId ? `/app/${projectId}` : '/app');
+  }, [navigate]);
+
+  /**
+   * Creates an empty project
+   * @param {string} name - Project name
+   * @returns {Promise<Object>} Metadata of the new project
+   */
+  const createProject = useCallback(async (name) => {
+    if (!name || !name.trim()) {
+      throw new Error('A project needs a name');
+    }
+    const project = await createStoredProject(name.trim());
+    if (!project) {
+      throw new Error('Failed to save the new project');
+    }
+    return project;
+  }, []);
+
+  const renameProject = useCallback((projectId, name) => {
+    if (!name || !name.trim()) {
+      throw new Error('A project needs a name');
+    }
+    if (!renameStoredProject(projectId, name.trim())) {
+      throw new Error('Failed to rename the project');
+    }
+  }, []);
+
+  /**
+   * Copies a project
+   * @param {string} projectId - Project to copy
+   * @param {string} [name] - Name of the copy
+   * @returns {Promise<Object>} Metadata of the copy
+   */
+  const duplicateProject = useCallback(async (projectId, name) => {
+    const project = await duplicateStoredProject(projectId, name && name.trim());
+    if (!project) {
+      throw new Error('Failed to duplicate the project');
+    }
+    return project;
+  }, []);
+
+  const deleteProject = useCallback(async (projectId) => {
+    if (!await deleteTree(projectId)) {
+      throw new Error('Failed to delete the project');
+    }
+  }, []);
+
+  return {
+    projects,
+    findProject,
+    openProject,
+    createProject,
+    renameProject,
+    duplicateProject,
+    deleteProject,
+    getQuarantinedNodes
+  };
+}
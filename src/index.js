@@ -2,6 +2,10 @@ import React from 'react';
 import ReactDOM from 'react-dom/client';
 import './styles/App.css';
 import App from './App';
+import { supabase } from './lib/supabase';
+import { initCloudSync } from './utils/cloudSync';
+
+initCloudSync({ client: supabase });
 
 const root = ReactDOM.createRoot(document.getElementById('root'));
 root.render(
@@ -0,0 +1,202 @@
+/**
+ * In-memory stand-in for the Supabase client, for running cloud sync without a server (e.g. in tests)
+ * Keeps the projects and nodes tables of SUPABASE_SYNC.md in memory and behaves like the database
+ * set up there: every write gets the next sequence number and a new revision, inserting an existing
+ * key fails with Postgres error 23505, and rows are only visible to the user who owns them. Only the
+ * parts of the client cloud sync uses are provided: auth.getSession(), auth.onAuthStateChange() and
+ * from(table) with select, eq, gt, match, order, limit, maybeSingle, insert, update, upsert and delete.
+ */
+
+// Primary key columns of each table
+const PRIMARY_KEYS = {
+  projects: ['user_id', 'id'],
+  nodes: ['user_id', 'project_id', 'id']
+};
+
+// Column defaults of each table, as in the SQL setup
+const COLUMN_DEFAULTS = {
+  projects: { name: '', settings: {}, deleted: false },
+  nodes: { node: null, deleted: false }
+};
+
+// Rows go in and out as JSON, as they would over the network
+const copy = (value) => JSON.parse(JSON.stringify(value));
+
+/**
+ * Creates a stand-in Supabase client
+ * @param {Object} [options]
+ * @param {string|null} [options.userId] - User signed in from the start
+ * @returns {Object} Client with auth and from(), plus helpers for tests: signIn(userId), signOut(),
+ *   setOffline(offline) to make every query fail as if the network were down, and rows(table) to read a table
+ */
+export function createMemorySupabase({ userId = null } = {}) {
+  const tables = { projects: [], nodes: [] };
+  const authListeners = new Set();
+  let session = userId ? { user: { id: userId } } : null;
+  let offline = false;
+  let seq = 0;
+
+  const stamp = (row, previous) => {
+    seq += 1;
+    row.seq = seq;
+    row.revision = previous ? previous.revision + 1 : 1;
+    return row;
+  };
+
+  const samePrimaryKey = (table, a, b) => PRIMARY_KEYS[table].every(column => a[column] === b[column]);
+
+  /**
+   * Runs a query built with from(table)
+   * @param {Object} query - What the builder collected
+   * @returns {Object} { data, error } as the Supabase client resolves it
+   */
+  const run = ({ table, action, values, options, filters, order, limit, returning, single }) => {
+    if (offline) {
+      return { data: null, error: { message: 'TypeError: Failed to fetch', code: '' } };
+    }
+    if (!tables[table]) {
+      return { data: null, error: { message: `relation "${table}" does not exist`, code: '42P01' } };
+    }
+
+    const rows = tables[table];
+    const user = session?.user?.id;
+    // Row level security: only the signed-in user's rows exist for them
+    const visible = (row) => row.user_id === user;
+    const matches = (row) => visible(row) && filters.every(filter => filter(row));
+    let result = [];
+
+    if (action === 'insert' || action === 'upsert') {
+      const inserted = [].concat(values).map(value => ({
+        ...COLUMN_DEFAULTS[table],
+        user_id: user,
+        updated_at: new Date().toISOString(),
+        ...copy(value)
+      }));
+      if (inserted.some(row => !visible(row))) {
+        return { data: null, error: { message: `new row violates row-level security policy for table "${table}"`, code: '42501' } };
+      }
+      for (const row of inserted) {
+        const index = rows.findIndex(existing => samePrimaryKey(table, existing, row));
+        if (index === -1) {
+          rows.push(stamp(row));
+        } else if (action === 'upsert' && !options.ignoreDuplicates) {
+          rows[index] = stamp({ ...rows[index], ...row }, rows[index]);
+        } else {
+          return { data: null, error: { message: `duplicate key value violates unique constraint "${table}_pkey"`, code: '23505' } };
+        }
+        result.push(rows.find(existing => samePrimaryKey(table, existing, row)));
+      }
+    } else if (action === 'update') {
+      rows.forEach((row, index) => {
+        if (matches(row)) {
+          rows[index] = stamp({ ...row, ...copy(values) }, row);
+          result.push(rows[index]);
+        }
+      });
+    } else if (action === 'delete') {
+      result = rows.filter(matches);
+      tables[table] = rows.filter(row => !matches(row));
+    } else {
+      result = rows.filter(matches);
+      if (order) {
+        const direction = order.ascending ? 1 : -1;
+        result = [...result].sort((a, b) => (a[order.column] > b[order.column] ? direction : -direction));
+      }
+      if (limit !== null) {
+        result = result.slice(0, limit);
+      }
+    }
+
+    if (action !== 'select' && !returning) {
+      return { data: null, error: null };
+    }
+    if (single) {
+      return result.length > 1
+        ? { data: null, error: { message: 'Results contain more than one row', code: 'PGRST116' } }
+        : { data: result.length === 1 ? copy(result[0]) : null, error: null };
+    }
+    return { data: copy(result), error: null };
+  };
+
+  const from = (table) => {
+    const query = {
+      table, action: 'select', values: null, options: {}, filters: [], order: null, limit: null, returning: false, single: false
+    };
+    const builder = {
+      // After insert, update, upsert or delete this asks for the written rows back
+      select() {
+        if (query.action !== 'select') {
+          query.returning = true;
+        }
+        return builder;
+      },
+      insert(values) {
+        Object.assign(query, { action: 'insert', values });
+        return builder;
+      },
+      upsert(values, options = {}) {
+        Object.assign(query, { action: 'upsert', values, options });
+        return builder;
+      },
+      update(values) {
+        Object.assign(query, { action: 'update', values });
+        return builder;
+      },
+      delete() {
+        query.action = 'delete';
+        return builder;
+      },
+      eq(column, value) {
+        query.filters.push(row => row[column] === value);
+        return builder;
+      },
+      gt(column, value) {
+        query.filters.push(row => row[column] > value);
+        return builder;
+      },
+      match(conditions) {
+        Object.entries(conditions).forEach(([column, value]) => builder.eq(column, value));
+        return builder;
+      },
+      order(column, { ascending = true } = {}) {
+        query.order = { column, ascending };
+        return builder;
+      },
+      limit(count) {
+        query.limit = count;
+        return builder;
+      },
+      maybeSingle() {
+        query.single = true;
+        return builder;
+      },
+      // Queries run when awaited, like the real client's
+      then(resolve, reject) {
+        return Promise.resolve().then(() => run(query)).then(resolve, reject);
+      }
+    };
+    return builder;
+  };
+
+  const setSession = (event, nextSession) => {
+    session = nextSession;
+    authListeners.forEach(listener => listener(event, session));
+  };
+
+  return {
+    from,
+    auth: {
+      getSession: async () => ({ data: { session }, error: null }),
+      onAuthStateChange(listener) {
+        authListeners.add(listener);
+        return { data: { subscription: { unsubscribe: () => authListeners.delete(listener) } } };
+      }
+    },
+    signIn: (id) => setSession('SIGNED_IN', { user: { id } }),
+    signOut: () => setSession('SIGNED_OUT', null),
+    setOffline: (value) => {
+      offline = value;
+    },
+    rows: (table) => copy(tables[table])
+  };
+}
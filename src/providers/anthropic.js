@@ -0,0 +1,112 @@
+/**
+ * Anthropic provider
+ * Messages API with SSE streaming
+ */
+
+import { readEventStream, parseEventData } from '../utils/streaming';
+import { readErrorMessage } from './openai';
+
+export const anthropicProvider = {
+  id: 'anthropic',
+  name: 'Anthropic Claude',
+  defaultModel: 'claude-3-sonnet-20240229',
+  models: [
+    { id: 'claude-3-5-sonnet-latest', label: 'Claude 3.5 Sonnet', contextWindow: 200000 },
+    { id: 'claude-3-5-haiku-latest', label: 'Claude 3.5 Haiku', contextWindow: 200000 },
+    { id: 'claude-3-sonnet-20240229', label: 'Claude 3 Sonnet', contextWindow: 200000 }
+  ],
+  capabilities: {
+    streaming: true,
+    requiresApiKey: true
+  },
+
+  isConfigured() {
+    return Boolean(process.env.REACT_APP_ANTHROPIC_API_KEY);
+  },
+
+  // Convert OpenAI format to Claude format; system messages go in the separate system field
+  adaptMessages(messages) {
+    return messages
+      .filter(msg => msg.role !== 'system')
+      .map(msg => ({
+        role: msg.role === 'assistant' ? 'assistant' : 'user',
+        content: msg.content
+      }));
+  },
+
+  adaptSystemPrompt(messages) {
+    const system = messages.filter(msg => msg.role === 'system').map(msg => msg.content).join('\n\n');
+    return system || undefined;
+  },
+
+  async send(messages, options = {}) {
+    const {
+      model = this.defaultModel,
+      temperature = 0.7,
+      maxTokens = 2000,
+      apiKey = process.env.REACT_APP_ANTHROPIC_API_KEY,
+      onToken,
+      onUsage,
+      signal
+    } = options;
+
+    if (!apiKey) {
+      throw new Error('Anthropic API key not found. Please set REACT_APP_ANTHROPIC_API_KEY in your environment.');
+    }
+
+    const response = await fetch('https://api.anthropic.com/v1/messages', {
+      method: 'POST',
+      signal,
+      headers: {
+        'Content-Type': 'application/json',
+        'x-api-key': apiKey,
+        'anthropic-version': '2023-06-01'
+      },
+      body: JSON.stringify({
+        model,
+        system: this.adaptSystemPrompt(messages),
+        messages: this.adaptMessages(messages),
+        temperature,
+        max_tokens: maxTokens,
+        stream: Boolean(onToken)
+      })
+    });
+
+    if (!response.ok) {
+      throw new Error(await readErrorMessage(response));
+    }
+
+    if (onToken) {
+      let text = '';
+      // Input tokens arrive with message_start, the output total with the final message_delta
+      const usage = { inputTokens: 0, outputTokens: 0 };
+      await readEventStream(response, ({ data }) => {
+        const event = parseEventData(data);
+        if (event?.type === 'error') {
+          throw new Error(event.error?.message || 'Claude stream failed');
+        }
+        if (event?.type === 'message_start' && event.message?.usage) {
+          usage.inputTokens = event.message.usage.input_tokens;
+          usage.outputTokens = event.message.usage.output_tokens;
+        }
+        if (event?.type === 'message_delta' && event.usage) {
+          usage.outputTokens = event.usage.output_tokens;
+        }
+        if (event?.type === 'content_block_delta' && event.delta?.text) {
+          text += event.delta.text;
+          onToken(event.delta.text, text);
+        }
+      });
+      if (onUsage && usage.inputTokens) {
+        onUsage(usage);
+      }
+      return text;
+    }
+
+    const data = await response.json();
+    if (onUsage && data.usage) {
+      onUsage({ inputTokens: data.usage.input_tokens, outputTokens: data.usage.output_tokens });
+    }
+    return data.content[0].text;
+  }
+};
@@ -0,0 +1,48 @@
+import { anthropicProvider } from './anthropic';
+
+// Answers every request with a finished, non-streamed reply
+function mockFetch() {
+  global.fetch = jest.fn(async () => ({
+    ok: true,
+    json: async () => ({ content: [{ text: 'Hello' }], usage: { input_tokens: 12, output_tokens: 3 } })
+  }));
+  return global.fetch;
+}
+
+const requestBody = (fetchMock) => JSON.parse(fetchMock.mock.calls[0][1].body);
+
+describe('anthropicProvider.send', () => {
+  const messages = [
+    { role: 'system', content: 'Be brief.' },
+    { role: 'user', content: 'Hi' }
+  ];
+
+  afterEach(() => {
+    delete global.fetch;
+  });
+
+  test('sends the temperature and max tokens asked for', async () => {
+    const fetchMock = mockFetch();
+    const onUsage = jest.fn();
+    const text = await anthropicProvider.send(messages, {
+      apiKey: 'key', model: 'claude-3-5-haiku-latest', temperature: 0.2, maxTokens: 500, onUsage
+    });
+
+    expect(text).toBe('Hello');
+    expect(requestBody(fetchMock)).toEqual({
+      model: 'claude-3-5-haiku-latest',
+      system: 'Be brief.',
+      messages: [{ role: 'user', content: 'Hi' }],
+      temperature: 0.2,
+      max_tokens: 500,
+      stream: false
+    });
+    expect(onUsage).toHaveBeenCalledWith({ inputTokens: 12, outputTokens: 3 });
+  });
+
+  test('sends the default temperature when none is given', async () => {
+    const fetchMock = mockFetch();
+    await anthropicProvider.send(messages, { apiKey: 'key' });
+    expect(requestBody(fetchMock).temperature).toBe(0.7);
+  });
+});
@@ -0,0 +1,134 @@
+/**
+ * Google Gemini provider
+ * generateContent / streamGenerateContent APIs
+ */
+
+import { readEventStream, parseEventData } from '../utils/streaming';
+import { readErrorMessage } from './openai';
+
+/**
+ * Converts Gemini usage metadata to the shared usage shape
+ * @param {Object} [usageMetadata] - usageMetadata from a response or stream chunk
+ * @returns {Object|null} { inputTokens, outputTokens } or null when absent
+ */
+function readUsage(usageMetadata) {
+  if (!usageMetadata) {
+    return null;
+  }
+  return {
+    inputTokens: usageMetadata.promptTokenCount || 0,
+    outputTokens: usageMetadata.candidatesTokenCount || 0
+  };
+}
+
+export const geminiProvider = {
+  id: 'gemini',
+  name: 'Google Gemini',
+  defaultModel: 'gemini-2.0-flash-exp',
+  models: [
+    { id: 'gemini-2.0-flash-exp', label: 'Gemini 2.0 Flash', contextWindow: 1048576 },
+    { id: 'gemini-1.5-pro', label: 'Gemini 1.5 Pro', contextWindow: 2097152 },
+    { id: 'gemini-1.5-flash', label: 'Gemini 1.5 Flash', contextWindow: 1048576 }
+  ],
+  capabilities: {
+    streaming: true,
+    requiresApiKey: true
+  },
+
+  isConfigured() {
+    return Boolean(process.env.REACT_APP_GEMINI_API_KEY);
+  },
+
+  // Convert OpenAI format to Gemini format; system messages go in systemInstruction
+  adaptMessages(messages) {
+    return messages
+      .filter(msg => msg.role !== 'system')
+      .map(msg => ({
+        role: msg.role === 'assistant' ? 'model' : 'user',
+        parts: [{ text: msg.content }]
+      }));
+  },
+
+  adaptSystemPrompt(messages) {
+    const parts = messages.filter(msg => msg.role === 'system').map(msg => ({ text: msg.content }));
+    return parts.length > 0 ? { parts } : undefined;
+  },
+
+  async send(messages, options = {}) {
+    const {
+      model = this.defaultModel,
+      temperature = 0.7,
+      maxTokens = 2000,
+      apiKey = process.env.REACT_APP_GEMINI_API_KEY,
+      onToken,
+      onUsage,
+      signal
+    } = options;
+
+    if (!apiKey) {
+      throw new Error('Gemini API key not found. Please set REACT_APP_GEMINI_API_KEY in your environment.');
+    }
+
+    const endpoint = onToken
+      ? `streamGenerateContent?alt=sse&key=${apiKey}`
+      : `generateContent?key=${apiKey}`;
+
+    const response = await fetch(`https://generativelanguage.googleapis.com/v1beta/models/${model}:${endpoint}`, {
+      method: 'POST',
+      signal,
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({
+        contents: this.adaptMessages(messages),
+        systemInstruction: this.adaptSystemPrompt(messages),
+        generationConfig: {
+          temperature,
+          maxOutputTokens: maxTokens,
+          topP: 0.95,
+          topK: 40
+        }
+      })
+    });
+
+    if (!response.ok) {
+      throw new Error(await readErrorMessage(response));
+    }
+
+    if (onToken) {
+      let text = '';
+      let usage = null;
+      await readEventStream(response, ({ data }) => {
+        const chunk = parseEventData(data);
+        // Every chunk carries running totals; the last one is final
+        usage = readUsage(chunk?.usageMetadata) || usage;
+        const parts = chunk?.candidates?.[0]?.content?.parts || [];
+        const delta = parts.map(part => part.text || '').join('');
+        if (delta) {
+          text += delta;
+          onToken(delta, text);
+        }
+      });
+
+      if (!text) {
+        throw new Error('Invalid response format from Gemini API');
+      }
+      if (onUsage && usage) {
+        onUsage(usage);
+      }
+      return text;
+    }
+
+    const data = await response.json();
+
+    if (!data.candidates || !data.candidates[0] || !data.candidates[0].content) {
+      throw new Error('Invalid response format from Gemini API');
+    }
+
+    const usage = readUsage(data.usageMetadata);
+    if (onUsage && usage) {
+      onUsage(usage);
+    }
+    return data.candidates[0].content.parts[0].text;
+  }
+};
@@ -0,0 +1,272 @@
+/**
+ * LLM Provider Registry for LangFork
+ * Each provider declares its id, models, capabilities and message adapter.
+ * Callers ask for the configured provider order instead of hard-coding one.
+ */
+
+import { openaiProvider } from './openai';
+import { anthropicProvider } from './anthropic';
+import { geminiProvider } from './gemini';
+import { mockProvider } from './mock';
+import { localProvider } from './local';
+import { loadLLMSettings, saveLLMSettings } from '../utils/storage';
+
+/**
+ * Provider definition
+ * @typedef {Object} Provider
+ * @property {string} id - Unique provider identifier
+ * @property {string} name - Human-readable name
+ * @property {string} defaultModel - Model used when none is selected
+ * @property {Object[]} models - Known models ({ id, label, contextWindow })
+ * @property {Object} capabilities - Feature flags (streaming, requiresApiKey, ...)
+ * @property {Function} isConfigured - Returns true when the provider can be called
+ * @property {Function} adaptMessages - Converts OpenAI-format messages to the provider format
+ * @property {Function} send - Sends messages, resolves to the response text; reports token usage
+ *   through options.onUsage({ inputTokens, outputTokens }) when the API returns it
+ * @property {Function} [listModels] - Discovers models at runtime (capabilities.modelDiscovery)
+ * @property {Function} [embed] - Resolves texts to embedding vectors (capabilities.embeddings)
+ */
+
+const providers = new Map();
+
+// Sampling parameters used when a send doesn't override them
+export const DEFAULT_PARAMETERS = {
+  temperature: 0.7,
+  maxTokens: 2000
+};
+
+// How compiled context is fitted into the model's window (see compileContext)
+export const DEFAULT_CONTEXT_SETTINGS = {
+  strategy: 'drop-oldest',
+  maxTokens: null, // null uses the model's context window
+  keepFirst: 2,
+  keepLast: 6,
+  branchSummaries: true, // keep rolling LLM summaries of sub-branches and send those instead of transcripts
+  retrievalTopK: 5, // nodes the 'retrieval' memory mode pulls in for each prompt
+  embeddingModel: null // local server model used to embed nodes for retrieval; null uses BM25 only
+};
+
+// Assumed window for models that don't advertise one (e.g. most local servers)
+const FALLBACK_CONTEXT_WINDOW = 8192;
+
+const listeners = new Set();
+// Models found through runtime discovery, keyed by provider id
+const discoveredModels = new Map();
+
+// Fallback order used until the user configures one
+const DEFAULT_PROVIDER_ORDER = (process.env.REACT_APP_LLM_PROVIDERS || 'gemini,mock')
+  .split(',')
+  .map(id => id.trim())
+  .filter(Boolean);
+
+let settings = {
+  providerOrder: DEFAULT_PROVIDER_ORDER,
+  models: {},
+  providerConfig: {},
+  personas: [], // System prompts reusable across projects
+  ...loadLLMSettings()
+};
+settings.context = { ...DEFAULT_CONTEXT_SETTINGS, ...settings.context };
+
+/**
+ * Registers a provider, replacing any provider with the same id
+ * @param {Provider} provider - Provider definition
+ */
+export function registerProvider(provider) {
+  providers.set(provider.id, provider);
+}
+
+/**
+ * Gets a provider by id
+ * @param {string} providerId - Provider identifier
+ * @returns {Provider|undefined} Provider or undefined if not registered
+ */
+export function getProvider(providerId) {
+  return providers.get(providerId);
+}
+
+/**
+ * Gets all registered providers
+ * @returns {Provider[]} Array of providers
+ */
+export function getProviders() {
+  return [...providers.values()];
+}
+
+/**
+ * Gets the current LLM settings
+ * @returns {Object} Settings with providerOrder and per-provider model selection
+ */
+export function getLLMSettings() {
+  return settings;
+}
+
+/**
+ * Updates and persists LLM settings, notifying subscribers
+ * @param {Object} updates - Partial settings to merge
+ * @returns {Object} The new settings
+ */
+export function updateLLMSettings(updates) {
+  settings = { ...settings, ...updates };
+  saveLLMSettings(settings);
+  listeners.forEach(listener => listener(settings));
+  return settings;
+}
+
+/**
+ * Subscribes to settings changes
+ * @param {Function} listener - Called with the new settings
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribeLLMSettings(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+/**
+ * Gets the model selected for a provider
+ * @param {string} providerId - Provider identifier
+ * @returns {string|undefined} Selected model, or the provider default
+ */
+export function getSelectedModel(providerId) {
+  return settings.models?.[providerId] || getProvider(providerId)?.defaultModel;
+}
+
+/**
+ * Gets the user configuration for a provider (e.g. the local server's baseUrl)
+ * @param {string} providerId - Provider identifier
+ * @returns {Object} Options merged into every request to that provider
+ */
+export function getProviderConfig(providerId) {
+  return settings.providerConfig?.[providerId] || {};
+}
+
+/**
+ * Lists the models a provider offers, discovering them from the server when supported
+ * @param {string} providerId - Provider identifier
+ * @param {Object} [options] - Extra discovery options (e.g. signal)
+ * @returns {Promise<Object[]>} Models as { id, label, contextWindow }
+ */
+export async function listProviderModels(providerId, options = {}) {
+  const provider = getProvider(providerId);
+  if (!provider) {
+    throw new Error(`Unknown LLM provider: ${providerId}`);
+  }
+
+  if (!provider.listModels) {
+    return provider.models;
+  }
+
+  const models = await provider.listModels({ ...getProviderConfig(providerId), ...options });
+  discoveredModels.set(providerId, models);
+  return models;
+}
+
+/**
+ * Finds the provider that lists a model among its known models
+ * @param {string} modelId - Model ID
+ * @returns {Provider|undefined} Matching provider
+ */
+export function findProviderForModel(modelId) {
+  return getProviders().find(provider =>
+    provider.models.some(model => model.id === modelId) || getSelectedModel(provider.id) === modelId
+  );
+}
+
+/**
+ * Resolves the configured fallback chain, skipping unknown and unconfigured providers
+ * @returns {Provider[]} Providers in the order they should be tried
+ */
+export function getConfiguredProviders() {
+  const chain = settings.providerOrder
+    .map(id => getProvider(id))
+    .filter(provider => provider && provider.isConfigured());
+
+  // The mock provider always answers, so a misconfigured order never leaves us without a reply
+  if (chain.length === 0) {
+    chain.push(mockProvider);
+  }
+
+  return chain;
+}
+
+/**
+ * Resolves which provider and model a request will most likely go to
+ * @param {Object} [llmOptions] - Per-send options ({ provider, model })
+ * @returns {Object} { provider, model } (model may be undefined for undiscovered local servers)
+ */
+export function getContextTarget(llmOptions = {}) {
+  const providerId = llmOptions.provider
+    || (llmOptions.model && findProviderForModel(llmOptions.model)?.id)
+    || getConfiguredProviders()[0].id;
+
+  return {
+    provider: providerId,
+    model: llmOptions.model || getSelectedModel(providerId) || discoveredModels.get(providerId)?.[0]?.id
+  };
+}
+
+/**
+ * Gets the context window of the model a request will go to
+ * @param {Object} [llmOptions] - Per-send options ({ provider, model })
+ * @returns {number} Context window in tokens
+ */
+export function getContextWindow(llmOptions = {}) {
+  const { provider: providerId, model } = getContextTarget(llmOptions);
+  const provider = getProvider(providerId);
+  const known = [...(discoveredModels.get(providerId) || []), ...(provider?.models || [])]
+    .find(m => m.id === model);
+
+  return known?.contextWindow || FALLBACK_CONTEXT_WINDOW;
+}
+
+/**
+ * Gets the token budget for compiled context: the model's window minus room for the reply,
+ * capped by the user's own budget when one is set
+ * @param {Object} [llmOptions] - Per-send options ({ provider, model, maxTokens })
+ * @returns {number} Maximum tokens for the context
+ */
+export function getContextBudget(llmOptions = {}) {
+  const replyTokens = llmOptions.maxTokens ?? DEFAULT_PARAMETERS.maxTokens;
+  const modelBudget = Math.max(getContextWindow(llmOptions) - replyTokens, 0);
+  const userBudget = settings.context.maxTokens;
+
+  return userBudget ? Math.min(userBudget, modelBudget) : modelBudget;
+}
+
+/**
+ * Gets the compileContext options that fit the context to the model a send will use
+ * @param {Object} [llmOptions] - Per-send options ({ provider, model, maxTokens })
+ * @returns {Object} Budget, strategy, retrieval settings, persona library and tokenizer target for compileContext
+ */
+export function getContextOptions(llmOptions = {}) {
+  const { strategy, keepFirst, keepLast, branchSummaries, retrievalTopK, embeddingModel } = settings.context;
+  return {
+    maxTokens: getContextBudget(llmOptions),
+    strategy,
+    keepFirst,
+    keepLast,
+    useBranchSummaries: branchSummaries,
+    retrievalTopK,
+    embeddingModel,
+    personas: settings.personas,
+    target: getContextTarget(llmOptions)
+  };
+}
+
+/**
+ * Embeds texts for retrieval with the embedding model chosen in the context settings.
+ * Embeddings always come from the local server, so node texts never leave the machine for indexing.
+ * @param {string[]} texts - Texts to embed
+ * @param {Object} [options] - Extra request options (e.g. signal)
+ * @returns {Promise<number[][]>} One vector per text
+ */
+export function embedTexts(texts, options = {}) {
+  const { embeddingModel } = settings.context;
+  if (!embeddingModel) {
+    return Promise.reject(new Error('No embedding model is set'));
+  }
+  return localProvider.embed(texts, { ...getProviderConfig(localProvider.id), ...options, model: embeddingModel });
+}
+
+[geminiProvider, openaiProvider, anthropicProvider, localProvider, mockProvider].forEach(registerProvider);
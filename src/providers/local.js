@@ -0,0 +1,170 @@
+/**
+ * Local provider
+ * Any server speaking the OpenAI /v1 protocol on our own hardware (Ollama, llama.cpp server, vLLM)
+ */
+
+import { sendChatCompletion, readErrorMessage } from './openai';
+
+// Ollama's default port; llama.cpp server and vLLM usually run on :8080 / :8000
+const DEFAULT_BASE_URL = process.env.REACT_APP_LOCAL_LLM_URL || 'http://localhost:11434';
+
+/**
+ * Joins the base URL with an OpenAI API path, tolerating a trailing slash or /v1 suffix
+ * @param {string} baseUrl - Server base URL
+ * @param {string} path - API path below /v1
+ * @returns {string} Full URL
+ */
+function buildUrl(baseUrl, path) {
+  const root = baseUrl.replace(/\/+$/, '').replace(/\/v1$/, '');
+  return `${root}/v1/${path}`;
+}
+
+/**
+ * Builds auth headers; local servers usually need none, vLLM accepts --api-key
+ * @param {string} [apiKey] - Optional API key
+ * @returns {Object} Headers
+ */
+function authHeaders(apiKey) {
+  return apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {};
+}
+
+export const localProvider = {
+  id: 'local',
+  name: 'Local (OpenAI-compatible)',
+  defaultModel: null,
+  defaultBaseUrl: DEFAULT_BASE_URL,
+  // Models are discovered from the server at runtime
+  models: [],
+  capabilities: {
+    streaming: true,
+    requiresApiKey: false,
+    modelDiscovery: true,
+    embeddings: true
+  },
+
+  isConfigured() {
+    return true;
+  },
+
+  adaptMessages(messages) {
+    return messages.map(msg => ({ role: msg.role, content: msg.content }));
+  },
+
+  /**
+   * Lists the models served by the local endpoint
+   * @param {Object} options - Discovery options
+   * @param {string} [options.baseUrl] - Server base URL
+   * @param {string} [options.apiKey] - Optional API key
+   * @param {AbortSignal} [options.signal] - Cancels the request when aborted
+   * @returns {Promise<Object[]>} Models as { id, label, contextWindow }
+   */
+  async listModels(options = {}) {
+    const {
+      baseUrl = DEFAULT_BASE_URL,
+      apiKey = process.env.REACT_APP_LOCAL_LLM_API_KEY,
+      signal
+    } = options;
+
+    let response;
+    try {
+      response = await fetch(buildUrl(baseUrl, 'models'), {
+        signal,
+        headers: authHeaders(apiKey)
+      });
+    } catch (error) {
+      if (error.name === 'AbortError') throw error;
+      throw new Error(`Could not reach local model server at ${baseUrl}. Is it running?`);
+    }
+
+    if (!response.ok) {
+      throw new Error(await readErrorMessage(response));
+    }
+
+    const data = await response.json();
+    return (data.data || []).map(model => ({
+      id: model.id,
+      label: model.id,
+      contextWindow: model.context_length || model.max_model_len || null
+    }));
+  },
+
+  /**
+   * Embeds texts with an embedding model served by the local endpoint (e.g. nomic-embed-text on Ollama)
+   * @param {string[]} texts - Texts to embed
+   * @param {Object} options - Embedding options
+   * @param {string} options.model - Embedding model ID
+   * @param {string} [options.baseUrl] - Server base URL
+   * @param {string} [options.apiKey] - Optional API key
+   * @param {AbortSignal} [options.signal] - Cancels the request when aborted
+   * @returns {Promise<number[][]>} One vector per text, in order
+   */
+  async embed(texts, options = {}) {
+    const {
+      baseUrl = DEFAULT_BASE_URL,
+      apiKey = process.env.REACT_APP_LOCAL_LLM_API_KEY,
+      model,
+      signal
+    } = options;
+
+    let response;
+    try {
+      response = await fetch(buildUrl(baseUrl, 'embeddings'), {
+        method: 'POST',
+        signal,
+        headers: { 'Content-Type': 'application/json', ...authHeaders(apiKey) },
+        body: JSON.stringify({ model, input: texts })
+      });
+    } catch (error) {
+      if (error.name === 'AbortError') throw error;
+      throw new Error(`Could not reach local model server at ${baseUrl}. Is it running?`);
+    }
+
+    if (!response.ok) {
+      throw new Error(await readErrorMessage(response));
+    }
+
+    const data = await response.json();
+    return [...(data.data || [])]
+      .sort((a, b) => a.index - b.index)
+      .map(item => item.embedding);
+  },
+
+  async send(messages, options = {}) {
+    const {
+      baseUrl = DEFAULT_BASE_URL,
+      apiKey = process.env.REACT_APP_LOCAL_LLM_API_KEY,
+      temperature = 0.7,
+      maxTokens = 2000,
+      onToken,
+      onUsage,
+      signal
+    } = options;
+
+    // Fall back to whatever the server has loaded when no model was selected
+    let model = options.model;
+    if (!model) {
+      const [firstModel] = await this.listModels({ baseUrl, apiKey, signal });
+      if (!firstModel) {
+        throw new Error(`No models available on local server ${baseUrl}`);
+      }
+      model = firstModel.id;
+    }
+
+    try {
+      return await sendChatCompletion(buildUrl(baseUrl, 'chat/completions'), this.adaptMessages(messages), {
+        model,
+        temperature,
+        maxTokens,
+        headers: authHeaders(apiKey),
+        onToken,
+        onUsage,
+        signal
+      });
+    } catch (error) {
+      if (error.name === 'TypeError') {
+        throw new Error(`Could not reach local model server at ${baseUrl}. Is it running?`);
+      }
+      throw error;
+    }
+  }
+};
@@ -0,0 +1,66 @@
+/**
+ * Mock provider for development/testing
+ * Always available, used as the last resort in the fallback order
+ */
+
+/**
+ * Waits for the given delay, rejecting early with an AbortError if the signal fires
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal} [signal] - Optional abort signal
+ * @returns {Promise<void>}
+ */
+function abortableDelay(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(new DOMException('The operation was aborted.', 'AbortError'));
+      return;
+    }
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => {
+      clearTimeout(timer);
+      reject(new DOMException('The operation was aborted.', 'AbortError'));
+    }, { once: true });
+  });
+}
+
+export const mockProvider = {
+  id: 'mock',
+  name: 'Mock Responses',
+  defaultModel: 'mock',
+  models: [
+    { id: 'mock', label: 'Mock', contextWindow: 1000000 }
+  ],
+  capabilities: {
+    streaming: true,
+    requiresApiKey: false
+  },
+
+  isConfigured() {
+    return true;
+  },
+
+  adaptMessages(messages) {
+    return messages;
+  },
+
+  async send(messages, options = {}) {
+    const { onToken, signal } = options;
+
+    // Simulate API delay
+    await abortableDelay(1000, signal);
+
+    const lastMessage = messages[messages.length - 1];
+    const response = `This is a mock response to: "${lastMessage.content}". In a real implementation, this would be sent to an actual LLM API.`;
+
+    if (onToken) {
+      let text = '';
+      for (const word of response.match(/\S+\s*/g) || []) {
+        await abortableDelay(30, signal);
+        text += word;
+        onToken(word, text);
+      }
+    }
+
+    return response;
+  }
+};
@@ -0,0 +1,133 @@
+/**
+ * OpenAI provider
+ * Chat Completions API with SSE streaming
+ */
+
+import { readEventStream, parseEventData } from '../utils/streaming';
+
+/**
+ * Reads an error message from a failed API response
+ * @param {Response} response - Fetch response
+ * @returns {Promise<string>} Error message
+ */
+export async function readErrorMessage(response) {
+  try {
+    const errorData = await response.json();
+    return errorData.error?.message || `HTTP ${response.status}: ${response.statusText}`;
+  } catch (error) {
+    return `HTTP ${response.status}: ${response.statusText}`;
+  }
+}
+
+/**
+ * Sends messages to an OpenAI-compatible /chat/completions endpoint
+ * @param {string} url - Full endpoint URL
+ * @param {Object[]} messages - Messages in OpenAI format
+ * @param {Object} options - Request options
+ * @param {string} options.model - Model ID
+ * @param {number} options.temperature - Sampling temperature
+ * @param {number} options.maxTokens - Maximum completion tokens
+ * @param {Object} [options.headers] - Extra request headers
+ * @param {Function} [options.onToken] - Enables streaming; called with (delta, textSoFar)
+ * @param {Function} [options.onUsage] - Called with { inputTokens, outputTokens } when the API reports usage
+ * @param {AbortSignal} [options.signal] - Cancels the request when aborted
+ * @returns {Promise<string>} Completion text
+ */
+export async function sendChatCompletion(url, messages, options) {
+  const { model, temperature, maxTokens, headers = {}, onToken, onUsage, signal } = options;
+  const reportUsage = (usage) => {
+    if (usage && onUsage) {
+      onUsage({ inputTokens: usage.prompt_tokens, outputTokens: usage.completion_tokens });
+    }
+  };
+
+  const response = await fetch(url, {
+    method: 'POST',
+    signal,
+    headers: {
+      'Content-Type': 'application/json',
+      ...headers
+    },
+    body: JSON.stringify({
+      model,
+      messages,
+      temperature,
+      max_tokens: maxTokens,
+      stream: Boolean(onToken),
+      // Streamed responses only include token usage when asked for
+      ...(onToken && { stream_options: { include_usage: true } })
+    })
+  });
+
+  if (!response.ok) {
+    throw new Error(await readErrorMessage(response));
+  }
+
+  if (onToken) {
+    let text = '';
+    await readEventStream(response, ({ data }) => {
+      const chunk = parseEventData(data);
+      reportUsage(chunk?.usage);
+      const delta = chunk?.choices?.[0]?.delta?.content;
+      if (delta) {
+        text += delta;
+        onToken(delta, text);
+      }
+    });
+    return text;
+  }
+
+  const data = await response.json();
+  reportUsage(data.usage);
+  return data.choices[0].message.content;
+}
+
+export const openaiProvider = {
+  id: 'openai',
+  name: 'OpenAI',
+  defaultModel: 'gpt-4',
+  models: [
+    { id: 'gpt-4o', label: 'GPT-4o', contextWindow: 128000 },
+    { id: 'gpt-4o-mini', label: 'GPT-4o mini', contextWindow: 128000 },
+    { id: 'gpt-4', label: 'GPT-4', contextWindow: 8192 }
+  ],
+  capabilities: {
+    streaming: true,
+    requiresApiKey: true
+  },
+
+  isConfigured() {
+    return Boolean(process.env.REACT_APP_OPENAI_API_KEY);
+  },
+
+  // The compiled context is already in OpenAI format; system prompts stay system-role messages
+  adaptMessages(messages) {
+    return messages.map(msg => ({ role: msg.role, content: msg.content }));
+  },
+
+  async send(messages, options = {}) {
+    const {
+      model = this.defaultModel,
+      temperature = 0.7,
+      maxTokens = 2000,
+      apiKey = process.env.REACT_APP_OPENAI_API_KEY,
+      onToken,
+      onUsage,
+      signal
+    } = options;
+
+    if (!apiKey) {
+      throw new Error('OpenAI API key not found. Please set REACT_APP_OPENAI_API_KEY in your environment.');
+    }
+
+    return sendChatCompletion('https://api.openai.com/v1/chat/completions', this.adaptMessages(messages), {
+      model,
+      temperature,
+      maxTokens,
+      headers: { 'Authorization': `Bearer ${apiKey}` },
+      onToken,
+      onUsage,
+      signal
+    });
+  }
+};
@@ -0,0 +1,578 @@
+/**
+ * Cloud sync for LangFork
+ * Keeps the signed-in user's projects in Supabase (the projects and nodes tables described in
+ * SUPABASE_SYNC.md, with rows keyed by auth.uid()). Local storage stays the source of truth, so
+ * everything works offline: local changes wait in an outbox and are pushed in the background, and
+ * changes from other devices are pulled in order of their sequence number. A node edited on two
+ * devices is merged three-way against the version both started from.
+ *
+ * The Supabase client is passed in, so sync can run against a local Supabase (`supabase start`) or
+ * the in-memory stand-in in lib/memorySupabase.js.
+ */
+
+import { readOutbox, clearOutboxRecord, readSynced, clearSynced, PROJECT_RECORD_ID } from './indexedDb';
+import {
+  getProject,
+  setStorageUser,
+  isCloudSyncAvailable,
+  subscribeLocalChanges,
+  claimProjects,
+  readLocalProject,
+  applyRemoteProject,
+  applyRemoteNodes
+} from './storage';
+
+const SYNC_STATE_KEY = 'langfork_sync_state';
+
+// Local changes are pushed this long after the last one, so a burst of edits is one sync
+const PUSH_DELAY_MS = 2000;
+// Changes from other devices are pulled at least this often
+const SYNC_INTERVAL_MS = 30000;
+// Rows pulled per request
+const PULL_PAGE_SIZE = 500;
+// Times a node is merged and written again when another device keeps writing it first
+const MAX_PUSH_ATTEMPTS = 3;
+
+// Postgres error code for a duplicate primary key
+const UNIQUE_VIOLATION = '23505';
+
+// Node fields holding sets of node IDs; concurrent additions to them are all kept
+const NODE_ID_LISTS = new Set(['children', 'mergeParents']);
+
+let remote = null;
+let userId = null;
+let unsubscribeLocalChanges = null;
+let pushTimer = null;
+let syncInterval = null;
+
+// Sync pass in progress, and whether another was asked for while it ran
+let syncRun = null;
+let syncQueued = false;
+
+let syncStatus = { state: 'disabled', pending: 0, lastSyncedAt: null, error: null };
+const statusListeners = new Set();
+
+/**
+ * Compares two JSON values
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean} Whether they are equal
+ */
+function deepEqual(a, b) {
+  if (a === b) return true;
+  if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) return false;
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+
+  const keys = Object.keys(a).filter(key => a[key] !== undefined);
+  return keys.length === Object.keys(b).filter(key => b[key] !== undefined).length
+    && keys.every(key => deepEqual(a[key], b[key]));
+}
+
+/**
+ * Merges one field of a node three-way: a side that left the field as it was in the base takes the
+ * other side's value; lists of node IDs keep additions from both sides and drop IDs either side removed
+ * @param {string} key - Field name
+ * @param {*} base - Value as last synced
+ * @param {*} local - Value here
+ * @param {*} remoteValue - Value on the other device
+ * @param {boolean} localNewer - Whether the local edit is the later one, for fields both sides changed
+ * @returns {*} The merged value (undefined when the field is gone)
+ */
+function mergeValue(key, base, local, remoteValue, localNewer) {
+  if (deepEqual(local, remoteValue) || deepEqual(base, remoteValue)) return local;
+  if (deepEqual(base, local)) return remoteValue;
+
+  if (NODE_ID_LISTS.has(key) && Array.isArray(local) && Array.isArray(remoteValue)) {
+    const removed = new Set((base || []).filter(id => !local.includes(id) || !remoteValue.includes(id)));
+    return [...new Set([...local, ...remoteValue])].filter(id => !removed.has(id));
+  }
+  // Both sides changed the same value: the later edit wins
+  return localNewer ? local : remoteValue;
+}
+
+/**
+ * Merges every field of two versions of an object against their base, going into metadata key by key
+ * @param {Object} [base] - Fields as last synced
+ * @param {Object} [local] - Fields here
+ * @param {Object} [remoteFields] - Fields on the other device
+ * @param {boolean} localNewer - Whether the local edit is the later one
+ * @returns {Object} Merged fields
+ */
+function mergeFields(base = {}, local = {}, remoteFields = {}, localNewer) {
+  const merged = {};
+  new Set([...Object.keys(local), ...Object.keys(remoteFields)]).forEach(key => {
+    const value = key === 'metadata'
+      ? mergeFields(base[key], local[key], remoteFields[key], localNewer)
+      : mergeValue(key, base[key], local[key], remoteFields[key], localNewer);
+    if (value !== undefined) {
+      merged[key] = value;
+    }
+  });
+  return merged;
+}
+
+/**
+ * Merges a node edited both here and on another device. Fields (and metadata keys) changed on one
+ * side only take that side's value; children and merge parents keep the additions of both sides;
+ * a field both sides changed takes the later edit.
+ * @param {Node|null} base - The node as last synced, which both edits started from
+ * @param {Node} local - The node as edited here
+ * @param {Node} remoteNode - The node as edited on the other device
+ * @param {boolean} localNewer - Whether the local edit is the later one
+ * @returns {Node} The merged node
+ */
+export function mergeNodes(base, local, remoteNode, localNewer) {
+  return mergeFields(base || {}, local, remoteNode, localNewer);
+}
+
+function toTimestamp(date) {
+  return new Date(date).toISOString();
+}
+
+/**
+ * Wraps a Supabase client in the queries sync needs
+ * @param {Object} client - Supabase client (or a stand-in with the same interface)
+ * @param {string} user - Signed-in user ID, written to every row
+ * @returns {Object} Remote operations
+ */
+function createRemote(client, user) {
+  const check = ({ data, error }) => {
+    if (error) throw error;
+    return data;
+  };
+
+  return {
+    pull: async (table, cursor) => check(await client.from(table)
+      .select('*')
+      .eq('user_id', user)
+      .gt('seq', cursor)
+      .order('seq', { ascending: true })
+      .limit(PULL_PAGE_SIZE)),
+
+    upsertProject: async (row) => check(await client.from('projects')
+      .upsert({ ...row, user_id: user }, { onConflict: 'user_id,id' })),
+
+    deleteProjectNodes: async (projectId) => check(await client.from('nodes')
+      .delete()
+      .match({ user_id: user, project_id: projectId })),
+
+    fetchNode: async (projectId, nodeId) => check(await client.from('nodes')
+      .select('*')
+      .match({ user_id: user, project_id: projectId, id: nodeId })
+      .maybeSingle()),
+
+    // Resolves to the stored row, or null when another device created it first
+    insertNode: async (row) => {
+      const { data, error } = await client.from('nodes').insert({ ...row, user_id: user }).select();
+      if (error && error.code === UNIQUE_VIOLATION) return null;
+      if (error) throw error;
+      return data[0];
+    },
+
+    // Resolves to the stored row, or null when another device wrote it since the given revision
+    updateNode: async (row, revision) => {
+      const rows = check(await client.from('nodes')
+        .update(row)
+        .match({ user_id: user, project_id: row.project_id, id: row.id, revision })
+        .select());
+      return rows[0] || null;
+    }
+  };
+}
+
+function readSyncState() {
+  try {
+    const data = localStorage.getItem(SYNC_STATE_KEY);
+    if (data) return JSON.parse(data);
+  } catch (error) {
+    console.error('Failed to read sync state:', error);
+  }
+  return { userId: null, cursors: { projects: 0, nodes: 0 } };
+}
+
+function writeSyncState(state) {
+  localStorage.setItem(SYNC_STATE_KEY, JSON.stringify(state));
+}
+
+function setSyncStatus(updates) {
+  syncStatus = { ...syncStatus, ...updates };
+  statusListeners.forEach(listener => listener(syncStatus));
+}
+
+/**
+ * Subscribes to the sync status
+ * @param {Function} listener - Called now and on every change with
+ *   { state: 'disabled'|'idle'|'syncing'|'offline'|'error', pending, lastSyncedAt, error }
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribeSyncStatus(listener) {
+  statusListeners.add(listener);
+  listener(syncStatus);
+  return () => statusListeners.delete(listener);
+}
+
+// Outbox records keyed by project and node
+function indexOutbox(records) {
+  return new Map(records.map(record => [`${record.projectId}/${record.nodeId}`, record]));
+}
+
+/**
+ * Applies a project row pulled from the cloud. Project names and settings are last-writer-wins;
+ * a deletion always wins.
+ */
+async function applyProjectRow(row, outbox) {
+  const pending = outbox.get(`${row.id}/${PROJECT_RECORD_ID}`);
+  if (row.deleted) {
+    if (getProject(row.id)) {
+      await applyRemoteProject(row.id, { deleted: true });
+    }
+    return;
+  }
+  if (pending && (pending.deleted || pending.updatedAt > Date.parse(row.updated_at))) {
+    return;
+  }
+
+  const local = getProject(row.id) && await readLocalProject(row.id);
+  if (local && getProject(row.id).name === row.name && deepEqual(local.settings, row.settings)) {
+    return;
+  }
+  await applyRemoteProject(row.id, { name: row.name, settings: row.settings || {} });
+}
+
+/**
+ * Works out and applies the node rows of one project pulled from the cloud
+ */
+async function applyNodeRows(projectId, rows, outbox) {
+  const local = await readLocalProject(projectId);
+  if (!local) {
+    // Deleted here; the deletion is pushed
+    return;
+  }
+
+  const synced = await readSynced(projectId);
+  const changes = { nodes: [], deletedIds: [], expected: local.nodes, synced: [], outbox: [] };
+  const present = new Set(local.nodes.keys());
+
+  for (const row of rows) {
+    const mine = local.nodes.get(row.id);
+    const pending = outbox.get(`${projectId}/${row.id}`);
+    const lastSynced = synced.get(row.id);
+    if (lastSynced && lastSynced.revision >= row.revision) {
+      // Our own write coming back
+      continue;
+    }
+
+    const syncedRecord = { nodeId: row.id, revision: row.revision, base: row.deleted ? null : row.node };
+    if (row.deleted) {
+      // A deletion wins over edits made here
+      if (mine) {
+        changes.deletedIds.push(row.id);
+        present.delete(row.id);
+      }
+    } else if (pending && pending.deleted) {
+      // Deleted here, which wins; the deletion is pushed against this revision
+    } else if (!mine && row.node.parentId && !present.has(row.node.parentId)) {
+      // Added on another device under a node deleted here: it goes with its parent
+      changes.outbox.push({ nodeId: row.id, deleted: true });
+    } else if (mine && pending) {
+      const merged = mergeNodes(lastSynced?.base, mine, row.node, pending.updatedAt > Date.parse(row.updated_at));
+      if (!deepEqual(merged, mine)) {
+        changes.nodes.push(merged);
+      }
+      if (!deepEqual(merged, row.node)) {
+        changes.outbox.push({ nodeId: row.id });
+      }
+    } else {
+      changes.nodes.push(row.node);
+      present.add(row.id);
+    }
+    changes.synced.push(syncedRecord);
+  }
+
+  await applyRemoteNodes(projectId, changes);
+}
+
+/**
+ * Pulls the rows of a table changed since the last pull, a page at a time
+ * @param {string} table - 'projects' or 'nodes'
+ * @param {Function} applyPage - Applies a page of rows
+ */
+async function pullTable(table, applyPage) {
+  const state = readSyncState();
+  for (;;) {
+    const rows = await remote.pull(table, state.cursors[table]);
+    if (rows.length === 0) return;
+
+    await applyPage(rows);
+    state.cursors[table] = rows[rows.length - 1].seq;
+    writeSyncState(state);
+    if (rows.length < PULL_PAGE_SIZE) return;
+  }
+}
+
+async function pull() {
+  await pullTable('projects', async (rows) => {
+    const outbox = indexOutbox(await readOutbox());
+    for (const row of rows) {
+      await applyProjectRow(row, outbox);
+    }
+  });
+
+  await pullTable('nodes', async (rows) => {
+    const outbox = indexOutbox(await readOutbox());
+    const byProject = new Map();
+    rows.forEach(row => byProject.set(row.project_id, [...(byProject.get(row.project_id) || []), row]));
+    for (const [projectId, projectRows] of byProject) {
+      await applyNodeRows(projectId, projectRows, outbox);
+    }
+  });
+}
+
+async function pushProject(record) {
+  if (record.deleted) {
+    await remote.upsertProject({ id: record.projectId, deleted: true, updated_at: toTimestamp(record.updatedAt) });
+    await remote.deleteProjectNodes(record.projectId);
+  } else {
+    const project = getProject(record.projectId);
+    const local = project && await readLocalProject(record.projectId);
+    if (local) {
+      await remote.upsertProject({
+        id: record.projectId,
+        name: project.name,
+        settings: local.settings,
+        deleted: false,
+        updated_at: toTimestamp(record.updatedAt)
+      });
+    }
+  }
+  await clearOutboxRecord(record);
+}
+
+async function pushNode(record, local, synced) {
+  const { projectId, nodeId } = record;
+  const node = local.nodes.get(nodeId);
+  if (node && node.metadata.status === 'streaming') {
+    // Pushed once the reply is complete
+    return;
+  }
+
+  const lastSynced = synced.get(nodeId);
+  if (!node && (!record.deleted || !lastSynced)) {
+    // Gone already, or deleted before it was ever pushed
+    await clearOutboxRecord(record);
+    return;
+  }
+  if (node && lastSynced && deepEqual(node, lastSynced.base)) {
+    await clearOutboxRecord(record);
+    return;
+  }
+
+  let revision = lastSynced?.revision;
+  let base = lastSynced?.base;
+  let content = record.deleted ? null : node;
+  for (let attempt = 0; attempt < MAX_PUSH_ATTEMPTS; attempt++) {
+    const row = {
+      project_id: projectId,
+      id: nodeId,
+      node: content,
+      deleted: !content,
+      updated_at: toTimestamp(record.updatedAt)
+    };
+    const stored = revision === undefined ? await remote.insertNode(row) : await remote.updateNode(row, revision);
+    if (stored) {
+      await applyRemoteNodes(projectId, {
+        nodes: content && content !== node ? [content] : [],
+        expected: local.nodes,
+        synced: [{ nodeId, revision: stored.revision, base: content }]
+      });
+      await clearOutboxRecord(record);
+      return;
+    }
+
+    // Another device wrote the node first
+    const current = await remote.fetchNode(projectId, nodeId);
+    revision = current ? current.revision : undefined;
+    if (current && current.deleted) {
+      await applyRemoteNodes(projectId, {
+        deletedIds: [nodeId],
+        expected: local.nodes,
+        synced: [{ nodeId, revision: current.revision, base: null }]
+      });
+      await clearOutboxRecord(record);
+      return;
+    }
+    if (current && content) {
+      content = mergeNodes(base, content, current.node, record.updatedAt > Date.parse(current.updated_at));
+      base = current.node;
+    }
+  }
+  throw new Error(`Node ${nodeId.slice(0, 8)} kept changing on another device; it will be synced again later`);
+}
+
+// Changes to projects of another account that signed in on this browser wait for it to sign in again
+function isOwnRecord(record) {
+  return Boolean((record.deleted && record.nodeId === PROJECT_RECORD_ID) || getProject(record.projectId));
+}
+
+async function push() {
+  const records = (await readOutbox()).filter(isOwnRecord);
+
+  // Projects first, so their nodes' rows have a project to belong to
+  for (const record of records.filter(r => r.nodeId === PROJECT_RECORD_ID)) {
+    await pushProject(record);
+  }
+
+  const projects = new Map();
+  for (const record of records.filter(r => r.nodeId !== PROJECT_RECORD_ID)) {
+    if (!projects.has(record.projectId)) {
+      const [local, synced] = await Promise.all([readLocalProject(record.projectId), readSynced(record.projectId)]);
+      projects.set(record.projectId, { local, synced });
+    }
+    const { local, synced } = projects.get(record.projectId);
+    if (local) {
+      await pushNode(record, local, synced);
+    }
+  }
+}
+
+async function countPending() {
+  return (await readOutbox()).filter(isOwnRecord).length;
+}
+
+/**
+ * Pulls changes from the cloud, then pushes local ones. Passes don't overlap: a call made while
+ * one runs queues one more pass after it.
+ * @returns {Promise<boolean>} Whether the pass completed
+ */
+export function syncNow() {
+  if (!remote) {
+    return Promise.resolve(false);
+  }
+  if (syncRun) {
+    syncQueued = true;
+    return syncRun;
+  }
+  if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+    setSyncStatus({ state: 'offline' });
+    return Promise.resolve(false);
+  }
+
+  clearTimeout(pushTimer);
+  setSyncStatus({ state: 'syncing' });
+  syncRun = (async () => {
+    const runFor = remote;
+    try {
+      await pull();
+      await push();
+      if (remote === runFor) {
+        setSyncStatus({ state: 'idle', pending: await countPending(), lastSyncedAt: Date.now(), error: null });
+      }
+      return true;
+    } catch (error) {
+      console.error('Cloud sync failed:', error);
+      if (remote === runFor) {
+        const offline = typeof navigator !== 'undefined' && navigator.onLine === false;
+        setSyncStatus({
+          state: offline ? 'offline' : 'error',
+          pending: await countPending().catch(() => syncStatus.pending),
+          error: offline ? null : error.message
+        });
+      }
+      return false;
+    }
+  })().finally(() => {
+    syncRun = null;
+    if (syncQueued) {
+      syncQueued = false;
+      syncNow();
+    }
+  });
+  return syncRun;
+}
+
+function schedulePush() {
+  clearTimeout(pushTimer);
+  pushTimer = setTimeout(syncNow, PUSH_DELAY_MS);
+}
+
+function handleOffline() {
+  setSyncStatus({ state: 'offline' });
+}
+
+/**
+ * Starts syncing a user's projects
+ * @param {Object} client - Supabase client
+ * @param {string} user - Signed-in user ID
+ */
+async function startSync(client, user) {
+  if (userId === user) return;
+  stopSync();
+  userId = user;
+
+  if (!await isCloudSyncAvailable()) {
+    setSyncStatus({ state: 'disabled', error: 'Cloud sync needs IndexedDB, which this browser does not allow' });
+    return;
+  }
+  setStorageUser(user);
+
+  const state = readSyncState();
+  if (state.userId !== user) {
+    // What was synced for another account says nothing about this one
+    await clearSynced();
+    writeSyncState({ userId: user, cursors: { projects: 0, nodes: 0 } });
+  }
+  await claimProjects(user);
+  if (userId !== user) return;
+
+  remote = createRemote(client, user);
+  unsubscribeLocalChanges = subscribeLocalChanges(schedulePush);
+  syncInterval = setInterval(syncNow, SYNC_INTERVAL_MS);
+  window.addEventListener('online', syncNow);
+  window.addEventListener('offline', handleOffline);
+  syncNow();
+}
+
+function stopSync() {
+  if (unsubscribeLocalChanges) {
+    unsubscribeLocalChanges();
+    unsubscribeLocalChanges = null;
+  }
+  clearTimeout(pushTimer);
+  clearInterval(syncInterval);
+  window.removeEventListener('online', syncNow);
+  window.removeEventListener('offline', handleOffline);
+  remote = null;
+  userId = null;
+  setSyncStatus({ state: 'disabled', pending: 0, error: null });
+}
+
+/**
+ * Syncs projects for whoever is signed in, following sign-ins and sign-outs
+ * @param {Object} options
+ * @param {Object} options.client - Supabase client; pass a stand-in to sync against a local server
+ * @returns {Function} Stops syncing
+ */
+export function initCloudSync({ client }) {
+  const handleSession = (session) => {
+    const user = session?.user?.id || null;
+    if (user) {
+      startSync(client, user).catch(error => {
+        console.error('Failed to start cloud sync:', error);
+        setSyncStatus({ state: 'error', error: error.message });
+      });
+    } else {
+      stopSync();
+      setStorageUser(null);
+    }
+  };
+
+  client.auth.getSession()
+    .then(({ data }) => handleSession(data.session))
+    .catch(error => console.error('Failed to read the session:', error));
+  const { data: subscription } = client.auth.onAuthStateChange((_event, session) => handleSession(session));
+
+  return () => {
+    subscription.subscription.unsubscribe();
+    stopSync();
+  };
+}
@@ -0,0 +1,212 @@
+import { IDBFactory, IDBKeyRange } from 'fake-indexeddb';
+import { createMemorySupabase } from '../lib/memorySupabase';
+
+const USER_ID = 'user-1';
+
+// Sync, storage and IndexedDB keep state per page, so every test starts from a fresh copy of each
+let cloudSync;
+let storage;
+let indexedDbModule;
+let stopSyncing = null;
+
+beforeEach(() => {
+  jest.resetModules();
+  global.indexedDB = new IDBFactory();
+  global.IDBKeyRange = IDBKeyRange;
+  localStorage.clear();
+  cloudSync = require('./cloudSync');
+  storage = require('./storage');
+  indexedDbModule = require('./indexedDb');
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  if (stopSyncing) {
+    stopSyncing();
+    stopSyncing = null;
+  }
+});
+
+function makeNode(id, parentId, content, metadata = {}) {
+  return {
+    id,
+    parentId,
+    mergeParents: [],
+    children: [],
+    role: parentId ? 'assistant' : 'user',
+    content,
+    metadata: { timestamp: 1000, tokenCount: 1, isPinned: false, ...metadata }
+  };
+}
+
+// A project with a question and its answer
+function makeTree() {
+  const root = makeNode('node-root', null, 'Question');
+  const reply = makeNode('node-reply', 'node-root', 'Answer');
+  return [{ ...root, children: [reply.id] }, reply];
+}
+
+// Starts syncing with the stand-in's signed-in user, resolving once the first pass is done
+async function startSyncing(client) {
+  stopSyncing = cloudSync.initCloudSync({ client });
+  await new Promise(resolve => {
+    const unsubscribe = cloudSync.subscribeSyncStatus(status => {
+      if (status.state === 'idle' || status.state === 'error') {
+        // The status is set just before the pass ends; a macrotask later it has
+        setTimeout(() => {
+          unsubscribe();
+          resolve();
+        });
+      }
+    });
+  });
+}
+
+const findRow = (client, table, id) => client.rows(table).find(row => row.id === id);
+
+describe('cloud sync against the in-memory stand-in', () => {
+  test('pushes local projects and pulls what another device wrote', async () => {
+    const project = await storage.createProject('Notes');
+    await storage.saveTree(project.id, makeTree(), { systemPrompt: null });
+    const client = createMemorySupabase({ userId: USER_ID });
+    await startSyncing(client);
+
+    expect(findRow(client, 'projects', project.id)).toMatchObject({ name: 'Notes', user_id: USER_ID, revision: 1 });
+    expect(findRow(client, 'nodes', 'node-reply')).toMatchObject({
+      project_id: project.id,
+      revision: 1,
+      deleted: false,
+      node: { content: 'Answer' }
+    });
+    expect(await indexedDbModule.readOutbox()).toEqual([]);
+
+    // Another device edits the answer and adds a follow-up
+    const reply = findRow(client, 'nodes', 'node-reply');
+    await client.from('nodes')
+      .update({ node: { ...reply.node, content: 'Better answer', children: ['node-more'] }, updated_at: new Date().toISOString() })
+      .match({ user_id: USER_ID, project_id: project.id, id: 'node-reply', revision: reply.revision });
+    await client.from('nodes').insert({
+      user_id: USER_ID,
+      project_id: project.id,
+      id: 'node-more',
+      node: makeNode('node-more', 'node-reply', 'Follow-up', { timestamp: 2000 })
+    });
+
+    expect(await cloudSync.syncNow()).toBe(true);
+    const { nodes } = await storage.loadProjectData(project.id);
+    expect(nodes.find(node => node.id === 'node-reply')).toMatchObject({ content: 'Better answer', children: ['node-more'] });
+    expect(nodes.find(node => node.id === 'node-more')).toMatchObject({ parentId: 'node-reply', content: 'Follow-up' });
+    // Pulling doesn't write anything back
+    expect(findRow(client, 'nodes', 'node-reply').revision).toBe(2);
+  });
+
+  test('keeps changes made offline in the outbox and pushes them once back online', async () => {
+    const project = await storage.createProject('Offline');
+    const tree = makeTree();
+    await storage.saveTree(project.id, tree);
+    const client = createMemorySupabase({ userId: USER_ID });
+    await startSyncing(client);
+
+    client.setOffline(true);
+    const added = makeNode('node-offline', 'node-reply', 'Written offline');
+    const edited = [tree[0], { ...tree[1], children: [added.id] }, added];
+    await storage.saveTree(project.id, edited);
+
+    expect(await cloudSync.syncNow()).toBe(false);
+    const pending = await indexedDbModule.readOutbox();
+    expect(pending.map(record => record.nodeId).sort()).toEqual(['node-offline', 'node-reply']);
+    expect(findRow(client, 'nodes', 'node-offline')).toBeUndefined();
+
+    client.setOffline(false);
+    expect(await cloudSync.syncNow()).toBe(true);
+    expect(findRow(client, 'nodes', 'node-offline')).toMatchObject({ revision: 1, node: { content: 'Written offline' } });
+    expect(findRow(client, 'nodes', 'node-reply')).toMatchObject({ revision: 2, node: { children: ['node-offline'] } });
+    expect(await indexedDbModule.readOutbox()).toEqual([]);
+  });
+
+  test('merges a node edited here and on another device', async () => {
+    const project = await storage.createProject('Conflict');
+    const tree = makeTree();
+    await storage.saveTree(project.id, tree);
+    const client = createMemorySupabase({ userId: USER_ID });
+    await startSyncing(client);
+
+    // The answer is edited here while offline, and meanwhile pinned on the other device
+    client.setOffline(true);
+    await storage.saveTree(project.id, [tree[0], { ...tree[1], content: 'Edited here' }]);
+    expect(await cloudSync.syncNow()).toBe(false);
+    client.setOffline(false);
+
+    const reply = findRow(client, 'nodes', 'node-reply');
+    await client.from('nodes')
+      .update({ node: { ...reply.node, metadata: { ...reply.node.metadata, isPinned: true } }, updated_at: new Date(0).toISOString() })
+      .match({ user_id: USER_ID, project_id: project.id, id: 'node-reply' });
+
+    expect(await cloudSync.syncNow()).toBe(true);
+
+    const merged = { content: 'Edited here', metadata: { isPinned: true } };
+    expect(findRow(client, 'nodes', 'node-reply').node).toMatchObject(merged);
+    const { nodes } = await storage.loadProjectData(project.id);
+    expect(nodes.find(node => node.id === 'node-reply')).toMatchObject(merged);
+  });
+
+  test('rejects a duplicate insert with 23505 and stamps every write', async () => {
+    const client = createMemorySupabase({ userId: USER_ID });
+    const row = { user_id: USER_ID, project_id: 'p', id: 'n', node: null };
+
+    const first = await client.from('nodes').insert(row).select();
+    expect(first.data[0]).toMatchObject({ seq: 1, revision: 1 });
+    const duplicate = await client.from('nodes').insert(row).select();
+    expect(duplicate.error.code).toBe('23505');
+
+    const updated = await client.from('nodes').update({ deleted: true }).match({ id: 'n', revision: 1 }).select();
+    expect(updated.data[0]).toMatchObject({ seq: 2, revision: 2, deleted: true });
+    const stale = await client.from('nodes').update({ deleted: false }).match({ id: 'n', revision: 1 }).select();
+    expect(stale.data).toEqual([]);
+  });
+});
+
+describe('mergeNodes', () => {
+  const base = makeNode('n', 'p', 'Original', { isPinned: false });
+
+  test('takes an edit made only here', () => {
+    const local = { ...base, content: 'Edited here' };
+    expect(cloudSync.mergeNodes(base, local, base, false)).toEqual(local);
+  });
+
+  test('takes an edit made only on the other device', () => {
+    const remoteNode = { ...base, metadata: { ...base.metadata, isPinned: true } };
+    expect(cloudSync.mergeNodes(base, base, remoteNode, true)).toEqual(remoteNode);
+  });
+
+  test('keeps edits of different fields from both sides', () => {
+    const local = { ...base, content: 'Edited here' };
+    const remoteNode = { ...base, metadata: { ...base.metadata, isPinned: true } };
+    expect(cloudSync.mergeNodes(base, local, remoteNode, false)).toEqual({
+      ...base,
+      content: 'Edited here',
+      metadata: { ...base.metadata, isPinned: true }
+    });
+  });
+
+  test('gives a field edited on both sides to the newer edit', () => {
+    const local = { ...base, content: 'Edited here' };
+    const remoteNode = { ...base, content: 'Edited there' };
+    expect(cloudSync.mergeNodes(base, local, remoteNode, true).content).toBe('Edited here');
+    expect(cloudSync.mergeNodes(base, local, remoteNode, false).content).toBe('Edited there');
+  });
+
+  test('keeps children added on both sides and drops ones removed on either', () => {
+    const withChildren = { ...base, children: ['a', 'b'] };
+    const local = { ...withChildren, children: ['a', 'b', 'c'] };
+    const remoteNode = { ...withChildren, children: ['b', 'd'] };
+    expect(cloudSync.mergeNodes(withChildren, local, remoteNode, true).children).toEqual(['b', 'c', 'd']);
+  });
+
+  test('merges without a common base', () => {
+    const local = { ...base, content: 'Edited here' };
+    const remoteNode = { ...base, content: 'Edited there' };
+    expect(cloudSync.mergeNodes(null, local, remoteNode, false).content).toBe('Edited there');
+  });
+});
@@ -0,0 +1,135 @@
+/**
+ * Command parsing for the LangFork Terminal
+ * Splits a command line into words the way a shell does and separates options from arguments.
+ */
+
+/**
+ * Splits a command line into words
+ * - Whitespace separates words; "double" and 'single' quotes keep spaces inside one word
+ * - Inside double quotes \" and \\ are escapes; single quotes are fully literal
+ * - Outside quotes a backslash makes the next character literal (\" or "\ " for a space)
+ * - A quote only opens quoting at the start of a word or after "=" (--name="a b"), so the
+ *   apostrophe in a message such as what's stays as it is
+ * @param {string} input - Command line
+ * @returns {Object[]} Words as { text, quoted }; quoted words (and words starting with an escape)
+ *   are never read as options
+ * @throws {Error} When a quote is not closed
+ */
+export function tokenizeCommand(input) {
+  const tokens = [];
+  let token = null;
+  let quote = null;
+
+  const append = (text, quoted = false) => {
+    if (token === null) {
+      token = { text: '', quoted };
+    }
+    token.text += text;
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quote) {
+      if (char === quote) {
+        quote = null;
+      } else if (char === '\\' && quote === '"' && (input[i + 1] === '"' || input[i + 1] === '\\')) {
+        token.text += input[++i];
+      } else {
+        token.text += char;
+      }
+      continue;
+    }
+
+    if (/\s/.test(char)) {
+      if (token !== null) {
+        tokens.push(token);
+        token = null;
+      }
+    } else if (char === '\\' && i + 1 < input.length) {
+      append(input[++i], true);
+    } else if ((char === '"' || char === "'") && (token === null || token.text.endsWith('='))) {
+      append('', true);
+      quote = char;
+    } else {
+      append(char);
+    }
+  }
+
+  if (quote) {
+    throw new Error(`Unterminated ${quote === '"' ? 'double' : 'single'} quote`);
+  }
+  if (token !== null) {
+    tokens.push(token);
+  }
+  return tokens;
+}
+
+/**
+ * Separates options from arguments
+ * - --name=value, or --name value for options that take a value
+ * - --name and -x for switches; -abc sets a, b and c; -n5 or -n 5 for a short option with a value
+ * - "--" ends the options, and a quoted word or a negative number is always an argument
+ * @param {Object[]} tokens - Words from tokenizeCommand
+ * @param {Object} [spec] - Options the command accepts
+ * @param {string[]} [spec.values] - Options that take a value
+ * @param {string[]} [spec.switches] - Options that don't
+ * @param {Object<string, string>} [spec.aliases] - Short options, letter → option name
+ * @returns {Object} { args, flags } with args as strings and flags as name → value (true for switches)
+ * @throws {Error} For unknown options and options missing their value
+ */
+export function parseArgs(tokens, { values = [], switches = [], aliases = {} } = {}) {
+  const args = [];
+  const flags = {};
+
+  const setFlag = (name, label, inlineValue, nextIndex) => {
+    if (values.includes(name)) {
+      if (inlineValue !== undefined) {
+        flags[name] = inlineValue;
+        return nextIndex - 1;
+      }
+      if (nextIndex >= tokens.length) {
+        throw new Error(`Option ${label} needs a value`);
+      }
+      flags[name] = tokens[nextIndex].text;
+      return nextIndex;
+    }
+    if (switches.includes(name)) {
+      if (inlineValue !== undefined) {
+        throw new Error(`Option ${label} does not take a value`);
+      }
+      flags[name] = true;
+      return nextIndex - 1;
+    }
+    throw new Error(`Unknown option ${label}`);
+  };
+
+  for (let i = 0; i < tokens.length; i++) {
+    const { text, quoted } = tokens[i];
+
+    if (quoted || !text.startsWith('-') || text === '-' || /^-\d/.test(text)) {
+      args.push(text);
+    } else if (text === '--') {
+      args.push(...tokens.slice(i + 1).map(rest => rest.text));
+      break;
+    } else if (text.startsWith('--')) {
+      const separator = text.indexOf('=');
+      const name = separator === -1 ? text.slice(2) : text.slice(2, separator);
+      i = setFlag(name, `--${name}`, separator === -1 ? undefined : text.slice(separator + 1), i + 1);
+    } else {
+      // Short options; one that takes a value ends the group and takes the rest of it
+      for (let j = 1; j < text.length; j++) {
+        const letter = text[j];
+        const name = aliases[letter] || letter;
+        const rest = text.slice(j + 1);
+        if (values.includes(name) && rest) {
+          setFlag(name, `-${letter}`, rest, i + 1);
+          break;
+        }
+        i = setFlag(name, `-${letter}`, undefined, i + 1);
+      }
+    }
+  }
+
+  return { args, flags };
+}
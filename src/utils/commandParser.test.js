@@ -0,0 +1,91 @@
+import { tokenizeCommand, parseArgs } from './commandParser';
+
+const words = (input) => tokenizeCommand(input).map(token => token.text);
+const parse = (input, spec) => parseArgs(tokenizeCommand(input), spec);
+
+describe('tokenizeCommand', () => {
+  test('splits on any run of whitespace', () => {
+    expect(words('  send   hello\tthere ')).toEqual(['send', 'hello', 'there']);
+    expect(words('')).toEqual([]);
+  });
+
+  test('keeps quoted text together as one word', () => {
+    expect(words('send "hello there" \'and you\'')).toEqual(['send', 'hello there', 'and you']);
+    expect(words('send "" next')).toEqual(['send', '', 'next']);
+  });
+
+  test('reads \\" and \\\\ as escapes inside double quotes only', () => {
+    expect(words('send "say \\"hi\\" \\\\ \\n"')).toEqual(['send', 'say "hi" \\ \\n']);
+    expect(words("send 'it\\'")).toEqual(['send', 'it\\']);
+  });
+
+  test('makes the next character literal after a backslash outside quotes', () => {
+    expect(words('send a\\ b \\"c')).toEqual(['send', 'a b', '"c']);
+  });
+
+  test('leaves apostrophes and quotes inside a word as they are', () => {
+    expect(words("send what's up")).toEqual(['send', "what's", 'up']);
+    expect(words('send say"hi"')).toEqual(['send', 'say"hi"']);
+  });
+
+  test('opens quoting after = for option values', () => {
+    expect(words('tag --message="first draft" v1')).toEqual(['tag', '--message=first draft', 'v1']);
+  });
+
+  test('marks quoted and escaped words so they are never options', () => {
+    expect(tokenizeCommand('"-n" \\-x -y')).toEqual([
+      { text: '-n', quoted: true },
+      { text: '-x', quoted: true },
+      { text: '-y', quoted: false }
+    ]);
+  });
+
+  test('rejects a quote that is not closed', () => {
+    expect(() => tokenizeCommand('send "hello')).toThrow('Unterminated double quote');
+    expect(() => tokenizeCommand("send 'hello")).toThrow('Unterminated single quote');
+  });
+});
+
+describe('parseArgs', () => {
+  const spec = {
+    values: ['max-count', 'message'],
+    switches: ['all', 'graph', 'force'],
+    aliases: { n: 'max-count', m: 'message', a: 'all', f: 'force' }
+  };
+
+  test('separates arguments from long options', () => {
+    expect(parse('main --graph --max-count=5 --message "a b" extra', spec)).toEqual({
+      args: ['main', 'extra'],
+      flags: { graph: true, 'max-count': '5', message: 'a b' }
+    });
+  });
+
+  test('groups short switches and takes a value after or attached to a short option', () => {
+    expect(parse('-af -n5', spec).flags).toEqual({ all: true, force: true, 'max-count': '5' });
+    expect(parse('-n 5 main', spec)).toEqual({ args: ['main'], flags: { 'max-count': '5' } });
+    // An option that takes a value ends the group
+    expect(parse('-fmdone', spec).flags).toEqual({ force: true, message: 'done' });
+  });
+
+  test('reads everything after -- and negative numbers as arguments', () => {
+    expect(parse('-f -- --graph -a', spec)).toEqual({ args: ['--graph', '-a'], flags: { force: true } });
+    expect(parse('move -1 -', spec).args).toEqual(['move', '-1', '-']);
+  });
+
+  test('reads quoted words as arguments even when they look like options', () => {
+    expect(parse('send "--graph" \'-a\'', spec)).toEqual({ args: ['send', '--graph', '-a'], flags: {} });
+  });
+
+  test('rejects unknown options and misused values', () => {
+    expect(() => parse('--colour', spec)).toThrow('Unknown option --colour');
+    expect(() => parse('-x', spec)).toThrow('Unknown option -x');
+    expect(() => parse('--message', spec)).toThrow('Option --message needs a value');
+    expect(() => parse('-n', spec)).toThrow('Option -n needs a value');
+    expect(() => parse('--graph=yes', spec)).toThrow('Option --graph does not take a value');
+  });
+
+  test('accepts no options without a spec', () => {
+    expect(parse('a b')).toEqual({ args: ['a', 'b'], flags: {} });
+    expect(() => parse('--all')).toThrow('Unknown option --all');
+  });
+});
@@ -1,181 +1,774 @@
 /**
  * Context Compilation Algorithm for ChatTree
  * This is the core logic that determines what context to send to the LLM
- * Implements hierarchical memory system where:
- * - Main branch has memory of all sub-branches
+ * Implements a memory system with per-branch modes, inherited down the tree. By default:
+ * - Main branch has memory of all sub-branches (hierarchical)
  * - Sub-branches have isolated memory (no knowledge of other sub-branches)
  */
 
-import { getPathToRoot, getDescendants } from './treeUtils.js';
+import { getPathToRoot, getDescendants, getMergedHistory, getCommonAncestor, findNodeById, getPinnedNodes } from './treeUtils.js';
+import { countMessageTokens, getMessageTokenCount, getNodeTokenCount, truncateToTokens, countTokens } from './tokenizer.js';
+import { retrieveRelevantNodes } from './retrieval.js';
+
+// Memory modes: which parts of the tree a node remembers
+export const MEMORY_MODES = {
+  isolated: 'Isolated (ancestor path only)',
+  'ancestors-siblings': 'Ancestors + sibling branches',
+  hierarchical: 'Hierarchical (ancestors + everything below)',
+  'full-tree': 'Full tree',
+  retrieval: 'Relevant (ancestors + top matches from the whole tree)',
+  'pinned-only': 'Pinned only'
+};
+
+// Strategies for fitting compiled context into the token budget
+export const CONTEXT_STRATEGIES = {
+  'drop-oldest': 'Drop oldest messages',
+  'first-last': 'Keep first and last turns',
+  summarize: 'Summarize overflow'
+};
+
+// A message is shortened rather than dropped when at least this many of its tokens still fit
+const MIN_TRUNCATED_TOKENS = 64;
+
+// The summary of overflowing messages may use at most this share of the budget
+const SUMMARY_BUDGET_SHARE = 0.25;
+
+// Longest excerpt of a single message in the overflow summary
+const SUMMARY_EXCERPT_LENGTH = 160;
+
+const TRUNCATION_MARKER = '\n[…truncated]';
+
+// Rough length the rolling branch summaries are asked to stay under
+const BRANCH_SUMMARY_WORDS = 200;
+
+export const EMPTY_CONTEXT_OVERRIDES = { excludeIds: [], includeIds: [], order: [] };
 
 /**
- * Compiles context for a new message based on hierarchical memory system
+ * Checks whether context overrides change anything
+ * @param {ContextOverrides|null} [overrides] - Inspector edits
+ * @returns {boolean} True when something is excluded, force-included or reordered
+ */
+export function hasContextOverrides(overrides) {
+  return Boolean(overrides) && ['excludeIds', 'includeIds', 'order'].some(key => overrides[key]?.length > 0);
+}
+
+/**
+ * Collects the memory of one sub-branch: its rolling summary when there is one, followed by
+ * any messages added since the summary was last refreshed
  * @param {Node[]} allNodes - All nodes in the tree
- * @param {string} activeNodeId - ID of the node from which the new message is being sent
- * @param {string} newPromptText - The new user prompt
- * @returns {Object[]} Array of messages in OpenAI format for LLM API
+ * @param {Node} branchStart - First node of the sub-branch
+ * @param {boolean} useSummary - Whether stored summaries may replace the transcript
+ * @returns {Object[]} { node, source } items for the branch
  */
-export function compileContext(allNodes, activeNodeId, newPromptText) {
-  const contextMessages = [];
-  const addedIds = new Set();
-  
-  // Debug logging
-  console.log('🔍 Context Compilation Debug:');
-  console.log('Active Node ID:', activeNodeId);
-  console.log('Total nodes:', allNodes.length);
-  console.log('New prompt:', newPromptText);
-  
-  // Step 1: Get Pinned Context (Global context)
-  const pinnedNodes = allNodes.filter(node => node.metadata.isPinned);
-  console.log('Pinned nodes:', pinnedNodes.length);
-  for (const node of pinnedNodes) {
+function collectBranchMemory(allNodes, branchStart, useSummary) {
+  const branchNodes = [branchStart, ...getDescendants(allNodes, branchStart.id)]
+    .sort((a, b) => a.metadata.timestamp - b.metadata.timestamp);
+  const summary = useSummary ? branchStart.metadata.branchSummary : null;
+  if (!summary) {
+    return branchNodes.map(node => ({ node, source: 'descendant' }));
+  }
+
+  const coveredIds = new Set(summary.coveredIds);
+  const summaryNode = {
+    id: branchStart.id,
+    role: 'user',
+    content: `[Memory of another branch of this conversation, summarized]\n${summary.content}`
+  };
+  return [
+    { node: summaryNode, source: 'branch-summary' },
+    ...branchNodes.filter(node => !coveredIds.has(node.id)).map(node => ({ node, source: 'descendant' }))
+  ];
+}
+
+/**
+ * Resolves the memory mode that applies at a node: the nearest memoryMode set on the node or
+ * one of its ancestors, or else the default rule (hierarchical on the root, isolated elsewhere)
+ * @param {Node[]} allNodes - All nodes in the tree
+ * @param {string} nodeId - Node the new message is sent from
+ * @returns {Object} { mode, sourceNodeId } where sourceNodeId is the node that set the mode (null for the default)
+ */
+export function getMemoryMode(allNodes, nodeId) {
+  const path = getPathToRoot(allNodes, nodeId);
+  for (let i = path.length - 1; i >= 0; i--) {
+    const mode = path[i].metadata.memoryMode;
+    if (MEMORY_MODES[mode]) {
+      return { mode, sourceNodeId: path[i].id };
+    }
+  }
+
+  const isInMainBranch = path.length <= 1;
+  return { mode: isInMainBranch ? 'hierarchical' : 'isolated', sourceNodeId: null };
+}
+
+/**
+ * Resolves the system prompt that applies at a node: the nearest systemPrompt set on the node or
+ * one of its ancestors, or else the project's. A prompt that names a persona uses the persona's
+ * current text, falling back to the copy saved with it if the persona was deleted.
+ * @param {Node[]} allNodes - All nodes in the tree
+ * @param {string} nodeId - Node the new message is sent from
+ * @param {Object} [options] - Resolution options
+ * @param {SystemPromptSetting} [options.systemPrompt] - Project-level system prompt
+ * @param {Persona[]} [options.personas] - Persona library
+ * @returns {Object|null} { content, personaId, personaName, sourceNodeId } where sourceNodeId is null
+ *   for the project's prompt, or null when no system prompt applies
+ */
+export function resolveSystemPrompt(allNodes, nodeId, { systemPrompt, personas = [] } = {}) {
+  const path = nodeId ? getPathToRoot(allNodes, nodeId) : [];
+  const owner = [...path].reverse().find(node => node.metadata.systemPrompt);
+  const setting = owner ? owner.metadata.systemPrompt : systemPrompt;
+  if (!setting) {
+    return null;
+  }
+
+  const persona = setting.personaId ? personas.find(p => p.id === setting.personaId) : null;
+  const content = (persona ? persona.content : setting.content || '').trim();
+  if (!content) {
+    return null;
+  }
+
+  return {
+    content,
+    personaId: persona ? persona.id : null,
+    personaName: persona ? persona.name : null,
+    sourceNodeId: owner ? owner.id : null
+  };
+}
+
+/**
+ * Collects the nodes the active memory mode puts in context, in the order they are sent
+ * @param {Node[]} allNodes - All nodes in the tree
+ * @param {string} activeNodeId - ID of the node the new message is sent from
+ * @param {Object} options - Collection options
+ * @param {string} options.mode - Memory mode (see MEMORY_MODES)
+ * @param {string[]} [options.excludeIds] - Nodes to leave out
+ * @param {boolean} [options.useBranchSummaries] - Replace sub-branch transcripts with their rolling summaries
+ * @param {PinGroup[]} [options.pinGroups] - Ordered pin groups; pins of disabled groups are left out
+ * @param {Object} [options.retrieval] - What the 'retrieval' mode searches for ({ query, topK, queryEmbedding, embeddingModel })
+ * @returns {Object} { items, retrievalMethod } where items are { node, source, score } with source 'pinned', 'retrieved',
+ *   'ancestor', 'descendant' or 'branch-summary', and score is set on retrieved nodes
+ */
+function collectContextNodes(allNodes, activeNodeId, { mode, excludeIds = [], useBranchSummaries = false, pinGroups, retrieval = {} }) {
+  const collected = [];
+  const excludedIds = new Set(excludeIds);
+  // Excluded nodes are treated as already added so every step skips them
+  const addedIds = new Set(excludeIds);
+  const add = (node, source) => {
     if (!addedIds.has(node.id)) {
-      contextMessages.push({
-        role: node.role,
-        content: node.content
-      });
+      collected.push({ node, source });
       addedIds.add(node.id);
     }
+  };
+  // An excluded branch start takes its whole subtree (and summary) with it
+  const addBranches = (branchStarts, useSummary) => branchStarts
+    .filter(branchStart => branchStart && !excludedIds.has(branchStart.id))
+    .sort((a, b) => a.metadata.timestamp - b.metadata.timestamp)
+    .forEach(branchStart => {
+      collectBranchMemory(allNodes, branchStart, useSummary)
+        .forEach(({ node, source }) => add(node, source));
+    });
+
+  // Step 1: Pinned context (global context), group by group in pin order
+  getPinnedNodes(allNodes, pinGroups).forEach(node => add(node, 'pinned'));
+  if (mode === 'pinned-only') {
+    return { items: collected, retrievalMethod: null };
   }
-  
-  // Step 2: Determine if we're in a sub-branch or main branch
-  const activeNode = allNodes.find(n => n.id === activeNodeId);
-  console.log('Active node:', activeNode);
-  
-  // Get the path to root to understand the branch structure
-  const ancestorPath = getPathToRoot(allNodes, activeNodeId);
-  console.log('Ancestor path:', ancestorPath.map(n => ({ id: n.id, role: n.role, content: n.content.substring(0, 50) + '...' })));
-  
-  // We're in the main branch if the active node is the root (no parent)
-  // We're in a sub-branch if the active node has a parent
-  const isInMainBranch = !activeNode || !activeNode.parentId;
-  const isInSubBranch = !isInMainBranch;
-  console.log('Is in main branch:', isInMainBranch);
-  console.log('Is in sub-branch:', isInSubBranch);
-  
-  if (isInSubBranch) {
-    // Step 2a: For sub-branches, only include ancestor path (isolated memory)
-    console.log('🔒 Sub-branch: Using isolated memory');
-    for (const node of ancestorPath) {
-      if (!addedIds.has(node.id)) {
-        contextMessages.unshift({
-          role: node.role,
-          content: node.content
-        });
-        addedIds.add(node.id);
+  const pinnedCount = collected.length;
+
+  // Step 2: The ancestor path, following merge parents too, oldest first
+  const ancestorPath = getMergedHistory(allNodes, activeNodeId);
+  ancestorPath.forEach(node => add(node, 'ancestor'));
+
+  // Step 3: Other branches the mode remembers, as rolling summaries where they exist
+  const activeNode = findNodeById(allNodes, activeNodeId);
+  const rootNode = getPathToRoot(allNodes, activeNodeId)[0];
+  const rootBranches = rootNode ? rootNode.children.map(id => findNodeById(allNodes, id)) : [];
+  const onPathIds = new Set(ancestorPath.map(node => node.id));
+
+  switch (mode) {
+    case 'hierarchical':
+      // Everything below the active node
+      if (activeNode) {
+        addBranches(activeNode.children.map(id => findNodeById(allNodes, id)), useBranchSummaries);
       }
+      break;
+
+    case 'ancestors-siblings':
+      // The other sub-branches next to the one the active node is in
+      addBranches(rootBranches.filter(branch => branch && !onPathIds.has(branch.id)), useBranchSummaries);
+      break;
+
+    case 'full-tree':
+      // Every branch; the active node's own branch is sent as a transcript since its path is already in
+      addBranches(rootBranches.filter(branch => branch && onPathIds.has(branch.id)), false);
+      addBranches(rootBranches.filter(branch => branch && !onPathIds.has(branch.id)), useBranchSummaries);
+      break;
+
+    case 'retrieval': {
+      // The nodes from anywhere in the tree that best match the prompt go between the pins and the
+      // conversation, least relevant first so they are the first to give way to the budget
+      const { method, results } = retrieveRelevantNodes(allNodes, retrieval.query, {
+        topK: retrieval.topK,
+        queryEmbedding: retrieval.queryEmbedding,
+        embeddingModel: retrieval.embeddingModel,
+        excludeIds: [...addedIds]
+      });
+      const retrieved = results.reverse().map(({ node, score }) => ({ node, source: 'retrieved', score }));
+      collected.splice(pinnedCount, 0, ...retrieved);
+      return { items: collected, retrievalMethod: method };
     }
-  } else {
-    // Step 2b: For main branch, include ancestor path + all descendants (full memory)
-    console.log('🧠 Main branch: Using hierarchical memory');
-    
-    // Add ancestor path
-    for (const node of ancestorPath) {
-      if (!addedIds.has(node.id)) {
-        contextMessages.unshift({
-          role: node.role,
-          content: node.content
-        });
-        addedIds.add(node.id);
-      }
+
+    default:
+      // Isolated: the ancestor path only
+      break;
+  }
+
+  return { items: collected, retrievalMethod: null };
+}
+
+/**
+ * Gets the order in which a strategy gives up messages to fit the budget
+ * @param {Object[]} history - Droppable context items, oldest first
+ * @param {string} strategy - Strategy id (see CONTEXT_STRATEGIES)
+ * @param {number} keepFirst - Turns kept at the start by 'first-last'
+ * @param {number} keepLast - Turns kept at the end by 'first-last'
+ * @returns {Object[]} Items, first to go first
+ */
+function getDropOrder(history, strategy, keepFirst, keepLast) {
+  if (strategy !== 'first-last') {
+    return history;
+  }
+
+  // The middle goes first; the kept turns only go when the middle alone can't make room
+  const lastStart = Math.max(keepFirst, history.length - keepLast);
+  return [
+    ...history.slice(keepFirst, lastStart),
+    ...history.slice(0, keepFirst),
+    ...history.slice(lastStart)
+  ];
+}
+
+/**
+ * Builds a compact extractive summary of messages left out of the context
+ * @param {Object[]} items - Summarized context items, oldest first
+ * @param {number} maxTokens - Token limit for the summary message
+ * @param {Object} target - Model and/or provider to count for
+ * @returns {string} Summary text
+ */
+function buildOverflowSummary(items, maxTokens, target) {
+  const lines = items.map(item => {
+    const text = item.content.replace(/\s+/g, ' ').trim();
+    const firstSentence = text.match(/^.*?[.!?](\s|$)/)?.[0].trim() || text;
+    const excerpt = firstSentence.length > SUMMARY_EXCERPT_LENGTH
+      ? `${firstSentence.slice(0, SUMMARY_EXCERPT_LENGTH)}…`
+      : firstSentence;
+    return `- ${item.role.toUpperCase()}: ${excerpt}`;
+  });
+
+  const header = `Summary of ${items.length} earlier message${items.length === 1 ? '' : 's'} left out to fit the context window:`;
+  // Keep the most recent excerpts when even the summary is too long
+  let omitted = 0;
+  let summary = [header, ...lines].join('\n');
+  while (omitted < lines.length && countTokens(summary, target) > maxTokens) {
+    omitted++;
+    summary = [header, `- (${omitted} older message${omitted === 1 ? '' : 's'} omitted)`, ...lines.slice(omitted)].join('\n');
+  }
+  return summary;
+}
+
+/**
+ * Compiles context for a new message and reports how it was fitted into the token budget.
+ * The system prompt comes first, then pinned nodes, then the ancestor path and whatever other branches
+ * the node's memory mode remembers, then any force-included nodes; inspector overrides can exclude or
+ * reorder these. When the result is over budget the chosen strategy drops, truncates or summarizes
+ * messages. The system prompt is never cut, and pinned or force-included nodes only as a last resort.
+ * @param {Node[]} allNodes - All nodes in the tree
+ * @param {string} activeNodeId - ID of the node from which the new message is being sent
+ * @param {string} newPromptText - The new user prompt
+ * @param {Object} options - Compilation options
+ * @param {string[]} [options.excludeIds] - Nodes to leave out (e.g. the message being regenerated)
+ * @param {number|null} [options.maxTokens] - Token budget; no limit when omitted
+ * @param {string} [options.strategy='drop-oldest'] - One of CONTEXT_STRATEGIES
+ * @param {number} [options.keepFirst=2] - Turns kept at the start by 'first-last'
+ * @param {number} [options.keepLast=6] - Turns kept at the end by 'first-last'
+ * @param {Object} [options.target] - Model and/or provider used for token counting ({ model, provider })
+ * @param {boolean} [options.useBranchSummaries=true] - Send sub-branch memory as rolling summaries where available
+ * @param {PinGroup[]} [options.pinGroups] - Ordered pin groups; every pin is sent when omitted
+ * @param {SystemPromptSetting} [options.systemPrompt] - Project-level system prompt, used when no node sets one
+ * @param {Persona[]} [options.personas] - Persona library system prompts can refer to
+ * @param {ContextOverrides} [options.overrides] - Edits made in the context inspector
+ * @param {number} [options.retrievalTopK=5] - Nodes the 'retrieval' memory mode pulls in for the prompt
+ * @param {number[]} [options.queryEmbedding] - Embedding of the prompt; BM25 is used without one
+ * @param {string} [options.embeddingModel] - Model the query embedding comes from
+ * @returns {Object} { messages, entries, totalTokens, budget, strategy, memoryMode, retrievalMethod, systemPrompt, target, overBudget }
+ *   where entries are in send order, each { nodeId, role, source, content, status, forced, score, tokens, originalTokens },
+ *   and status is 'included', 'truncated', 'dropped', 'summarized' or 'excluded'
+ */
+export function compileContextWithReport(allNodes, activeNodeId, newPromptText, options = {}) {
+  const {
+    excludeIds = [],
+    maxTokens = null,
+    strategy = 'drop-oldest',
+    keepFirst = 2,
+    keepLast = 6,
+    target = {},
+    useBranchSummaries = true,
+    pinGroups,
+    systemPrompt,
+    personas,
+    overrides,
+    retrievalTopK = 5,
+    queryEmbedding,
+    embeddingModel
+  } = options;
+  const { excludeIds: excludedByUser = [], includeIds = [], order = [] } = overrides || {};
+
+  const { mode } = getMemoryMode(allNodes, activeNodeId);
+  const resolvedSystemPrompt = resolveSystemPrompt(allNodes, activeNodeId, { systemPrompt, personas });
+  const systemItem = resolvedSystemPrompt && {
+    nodeId: resolvedSystemPrompt.sourceNodeId,
+    role: 'system',
+    source: 'system',
+    content: resolvedSystemPrompt.content,
+    status: 'included',
+    tokens: getMessageTokenCount({ content: resolvedSystemPrompt.content }, target)
+  };
+  if (systemItem) {
+    systemItem.originalTokens = systemItem.tokens;
+  }
+  const { items: collected, retrievalMethod } = collectContextNodes(allNodes, activeNodeId, {
+    mode,
+    excludeIds,
+    useBranchSummaries,
+    pinGroups,
+    retrieval: { query: newPromptText, topK: retrievalTopK, queryEmbedding, embeddingModel }
+  });
+
+  // Force-included nodes the memory mode left out follow the collected context
+  const collectedIds = new Set(collected.map(({ node }) => node.id));
+  const forced = includeIds
+    .filter(id => !collectedIds.has(id) && !excludeIds.includes(id))
+    .map(id => findNodeById(allNodes, id))
+    .filter(Boolean)
+    .map(node => ({ node, source: 'included' }));
+
+  const items = [...collected, ...forced].map(({ node, source, score }) => {
+    const tokens = getMessageTokenCount(node, target);
+    return {
+      nodeId: node.id,
+      role: node.role,
+      source,
+      content: node.content,
+      status: excludedByUser.includes(node.id) ? 'excluded' : 'included',
+      forced: includeIds.includes(node.id),
+      ...(score !== undefined && { score }),
+      tokens,
+      originalTokens: tokens
+    };
+  });
+
+  if (order.length > 0) {
+    // Listed entries take the listed order; any the list doesn't know keep their relative order after them
+    const position = new Map(order.map((id, index) => [id, index]));
+    items.sort((a, b) => (position.get(a.nodeId) ?? order.length) - (position.get(b.nodeId) ?? order.length));
+  }
+  const promptItem = {
+    nodeId: null,
+    role: 'user',
+    source: 'prompt',
+    content: newPromptText,
+    status: 'included',
+    tokens: getMessageTokenCount({ content: newPromptText }, target)
+  };
+  promptItem.originalTokens = promptItem.tokens;
+
+  let summaryItem = null;
+  const isSent = (item) => item.status === 'included' || item.status === 'truncated';
+  const usedTokens = () => countMessageTokens([], target)
+    + [...items, promptItem].filter(isSent).reduce((sum, item) => sum + item.tokens, 0)
+    + (summaryItem ? summaryItem.tokens : 0)
+    + (systemItem ? systemItem.tokens : 0);
+
+  // Shortens an item to absorb the overflow; returns false when too little of it would remain
+  const truncateItem = (item) => {
+    const overflow = usedTokens() - maxTokens;
+    const remaining = item.tokens - overflow - getMessageTokenCount({ content: TRUNCATION_MARKER }, target);
+    if (remaining < MIN_TRUNCATED_TOKENS) {
+      return false;
     }
-    
-    // Add all descendants of the main branch (sub-branch memories)
-    const rootNode = ancestorPath[0]; // First node in path is root
-    console.log('Root node:', rootNode);
-    if (rootNode) {
-      const allDescendants = getDescendants(allNodes, rootNode.id);
-      console.log('All descendants count:', allDescendants.length);
-      console.log('Descendants:', allDescendants.map(d => ({ id: d.id, role: d.role, content: d.content.substring(0, 50) + '...' })));
-      
-      // Sort descendants by timestamp to maintain chronological order
-      const sortedDescendants = allDescendants.sort((a, b) => 
-        a.metadata.timestamp - b.metadata.timestamp
-      );
-      
-      for (const node of sortedDescendants) {
-        if (!addedIds.has(node.id)) {
-          contextMessages.push({
-            role: node.role,
-            content: node.content
-          });
-          addedIds.add(node.id);
+    item.content = truncateToTokens(item.content, remaining, target) + TRUNCATION_MARKER;
+    item.tokens = getMessageTokenCount(item, target);
+    item.status = 'truncated';
+    return true;
+  };
+
+  const isProtected = (item) => item.source === 'pinned' || item.forced;
+
+  if (maxTokens && usedTokens() > maxTokens) {
+    const history = items.filter(item => !isProtected(item) && item.status !== 'excluded');
+    const dropOrder = getDropOrder(history, strategy, keepFirst, keepLast);
+
+    if (strategy === 'summarize') {
+      const summaryBudget = Math.floor(maxTokens * SUMMARY_BUDGET_SHARE);
+      for (const item of dropOrder) {
+        if (usedTokens() <= maxTokens) break;
+        item.status = 'summarized';
+
+        const summarized = items.filter(i => i.status === 'summarized');
+        const content = buildOverflowSummary(summarized, summaryBudget, target);
+        summaryItem = {
+          nodeId: null,
+          role: 'user',
+          source: 'summary',
+          content,
+          status: 'included',
+          tokens: getMessageTokenCount({ content }, target),
+          summarizedIds: summarized.map(s => s.nodeId)
+        };
+        summaryItem.originalTokens = summaryItem.tokens;
+      }
+    } else {
+      for (const item of dropOrder) {
+        if (usedTokens() <= maxTokens) break;
+        if (!truncateItem(item)) {
+          item.status = 'dropped';
         }
       }
     }
+
+    // Pinned and force-included context only gives way when the conversation alone can't make room
+    const protectedBySize = items
+      .filter(item => isProtected(item) && item.status !== 'excluded')
+      .sort((a, b) => b.tokens - a.tokens);
+    for (const item of protectedBySize) {
+      if (usedTokens() <= maxTokens) break;
+      truncateItem(item);
+    }
   }
-  
-  // Step 3: Add New Prompt
-  contextMessages.push({
-    role: 'user',
-    content: newPromptText
+
+  // Put everything in send order; the summary takes the place of the earliest message it replaces
+  const entries = systemItem ? [systemItem] : [];
+  for (const item of items) {
+    if (summaryItem && item.nodeId === summaryItem.summarizedIds[0]) {
+      entries.push(summaryItem);
+    }
+    entries.push(item);
+  }
+  entries.push(promptItem);
+  const messages = entries.filter(isSent).map(({ role, content }) => ({ role, content }));
+
+  const totalTokens = countMessageTokens(messages, target);
+  return {
+    messages,
+    entries,
+    totalTokens,
+    budget: maxTokens,
+    strategy,
+    memoryMode: mode,
+    retrievalMethod,
+    systemPrompt: resolvedSystemPrompt,
+    target,
+    overBudget: Boolean(maxTokens) && totalTokens > maxTokens
+  };
+}
+
+/**
+ * Hashes messages so a rebuilt prompt can be checked against the one that was sent (cyrb53)
+ * @param {Object[]} messages - Messages in OpenAI format
+ * @returns {string} 53-bit hash as hex
+ */
+export function hashContext(messages) {
+  const text = JSON.stringify(messages.map(({ role, content }) => [role, content]));
+  let h1 = 0xdeadbeef;
+  let h2 = 0x41c6ce57;
+  for (let i = 0; i < text.length; i++) {
+    const char = text.charCodeAt(i);
+    h1 = Math.imul(h1 ^ char, 2654435761);
+    h2 = Math.imul(h2 ^ char, 1597334677);
+  }
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+  return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(16).padStart(14, '0');
+}
+
+/**
+ * Creates the compact reference to a compiled context that is saved on the assistant node answering it.
+ * Messages that are a node's text are stored as the node's ID (truncated ones with the number of characters
+ * kept); anything else, like the system prompt or a summary, is stored as text.
+ * @param {Object[]} entries - Report entries from compileContextWithReport, or messages ({ role, content, source })
+ * @param {Node[]} allNodes - Nodes the context was compiled from, including the prompt's node
+ * @param {string|null} [promptNodeId] - Node holding the prompt (the user message being answered)
+ * @returns {Object} { messages, hash } where messages are { role, source, nodeId?, chars?, content? }
+ */
+export function createContextReference(entries, allNodes, promptNodeId = null) {
+  const sent = entries.filter(entry => !entry.status || entry.status === 'included' || entry.status === 'truncated');
+  const messages = sent.map(entry => {
+    const nodeId = entry.source === 'prompt' ? promptNodeId : entry.nodeId;
+    const node = nodeId ? findNodeById(allNodes, nodeId) : null;
+    const reference = { role: entry.role, source: entry.source, ...(nodeId && { nodeId }) };
+    if (node && node.content === entry.content) {
+      return reference;
+    }
+
+    const kept = entry.content.slice(0, -TRUNCATION_MARKER.length);
+    if (node && entry.status === 'truncated' && node.content.startsWith(kept)) {
+      return { ...reference, chars: kept.length };
+    }
+    return { ...reference, content: entry.content };
   });
-  
-  // Debug: Log final context
-  console.log('Final context messages count:', contextMessages.length);
-  console.log('Context messages:', contextMessages.map(msg => ({ 
-    role: msg.role, 
-    content: msg.content.substring(0, 100) + (msg.content.length > 100 ? '...' : '') 
-  })));
-  
-  // Step 4: Return compiled context
-  return contextMessages;
+
+  return { messages, hash: hashContext(sent) };
 }
 
 /**
- * Gets context summary for display purposes with hierarchical memory info
+ * Rebuilds the exact messages a reply was generated from
  * @param {Node[]} allNodes - All nodes in the tree
- * @param {string} activeNodeId - ID of the active node
- * @returns {Object} Context summary with counts and preview
+ * @param {Object} reference - Reference saved on the assistant node (metadata.contextRef)
+ * @returns {Object} { messages, hash, matches, missingNodeIds } with messages as { role, content, source, nodeId? };
+ *   matches is false when a referenced node was deleted or changed since
  */
-export function getContextSummary(allNodes, activeNodeId) {
-  const pinnedCount = allNodes.filter(node => node.metadata.isPinned).length;
-  const ancestorPath = getPathToRoot(allNodes, activeNodeId);
-  const ancestorCount = ancestorPath.length;
-  
-  // Determine if we're in a sub-branch or main branch
-  const activeNode = allNodes.find(n => n.id === activeNodeId);
-  const isInSubBranch = activeNode && activeNode.parentId !== null;
-  
-  let descendantCount = 0;
-  let totalContextNodes = pinnedCount + ancestorCount;
-  
-  if (!isInSubBranch) {
-    // For main branch, include all descendants
-    const rootNode = ancestorPath[0];
-    if (rootNode) {
-      const allDescendants = getDescendants(allNodes, rootNode.id);
-      descendantCount = allDescendants.length;
-      totalContextNodes = pinnedCount + ancestorCount + descendantCount;
+export function rebuildContext(allNodes, reference) {
+  const missingNodeIds = [];
+  const messages = reference.messages.map(({ chars, content, ...message }) => {
+    if (content !== undefined) {
+      return { ...message, content };
+    }
+
+    const node = findNodeById(allNodes, message.nodeId);
+    if (!node) {
+      missingNodeIds.push(message.nodeId);
+      return { ...message, content: '' };
     }
+    return {
+      ...message,
+      content: chars !== undefined ? node.content.slice(0, chars) + TRUNCATION_MARKER : node.content
+    };
+  });
+
+  const hash = hashContext(messages);
+  return { messages, hash, matches: hash === reference.hash, missingNodeIds };
+}
+
+/**
+ * Compiles context for a new message based on hierarchical memory system
+ * @param {Node[]} allNodes - All nodes in the tree
+ * @param {string} activeNodeId - ID of the node from which the new message is being sent
+ * @param {string} newPromptText - The new user prompt
+ * @param {Object} options - Compilation options, see compileContextWithReport
+ * @returns {Object[]} Array of messages in OpenAI format for LLM API
+ */
+export function compileContext(allNodes, activeNodeId, newPromptText, options = {}) {
+  const { messages, entries, totalTokens, budget } = compileContextWithReport(allNodes, activeNodeId, newPromptText, options);
+
+  const left = entries.filter(entry => entry.status !== 'included' && entry.status !== 'excluded');
+  if (left.length > 0) {
+    console.log(`Context fitted to ${budget} tokens (${totalTokens} used): ${left.length} message(s) truncated, dropped or summarized`);
   }
-  
-  // Calculate total token count for context
-  const pinnedNodes = allNodes.filter(node => node.metadata.isPinned);
-  let contextNodes = [...pinnedNodes, ...ancestorPath];
-  
-  if (!isInSubBranch) {
-    const rootNode = ancestorPath[0];
-    if (rootNode) {
-      const allDescendants = getDescendants(allNodes, rootNode.id);
-      contextNodes = [...contextNodes, ...allDescendants];
+  return messages;
+}
+
+/**
+ * Fits the quoted messages of one branch into a token limit, keeping the newest: older messages are
+ * summarized with the 'summarize' strategy and left out with the others, and a last message that is
+ * still too long is truncated
+ * @param {Node[]} branchNodes - Messages after the split, oldest first
+ * @param {number} maxTokens - Tokens the section may use
+ * @param {string} strategy - Strategy id (see CONTEXT_STRATEGIES)
+ * @param {Object} target - Model and/or provider to count for
+ * @returns {string} Section text
+ */
+function fitBranchSection(branchNodes, maxTokens, strategy, target) {
+  const lines = branchNodes.map(node => `${node.role.toUpperCase()}: ${node.content}`);
+  const section = (omitted) => {
+    if (omitted === 0) {
+      return lines.join('\n\n');
     }
+    const note = strategy === 'summarize'
+      ? buildOverflowSummary(branchNodes.slice(0, omitted), Math.floor(maxTokens * SUMMARY_BUDGET_SHARE), target)
+      : `(${omitted} earlier message${omitted === 1 ? '' : 's'} left out to fit the context window)`;
+    return [note, ...lines.slice(omitted)].join('\n\n');
+  };
+
+  let omitted = 0;
+  while (omitted < lines.length - 1 && countTokens(section(omitted), target) > maxTokens) {
+    omitted++;
   }
-  
-  const totalTokens = contextNodes.reduce((sum, node) => sum + (node.metadata.tokenCount || 0), 0);
-  
+  const text = section(omitted);
+  if (countTokens(text, target) <= maxTokens) {
+    return text;
+  }
+  const room = maxTokens - countTokens(TRUNCATION_MARKER, target);
+  return room > 0 ? truncateToTokens(text, room, target) + TRUNCATION_MARKER : TRUNCATION_MARKER.trim();
+}
+
+/**
+ * Compiles the context for synthesizing two branches into a single merge node. When it is over the
+ * token budget the shared history gives way first, as the strategy would for any reply; then the two
+ * branch sections split what is left, each keeping its newest messages (see fitBranchSection).
+ * @param {Node[]} allNodes - All nodes in the tree
+ * @param {string} nodeIdA - Tip of the first branch
+ * @param {string} nodeIdB - Tip of the second branch
+ * @param {Object} [options] - Compilation options: systemPrompt, personas, maxTokens, strategy, keepFirst,
+ *   keepLast and target as for compileContextWithReport; the first branch's system prompt is used
+ * @returns {Object[]} Array of messages in OpenAI format for LLM API
+ */
+export function compileMergeContext(allNodes, nodeIdA, nodeIdB, options = {}) {
+  const { maxTokens = null, strategy = 'drop-oldest', keepFirst = 2, keepLast = 6, target = {} } = options;
+  const commonAncestor = getCommonAncestor(allNodes, nodeIdA, nodeIdB);
+  const sharedPath = commonAncestor ? getPathToRoot(allNodes, commonAncestor.id) : [];
+  const sharedIds = new Set(sharedPath.map(n => n.id));
+
+  const getBranchNodes = (nodeId) => getMergedHistory(allNodes, nodeId).filter(node => !sharedIds.has(node.id));
+  const formatBranch = (branchNodes) => branchNodes
+    .map(node => `${node.role.toUpperCase()}: ${node.content}`)
+    .join('\n\n');
+  const branchNodesA = getBranchNodes(nodeIdA);
+  const branchNodesB = getBranchNodes(nodeIdB);
+
+  const systemPrompt = resolveSystemPrompt(allNodes, nodeIdA, options);
+  const systemMessages = systemPrompt ? [{ role: 'system', content: systemPrompt.content }] : [];
+
+  // The shared history is sent as regular turns; only the diverging parts are quoted
+  let shared = sharedPath.map(node => ({ role: node.role, content: node.content }));
+  const build = (sectionA, sectionB) => [
+    ...systemMessages,
+    ...shared,
+    {
+      role: 'user',
+      content: `The conversation above split into two branches. Merge them: synthesize the insights, answers and decisions from both into a single coherent response, and point out where the branches disagree.
+
+=== Branch A ===
+${sectionA || '(no messages after the split)'}
+
+=== Branch B ===
+${sectionB || '(no messages after the split)'}`
+    }
+  ];
+
+  const fullA = formatBranch(branchNodesA);
+  const fullB = formatBranch(branchNodesB);
+  const fits = (messages) => !maxTokens || countMessageTokens(messages, target) <= maxTokens;
+  if (fits(build(fullA, fullB))) {
+    return build(fullA, fullB);
+  }
+
+  const leftOut = new Set();
+  for (const node of getDropOrder(sharedPath, strategy, keepFirst, keepLast)) {
+    leftOut.add(node.id);
+    const kept = sharedPath.filter(n => !leftOut.has(n.id)).map(n => ({ role: n.role, content: n.content }));
+    const summarized = sharedPath.filter(n => leftOut.has(n.id));
+    shared = strategy === 'summarize'
+      ? [{ role: 'user', content: buildOverflowSummary(summarized, Math.floor(maxTokens * SUMMARY_BUDGET_SHARE), target) }, ...kept]
+      : kept;
+    if (fits(build(fullA, fullB))) {
+      return build(fullA, fullB);
+    }
+  }
+
+  // An even split, with what a short branch doesn't need going to the other
+  const available = Math.max(0, maxTokens - countMessageTokens(build('', ''), target));
+  const tokensA = countTokens(fullA, target);
+  const tokensB = countTokens(fullB, target);
+  const shareA = Math.max(Math.floor(available / 2), available - tokensB);
+  const shareB = available - Math.min(tokensA, shareA);
+  return build(
+    tokensA <= shareA ? fullA : fitBranchSection(branchNodesA, shareA, strategy, target),
+    tokensB <= shareB ? fullB : fitBranchSection(branchNodesB, shareB, strategy, target)
+  );
+}
+
+/**
+ * Compiles the request that refreshes a sub-branch's rolling summary. Only the messages added
+ * since the last refresh are sent, together with the previous summary.
+ * @param {string|null} previousSummary - The branch's current summary, if any
+ * @param {Node[]} newNodes - Messages not yet covered by the summary, oldest first
+ * @returns {Object[]} Array of messages in OpenAI format for LLM API
+ */
+export function compileSummaryContext(previousSummary, newNodes) {
+  const transcript = newNodes
+    .map(node => `${node.role.toUpperCase()}: ${node.content}`)
+    .join('\n\n');
+
+  const instructions = previousSummary
+    ? `Here is the running summary of a conversation branch, followed by the messages added since it was written. Update the summary so it also covers the new messages.
+
+=== Current summary ===
+${previousSummary}
+
+=== New messages ===
+${transcript}`
+    : `Summarize this conversation branch.
+
+=== Messages ===
+${transcript}`;
+
+  return [{
+    role: 'user',
+    content: `${instructions}
+
+Keep the facts, decisions, open questions and conclusions someone would need to continue from it. Use at most ${BRANCH_SUMMARY_WORDS} words and reply with the summary only.`
+  }];
+}
+
+/**
+ * Gets context summary for display purposes with memory mode info
+ * @param {Node[]} allNodes - All nodes in the tree
+ * @param {string} activeNodeId - ID of the active node
+ * @param {Object} [options] - Summary options
+ * @param {boolean} [options.useBranchSummaries=true] - Count sub-branches by their rolling summaries
+ * @param {PinGroup[]} [options.pinGroups] - Ordered pin groups; every pin counts when omitted
+ * @param {SystemPromptSetting} [options.systemPrompt] - Project-level system prompt
+ * @param {Persona[]} [options.personas] - Persona library
+ * @param {string} [options.query] - What the 'retrieval' mode searches for; the active node's text when omitted
+ * @param {number} [options.retrievalTopK=5] - Nodes the 'retrieval' mode pulls in
+ * @returns {Object} Context summary with counts, the applied memory mode and system prompt, retrieved nodes with
+ *   their scores, and a preview
+ */
+export function getContextSummary(allNodes, activeNodeId, options = {}) {
+  const { useBranchSummaries = true, pinGroups, query, retrievalTopK = 5 } = options;
+  const systemPrompt = resolveSystemPrompt(allNodes, activeNodeId, options);
+  const { mode, sourceNodeId } = getMemoryMode(allNodes, activeNodeId);
+  const activeNode = allNodes.find(n => n.id === activeNodeId);
+  const { items: collected, retrievalMethod } = collectContextNodes(allNodes, activeNodeId, {
+    mode,
+    useBranchSummaries,
+    pinGroups,
+    retrieval: { query: query ?? activeNode?.content, topK: retrievalTopK }
+  });
+  const ancestorPath = collected.filter(item => item.source === 'ancestor').map(item => item.node);
+
+  const countBy = (...sources) => collected.filter(item => sources.includes(item.source)).length;
+
+  // Nodes saved before token counting existed have no count yet; summaries are counted as sent
+  const totalTokens = collected.reduce((sum, { node, source }) => (
+    sum + (source === 'branch-summary' ? countTokens(node.content) : getNodeTokenCount(node))
+  ), systemPrompt ? countTokens(systemPrompt.content) : 0);
+
+  const isInSubBranch = Boolean(activeNode && activeNode.parentId !== null);
+  const preview = (node) => node.content.substring(0, 100) + (node.content.length > 100 ? '...' : '');
+
   return {
-    pinnedCount,
-    ancestorCount,
-    descendantCount,
-    totalContextNodes,
+    pinnedCount: countBy('pinned'),
+    ancestorCount: ancestorPath.length,
+    descendantCount: countBy('descendant', 'branch-summary'),
+    summaryCount: countBy('branch-summary'),
+    retrievedCount: countBy('retrieved'),
+    retrievalMethod,
+    // Best match first
+    retrieved: collected
+      .filter(item => item.source === 'retrieved')
+      .reverse()
+      .map(({ node, score }) => ({ id: node.id, role: node.role, content: preview(node), score })),
+    totalContextNodes: collected.length,
     totalTokens,
     isInSubBranch,
-    memoryType: isInSubBranch ? 'isolated' : 'hierarchical',
+    memoryType: mode,
+    memoryModeSource: sourceNodeId,
+    isMemoryModeInherited: Boolean(sourceNodeId) && sourceNodeId !== activeNodeId,
+    systemPrompt,
     ancestorPath: ancestorPath.map(node => ({
       id: node.id,
       role: node.role,
-      content: node.content.substring(0, 100) + (node.content.length > 100 ? '...' : ''),
+      content: preview(node),
       timestamp: node.metadata.timestamp
     }))
   };
@@ -185,13 +778,11 @@ export function getContextSummary(allNodes, activeNodeId) {
  * Validates context before sending to LLM
  * @param {Object[]} contextMessages - Compiled context messages
  * @param {number} maxTokens - Maximum tokens allowed
+ * @param {Object} [target] - Model and/or provider the context is sent to ({ model, provider })
  * @returns {Object} Validation result
  */
-export function validateContext(contextMessages, maxTokens = 100000) {
-  const totalTokens = contextMessages.reduce((sum, msg) => {
-    // Rough token estimation (4 characters ≈ 1 token)
-    return sum + Math.ceil(msg.content.length / 4);
-  }, 0);
+export function validateContext(contextMessages, maxTokens = 100000, target = {}) {
+  const totalTokens = countMessageTokens(contextMessages, target);
   
   const warnings = [];
   if (totalTokens > maxTokens) {
@@ -0,0 +1,339 @@
+/**
+ * @jest-environment node
+ */
+
+import {
+  compileContextWithReport,
+  createContextReference,
+  rebuildContext,
+  getMemoryMode,
+  compileSummaryContext,
+  compileMergeContext
+} from './contextCompiler';
+import { loadTokenizer, countMessageTokens } from './tokenizer';
+
+/**
+ * Builds a tree from { id, parentId, role, content, metadata } specs, linking children and
+ * spacing timestamps in the order given
+ */
+function buildTree(specs) {
+  const nodes = specs.map(({ id, parentId = null, role = 'user', content = id, metadata = {} }, index) => ({
+    id,
+    parentId,
+    mergeParents: [],
+    children: [],
+    role,
+    content,
+    metadata: { timestamp: 1000 + index, isPinned: false, ...metadata }
+  }));
+  nodes.forEach(node => {
+    const parent = nodes.find(n => n.id === node.parentId);
+    if (parent) {
+      parent.children.push(node.id);
+    }
+  });
+  return nodes;
+}
+
+// A single line of conversation: m0 → m1 → ... alternating user and assistant
+function buildChain(count, makeContent = index => `Message number ${index}`) {
+  return buildTree(Array.from({ length: count }, (_, index) => ({
+    id: `m${index}`,
+    parentId: index === 0 ? null : `m${index - 1}`,
+    role: index % 2 === 0 ? 'user' : 'assistant',
+    content: makeContent(index)
+  })));
+}
+
+const statusesById = (report) => Object.fromEntries(
+  report.entries.filter(entry => entry.nodeId).map(entry => [entry.nodeId, entry.status])
+);
+
+beforeAll(() => loadTokenizer('cl100k'));
+
+describe('compileContextWithReport', () => {
+  test('sends the ancestor path and the prompt, oldest first, without a budget', () => {
+    const nodes = buildChain(4);
+    const report = compileContextWithReport(nodes, 'm3', 'Next question');
+
+    expect(report.messages.map(m => m.content)).toEqual([
+      'Message number 0', 'Message number 1', 'Message number 2', 'Message number 3', 'Next question'
+    ]);
+    expect(report.messages.map(m => m.role)).toEqual(['user', 'assistant', 'user', 'assistant', 'user']);
+    expect(report.overBudget).toBe(false);
+  });
+
+  test('drop-oldest gives up the oldest messages first', () => {
+    const nodes = buildChain(8);
+    const full = compileContextWithReport(nodes, 'm7', 'Next question');
+    const report = compileContextWithReport(nodes, 'm7', 'Next question', {
+      maxTokens: full.totalTokens - 15,
+      strategy: 'drop-oldest'
+    });
+
+    const statuses = statusesById(report);
+    expect(statuses.m0).toBe('dropped');
+    expect(statuses.m1).toBe('dropped');
+    expect(statuses.m7).toBe('included');
+    // Once a message is kept, every newer one is kept too
+    const order = nodes.map(node => statuses[node.id]);
+    expect(order.slice(order.indexOf('included')).every(status => status === 'included')).toBe(true);
+    expect(report.totalTokens).toBeLessThanOrEqual(report.budget);
+  });
+
+  test('drop-oldest shortens a long message instead of dropping it when enough of it fits', () => {
+    const long = 'This sentence is repeated to make a long message. '.repeat(40);
+    const nodes = buildChain(3, index => (index === 0 ? long : `Message number ${index}`));
+    const full = compileContextWithReport(nodes, 'm2', 'Next question');
+    const report = compileContextWithReport(nodes, 'm2', 'Next question', { maxTokens: full.totalTokens - 100 });
+
+    const [first] = report.entries;
+    expect(first.status).toBe('truncated');
+    expect(first.content.endsWith('[…truncated]')).toBe(true);
+    expect(long.startsWith(first.content.replace('\n[…truncated]', ''))).toBe(true);
+    expect(report.totalTokens).toBeLessThanOrEqual(report.budget);
+  });
+
+  test('first-last drops the middle and keeps the first and last turns', () => {
+    const nodes = buildChain(10);
+    const full = compileContextWithReport(nodes, 'm9', 'Next question');
+    const report = compileContextWithReport(nodes, 'm9', 'Next question', {
+      maxTokens: full.totalTokens - 20,
+      strategy: 'first-last',
+      keepFirst: 2,
+      keepLast: 2
+    });
+
+    const statuses = statusesById(report);
+    expect([statuses.m0, statuses.m1, statuses.m8, statuses.m9]).toEqual(['included', 'included', 'included', 'included']);
+    expect(statuses.m2).toBe('dropped');
+    expect(report.totalTokens).toBeLessThanOrEqual(report.budget);
+  });
+
+  test('first-last gives up the kept turns only when the middle is not enough', () => {
+    const nodes = buildChain(6);
+    const report = compileContextWithReport(nodes, 'm5', 'Next question', {
+      maxTokens: countMessageTokens([{ content: 'Message number 5' }, { content: 'Next question' }]),
+      strategy: 'first-last',
+      keepFirst: 1,
+      keepLast: 1
+    });
+
+    const statuses = statusesById(report);
+    expect(statuses.m0).toBe('dropped');
+    expect(statuses.m5).toBe('included');
+  });
+
+  test('summarize replaces the oldest messages with a summary in their place', () => {
+    const detail = 'Some more detail about it that the summary leaves out. '.repeat(8);
+    const nodes = buildChain(12, index => `Point ${index} of the discussion. ${detail}`);
+    const full = compileContextWithReport(nodes, 'm11', 'Next question');
+    const report = compileContextWithReport(nodes, 'm11', 'Next question', {
+      maxTokens: Math.floor(full.totalTokens * 0.7),
+      strategy: 'summarize'
+    });
+
+    const summary = report.entries.find(entry => entry.source === 'summary');
+    expect(summary).toBeDefined();
+    expect(summary.summarizedIds[0]).toBe('m0');
+    expect(summary.content).toMatch(/^Summary of \d+ earlier messages/);
+    expect(summary.content).toContain('- USER: Point 0 of the discussion.');
+    // The summary is sent where the first message it replaces was
+    expect(report.messages[0].content).toBe(summary.content);
+    expect(statusesById(report).m11).toBe('included');
+    expect(report.totalTokens).toBeLessThanOrEqual(report.budget);
+  });
+
+  test('keeps pinned nodes while the conversation can make room', () => {
+    const nodes = buildTree([
+      { id: 'root', content: 'Pinned background', metadata: { isPinned: true } },
+      { id: 'a', parentId: 'root', role: 'assistant', content: 'Message a' },
+      { id: 'b', parentId: 'a', content: 'Message b' },
+      { id: 'c', parentId: 'b', role: 'assistant', content: 'Message c' }
+    ]);
+    const full = compileContextWithReport(nodes, 'c', 'Next question');
+    const report = compileContextWithReport(nodes, 'c', 'Next question', { maxTokens: full.totalTokens - 10 });
+
+    const statuses = statusesById(report);
+    expect(report.entries[0]).toMatchObject({ nodeId: 'root', source: 'pinned', status: 'included' });
+    expect(statuses.a).toBe('dropped');
+  });
+
+  test('applies inspector overrides', () => {
+    const nodes = buildChain(4);
+    const report = compileContextWithReport(nodes, 'm3', 'Next question', {
+      overrides: { excludeIds: ['m1'], includeIds: [], order: ['m2', 'm0'] }
+    });
+
+    expect(report.messages.map(m => m.content)).toEqual([
+      'Message number 2', 'Message number 0', 'Message number 3', 'Next question'
+    ]);
+    expect(statusesById(report).m1).toBe('excluded');
+  });
+
+  test('puts the system prompt first and never cuts it', () => {
+    const nodes = buildChain(4);
+    const report = compileContextWithReport(nodes, 'm3', 'Next question', {
+      systemPrompt: { content: 'You are terse.' },
+      maxTokens: 20
+    });
+
+    expect(report.messages[0]).toEqual({ role: 'system', content: 'You are terse.' });
+    expect(report.entries[0].status).toBe('included');
+  });
+});
+
+describe('branch summaries', () => {
+  // The root has two sub-branches: a1 → a2 (summarized up to a2) → a3, and b1
+  const buildBranches = () => buildTree([
+    { id: 'root', content: 'Start' },
+    { id: 'a1', parentId: 'root', role: 'assistant', content: 'Branch A one' },
+    { id: 'a2', parentId: 'a1', content: 'Branch A two' },
+    { id: 'b1', parentId: 'root', role: 'assistant', content: 'Branch B one' },
+    { id: 'a3', parentId: 'a2', role: 'assistant', content: 'Branch A three' }
+  ]).map(node => (node.id === 'a1'
+    ? { ...node, metadata: { ...node.metadata, branchSummary: { content: 'A in short', coveredIds: ['a1', 'a2'] } } }
+    : node));
+
+  test('stand in for the messages they cover on the main branch', () => {
+    const report = compileContextWithReport(buildBranches(), 'root', 'Next question');
+
+    expect(report.entries.map(entry => [entry.nodeId, entry.source])).toEqual([
+      ['root', 'ancestor'],
+      ['a1', 'branch-summary'],
+      ['a3', 'descendant'],
+      ['b1', 'descendant'],
+      [null, 'prompt']
+    ]);
+    expect(report.messages[1].content).toBe('[Memory of another branch of this conversation, summarized]\nA in short');
+  });
+
+  test('are replaced by the transcript when turned off', () => {
+    const report = compileContextWithReport(buildBranches(), 'root', 'Next question', { useBranchSummaries: false });
+    expect(report.messages.map(m => m.content)).toEqual([
+      'Start', 'Branch A one', 'Branch A two', 'Branch A three', 'Branch B one', 'Next question'
+    ]);
+  });
+
+  test('are not sent inside the branch itself', () => {
+    const report = compileContextWithReport(buildBranches(), 'a3', 'Next question');
+    expect(report.messages.map(m => m.content)).toEqual([
+      'Start', 'Branch A one', 'Branch A two', 'Branch A three', 'Next question'
+    ]);
+  });
+
+  test('are refreshed from the previous summary and the new messages only', () => {
+    const [request] = compileSummaryContext('A in short', [
+      { role: 'assistant', content: 'Branch A three' }
+    ]);
+    expect(request.content).toContain('=== Current summary ===\nA in short');
+    expect(request.content).toContain('=== New messages ===\nASSISTANT: Branch A three');
+
+    const [first] = compileSummaryContext(null, [{ role: 'user', content: 'Hi' }]);
+    expect(first.content).toMatch(/^Summarize this conversation branch\./);
+  });
+});
+
+describe('compileMergeContext', () => {
+  const long = (label) => `${label} starts here. ${'It goes on with a lot more detail about the idea. '.repeat(20)}`;
+  // Four shared messages, then branch A with four messages and branch B with two
+  const buildMerge = (content = (id) => `Message ${id}`) => buildTree([
+    ...['s0', 's1', 's2', 's3'].map((id, index) => ({
+      id, parentId: index === 0 ? null : `s${index - 1}`, role: index % 2 === 0 ? 'user' : 'assistant', content: content(id)
+    })),
+    { id: 'a1', parentId: 's3', content: content('a1') },
+    { id: 'a2', parentId: 'a1', role: 'assistant', content: content('a2') },
+    { id: 'a3', parentId: 'a2', content: content('a3') },
+    { id: 'a4', parentId: 'a3', role: 'assistant', content: content('a4') },
+    { id: 'b1', parentId: 's3', content: content('b1') },
+    { id: 'b2', parentId: 'b1', role: 'assistant', content: content('b2') }
+  ]);
+  const mergePrompt = (messages) => messages[messages.length - 1].content;
+
+  test('sends the shared history as turns and quotes both branches in full', () => {
+    const messages = compileMergeContext(buildMerge(), 'a4', 'b2');
+
+    expect(messages.slice(0, 4).map(m => m.content)).toEqual(['Message s0', 'Message s1', 'Message s2', 'Message s3']);
+    expect(mergePrompt(messages)).toContain('=== Branch A ===\nUSER: Message a1\n\nASSISTANT: Message a2\n\nUSER: Message a3');
+    expect(mergePrompt(messages)).toContain('=== Branch B ===\nUSER: Message b1\n\nASSISTANT: Message b2');
+  });
+
+  test('gives up the shared history first to fit the budget', () => {
+    const nodes = buildMerge(id => (id.startsWith('s') ? long(id) : `Message ${id}`));
+    const full = countMessageTokens(compileMergeContext(nodes, 'a4', 'b2'));
+    const maxTokens = full - 200;
+    const messages = compileMergeContext(nodes, 'a4', 'b2', { maxTokens });
+
+    expect(messages.map(m => m.content.slice(0, 9))).toEqual(['s1 starts', 's2 starts', 's3 starts', 'The conve']);
+    expect(mergePrompt(messages)).toContain('ASSISTANT: Message a4');
+    expect(countMessageTokens(messages)).toBeLessThanOrEqual(maxTokens);
+  });
+
+  test('keeps the newest messages of each branch when the branches alone are too long', () => {
+    const nodes = buildMerge(long);
+    const maxTokens = 1000;
+    const messages = compileMergeContext(nodes, 'a4', 'b2', { maxTokens });
+
+    expect(messages).toHaveLength(1);
+    const [, branchA, branchB] = mergePrompt(messages).split(/=== Branch [AB] ===\n/);
+    expect(branchA).toMatch(/^\(\d earlier messages? left out to fit the context window\)/);
+    expect(branchA).toContain('ASSISTANT: a4 starts here.');
+    expect(branchA).not.toContain('a1 starts here.');
+    expect(branchB).toContain('b2 starts here.');
+    expect(countMessageTokens(messages)).toBeLessThanOrEqual(maxTokens);
+  });
+
+  test('summarizes what it leaves out with the summarize strategy', () => {
+    const nodes = buildMerge(long);
+    const maxTokens = 1200;
+    const messages = compileMergeContext(nodes, 'a4', 'b2', { maxTokens, strategy: 'summarize' });
+
+    expect(messages[0].content).toMatch(/^Summary of 4 earlier messages/);
+    const [, branchA] = mergePrompt(messages).split(/=== Branch [AB] ===\n/);
+    expect(branchA).toMatch(/^Summary of \d earlier messages? left out to fit the context window:\n- USER: a1 starts here\./);
+    expect(countMessageTokens(messages)).toBeLessThanOrEqual(maxTokens);
+  });
+});
+
+describe('getMemoryMode', () => {
+  test('is hierarchical on the root and isolated below it by default', () => {
+    const nodes = buildChain(3);
+    expect(getMemoryMode(nodes, 'm0')).toEqual({ mode: 'hierarchical', sourceNodeId: null });
+    expect(getMemoryMode(nodes, 'm2')).toEqual({ mode: 'isolated', sourceNodeId: null });
+  });
+
+  test('inherits the nearest mode set on an ancestor', () => {
+    const nodes = buildChain(3);
+    nodes[1].metadata.memoryMode = 'full-tree';
+    expect(getMemoryMode(nodes, 'm2')).toEqual({ mode: 'full-tree', sourceNodeId: 'm1' });
+  });
+});
+
+describe('context references', () => {
+  test('rebuild the exact prompt from node IDs', () => {
+    const nodes = buildChain(3);
+    const prompt = { id: 'p', parentId: 'm2', role: 'user', content: 'Next question', metadata: {} };
+    const report = compileContextWithReport(nodes, 'm2', prompt.content, { systemPrompt: { content: 'Be brief.' } });
+    const reference = createContextReference(report.entries, [...nodes, prompt], prompt.id);
+
+    expect(reference.messages[0]).toEqual({ role: 'system', source: 'system', content: 'Be brief.' });
+    expect(reference.messages[1]).toEqual({ role: 'user', source: 'ancestor', nodeId: 'm0' });
+
+    const rebuilt = rebuildContext([...nodes, prompt], reference);
+    expect(rebuilt.matches).toBe(true);
+    expect(rebuilt.messages.map(m => m.content)).toEqual(report.messages.map(m => m.content));
+  });
+
+  test('notice edited and deleted nodes', () => {
+    const nodes = buildChain(3);
+    const report = compileContextWithReport(nodes, 'm2', 'Next question');
+    const reference = createContextReference(report.entries, nodes);
+
+    const edited = nodes.map(node => (node.id === 'm1' ? { ...node, content: 'Changed' } : node));
+    expect(rebuildContext(edited, reference).matches).toBe(false);
+
+    const deleted = rebuildContext(nodes.filter(node => node.id !== 'm0'), reference);
+    expect(deleted.matches).toBe(false);
+    expect(deleted.missingNodeIds).toEqual(['m0']);
+  });
+});
@@ -0,0 +1,209 @@
+/**
+ * Conversation history for LangFork's Terminal log
+ * Picks the nodes a log shows, orders them the way git log does (newest first, never a node before
+ * one that follows it) and lays them out in lanes for --graph.
+ */
+
+import { getParentIds } from './treeUtils';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Units of relative dates such as "3 days ago" or 2h
+const DATE_UNITS = [
+  { pattern: /^(minutes?|mins?|m)$/, ms: 60 * 1000 },
+  { pattern: /^(hours?|h)$/, ms: 60 * 60 * 1000 },
+  { pattern: /^(days?|d)$/, ms: DAY_MS },
+  { pattern: /^(weeks?|w)$/, ms: 7 * DAY_MS },
+  { pattern: /^months?$/, ms: 30 * DAY_MS },
+  { pattern: /^(years?|y)$/, ms: 365 * DAY_MS }
+];
+
+/**
+ * Orders nodes newest first, but never a node before its children (or the merges that use it)
+ * @param {Node[]} selected - Nodes to order
+ * @returns {Node[]} Ordered nodes
+ */
+function sortNewestFirst(selected) {
+  const byId = new Map(selected.map(node => [node.id, node]));
+  const parentsOf = (node) => [...new Set(getParentIds(node))].filter(id => byId.has(id));
+
+  const waitingChildren = new Map(selected.map(node => [node.id, 0]));
+  selected.forEach(node => parentsOf(node).forEach(id => waitingChildren.set(id, waitingChildren.get(id) + 1)));
+
+  const ready = selected.filter(node => waitingChildren.get(node.id) === 0);
+  const ordered = [];
+  while (ready.length > 0) {
+    ready.sort((a, b) => (b.metadata.timestamp || 0) - (a.metadata.timestamp || 0));
+    const node = ready.shift();
+    ordered.push(node);
+    parentsOf(node).forEach(id => {
+      waitingChildren.set(id, waitingChildren.get(id) - 1);
+      if (waitingChildren.get(id) === 0) {
+        ready.push(byId.get(id));
+      }
+    });
+  }
+  return ordered;
+}
+
+/**
+ * Gets the nodes a log shows, newest first
+ * @param {Node[]} nodes - Array of all nodes
+ * @param {Object} options
+ * @param {string} [options.startId] - Show this node and everything it follows from (through merge parents too)
+ * @param {boolean} [options.all=false] - Show every node instead
+ * @returns {Node[]} Ordered nodes
+ */
+export function getHistory(nodes, { startId, all = false }) {
+  if (all) {
+    return sortNewestFirst(nodes);
+  }
+
+  const byId = new Map(nodes.map(node => [node.id, node]));
+  const seen = new Set();
+  const queue = byId.has(startId) ? [startId] : [];
+  while (queue.length > 0) {
+    const nodeId = queue.shift();
+    if (seen.has(nodeId) || !byId.has(nodeId)) {
+      continue;
+    }
+    seen.add(nodeId);
+    queue.push(...getParentIds(byId.get(nodeId)));
+  }
+  return sortNewestFirst(nodes.filter(node => seen.has(node.id)));
+}
+
+/**
+ * Lays ordered nodes out in lanes, as git log --graph does: one lane per line of history in view,
+ * a * where a node sits in its lane, and edge rows where lanes fork at a merge or join where branches
+ * meet their shared parent
+ * @param {Node[]} ordered - Nodes from getHistory
+ * @returns {Object[]} Rows, either { node, graph, continuation } (graph prefixes the node's first line,
+ *   continuation its other lines) or { edges } for a row of lines only
+ */
+export function layoutGraph(ordered) {
+  const inView = new Set(ordered.map(node => node.id));
+  const rows = [];
+  const lanes = [];
+
+  const row = (chars) => chars.join('').replace(/\s+$/, '');
+
+  for (const node of ordered) {
+    let column = lanes.indexOf(node.id);
+    if (column === -1) {
+      column = lanes.length;
+      lanes.push(node.id);
+    }
+
+    // Lanes of the node's other children join it, rightmost first: each runs into the nearest lane
+    // on its left that waits for the same node, passing under any lane in between
+    for (let from = lanes.lastIndexOf(node.id); from > column; from = lanes.lastIndexOf(node.id)) {
+      const into = lanes.lastIndexOf(node.id, from - 1);
+      const chars = Array(lanes.length * 2).fill(' ');
+      lanes.forEach((id, i) => {
+        if (i < from) {
+          chars[2 * i] = '|';
+        } else if (i > from) {
+          chars[2 * i - 1] = '/';
+        }
+      });
+      chars[2 * into + 1] = '/';
+      for (let i = 2 * into + 2; i < 2 * from; i++) {
+        if (chars[i] === ' ') {
+          chars[i] = '_';
+        }
+      }
+      rows.push({ edges: row(chars) });
+      lanes.splice(from, 1);
+    }
+
+    const graph = lanes.map((id, i) => (i === column ? '*' : '|')).join(' ');
+    const [firstParentId, ...mergeParentIds] = [...new Set(getParentIds(node))].filter(id => inView.has(id));
+    // The node's other lines come before the edges below it, so its own lane only goes on if history does
+    const continuation = lanes.map((id, i) => (i === column && !firstParentId ? ' ' : '|')).join(' ').replace(/\s+$/, '');
+    const edges = [];
+
+    if (firstParentId) {
+      lanes[column] = firstParentId;
+    } else {
+      // Where history starts the lane ends, and the lanes to its right move over
+      const chars = Array(lanes.length * 2).fill(' ');
+      lanes.forEach((id, i) => {
+        if (i < column) {
+          chars[2 * i] = '|';
+        } else if (i > column) {
+          chars[2 * i - 1] = '/';
+        }
+      });
+      lanes.splice(column, 1);
+      if (column < lanes.length) {
+        edges.push({ edges: row(chars) });
+      }
+    }
+
+    // A merge opens a lane for each merge parent not already in view
+    mergeParentIds.filter(id => !lanes.includes(id)).forEach((id, offset) => {
+      const at = column + offset;
+      const chars = Array((lanes.length + 1) * 2).fill(' ');
+      lanes.forEach((laneId, i) => {
+        if (i <= at) {
+          chars[2 * i] = '|';
+        } else {
+          chars[2 * i + 1] = '\\';
+        }
+      });
+      chars[2 * at + 1] = '\\';
+      edges.push({ edges: row(chars) });
+      lanes.splice(at + 1, 0, id);
+    });
+
+    rows.push({ node, graph, continuation }, ...edges);
+  }
+
+  return rows;
+}
+
+/**
+ * Hides the nodes a filter leaves out of a graph, keeping their lane glyphs so the lanes stay connected
+ * @param {Object[]} rows - Rows from layoutGraph
+ * @param {Function} isShown - Called with a node; false hides it
+ * @returns {Object[]} Rows, with hidden nodes as { edges } rows holding their graph prefix alone
+ */
+export function hideGraphNodes(rows, isShown) {
+  return rows.map(row => (row.node && !isShown(row.node) ? { edges: row.graph } : row));
+}
+
+/**
+ * Reads a --since/--until date: an absolute date, "now", "today", "yesterday", or a relative one
+ * such as "3 days ago", "2.weeks" or 2h
+ * @param {string} value - Date as typed
+ * @param {number} [now] - Current time in ms
+ * @returns {number} Time in ms
+ * @throws {Error} When the date can't be read
+ */
+export function parseLogDate(value, now = Date.now()) {
+  const text = value.trim().toLowerCase();
+  const startOfToday = new Date(now).setHours(0, 0, 0, 0);
+
+  if (text === 'now') {
+    return now;
+  }
+  if (text === 'today') {
+    return startOfToday;
+  }
+  if (text === 'yesterday') {
+    return startOfToday - DAY_MS;
+  }
+
+  const relative = /^(\d+)\s*\.?\s*([a-z]+?)(?:\s*\.?\s*ago)?$/.exec(text);
+  const unit = relative && DATE_UNITS.find(({ pattern }) => pattern.test(relative[2]));
+  if (unit) {
+    return now - parseInt(relative[1], 10) * unit.ms;
+  }
+
+  const parsed = Date.parse(value);
+  if (Number.isNaN(parsed)) {
+    throw new Error(`Can't read the date "${value}" (try 2024-05-01, "3 days ago" or 2h)`);
+  }
+  return parsed;
+}
@@ -0,0 +1,195 @@
+import { getHistory, layoutGraph, hideGraphNodes, parseLogDate } from './history';
+
+function makeNode(id, parentId, timestamp, mergeParents = []) {
+  return { id, parentId, mergeParents, children: [], role: 'user', content: id, metadata: { timestamp } };
+}
+
+/**
+ * Two lines of conversation from root, merged at m and continued to a3, plus a later reply c1 to
+ * root and a separate root, solo
+ */
+function makeNodes() {
+  return [
+    makeNode('root', null, 0),
+    makeNode('a1', 'root', 1),
+    makeNode('b1', 'root', 2),
+    makeNode('a2', 'a1', 3),
+    makeNode('b2', 'b1', 4),
+    makeNode('m', 'a2', 5, ['b2']),
+    makeNode('a3', 'm', 6),
+    makeNode('c1', 'root', 7),
+    makeNode('solo', null, 8)
+  ];
+}
+
+const ids = (nodes) => nodes.map(node => node.id);
+
+// The log as the Terminal prints it, one line per row
+const render = (rows) => rows.map(row => (row.node ? `${row.graph} ${row.node.id}` : row.edges));
+
+describe('getHistory', () => {
+  test('shows a node and everything it follows from, through merge parents too', () => {
+    expect(ids(getHistory(makeNodes(), { startId: 'a3' }))).toEqual(['a3', 'm', 'b2', 'a2', 'b1', 'a1', 'root']);
+    expect(ids(getHistory(makeNodes(), { startId: 'b1' }))).toEqual(['b1', 'root']);
+  });
+
+  test('shows every node with all', () => {
+    expect(ids(getHistory(makeNodes(), { startId: 'b1', all: true }))).toEqual(
+      ['solo', 'c1', 'a3', 'm', 'b2', 'a2', 'b1', 'a1', 'root']
+    );
+  });
+
+  test('never shows a node before one that follows it, whatever the timestamps say', () => {
+    const nodes = [makeNode('parent', null, 50), makeNode('child', 'parent', 10), makeNode('other', null, 30)];
+    expect(ids(getHistory(nodes, { all: true }))).toEqual(['other', 'child', 'parent']);
+  });
+
+  test('shows nothing for a node that does not exist', () => {
+    expect(getHistory(makeNodes(), { startId: 'missing' })).toEqual([]);
+  });
+});
+
+describe('layoutGraph', () => {
+  test('keeps a single line of history in one lane', () => {
+    const rows = layoutGraph(getHistory(makeNodes(), { startId: 'a2' }));
+    expect(render(rows)).toEqual(['* a2', '* a1', '* root']);
+    expect(rows.map(row => row.continuation)).toEqual(['|', '|', '']);
+  });
+
+  test('opens a lane for a merge parent and joins it where the branches meet', () => {
+    expect(render(layoutGraph(getHistory(makeNodes(), { startId: 'a3' })))).toEqual([
+      '* a3',
+      '* m',
+      '|\\',
+      '| * b2',
+      '* | a2',
+      '| * b1',
+      '* | a1',
+      '|/',
+      '* root'
+    ]);
+  });
+
+  test('joins every lane waiting for the same parent, rightmost first', () => {
+    const rows = layoutGraph(getHistory(makeNodes(), { all: true }));
+    expect(render(rows)).toEqual([
+      '* solo',
+      '* c1',
+      '| * a3',
+      '| * m',
+      '| |\\',
+      '| | * b2',
+      '| * | a2',
+      '| | * b1',
+      '| * | a1',
+      '| |/',
+      '|/',
+      '* root'
+    ]);
+    // Lines after a node's first carry on the lanes below it, except one that ends there
+    expect(rows.find(row => row.node?.id === 'b2').continuation).toBe('| | |');
+    expect(rows.find(row => row.node?.id === 'solo').continuation).toBe('');
+  });
+
+  test('moves the lanes on the right over where a line of history starts', () => {
+    const nodes = [makeNode('x1', null, 3), makeNode('x2', 'x1', 5), makeNode('y0', null, 0), makeNode('y1', 'y0', 4)];
+    const rows = layoutGraph(getHistory(nodes, { all: true }));
+    expect(render(rows)).toEqual(['* x2', '| * y1', '* | x1', ' /', '* y0']);
+    expect(rows[2].continuation).toBe('  |');
+  });
+
+  test('joins lanes one at a time as the parent they wait for comes up', () => {
+    const nodes = [
+      makeNode('root', null, 0),
+      makeNode('p', 'root', 1),
+      makeNode('q', 'p', 2),
+      makeNode('other', 'root', 3),
+      makeNode('r', 'p', 4),
+      makeNode('top', 'q', 5)
+    ];
+    expect(render(layoutGraph(getHistory(nodes, { all: true })))).toEqual([
+      '* top',
+      '| * r',
+      '| | * other',
+      '* | | q',
+      '|/ /',
+      '* | p',
+      '|/',
+      '* root'
+    ]);
+  });
+
+  test('runs a lane under the ones between it and the lane it joins', () => {
+    const nodes = [
+      makeNode('root', null, 0),
+      makeNode('p', 'root', 1),
+      makeNode('r', 'p', 7),
+      makeNode('other', 'root', 8),
+      makeNode('top', 'p', 9)
+    ];
+    expect(render(layoutGraph(getHistory(nodes, { all: true })))).toEqual([
+      '* top',
+      '| * other',
+      '| | * r',
+      '|/|_',
+      '* | p',
+      '|/',
+      '* root'
+    ]);
+  });
+});
+
+describe('hideGraphNodes', () => {
+  test('keeps the lane glyphs of filtered-out nodes so the graph stays connected', () => {
+    // As log --graph --grep=a shows the merged history of a3
+    const rows = hideGraphNodes(layoutGraph(getHistory(makeNodes(), { startId: 'a3' })), node => node.id.startsWith('a'));
+    expect(render(rows)).toEqual([
+      '* a3',
+      '*',
+      '|\\',
+      '| *',
+      '* | a2',
+      '| *',
+      '* | a1',
+      '|/',
+      '*'
+    ]);
+  });
+
+  test('leaves the rows alone when every node is shown', () => {
+    const rows = layoutGraph(getHistory(makeNodes(), { all: true }));
+    expect(hideGraphNodes(rows, () => true)).toEqual(rows);
+  });
+});
+
+describe('parseLogDate', () => {
+  const now = new Date(2024, 4, 15, 13, 30).getTime();
+  const HOUR = 60 * 60 * 1000;
+  const DAY = 24 * HOUR;
+
+  test('reads now, today and yesterday', () => {
+    expect(parseLogDate('now', now)).toBe(now);
+    expect(parseLogDate(' Today ', now)).toBe(new Date(2024, 4, 15).getTime());
+    expect(parseLogDate('yesterday', now)).toBe(new Date(2024, 4, 15).getTime() - DAY);
+  });
+
+  test('reads relative dates with or without ago, spaces and dots', () => {
+    expect(parseLogDate('3 days ago', now)).toBe(now - 3 * DAY);
+    expect(parseLogDate('2.weeks', now)).toBe(now - 14 * DAY);
+    expect(parseLogDate('2h', now)).toBe(now - 2 * HOUR);
+    expect(parseLogDate('45 minutes ago', now)).toBe(now - 45 * 60 * 1000);
+    expect(parseLogDate('1 month ago', now)).toBe(now - 30 * DAY);
+    expect(parseLogDate('1y', now)).toBe(now - 365 * DAY);
+  });
+
+  test('reads absolute dates', () => {
+    expect(parseLogDate('2024-05-01', now)).toBe(Date.parse('2024-05-01'));
+    expect(parseLogDate('2024-05-01T08:00:00Z', now)).toBe(Date.UTC(2024, 4, 1, 8));
+  });
+
+  test('explains a date it can not read', () => {
+    expect(() => parseLogDate('3 fortnights ago', now))
+      .toThrow('Can\'t read the date "3 fortnights ago" (try 2024-05-01, "3 days ago" or 2h)');
+    expect(() => parseLogDate('soon', now)).toThrow(/Can't read the date "soon"/);
+  });
+});
@@ -0,0 +1,226 @@
+/**
+ * IndexedDB adapter for LangFork
+ * Stores each project as a record of its settings plus one record per node, so a change to
+ * one node writes only that node. For cloud sync it also keeps an outbox of local changes not
+ * yet pushed and, per node, the revision and content last synced.
+ */
+
+const DATABASE_NAME = 'langfork';
+const DATABASE_VERSION = 2;
+const PROJECTS_STORE = 'projects';
+const NODES_STORE = 'nodes';
+const OUTBOX_STORE = 'outbox';
+const SYNCED_STORE = 'synced';
+const ALL_STORES = [PROJECTS_STORE, NODES_STORE, OUTBOX_STORE, SYNCED_STORE];
+
+// Outbox and synced records use this node ID for the project's own record (name and settings)
+export const PROJECT_RECORD_ID = '';
+
+let databasePromise = null;
+
+/**
+ * Wraps an IndexedDB request in a promise
+ * @param {IDBRequest} request - Pending request
+ * @returns {Promise<*>} The request's result
+ */
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Waits for a transaction to commit
+ * @param {IDBTransaction} transaction - Transaction to wait for
+ * @returns {Promise<void>} Rejects with the transaction's error, e.g. a QuotaExceededError
+ */
+function waitForTransaction(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+  });
+}
+
+// Node records are keyed [projectId, nodeId]; this range covers every node of a project
+function projectNodesRange(projectId) {
+  return IDBKeyRange.bound([projectId], [projectId, []]);
+}
+
+/**
+ * Opens (and on first use creates) the database
+ * @returns {Promise<IDBDatabase>} The open database
+ */
+export function openDatabase() {
+  if (!databasePromise) {
+    databasePromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB is not supported in this browser'));
+        return;
+      }
+
+      const request = indexedDB.open(DATABASE_NAME, DATABASE_VERSION);
+      request.onupgradeneeded = (event) => {
+        const database = request.result;
+        if (event.oldVersion < 1) {
+          database.createObjectStore(PROJECTS_STORE, { keyPath: 'id' });
+          database.createObjectStore(NODES_STORE, { keyPath: ['projectId', 'nodeId'] });
+        }
+        if (event.oldVersion < 2) {
+          database.createObjectStore(OUTBOX_STORE, { keyPath: ['projectId', 'nodeId'] });
+          database.createObjectStore(SYNCED_STORE, { keyPath: ['projectId', 'nodeId'] });
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+      request.onblocked = () => reject(new Error('The database is open in an older version of LangFork in another tab'));
+    }).catch(error => {
+      // Let a later call try again, e.g. once the other tab is closed
+      databasePromise = null;
+      throw error;
+    });
+  }
+  return databasePromise;
+}
+
+/**
+ * Reads a project
+ * @param {string} projectId - Project identifier
+ * @returns {Promise<Object|null>} { settings, version, entries } with entries as { node, order }, or null if not stored
+ */
+export async function readProject(projectId) {
+  const database = await openDatabase();
+  const transaction = database.transaction([PROJECTS_STORE, NODES_STORE], 'readonly');
+  const [project, records] = await Promise.all([
+    promisifyRequest(transaction.objectStore(PROJECTS_STORE).get(projectId)),
+    promisifyRequest(transaction.objectStore(NODES_STORE).getAll(projectNodesRange(projectId)))
+  ]);
+
+  if (!project) {
+    return null;
+  }
+  return {
+    settings: project.settings || {},
+    version: project.version,
+    entries: records.map(({ node, order }) => ({ node, order }))
+  };
+}
+
+/**
+ * Writes changes to a project in one transaction, so a failed write leaves the previous state intact
+ * @param {string} projectId - Project identifier
+ * @param {Object} changes - What to write
+ * @param {Object} [changes.project] - Project record ({ settings, lastModified, version }); left as is when omitted
+ * @param {Object[]} [changes.put] - Nodes added or changed, as { node, order }
+ * @param {string[]} [changes.deleteIds] - Nodes removed
+ * @param {boolean} [changes.replace=false] - Remove every stored node first (a full write)
+ * @param {Object[]} [changes.outbox] - Local changes to push, as { nodeId, deleted } (PROJECT_RECORD_ID for the project)
+ * @param {Object[]} [changes.synced] - What was last synced, as { nodeId, revision, base }
+ * @returns {Promise<void>} Rejects when the write fails, e.g. with a QuotaExceededError
+ */
+export async function writeProject(projectId, changes) {
+  const { project, put = [], deleteIds = [], replace = false, outbox = [], synced = [] } = changes;
+  const database = await openDatabase();
+  const transaction = database.transaction(ALL_STORES, 'readwrite');
+  const nodesStore = transaction.objectStore(NODES_STORE);
+
+  if (project) {
+    transaction.objectStore(PROJECTS_STORE).put({ ...project, id: projectId });
+  }
+  if (replace) {
+    nodesStore.delete(projectNodesRange(projectId));
+  }
+  deleteIds.forEach(nodeId => nodesStore.delete([projectId, nodeId]));
+  put.forEach(({ node, order }) => nodesStore.put({ projectId, nodeId: node.id, order, node }));
+
+  const updatedAt = Date.now();
+  outbox.forEach(({ nodeId, deleted = false }) => (
+    transaction.objectStore(OUTBOX_STORE).put({ projectId, nodeId, deleted, updatedAt })
+  ));
+  synced.forEach(({ nodeId, revision, base }) => (
+    transaction.objectStore(SYNCED_STORE).put({ projectId, nodeId, revision, base })
+  ));
+
+  return waitForTransaction(transaction);
+}
+
+/**
+ * Deletes a project and all its nodes
+ * @param {string} projectId - Project identifier
+ * @param {Object} [options]
+ * @param {boolean} [options.tombstone=false] - Leave an outbox record so the deletion is pushed; otherwise
+ *   (e.g. when it was deleted on another device) its sync records go too
+ * @returns {Promise<void>} Resolves once deleted
+ */
+export async function deleteProject(projectId, { tombstone = false } = {}) {
+  const database = await openDatabase();
+  const transaction = database.transaction(ALL_STORES, 'readwrite');
+  transaction.objectStore(PROJECTS_STORE).delete(projectId);
+  transaction.objectStore(NODES_STORE).delete(projectNodesRange(projectId));
+  transaction.objectStore(OUTBOX_STORE).delete(projectNodesRange(projectId));
+  if (tombstone) {
+    transaction.objectStore(OUTBOX_STORE).put({
+      projectId, nodeId: PROJECT_RECORD_ID, deleted: true, updatedAt: Date.now()
+    });
+  } else {
+    transaction.objectStore(SYNCED_STORE).delete(projectNodesRange(projectId));
+  }
+  return waitForTransaction(transaction);
+}
+
+/**
+ * Reads every local change waiting to be pushed
+ * @returns {Promise<Object[]>} Outbox records ({ projectId, nodeId, deleted, updatedAt }), oldest first
+ */
+export async function readOutbox() {
+  const database = await openDatabase();
+  const records = await promisifyRequest(database.transaction(OUTBOX_STORE, 'readonly').objectStore(OUTBOX_STORE).getAll());
+  return records.sort((a, b) => a.updatedAt - b.updatedAt);
+}
+
+/**
+ * Removes a change from the outbox once pushed, unless it was changed again in the meantime
+ * @param {Object} record - Outbox record as read
+ * @returns {Promise<boolean>} Whether the record was removed
+ */
+export async function clearOutboxRecord({ projectId, nodeId, updatedAt }) {
+  const database = await openDatabase();
+  const transaction = database.transaction(OUTBOX_STORE, 'readwrite');
+  const store = transaction.objectStore(OUTBOX_STORE);
+  let cleared = false;
+  // Deleted from the success callback so the check and the delete happen in one transaction
+  const request = store.get([projectId, nodeId]);
+  request.onsuccess = () => {
+    cleared = Boolean(request.result) && request.result.updatedAt === updatedAt;
+    if (cleared) {
+      store.delete([projectId, nodeId]);
+    }
+  };
+  await waitForTransaction(transaction);
+  return cleared;
+}
+
+/**
+ * Reads what was last synced for a project
+ * @param {string} projectId - Project identifier
+ * @returns {Promise<Map<string, Object>>} Synced records ({ revision, base }) keyed by node ID
+ */
+export async function readSynced(projectId) {
+  const database = await openDatabase();
+  const records = await promisifyRequest(
+    database.transaction(SYNCED_STORE, 'readonly').objectStore(SYNCED_STORE).getAll(projectNodesRange(projectId))
+  );
+  return new Map(records.map(record => [record.nodeId, record]));
+}
+
+/**
+ * Forgets everything synced, e.g. when another account signs in on this browser
+ * @returns {Promise<void>} Resolves once cleared
+ */
+export async function clearSynced() {
+  const database = await openDatabase();
+  const transaction = database.transaction(SYNCED_STORE, 'readwrite');
+  transaction.objectStore(SYNCED_STORE).clear();
+  return waitForTransaction(transaction);
+}
@@ -0,0 +1,216 @@
+/**
+ * Schema migrations for LangFork
+ * Stored and imported projects carry the schema version they were written with. Older projects are
+ * upgraded one version at a time; the tree is validated after every step, and nodes that break it
+ * are repaired where a reference can be dropped or a missing field filled in, or quarantined (set
+ * aside with the reason) where the node itself can't be kept.
+ */
+
+import { validateTree, describeMalformedNode, getDescendants } from './treeUtils';
+
+/**
+ * Schema version written with every project and export
+ * 1 - nodes without merge parents; no project settings
+ * 2 - merge parents on every node; project settings (pin groups, send target, system prompt)
+ * 3 - replies record their generation status
+ */
+export const SCHEMA_VERSION = 3;
+
+/**
+ * Upgrade steps; each takes { nodes, settings } at version `from` and returns them at `from + 1`
+ * @type {Array<{ from: number, description: string, migrate: Function }>}
+ */
+const MIGRATIONS = [
+  {
+    from: 1,
+    description: 'Add merge parents and project settings',
+    migrate: ({ nodes, settings }) => ({
+      nodes: nodes.map(node => (node && typeof node === 'object' ? {
+        ...node,
+        children: Array.isArray(node.children) ? node.children : [],
+        mergeParents: Array.isArray(node.mergeParents) ? node.mergeParents : [],
+        metadata: { timestamp: 0, isPinned: false, ...node.metadata }
+      } : node)),
+      settings: settings || {}
+    })
+  },
+  {
+    from: 2,
+    description: 'Record the generation status of replies',
+    migrate: ({ nodes, settings }) => ({
+      nodes: nodes.map(node => {
+        if (!node || node.role !== 'assistant' || !node.metadata) return node;
+        // A reply still streaming when the page closed will never finish
+        if (node.metadata.status === 'streaming') {
+          return { ...node, metadata: { ...node.metadata, status: 'aborted' } };
+        }
+        return node.metadata.status ? node : { ...node, metadata: { ...node.metadata, status: 'complete' } };
+      }),
+      settings
+    })
+  }
+];
+
+/**
+ * Reads a stored version: numbers as they are, strings such as '2.0' by their major version
+ * @param {number|string} [version] - Version as stored; projects saved before versioning count as 1
+ * @returns {number} Schema version
+ */
+export function parseSchemaVersion(version) {
+  const parsed = typeof version === 'number' ? version : parseInt(version, 10);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : 1;
+}
+
+/**
+ * Gives a node empty links and metadata where they are missing; children are rebuilt from the
+ * parent links afterwards, so only the ID, role and content can't be made up
+ * @param {*} node - Node as stored
+ * @returns {*} The node with children, merge parents and metadata, or the value as it was if it isn't an object
+ */
+function fillMissingFields(node) {
+  if (!node || typeof node !== 'object') return node;
+  const hasMetadata = node.metadata && typeof node.metadata === 'object';
+  if (Array.isArray(node.children) && Array.isArray(node.mergeParents) && hasMetadata) return node;
+  return {
+    ...node,
+    children: Array.isArray(node.children) ? node.children : [],
+    mergeParents: Array.isArray(node.mergeParents) ? node.mergeParents : [],
+    metadata: hasMetadata ? node.metadata : { timestamp: 0, isPinned: false }
+  };
+}
+
+/**
+ * Makes a tree valid: missing links and metadata are filled in; nodes with a bad ID, role or content,
+ * duplicates and nodes whose parent is missing are quarantined along with everything below them;
+ * links to nodes that don't exist are dropped
+ * @param {Node[]} nodes - Nodes to repair
+ * @returns {Object} { nodes, quarantined } with quarantined entries as { node, reason }
+ */
+function repairTree(nodes) {
+  const quarantined = [];
+  const seenIds = new Set();
+  let kept = [];
+  for (const node of nodes.map(fillMissingFields)) {
+    const reason = describeMalformedNode(node) || (seenIds.has(node.id) ? 'duplicate ID' : null);
+    if (reason) {
+      quarantined.push({ node, reason });
+    } else {
+      seenIds.add(node.id);
+      kept.push(node);
+    }
+  }
+
+  // Keep what hangs off a root; the rest has a missing parent somewhere above it, or loops
+  const childIds = new Map(kept.map(node => [node.id, []]));
+  kept.forEach(node => node.parentId && childIds.has(node.parentId) && childIds.get(node.parentId).push(node.id));
+  const reachable = new Set();
+  const queue = kept.filter(node => !node.parentId).map(node => node.id);
+  while (queue.length > 0) {
+    const nodeId = queue.shift();
+    reachable.add(nodeId);
+    queue.push(...childIds.get(nodeId));
+  }
+  kept.filter(node => !reachable.has(node.id)).forEach(node => quarantined.push({
+    node,
+    reason: childIds.has(node.parentId) ? 'not connected to a root' : `parent ${node.parentId} is missing`
+  }));
+  kept = kept.filter(node => reachable.has(node.id));
+
+  const linked = kept.map(node => {
+    // Listed children that exist, then children that point here but weren't listed
+    const actualChildren = childIds.get(node.id);
+    const children = [
+      ...node.children.filter(id => actualChildren.includes(id)),
+      ...actualChildren.filter(id => !node.children.includes(id))
+    ];
+    const mergeParents = [...new Set(node.mergeParents || [])]
+      .filter(id => reachable.has(id) && id !== node.id && id !== node.parentId);
+    return children.length === node.children.length && children.every((id, i) => id === node.children[i])
+      && mergeParents.length === (node.mergeParents || []).length
+      ? node
+      : { ...node, children, mergeParents };
+  });
+
+  // A merge parent below the node would make history loop
+  const repaired = linked.map(node => {
+    if (node.mergeParents.length === 0) return node;
+    const descendantIds = new Set(getDescendants(linked, node.id).map(n => n.id));
+    const mergeParents = node.mergeParents.filter(id => !descendantIds.has(id));
+    return mergeParents.length === node.mergeParents.length ? node : { ...node, mergeParents };
+  });
+
+  return { nodes: repaired, quarantined };
+}
+
+/**
+ * Upgrades a project to the current schema, validating the tree after every step
+ * @param {Object} data - Project as stored or imported
+ * @param {Node[]} data.nodes - Nodes
+ * @param {Object} [data.settings] - Project settings
+ * @param {number|string} [data.version] - Schema version it was written with
+ * @returns {Object} { nodes, settings, fromVersion, steps, repairs, quarantined, changed }: the steps run,
+ *   the validation errors repaired, the nodes set aside ({ node, reason }) and whether anything changed
+ * @throws {Error} When the project was written by a newer version of LangFork
+ */
+export function migrateProject({ nodes, settings = {}, version }) {
+  const fromVersion = parseSchemaVersion(version);
+  if (fromVersion > SCHEMA_VERSION) {
+    throw new Error(`This project was saved by a newer version of LangFork (schema ${fromVersion}); update the app to open it`);
+  }
+
+  let current = { nodes, settings };
+  const steps = [];
+  const repairs = [];
+  const quarantined = [];
+
+  const check = () => {
+    const { isValid, errors } = validateTree(current.nodes);
+    if (isValid) return;
+
+    repairs.push(...errors);
+    const repaired = repairTree(current.nodes);
+    quarantined.push(...repaired.quarantined);
+    current = { ...current, nodes: repaired.nodes };
+  };
+
+  for (const migration of MIGRATIONS) {
+    if (migration.from < fromVersion) continue;
+    current = migration.migrate(current);
+    steps.push(migration.description);
+    check();
+  }
+  // Projects already at the current version are still checked
+  if (steps.length === 0) {
+    check();
+  }
+
+  // Settings may point at nodes that were set aside
+  const nodeIds = new Set(current.nodes.map(node => node.id));
+  let finalSettings = current.settings;
+  if (finalSettings.sendTargetId && !nodeIds.has(finalSettings.sendTargetId)) {
+    finalSettings = { ...finalSettings, sendTargetId: null };
+  }
+  if (finalSettings.refs) {
+    const { branches = {}, tags = {} } = finalSettings.refs;
+    const pointsAtNode = ([, nodeId]) => nodeIds.has(nodeId);
+    if (![...Object.entries(branches), ...Object.entries(tags)].every(pointsAtNode)) {
+      finalSettings = {
+        ...finalSettings,
+        refs: {
+          branches: Object.fromEntries(Object.entries(branches).filter(pointsAtNode)),
+          tags: Object.fromEntries(Object.entries(tags).filter(pointsAtNode))
+        }
+      };
+    }
+  }
+
+  return {
+    nodes: current.nodes,
+    settings: finalSettings,
+    fromVersion,
+    steps,
+    repairs,
+    quarantined,
+    changed: steps.length > 0 || repairs.length > 0 || finalSettings !== settings
+  };
+}
@@ -0,0 +1,152 @@
+import { migrateProject, parseSchemaVersion, SCHEMA_VERSION } from './migrations';
+
+// A node as the current schema stores it
+function makeNode(id, parentId, { role = parentId ? 'assistant' : 'user', children = [], metadata = {} } = {}) {
+  return {
+    id,
+    parentId,
+    mergeParents: [],
+    children,
+    role,
+    content: `Content of ${id}`,
+    metadata: { timestamp: 1000, isPinned: false, status: role === 'assistant' ? 'complete' : undefined, ...metadata }
+  };
+}
+
+// root → reply → follow-up → answer, with a second reply to root
+function makeTree() {
+  return [
+    makeNode('root', null, { children: ['reply', 'other'] }),
+    makeNode('reply', 'root', { children: ['follow-up'] }),
+    makeNode('follow-up', 'reply', { role: 'user', children: ['answer'] }),
+    makeNode('answer', 'follow-up'),
+    makeNode('other', 'root')
+  ];
+}
+
+const ids = (nodes) => nodes.map(node => node.id);
+
+describe('parseSchemaVersion', () => {
+  test('reads numbers and major versions, and counts unversioned projects as 1', () => {
+    expect(parseSchemaVersion(2)).toBe(2);
+    expect(parseSchemaVersion('2.0')).toBe(2);
+    expect(parseSchemaVersion(undefined)).toBe(1);
+    expect(parseSchemaVersion('draft')).toBe(1);
+  });
+});
+
+describe('migrateProject', () => {
+  test('upgrades a version 1 project one step at a time', () => {
+    const nodes = [
+      { id: 'root', parentId: null, children: ['reply', 'cut-off'], role: 'user', content: 'Hi', metadata: { timestamp: 5 } },
+      { id: 'reply', parentId: 'root', children: [], role: 'assistant', content: 'Hello', metadata: { timestamp: 6 } },
+      { id: 'cut-off', parentId: 'root', role: 'assistant', content: 'Hel', metadata: { status: 'streaming' } }
+    ];
+    const result = migrateProject({ nodes, settings: undefined, version: 1 });
+
+    expect(result.fromVersion).toBe(1);
+    expect(result.steps).toEqual(['Add merge parents and project settings', 'Record the generation status of replies']);
+    expect(result.quarantined).toEqual([]);
+    expect(result.settings).toEqual({});
+    expect(result.changed).toBe(true);
+
+    const [root, reply, cutOff] = result.nodes;
+    expect(root).toMatchObject({ mergeParents: [], children: ['reply', 'cut-off'], metadata: { timestamp: 5, isPinned: false } });
+    expect(reply.metadata).toEqual({ timestamp: 6, isPinned: false, status: 'complete' });
+    // A reply still streaming when the page closed is marked as cut off
+    expect(cutOff.metadata.status).toBe('aborted');
+  });
+
+  test('runs only the steps after the stored version', () => {
+    const nodes = makeTree().map(({ metadata: { status, ...metadata }, ...node }) => ({ ...node, metadata }));
+    const result = migrateProject({ nodes, settings: {}, version: 2 });
+
+    expect(result.steps).toEqual(['Record the generation status of replies']);
+    expect(result.nodes.find(node => node.id === 'answer').metadata.status).toBe('complete');
+  });
+
+  test('leaves a valid current project as it is', () => {
+    const nodes = makeTree();
+    const settings = { sendTargetId: 'answer' };
+    const result = migrateProject({ nodes, settings, version: SCHEMA_VERSION });
+
+    expect(result).toMatchObject({ steps: [], repairs: [], quarantined: [], changed: false });
+    expect(result.nodes).toBe(nodes);
+    expect(result.settings).toBe(settings);
+  });
+
+  test('refuses projects saved by a newer version', () => {
+    expect(() => migrateProject({ nodes: [], version: SCHEMA_VERSION + 1 })).toThrow(/newer version of LangFork/);
+  });
+
+  test('repairs a root missing its children and metadata instead of setting the tree aside', () => {
+    const [root, ...rest] = makeTree();
+    const { children, metadata, ...bareRoot } = root;
+    const result = migrateProject({ nodes: [bareRoot, ...rest], version: SCHEMA_VERSION });
+
+    expect(result.quarantined).toEqual([]);
+    expect(result.repairs.length).toBeGreaterThan(0);
+    expect(ids(result.nodes)).toEqual(['root', 'reply', 'follow-up', 'answer', 'other']);
+    // Children are rebuilt from the parent links
+    expect(result.nodes[0]).toMatchObject({ children: ['reply', 'other'], mergeParents: [], metadata: { isPinned: false } });
+    expect(result.changed).toBe(true);
+  });
+
+  test('quarantines nodes with a bad ID, role or content, with everything below them', () => {
+    const nodes = makeTree().map(node => (node.id === 'reply' ? { ...node, role: 'robot' } : node));
+    nodes.push({ ...makeNode('', 'root'), content: 'No ID' });
+    nodes.push({ ...makeNode('empty', 'root'), content: null });
+    const result = migrateProject({ nodes, version: SCHEMA_VERSION });
+
+    expect(ids(result.nodes)).toEqual(['root', 'other']);
+    expect(result.nodes[0].children).toEqual(['other']);
+    expect(result.quarantined.map(({ node, reason }) => [node.id, reason])).toEqual([
+      ['reply', 'unknown role robot'],
+      ['', 'missing ID'],
+      ['empty', 'content is not text'],
+      ['follow-up', 'parent reply is missing'],
+      ['answer', 'not connected to a root']
+    ]);
+  });
+
+  test('quarantines the second of two nodes with the same ID', () => {
+    const nodes = [...makeTree(), { ...makeNode('other', 'root'), content: 'Copy' }];
+    const result = migrateProject({ nodes, version: SCHEMA_VERSION });
+
+    expect(ids(result.nodes)).toEqual(['root', 'reply', 'follow-up', 'answer', 'other']);
+    expect(result.quarantined).toEqual([{ node: nodes[5], reason: 'duplicate ID' }]);
+  });
+
+  test('drops links to nodes that are gone and merge parents that would loop', () => {
+    const nodes = makeTree().map(node => {
+      if (node.id === 'root') return { ...node, children: ['missing', 'other'] };
+      if (node.id === 'reply') return { ...node, mergeParents: ['answer', 'gone'] };
+      if (node.id === 'answer') return { ...node, mergeParents: ['other'] };
+      return node;
+    });
+    const result = migrateProject({ nodes, version: SCHEMA_VERSION });
+    const byId = Object.fromEntries(result.nodes.map(node => [node.id, node]));
+
+    expect(result.quarantined).toEqual([]);
+    expect(byId.root.children).toEqual(['other', 'reply']);
+    expect(byId.reply.mergeParents).toEqual([]);
+    expect(byId.answer.mergeParents).toEqual(['other']);
+  });
+
+  test('clears the send target, branches and tags that pointed at set-aside nodes', () => {
+    const nodes = makeTree().map(node => (node.id === 'follow-up' ? { ...node, content: 42 } : node));
+    const settings = {
+      systemPrompt: 'Be brief.',
+      sendTargetId: 'answer',
+      refs: { branches: { main: 'other', idea: 'answer' }, tags: { v1: 'reply', draft: 'follow-up' } }
+    };
+    const result = migrateProject({ nodes, settings, version: SCHEMA_VERSION });
+
+    expect(result.settings).toEqual({
+      systemPrompt: 'Be brief.',
+      sendTargetId: null,
+      refs: { branches: { main: 'other' }, tags: { v1: 'reply' } }
+    });
+    expect(result.changed).toBe(true);
+  });
+});
@@ -0,0 +1,146 @@
+/**
+ * Node references for LangFork
+ * Resolves the git-style names the Terminal accepts for a node: IDs and ID prefixes, HEAD,
+ * named refs, and ancestors of any of these. Named refs are saved with the project settings as
+ * { branches, tags }, each mapping a name to a node ID: branches follow new messages sent from
+ * their tip, tags never move.
+ */
+
+import { getParentIds } from './treeUtils';
+
+// Shorter prefixes match too many nodes to be useful, and could be mistaken for words
+const MIN_PREFIX_LENGTH = 4;
+
+export const EMPTY_REFS = { branches: {}, tags: {} };
+
+/**
+ * Checks a branch or tag name
+ * @param {string} name - Proposed name
+ * @returns {string|null} Why the name can't be used, or null if it can
+ */
+export function describeInvalidRefName(name) {
+  if (!name) {
+    return 'A name is required';
+  }
+  if (name.toUpperCase() === 'HEAD') {
+    return 'HEAD is reserved for the active node';
+  }
+  if (!/^[\w./-]+$/.test(name)) {
+    return `${name} may only contain letters, digits, ".", "_", "-" and "/"`;
+  }
+  if (/^[-./]|[./]$|\.\.|\/\//.test(name)) {
+    return `${name} can't start with "-", ".", or "/", end with "." or "/", or contain ".." or "//"`;
+  }
+  return null;
+}
+
+/**
+ * Gets every named ref as one map, for resolveNodeRef
+ * @param {Object} refs - { branches, tags }
+ * @returns {Object<string, string>} Name → node ID
+ */
+export function getNamedRefs(refs) {
+  return { ...refs.tags, ...refs.branches };
+}
+
+/**
+ * Gets the refs pointing at a node, branches first
+ * @param {Object} refs - { branches, tags }
+ * @param {string} nodeId - Node to label
+ * @param {string|null} [headBranch] - Branch HEAD is on, marked isHead
+ * @returns {Object[]} Labels as { name, type: 'branch'|'tag', isHead }
+ */
+export function getRefLabels(refs, nodeId, headBranch = null) {
+  const named = (map, type) => Object.keys(map)
+    .filter(name => map[name] === nodeId)
+    .sort((a, b) => (b === headBranch) - (a === headBranch) || a.localeCompare(b))
+    .map(name => ({ name, type, isHead: type === 'branch' && name === headBranch }));
+  return [...named(refs.branches, 'branch'), ...named(refs.tags, 'tag')];
+}
+
+/**
+ * Resolves a reference to a node
+ * A reference is a base followed by any number of suffixes, as in git:
+ * - base: HEAD (the active node), a named ref, a full node ID or a unique prefix of one
+ * - ~n: the n-th ancestor along primary parents (~ alone is ~1), so HEAD~2 is the grandparent
+ * - ^n: the n-th parent (^ alone is ^1, the primary parent; ^2 is the first merge parent)
+ * @param {Node[]} nodes - Array of all nodes
+ * @param {string} ref - Reference to resolve
+ * @param {Object} [options]
+ * @param {string|null} [options.headId] - Node HEAD points at
+ * @param {Object<string, string>} [options.refs] - Named refs, name → node ID (see getNamedRefs)
+ * @returns {Node} The node referred to
+ * @throws {Error} When the reference matches no node, or more than one
+ */
+export function resolveNodeRef(nodes, ref, { headId = null, refs = {} } = {}) {
+  const [, base, suffixes] = /^(.*?)((?:[~^]\d*)*)$/.exec((ref || '').trim());
+  if (!base) {
+    throw new Error(`Invalid node reference "${ref}"`);
+  }
+
+  const findNode = (nodeId) => (nodeId ? nodes.find(n => n.id === nodeId) : null);
+  let node = resolveBase(nodes, base, { headId, refs });
+  for (const [step, operator, digits] of suffixes.matchAll(/([~^])(\d*)/g)) {
+    const count = digits === '' ? 1 : parseInt(digits, 10);
+    const fromId = node.id;
+
+    if (operator === '~') {
+      for (let i = 0; i < count && node; i++) {
+        node = findNode(node.parentId);
+      }
+    } else if (count > 0) {
+      node = findNode(getParentIds(node)[count - 1]);
+    }
+
+    if (!node) {
+      throw new Error(operator === '~'
+        ? `${ref}: ${fromId.slice(0, 8)} has fewer than ${count} ancestor${count === 1 ? '' : 's'}`
+        : `${ref}: ${fromId.slice(0, 8)} has no parent ${count} (${step})`);
+    }
+  }
+  return node;
+}
+
+/**
+ * Resolves the base of a reference: HEAD, an exact ID, a named ref, then a unique ID prefix
+ * @param {Node[]} nodes - Array of all nodes
+ * @param {string} base - Base of the reference
+ * @param {Object} options - { headId, refs } as for resolveNodeRef
+ * @returns {Node} The node referred to
+ * @throws {Error} When the base matches no node, or more than one
+ */
+function resolveBase(nodes, base, { headId, refs }) {
+  if (base.toUpperCase() === 'HEAD') {
+    const head = headId && nodes.find(n => n.id === headId);
+    if (!head) {
+      throw new Error('HEAD does not point at a node (check out a node first)');
+    }
+    return head;
+  }
+
+  const exact = nodes.find(n => n.id === base);
+  if (exact) {
+    return exact;
+  }
+
+  if (Object.prototype.hasOwnProperty.call(refs, base)) {
+    const target = nodes.find(n => n.id === refs[base]);
+    if (!target) {
+      throw new Error(`${base} points at node ${String(refs[base]).slice(0, 8)}, which no longer exists`);
+    }
+    return target;
+  }
+
+  const matches = base.length >= MIN_PREFIX_LENGTH ? nodes.filter(n => n.id.startsWith(base)) : [];
+  if (matches.length === 1) {
+    return matches[0];
+  }
+  if (matches.length > 1) {
+    // Show enough of each ID to tell them apart
+    const shown = matches.slice(0, 5).map(n => n.id.slice(0, Math.max(8, base.length + 2)));
+    throw new Error(`Node ${base} is ambiguous: ${shown.join(', ')}${matches.length > 5 ? `, and ${matches.length - 5} more` : ''}`);
+  }
+  throw new Error(base.length < MIN_PREFIX_LENGTH && /^[0-9a-f-]+$/i.test(base)
+    ? `Node ${base} not found (give at least ${MIN_PREFIX_LENGTH} characters of an ID)`
+    : `Node ${base} not found`);
+}
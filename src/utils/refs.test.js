@@ -0,0 +1,142 @@
+import { resolveNodeRef, describeInvalidRefName, getNamedRefs, getRefLabels, EMPTY_REFS } from './refs';
+
+/**
+ * Builds nodes from { id, parentId, mergeParents } specs
+ *   root1234 ← a1110000 ← a2220000 ← merge000 (merges b2220000)
+ *   root1234 ← b1110000 ← b2220000
+ */
+function buildNodes() {
+  const specs = [
+    { id: 'root1234', parentId: null },
+    { id: 'a1110000', parentId: 'root1234' },
+    { id: 'a2220000', parentId: 'a1110000' },
+    { id: 'b1110000', parentId: 'root1234' },
+    { id: 'b2220000', parentId: 'b1110000' },
+    { id: 'merge000', parentId: 'a2220000', mergeParents: ['b2220000'] }
+  ];
+  return specs.map(({ id, parentId, mergeParents = [] }) => ({
+    id,
+    parentId,
+    mergeParents,
+    children: specs.filter(spec => spec.parentId === id).map(spec => spec.id),
+    role: 'user',
+    content: id,
+    metadata: {}
+  }));
+}
+
+const nodes = buildNodes();
+const resolve = (ref, options) => resolveNodeRef(nodes, ref, options).id;
+
+describe('resolveNodeRef', () => {
+  test('resolves HEAD in any case, and explains when it points nowhere', () => {
+    expect(resolve('HEAD', { headId: 'a2220000' })).toBe('a2220000');
+    expect(resolve('head', { headId: 'a2220000' })).toBe('a2220000');
+    expect(() => resolve('HEAD')).toThrow('HEAD does not point at a node (check out a node first)');
+  });
+
+  test('follows primary parents with ~n', () => {
+    expect(resolve('HEAD~', { headId: 'merge000' })).toBe('a2220000');
+    expect(resolve('HEAD~2', { headId: 'merge000' })).toBe('a1110000');
+    expect(resolve('merge000~1~2')).toBe('root1234');
+    expect(resolve('merge000~0')).toBe('merge000');
+    expect(() => resolve('a1110000~3')).toThrow('a1110000~3: a1110000 has fewer than 3 ancestors');
+    expect(() => resolve('root1234~')).toThrow('root1234~: root1234 has fewer than 1 ancestor');
+  });
+
+  test('picks the primary or a merge parent with ^n', () => {
+    expect(resolve('merge000^')).toBe('a2220000');
+    expect(resolve('merge000^1')).toBe('a2220000');
+    expect(resolve('merge000^2')).toBe('b2220000');
+    expect(resolve('merge000^2~1')).toBe('b1110000');
+    expect(resolve('merge000^0')).toBe('merge000');
+    expect(() => resolve('merge000^3')).toThrow('merge000^3: merge000 has no parent 3 (^3)');
+  });
+
+  test('resolves a unique ID prefix of at least four characters', () => {
+    expect(resolve('merg')).toBe('merge000');
+    expect(resolve('a222~')).toBe('a1110000');
+    expect(() => resolve('mer')).toThrow('Node mer not found');
+    expect(() => resolve('a11')).toThrow('Node a11 not found (give at least 4 characters of an ID)');
+  });
+
+  test('lists the nodes an ambiguous prefix matches', () => {
+    const many = Array.from({ length: 7 }, (_, i) => ({ id: `abcd000${i}`, parentId: null, mergeParents: [] }));
+    expect(() => resolveNodeRef(many, 'abcd')).toThrow(
+      'Node abcd is ambiguous: abcd0000, abcd0001, abcd0002, abcd0003, abcd0004, and 2 more'
+    );
+    const pair = [{ id: 'abcdef1234567', parentId: null }, { id: 'abcdef1299999', parentId: null }];
+    expect(() => resolveNodeRef(pair, 'abcdef12')).toThrow('Node abcdef12 is ambiguous: abcdef1234, abcdef1299');
+  });
+
+  test('prefers an exact ID, then a named ref, then a prefix', () => {
+    const refs = { main: 'b2220000', a111: 'merge000', merge000: 'root1234' };
+    expect(resolve('main~', { refs })).toBe('b1110000');
+    expect(resolve('a111', { refs })).toBe('merge000');
+    expect(resolve('merge000', { refs })).toBe('merge000');
+  });
+
+  test('explains a named ref whose node is gone', () => {
+    expect(() => resolve('old', { refs: { old: 'deleted-node-id' } }))
+      .toThrow('old points at node deleted-, which no longer exists');
+  });
+
+  test('rejects an empty reference', () => {
+    expect(() => resolve('')).toThrow('Invalid node reference ""');
+    expect(() => resolve('~2')).toThrow('Invalid node reference "~2"');
+  });
+});
+
+describe('describeInvalidRefName', () => {
+  test('accepts names git would', () => {
+    ['main', 'feature/tone', 'v1.2', 'draft_2', 'a-b'].forEach(name => {
+      expect(describeInvalidRefName(name)).toBeNull();
+    });
+  });
+
+  test('rejects empty and reserved names', () => {
+    expect(describeInvalidRefName('')).toBe('A name is required');
+    expect(describeInvalidRefName('Head')).toBe('HEAD is reserved for the active node');
+  });
+
+  test('rejects other characters and misplaced separators', () => {
+    expect(describeInvalidRefName('my branch')).toBe('my branch may only contain letters, digits, ".", "_", "-" and "/"');
+    ['-main', '.main', '/main', 'main.', 'main/', 'a..b', 'a//b'].forEach(name => {
+      expect(describeInvalidRefName(name)).toMatch(/can't start with/);
+    });
+  });
+});
+
+describe('getNamedRefs', () => {
+  test('puts branches and tags in one map, with a branch winning over a tag of the same name', () => {
+    expect(getNamedRefs(EMPTY_REFS)).toEqual({});
+    expect(getNamedRefs({ branches: { main: 'b', both: 'from-branch' }, tags: { v1: 't', both: 'from-tag' } })).toEqual({
+      main: 'b',
+      v1: 't',
+      both: 'from-branch'
+    });
+  });
+});
+
+describe('getRefLabels', () => {
+  const refs = {
+    branches: { zeta: 'n1', alpha: 'n1', main: 'n1', other: 'n2' },
+    tags: { v2: 'n1', v1: 'n1' }
+  };
+
+  test('lists branches then tags, each by name, with the HEAD branch first', () => {
+    expect(getRefLabels(refs, 'n1', 'main')).toEqual([
+      { name: 'main', type: 'branch', isHead: true },
+      { name: 'alpha', type: 'branch', isHead: false },
+      { name: 'zeta', type: 'branch', isHead: false },
+      { name: 'v1', type: 'tag', isHead: false },
+      { name: 'v2', type: 'tag', isHead: false }
+    ]);
+  });
+
+  test('marks no label as HEAD when HEAD is on another branch or detached', () => {
+    expect(getRefLabels(refs, 'n1', 'other').some(label => label.isHead)).toBe(false);
+    expect(getRefLabels(refs, 'n2')).toEqual([{ name: 'other', type: 'branch', isHead: false }]);
+    expect(getRefLabels(refs, 'n3')).toEqual([]);
+  });
+});
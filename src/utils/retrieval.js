@@ -0,0 +1,229 @@
+/**
+ * Retrieval utilities for LangFork
+ * Finds the nodes anywhere in the tree most relevant to a prompt, using an index that is
+ * updated incrementally as nodes are added, edited or deleted:
+ * - BM25 over the node texts, entirely offline
+ * - cosine similarity of embeddings from a local embedding model, once the nodes have been embedded
+ */
+
+// BM25 term frequency saturation and length normalization
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+// Texts sent to the embedding model per request
+const EMBEDDING_BATCH_SIZE = 32;
+
+// Words too common to say anything about relevance
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'can', 'do', 'does', 'for', 'from', 'has',
+  'have', 'how', 'i', 'if', 'in', 'is', 'it', 'its', 'me', 'my', 'no', 'not', 'of', 'on', 'or', 'so',
+  'that', 'the', 'their', 'them', 'then', 'there', 'these', 'this', 'to', 'was', 'we', 'were', 'what',
+  'when', 'which', 'who', 'why', 'will', 'with', 'would', 'you', 'your'
+]);
+
+// Indexed nodes keyed by ID: { content, terms: Map<term, count>, length, embedding: { model, vector } | null }
+const documents = new Map();
+// Number of indexed nodes each term appears in
+const documentFrequency = new Map();
+let totalLength = 0;
+
+// Embedding pass in progress, and the latest request that arrived while it ran
+let embeddingRun = null;
+let queuedEmbeddingRun = null;
+
+/**
+ * Splits text into lowercase search terms, leaving out stopwords
+ * @param {string} text - Text to split
+ * @returns {string[]} Terms, in order, with repeats
+ */
+function tokenizeForSearch(text) {
+  return (text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+    .filter(term => term.length > 1 && !STOPWORDS.has(term));
+}
+
+function addDocument(node) {
+  const terms = new Map();
+  const tokens = tokenizeForSearch(node.content);
+  tokens.forEach(term => terms.set(term, (terms.get(term) || 0) + 1));
+  terms.forEach((count, term) => documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1));
+
+  documents.set(node.id, { content: node.content, terms, length: tokens.length, embedding: null });
+  totalLength += tokens.length;
+}
+
+function removeDocument(nodeId) {
+  const document = documents.get(nodeId);
+  document.terms.forEach((count, term) => {
+    const remaining = documentFrequency.get(term) - 1;
+    if (remaining > 0) {
+      documentFrequency.set(term, remaining);
+    } else {
+      documentFrequency.delete(term);
+    }
+  });
+
+  documents.delete(nodeId);
+  totalLength -= document.length;
+}
+
+/**
+ * Brings the index up to date with the tree; only new, edited and deleted nodes are (re)indexed
+ * @param {Node[]} nodes - All nodes in the tree
+ */
+export function updateRetrievalIndex(nodes) {
+  const liveIds = new Set();
+  for (const node of nodes) {
+    liveIds.add(node.id);
+    const document = documents.get(node.id);
+    if (document && document.content === node.content) continue;
+
+    if (document) {
+      removeDocument(node.id);
+    }
+    addDocument(node);
+  }
+
+  if (documents.size > liveIds.size) {
+    [...documents.keys()]
+      .filter(id => !liveIds.has(id))
+      .forEach(removeDocument);
+  }
+}
+
+/**
+ * Scores a document against query terms with BM25
+ * @param {Object} document - Indexed document
+ * @param {string[]} queryTerms - Distinct query terms
+ * @returns {number} Score (0 when no term matches)
+ */
+function scoreBM25(document, queryTerms) {
+  const averageLength = totalLength / documents.size || 1;
+  return queryTerms.reduce((score, term) => {
+    const frequency = document.terms.get(term);
+    if (!frequency) return score;
+
+    const containing = documentFrequency.get(term);
+    const idf = Math.log(1 + (documents.size - containing + 0.5) / (containing + 0.5));
+    const normalization = BM25_K1 * (1 - BM25_B + BM25_B * (document.length / averageLength));
+    return score + idf * (frequency * (BM25_K1 + 1)) / (frequency + normalization);
+  }, 0);
+}
+
+function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+/**
+ * Finds the nodes most relevant to a query. Embeddings are used when a query embedding is given and
+ * nodes have been embedded with the same model; otherwise (or for nodes not embedded yet) BM25 is.
+ * @param {Node[]} allNodes - All nodes in the tree
+ * @param {string} query - Text to find relevant nodes for, normally the new prompt
+ * @param {Object} [options] - Retrieval options
+ * @param {number} [options.topK=5] - Most nodes to return
+ * @param {string[]} [options.excludeIds] - Nodes not to return (e.g. ones already in context)
+ * @param {number[]} [options.queryEmbedding] - Embedding of the query
+ * @param {string} [options.embeddingModel] - Model the query embedding comes from
+ * @returns {Object} { method: 'embedding'|'bm25', results } with results as { node, score }, best first
+ */
+export function retrieveRelevantNodes(allNodes, query, options = {}) {
+  const { topK = 5, excludeIds = [], queryEmbedding = null, embeddingModel = null } = options;
+  updateRetrievalIndex(allNodes);
+
+  const excluded = new Set(excludeIds);
+  const candidates = allNodes.filter(node => !excluded.has(node.id) && node.content.trim());
+  const embedded = queryEmbedding
+    ? candidates.filter(node => documents.get(node.id).embedding?.model === embeddingModel)
+    : [];
+  const method = embedded.length > 0 ? 'embedding' : 'bm25';
+  if (!query || !query.trim() || topK <= 0) {
+    return { method, results: [] };
+  }
+
+  let scored;
+  if (method === 'embedding') {
+    scored = embedded.map(node => ({
+      node,
+      score: cosineSimilarity(queryEmbedding, documents.get(node.id).embedding.vector)
+    }));
+  } else {
+    const queryTerms = [...new Set(tokenizeForSearch(query))];
+    scored = candidates
+      .map(node => ({ node, score: scoreBM25(documents.get(node.id), queryTerms) }))
+      .filter(({ score }) => score > 0);
+  }
+
+  return {
+    method,
+    results: scored
+      .sort((a, b) => b.score - a.score)
+      .slice(0, topK)
+      .map(({ node, score }) => ({ node, score: Math.round(score * 1000) / 1000 }))
+  };
+}
+
+/**
+ * Embeds every node that has no embedding from the model yet. Passes don't overlap: a call made
+ * while one runs is queued, and only the latest queued call runs once it finishes.
+ * @param {Node[]} nodes - All nodes in the tree
+ * @param {Function} embed - Resolves an array of texts to an array of vectors
+ * @param {string} model - Embedding model, so vectors from different models are never compared
+ * @returns {Promise<number>} Number of nodes embedded by this call's pass
+ */
+export function indexEmbeddings(nodes, embed, model) {
+  if (embeddingRun) {
+    queuedEmbeddingRun = { nodes, embed, model };
+    return embeddingRun.then(() => 0);
+  }
+
+  embeddingRun = (async () => {
+    updateRetrievalIndex(nodes);
+    // Replies still streaming would be embedded half-written
+    const pending = nodes.filter(node => (
+      node.content.trim()
+      && node.metadata.status !== 'streaming'
+      && documents.get(node.id).embedding?.model !== model
+    ));
+
+    for (let i = 0; i < pending.length; i += EMBEDDING_BATCH_SIZE) {
+      const batch = pending.slice(i, i + EMBEDDING_BATCH_SIZE);
+      const vectors = await embed(batch.map(node => node.content));
+      batch.forEach((node, index) => {
+        const document = documents.get(node.id);
+        // Skip nodes edited while their embedding was on its way
+        if (document && document.content === node.content) {
+          document.embedding = { model, vector: vectors[index] };
+        }
+      });
+    }
+    return pending.length;
+  })().finally(() => {
+    embeddingRun = null;
+    if (queuedEmbeddingRun) {
+      const next = queuedEmbeddingRun;
+      queuedEmbeddingRun = null;
+      indexEmbeddings(next.nodes, next.embed, next.model).catch(() => {});
+    }
+  });
+  return embeddingRun;
+}
+
+/**
+ * Reports how much of the tree is indexed
+ * @param {string} [model] - Embedding model to count vectors for
+ * @returns {Object} { documents, embedded, terms }
+ */
+export function getRetrievalIndexStats(model) {
+  let embedded = 0;
+  documents.forEach(document => {
+    if (model && document.embedding?.model === model) embedded++;
+  });
+  return { documents: documents.size, embedded, terms: documentFrequency.size };
+}
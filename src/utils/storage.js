@@ -1,77 +1,394 @@
 /**
  * Storage utilities for LangFork
- * Handles localStorage operations for tree persistence
+ * Persists project trees in IndexedDB (one record per node, only changed nodes are written),
+ * falling back to localStorage where IndexedDB can't be opened. The projects list and the
+ * LLM settings are small and stay in localStorage.
+ * Every change is also queued in an outbox that cloud sync (cloudSync.js) pushes to Supabase,
+ * and changes it pulls are applied here.
  */
 
+import { generateUUID } from './treeUtils';
+import { openDatabase, readProject, writeProject, deleteProject, PROJECT_RECORD_ID } from './indexedDb';
+import { SCHEMA_VERSION, migrateProject } from './migrations';
+
 const STORAGE_KEY = 'langfork_project';
 const PROJECTS_KEY = 'langfork_projects_list';
+const LLM_SETTINGS_KEY = 'langfork_llm_settings';
+const QUARANTINE_KEY = 'langfork_quarantine';
+
+// Project used before projects could be created, and opened when there are none
+export const DEFAULT_PROJECT_ID = 'default-project';
+
+// Called with the projects list whenever it changes
+const projectListeners = new Set();
+
+// Called with the current persistence failure ({ message, quotaExceeded }), or null once writes succeed again
+const storageStatusListeners = new Set();
+let storageError = null;
+
+// Per project, the nodes as last written: Map<nodeId, { node, order }>. Nodes are immutable in the
+// tree state, so a node whose object is unchanged doesn't need writing.
+const savedSnapshots = new Map();
+// Per project, the settings as last written (JSON), so unchanged settings aren't queued for sync
+const savedSettings = new Map();
+
+// Called with a project ID after local changes are queued for sync
+const localChangeListeners = new Set();
+// Called with { projectId, nodes, deletedIds, settings, deleted } after changes from the cloud are applied
+const remoteChangeListeners = new Set();
+
+// Signed-in user; only their projects and those not synced to any account yet are listed
+let currentUserId = null;
+
+let backendPromise = null;
 
 /**
- * Saves a tree to localStorage
+ * Backend keeping each project as one JSON string, the format used before IndexedDB
+ */
+const localStorageBackend = {
+  async read(projectId) {
+    const data = localStorage.getItem(`${STORAGE_KEY}_${projectId}`);
+    if (!data) return null;
+
+    const projectData = JSON.parse(data);
+    return {
+      settings: projectData.settings || {},
+      version: projectData.version,
+      entries: (projectData.nodes || []).map((node, order) => ({ node, order }))
+    };
+  },
+
+  // Every write stores the whole project, so only the full node list is used
+  async write(projectId, { project, nodes }) {
+    localStorage.setItem(`${STORAGE_KEY}_${projectId}`, JSON.stringify({ ...project, id: projectId, nodes }));
+  },
+
+  async remove(projectId) {
+    localStorage.removeItem(`${STORAGE_KEY}_${projectId}`);
+  }
+};
+
+const indexedDbBackend = {
+  read: readProject,
+
+  async write(projectId, changes) {
+    await writeProject(projectId, changes);
+    // A project that failed to migrate keeps its old copy until it is written here in full
+    if (changes.replace) {
+      localStorage.removeItem(`${STORAGE_KEY}_${projectId}`);
+    }
+  },
+
+  async remove(projectId) {
+    await deleteProject(projectId, { tombstone: true });
+    localStorage.removeItem(`${STORAGE_KEY}_${projectId}`);
+  }
+};
+
+function isQuotaError(error) {
+  return Boolean(error) && (error.name === 'QuotaExceededError' || error.name === 'NS_ERROR_DOM_QUOTA_REACHED');
+}
+
+/**
+ * Records a failed write and tells the UI
+ * @param {string} action - What failed, e.g. 'save the project'
+ * @param {Error} error - Error from the backend
+ */
+function reportStorageError(action, error) {
+  console.error(`Failed to ${action}:`, error);
+  storageError = isQuotaError(error)
+    ? { message: `Storage is full, so LangFork couldn't ${action}. Delete projects you no longer need to free space.`, quotaExceeded: true }
+    : { message: `LangFork couldn't ${action}: ${error.message}`, quotaExceeded: false };
+  storageStatusListeners.forEach(listener => listener(storageError));
+}
+
+function clearStorageError() {
+  if (storageError) {
+    storageError = null;
+    storageStatusListeners.forEach(listener => listener(null));
+  }
+}
+
+/**
+ * Subscribes to persistence failures
+ * @param {Function} listener - Called with { message, quotaExceeded } when a write fails, and null once one succeeds
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribeStorageStatus(listener) {
+  storageStatusListeners.add(listener);
+  listener(storageError);
+  return () => storageStatusListeners.delete(listener);
+}
+
+/**
+ * Moves projects saved in localStorage into IndexedDB, freeing localStorage. A project that fails to
+ * move keeps its localStorage copy and is still loaded from there.
+ */
+async function migrateLocalStorageProjects() {
+  const keys = [];
+  for (let i = 0; i < localStorage.length; i++) {
+    const key = localStorage.key(i);
+    if (key.startsWith(`${STORAGE_KEY}_`)) {
+      keys.push(key);
+    }
+  }
+
+  for (const key of keys) {
+    const projectId = key.slice(STORAGE_KEY.length + 1);
+    try {
+      const data = await localStorageBackend.read(projectId);
+      await indexedDbBackend.write(projectId, {
+        // Upgraded to the current schema when it is next loaded
+        project: { settings: data.settings, lastModified: Date.now(), version: data.version },
+        put: data.entries,
+        replace: true
+      });
+    } catch (error) {
+      reportStorageError(`move project ${projectId.slice(0, 8)} to IndexedDB`, error);
+    }
+  }
+}
+
+/**
+ * Picks the storage backend, migrating localStorage projects on first use
+ * @returns {Promise<Object>} Backend with read, write and remove
+ */
+function getBackend() {
+  if (!backendPromise) {
+    backendPromise = openDatabase()
+      .then(async () => {
+        await migrateLocalStorageProjects();
+        return indexedDbBackend;
+      })
+      .catch(error => {
+        console.warn('IndexedDB is unavailable, saving projects in localStorage:', error.message);
+        return localStorageBackend;
+      });
+  }
+  return backendPromise;
+}
+
+/**
+ * Reads a project from the backend, or from its localStorage copy if it never moved to IndexedDB
+ * @param {string} projectId - Project identifier
+ * @returns {Promise<Object|null>} { settings, entries, migrated } or null if not found
+ */
+async function readProjectData(projectId) {
+  const backend = await getBackend();
+  const data = await backend.read(projectId);
+  if (data || backend === localStorageBackend) {
+    return data && { ...data, migrated: true };
+  }
+  const legacy = await localStorageBackend.read(projectId);
+  return legacy && { ...legacy, migrated: false };
+}
+
+/**
+ * Saves a tree, writing only the nodes added, changed or removed since the last save or load
  * @param {string} projectId - Unique project identifier
  * @param {Node[]} nodes - Array of all nodes in the tree
- * @returns {boolean} Success status
+ * @param {Object} [settings] - Project-level settings saved alongside the nodes (pin groups, send target, system prompt)
+ * @returns {Promise<boolean>} Success status; failures are also reported to subscribeStorageStatus
  */
-export function saveTree(projectId, nodes) {
+export async function saveTree(projectId, nodes, settings = {}) {
+  // The changes are worked out before anything is awaited, so saves are written in the order they were made
+  const previous = savedSnapshots.get(projectId);
+  const snapshot = new Map();
+  const put = [];
+  let nextOrder = previous ? Math.max(-1, ...[...previous.values()].map(entry => entry.order)) + 1 : 0;
+
+  nodes.forEach((node, index) => {
+    const saved = previous?.get(node.id);
+    const entry = { node, order: saved ? saved.order : (previous ? nextOrder++ : index) };
+    snapshot.set(node.id, entry);
+    if (saved?.node !== node) {
+      put.push(entry);
+    }
+  });
+  const deleteIds = previous ? [...previous.keys()].filter(id => !snapshot.has(id)) : [];
+  savedSnapshots.set(projectId, snapshot);
+
+  const settingsJson = JSON.stringify(settings);
+  const outbox = [
+    ...put.map(({ node }) => ({ nodeId: node.id })),
+    ...deleteIds.map(nodeId => ({ nodeId, deleted: true })),
+    ...(savedSettings.get(projectId) !== settingsJson ? [{ nodeId: PROJECT_RECORD_ID }] : [])
+  ];
+  savedSettings.set(projectId, settingsJson);
+
   try {
-    const projectData = {
-      id: projectId,
+    const backend = await getBackend();
+    await backend.write(projectId, {
+      project: { settings, lastModified: Date.now(), version: SCHEMA_VERSION },
       nodes,
-      lastModified: Date.now(),
-      version: '1.0'
-    };
-    
-    localStorage.setItem(`${STORAGE_KEY}_${projectId}`, JSON.stringify(projectData));
-    
+      put,
+      deleteIds,
+      replace: !previous,
+      outbox
+    });
+
     // Update projects list
-    updateProjectsList(projectId);
-    
+    updateProjectsList(projectId, { nodeCount: nodes.length });
+    clearStorageError();
+    if (outbox.length > 0) {
+      localChangeListeners.forEach(listener => listener(projectId));
+    }
     return true;
   } catch (error) {
-    console.error('Failed to save tree:', error);
+    // What is stored is no longer known, so the next save writes the whole project
+    savedSnapshots.delete(projectId);
+    savedSettings.delete(projectId);
+    reportStorageError('save the project', error);
     return false;
   }
 }
 
 /**
- * Loads a tree from localStorage
+ * Sets nodes aside that couldn't be kept in a project, so they aren't lost
+ * @param {string} projectId - Project identifier
+ * @param {Object[]} quarantined - Nodes with the reason, as { node, reason }
+ */
+function quarantineNodes(projectId, quarantined) {
+  try {
+    const key = `${QUARANTINE_KEY}_${projectId}`;
+    const quarantinedAt = Date.now();
+    localStorage.setItem(key, JSON.stringify([
+      ...getQuarantinedNodes(projectId),
+      ...quarantined.map(entry => ({ ...entry, quarantinedAt }))
+    ]));
+  } catch (error) {
+    console.error('Failed to quarantine nodes:', error);
+  }
+}
+
+/**
+ * Gets the nodes set aside because they were invalid when the project was loaded or upgraded
+ * @param {string} projectId - Project identifier
+ * @returns {Object[]} Entries as { node, reason, quarantinedAt }
+ */
+export function getQuarantinedNodes(projectId) {
+  try {
+    const data = localStorage.getItem(`${QUARANTINE_KEY}_${projectId}`);
+    return data ? JSON.parse(data) : [];
+  } catch (error) {
+    console.error('Failed to read quarantined nodes:', error);
+    return [];
+  }
+}
+
+/**
+ * Writes a project upgraded or repaired on load, so the migration runs once
+ * @param {string} projectId - Project identifier
+ * @param {Node[]} loadedNodes - Nodes as they were read
+ * @param {Object} migration - Result of migrateProject
+ * @returns {Promise<Object>} { nodes, settings } as upgraded
+ */
+async function saveMigratedProject(projectId, loadedNodes, { nodes, settings, fromVersion, steps, repairs, quarantined }) {
+  if (steps.length > 0) {
+    console.info(`Upgraded project ${projectId.slice(0, 8)} from schema ${fromVersion} to ${SCHEMA_VERSION}: ${steps.join('; ')}`);
+  }
+  if (repairs.length > 0) {
+    console.warn(`Repaired project ${projectId.slice(0, 8)}, setting aside ${quarantined.length} nodes:`, repairs);
+  }
+  if (quarantined.length > 0) {
+    quarantineNodes(projectId, quarantined);
+  }
+
+  const loaded = new Map(loadedNodes.map(node => [node?.id, node]));
+  const nodeIds = new Set(nodes.map(node => node.id));
+  const put = nodes.map((node, order) => ({ node, order }));
+  const outbox = [
+    { nodeId: PROJECT_RECORD_ID },
+    ...nodes.filter(node => loaded.get(node.id) !== node).map(node => ({ nodeId: node.id })),
+    ...quarantined
+      .map(({ node }) => node?.id)
+      .filter(id => typeof id === 'string' && id && !nodeIds.has(id))
+      .map(nodeId => ({ nodeId, deleted: true }))
+  ];
+
+  try {
+    const backend = await getBackend();
+    await backend.write(projectId, {
+      project: { settings, lastModified: Date.now(), version: SCHEMA_VERSION },
+      nodes,
+      put,
+      replace: true,
+      outbox
+    });
+    savedSnapshots.set(projectId, new Map(put.map(entry => [entry.node.id, entry])));
+    savedSettings.set(projectId, JSON.stringify(settings));
+    updateProjectsList(projectId, { nodeCount: nodes.length });
+    localChangeListeners.forEach(listener => listener(projectId));
+  } catch (error) {
+    // The upgrade is written in full with the next save instead
+    savedSnapshots.delete(projectId);
+    savedSettings.delete(projectId);
+    reportStorageError('save the upgraded project', error);
+  }
+  return { nodes, settings };
+}
+
+/**
+ * Loads a project's tree and the project-level settings saved with it, upgrading projects saved
+ * with an earlier schema and setting aside nodes that are invalid
  * @param {string} projectId - Unique project identifier
- * @returns {Node[]|null} Array of nodes or null if not found
+ * @returns {Promise<Object|null>} { nodes, settings } or null if not found
+ * @throws {Error} When the project can't be read, or was saved by a newer version of LangFork; it
+ *   must then not be saved over as if it were empty
  */
-export function loadTree(projectId) {
+export async function loadProjectData(projectId) {
   try {
-    const data = localStorage.getItem(`${STORAGE_KEY}_${projectId}`);
+    const data = await readProjectData(projectId);
     if (!data) return null;
-    
-    const projectData = JSON.parse(data);
-    return projectData.nodes || [];
+
+    const entries = [...data.entries].sort((a, b) => a.order - b.order);
+    const loadedNodes = entries.map(entry => entry.node);
+    const migration = migrateProject({ nodes: loadedNodes, settings: data.settings, version: data.version });
+    if (migration.changed) {
+      return await saveMigratedProject(projectId, loadedNodes, migration);
+    }
+
+    // Saves diff against what was loaded; a project still in localStorage is written in full instead
+    if (data.migrated) {
+      savedSnapshots.set(projectId, new Map(entries.map(entry => [entry.node.id, entry])));
+      savedSettings.set(projectId, JSON.stringify(data.settings));
+    } else {
+      savedSnapshots.delete(projectId);
+      savedSettings.delete(projectId);
+    }
+    return { nodes: entries.map(entry => entry.node), settings: data.settings };
   } catch (error) {
-    console.error('Failed to load tree:', error);
-    return null;
+    reportStorageError('load the project', error);
+    throw error;
   }
 }
 
 /**
- * Deletes a tree from localStorage
+ * Deletes a tree
  * @param {string} projectId - Unique project identifier
- * @returns {boolean} Success status
+ * @returns {Promise<boolean>} Success status
  */
-export function deleteTree(projectId) {
+export async function deleteTree(projectId) {
   try {
-    localStorage.removeItem(`${STORAGE_KEY}_${projectId}`);
+    const backend = await getBackend();
+    await backend.remove(projectId);
+    localStorage.removeItem(`${QUARANTINE_KEY}_${projectId}`);
+    savedSnapshots.delete(projectId);
+    savedSettings.delete(projectId);
     removeFromProjectsList(projectId);
+    localChangeListeners.forEach(listener => listener(projectId));
     return true;
   } catch (error) {
-    console.error('Failed to delete tree:', error);
+    reportStorageError('delete the project', error);
     return false;
   }
 }
 
 /**
- * Gets list of all saved projects
+ * Reads the projects list, including projects of other accounts that signed in on this browser
  * @returns {Object[]} Array of project metadata
  */
-export function getProjectsList() {
+function readProjectsList() {
   try {
     const data = localStorage.getItem(PROJECTS_KEY);
     return data ? JSON.parse(data) : [];
@@ -81,19 +398,126 @@ export function getProjectsList() {
   }
 }
 
+function writeProjectsList(projects) {
+  localStorage.setItem(PROJECTS_KEY, JSON.stringify(projects));
+  const visible = getProjectsList();
+  projectListeners.forEach(listener => listener(visible));
+}
+
+/**
+ * Gets list of all saved projects: the signed-in user's, and those not synced to any account yet
+ * @returns {Object[]} Array of project metadata
+ */
+export function getProjectsList() {
+  return readProjectsList().filter(p => !p.ownerId || p.ownerId === currentUserId);
+}
+
+/**
+ * Finds a saved project
+ * @param {string} projectId - Project identifier
+ * @returns {Object|null} Project metadata ({ id, name, nodeCount, createdAt, lastModified }) or null
+ */
+export function getProject(projectId) {
+  return getProjectsList().find(p => p.id === projectId) || null;
+}
+
+/**
+ * Checks whether a project has been saved
+ * @param {string} projectId - Project identifier
+ * @returns {boolean} True when the project is listed or its tree is stored
+ */
+export function projectExists(projectId) {
+  return Boolean(getProject(projectId)) || localStorage.getItem(`${STORAGE_KEY}_${projectId}`) !== null;
+}
+
+/**
+ * Creates an empty project
+ * @param {string} name - Human-readable project name
+ * @returns {Promise<Object|null>} Metadata of the new project, or null if it could not be saved
+ */
+export async function createProject(name) {
+  const projectId = generateUUID();
+  if (!await saveTree(projectId, [])) {
+    return null;
+  }
+  updateProjectsList(projectId, { name, createdAt: Date.now(), ownerId: currentUserId || undefined });
+  return getProject(projectId);
+}
+
 /**
- * Updates the projects list with a new or modified project
+ * Renames a project
  * @param {string} projectId - Project identifier
- * @param {string} projectName - Human-readable project name
+ * @param {string} name - New name
+ * @returns {boolean} Success status
  */
-function updateProjectsList(projectId, projectName = `Project ${projectId.slice(0, 8)}`) {
+export function renameProject(projectId, name) {
+  if (!getProject(projectId)) {
+    return false;
+  }
+  const renamed = updateProjectsList(projectId, { name });
+  if (renamed) {
+    queueProjectChange(projectId);
+  }
+  return renamed;
+}
+
+/**
+ * Copies a project's tree and settings into a new project. Node IDs are kept, as they only have
+ * to be unique within a project.
+ * @param {string} projectId - Project to copy
+ * @param {string} [name] - Name of the copy (the original's name with "(copy)" when omitted)
+ * @returns {Promise<Object|null>} Metadata of the copy, or null if the project was not found or could not be saved
+ */
+export async function duplicateProject(projectId, name) {
+  const data = await loadProjectData(projectId).catch(() => null);
+  if (!data) {
+    return null;
+  }
+
+  const copyId = generateUUID();
+  const original = getProject(projectId);
+  if (!await saveTree(copyId, data.nodes, data.settings)) {
+    return null;
+  }
+  updateProjectsList(copyId, {
+    name: name || `${original?.name || defaultProjectName(projectId)} (copy)`,
+    createdAt: Date.now(),
+    ownerId: currentUserId || undefined
+  });
+  return getProject(copyId);
+}
+
+/**
+ * Subscribes to changes of the projects list
+ * @param {Function} listener - Called with the new list
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribeProjectsList(listener) {
+  projectListeners.add(listener);
+  return () => projectListeners.delete(listener);
+}
+
+function defaultProjectName(projectId) {
+  return projectId === DEFAULT_PROJECT_ID ? 'My first project' : `Project ${projectId.slice(0, 8)}`;
+}
+
+/**
+ * Updates the projects list with a new or modified project, keeping what isn't updated (such as its name)
+ * @param {string} projectId - Project identifier
+ * @param {Object} [updates] - Metadata to change ({ name, nodeCount, createdAt })
+ * @returns {boolean} Success status
+ */
+function updateProjectsList(projectId, updates = {}) {
   try {
-    const projects = getProjectsList();
+    const projects = readProjectsList();
     const existingIndex = projects.findIndex(p => p.id === projectId);
     
     const projectInfo = {
       id: projectId,
-      name: projectName,
+      name: defaultProjectName(projectId),
+      createdAt: Date.now(),
+      ...projects[existingIndex],
+      ...updates,
       lastModified: Date.now()
     };
     
@@ -106,9 +530,11 @@ function updateProjectsList(projectId, projectName = `Project ${projectId.slice(
     // Sort by last modified (newest first)
     projects.sort((a, b) => b.lastModified - a.lastModified);
     
-    localStorage.setItem(PROJECTS_KEY, JSON.stringify(projects));
+    writeProjectsList(projects);
+    return true;
   } catch (error) {
     console.error('Failed to update projects list:', error);
+    return false;
   }
 }
 
@@ -118,31 +544,213 @@ function updateProjectsList(projectId, projectName = `Project ${projectId.slice(
  */
 function removeFromProjectsList(projectId) {
   try {
-    const projects = getProjectsList();
+    const projects = readProjectsList();
     const filtered = projects.filter(p => p.id !== projectId);
-    localStorage.setItem(PROJECTS_KEY, JSON.stringify(filtered));
+    writeProjectsList(filtered);
   } catch (error) {
     console.error('Failed to remove from projects list:', error);
   }
 }
 
+/**
+ * Sets the signed-in user, whose projects are listed alongside those not synced to any account yet
+ * @param {string|null} userId - Supabase user ID, or null when signed out
+ */
+export function setStorageUser(userId) {
+  currentUserId = userId;
+  writeProjectsList(readProjectsList());
+}
+
+/**
+ * Checks whether projects are kept in IndexedDB, which cloud sync needs for its outbox
+ * @returns {Promise<boolean>} False when storage fell back to localStorage
+ */
+export async function isCloudSyncAvailable() {
+  return (await getBackend()) === indexedDbBackend;
+}
+
+/**
+ * Subscribes to local changes queued for sync
+ * @param {Function} listener - Called with the ID of the project that changed
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribeLocalChanges(listener) {
+  localChangeListeners.add(listener);
+  return () => localChangeListeners.delete(listener);
+}
+
+/**
+ * Subscribes to changes pulled from the cloud
+ * @param {Function} listener - Called with { projectId, nodes, deletedIds, settings, deleted }
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribeRemoteChanges(listener) {
+  remoteChangeListeners.add(listener);
+  return () => remoteChangeListeners.delete(listener);
+}
+
+// Queues a project's name and settings for sync
+async function queueProjectChange(projectId) {
+  try {
+    if (await isCloudSyncAvailable()) {
+      await writeProject(projectId, { outbox: [{ nodeId: PROJECT_RECORD_ID }] });
+      localChangeListeners.forEach(listener => listener(projectId));
+    }
+  } catch (error) {
+    reportStorageError('save the project', error);
+  }
+}
+
+/**
+ * Gives projects not synced to any account yet to the signed-in user, queueing all their nodes for upload
+ * @param {string} userId - Supabase user ID
+ * @returns {Promise<number>} Number of projects claimed
+ */
+export async function claimProjects(userId) {
+  const unowned = readProjectsList().filter(p => !p.ownerId);
+  for (const project of unowned) {
+    const data = await readProjectData(project.id);
+    await writeProject(project.id, {
+      outbox: [
+        { nodeId: PROJECT_RECORD_ID },
+        ...(data?.entries || []).map(({ node }) => ({ nodeId: node.id }))
+      ]
+    });
+  }
+
+  if (unowned.length > 0) {
+    const claimedIds = new Set(unowned.map(p => p.id));
+    writeProjectsList(readProjectsList().map(p => claimedIds.has(p.id) ? { ...p, ownerId: userId } : p));
+  }
+  return unowned.length;
+}
+
+/**
+ * Reads a project as it is now: the open tree's last save when there is one, otherwise IndexedDB
+ * @param {string} projectId - Project identifier
+ * @returns {Promise<Object|null>} { nodes: Map<nodeId, Node>, settings } or null if not stored
+ */
+export async function readLocalProject(projectId) {
+  const data = await readProjectData(projectId);
+  if (!data) {
+    return null;
+  }
+
+  const snapshot = savedSnapshots.get(projectId);
+  const entries = snapshot ? [...snapshot.values()] : data.entries;
+  return {
+    nodes: new Map(entries.map(({ node }) => [node.id, node])),
+    settings: savedSettings.has(projectId) ? JSON.parse(savedSettings.get(projectId)) : data.settings
+  };
+}
+
+/**
+ * Applies a project's name and settings, or its deletion, pulled from the cloud
+ * @param {string} projectId - Project identifier
+ * @param {Object} changes - { name, settings } or { deleted: true }
+ * @returns {Promise<void>} Resolves once stored
+ */
+export async function applyRemoteProject(projectId, { name, settings, deleted = false }) {
+  if (deleted) {
+    await deleteProject(projectId);
+    savedSnapshots.delete(projectId);
+    savedSettings.delete(projectId);
+    removeFromProjectsList(projectId);
+    remoteChangeListeners.forEach(listener => listener({ projectId, deleted: true }));
+    return;
+  }
+
+  const existing = await readProject(projectId);
+  await writeProject(projectId, { project: { settings, lastModified: Date.now(), version: SCHEMA_VERSION } });
+  savedSettings.set(projectId, JSON.stringify(settings));
+  updateProjectsList(projectId, {
+    name,
+    ownerId: currentUserId || undefined,
+    ...(!existing && { nodeCount: 0, createdAt: Date.now() })
+  });
+  remoteChangeListeners.forEach(listener => listener({ projectId, settings }));
+}
+
+/**
+ * Applies node changes pulled from the cloud. A node that changed here since the caller read it is
+ * skipped (compare-and-set against expected), so a local edit is never overwritten unmerged.
+ * @param {string} projectId - Project identifier
+ * @param {Object} changes - What to apply
+ * @param {Node[]} [changes.nodes] - Nodes to add or replace
+ * @param {string[]} [changes.deletedIds] - Nodes to remove
+ * @param {Map<string, Node>} changes.expected - Local node each change was worked out from (undefined for none)
+ * @param {Object[]} [changes.synced] - Revisions now synced, as { nodeId, revision, base }
+ * @param {Object[]} [changes.outbox] - Merged results to push back, as { nodeId, deleted }
+ * @returns {Promise<Set<string>>} IDs skipped because they changed here in the meantime
+ */
+export async function applyRemoteNodes(projectId, { nodes = [], deletedIds = [], expected, synced = [], outbox = [] }) {
+  const stored = savedSnapshots.has(projectId) ? null : await readProject(projectId);
+  // From here until the write is queued nothing is awaited, so no local save can interleave
+  const snapshot = savedSnapshots.get(projectId);
+  const orders = snapshot
+    ? new Map([...snapshot].map(([id, entry]) => [id, entry.order]))
+    : new Map((stored?.entries || []).map(({ node, order }) => [node.id, order]));
+
+  const skipped = new Set([...nodes.map(node => node.id), ...deletedIds]
+    .filter(id => snapshot && snapshot.get(id)?.node !== expected.get(id)));
+  const applied = nodes.filter(node => !skipped.has(node.id));
+  const removed = deletedIds.filter(id => !skipped.has(id) && orders.has(id));
+
+  let nextOrder = Math.max(-1, ...orders.values()) + 1;
+  const put = applied.map(node => ({ node, order: orders.has(node.id) ? orders.get(node.id) : nextOrder++ }));
+  if (snapshot) {
+    put.forEach(entry => snapshot.set(entry.node.id, entry));
+    removed.forEach(id => snapshot.delete(id));
+  }
+  const nodeIds = new Set(orders.keys());
+  put.forEach(({ node }) => nodeIds.add(node.id));
+  removed.forEach(id => nodeIds.delete(id));
+  // Listeners hear of the changes together with the snapshot, so a save of the open tree made
+  // before it has them can't take the new nodes for deleted ones
+  if (put.length > 0 || removed.length > 0) {
+    remoteChangeListeners.forEach(listener => listener({ projectId, nodes: applied, deletedIds: removed }));
+  }
+
+  try {
+    await writeProject(projectId, {
+      put,
+      deleteIds: removed,
+      synced: synced.filter(record => !skipped.has(record.nodeId)),
+      outbox: outbox.filter(record => !skipped.has(record.nodeId))
+    });
+  } catch (error) {
+    savedSnapshots.delete(projectId);
+    reportStorageError('save changes from the cloud', error);
+    throw error;
+  }
+
+  if (put.length > 0 || removed.length > 0) {
+    updateProjectsList(projectId, { nodeCount: nodeIds.size });
+  }
+  return skipped;
+}
+
 /**
  * Exports tree data as JSON
  * @param {Node[]} nodes - Array of all nodes
+ * @param {Object} [settings] - Project-level settings to export with them
  * @returns {string} JSON string
  */
-export function exportTree(nodes) {
+export function exportTree(nodes, settings = {}) {
   return JSON.stringify({
     nodes,
+    settings,
     exportedAt: Date.now(),
-    version: '1.0'
+    version: SCHEMA_VERSION
   }, null, 2);
 }
 
 /**
- * Imports tree data from JSON
+ * Imports tree data from JSON, upgrading exports from earlier versions. Invalid nodes are repaired
+ * or left out rather than failing the import.
  * @param {string} jsonString - JSON string to import
- * @returns {Node[]|null} Array of nodes or null if invalid
+ * @returns {Object|null} { nodes, settings, steps, repairs, quarantined } (see migrateProject), or null
+ *   if it isn't a LangFork export or comes from a newer version
  */
 export function importTree(jsonString) {
   try {
@@ -150,9 +758,43 @@ export function importTree(jsonString) {
     if (!data.nodes || !Array.isArray(data.nodes)) {
       throw new Error('Invalid tree data format');
     }
-    return data.nodes;
+    const { nodes, settings, steps, repairs, quarantined } = migrateProject({
+      nodes: data.nodes,
+      settings: data.settings,
+      version: data.version
+    });
+    return { nodes, settings, steps, repairs, quarantined };
   } catch (error) {
     console.error('Failed to import tree:', error);
     return null;
   }
 }
+
+/**
+ * Loads the LLM provider settings shared by all projects
+ * @returns {Object|null} Saved settings or null if none
+ */
+export function loadLLMSettings() {
+  try {
+    const data = localStorage.getItem(LLM_SETTINGS_KEY);
+    return data ? JSON.parse(data) : null;
+  } catch (error) {
+    console.error('Failed to load LLM settings:', error);
+    return null;
+  }
+}
+
+/**
+ * Saves the LLM provider settings
+ * @param {Object} settings - Settings to persist
+ * @returns {boolean} Success status
+ */
+export function saveLLMSettings(settings) {
+  try {
+    localStorage.setItem(LLM_SETTINGS_KEY, JSON.stringify(settings));
+    return true;
+  } catch (error) {
+    console.error('Failed to save LLM settings:', error);
+    return false;
+  }
+}
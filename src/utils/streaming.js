@@ -0,0 +1,85 @@
+/**
+ * Streaming utilities for LangFork
+ * Parses Server-Sent Event bodies returned by the LLM provider APIs
+ */
+
+/**
+ * Reads a Server-Sent Events response body and invokes a callback per event
+ * @param {Response} response - Fetch response with a readable body
+ * @param {Function} onEvent - Called with ({ event, data }) for every complete event
+ * @returns {Promise<void>} Resolves when the stream ends
+ */
+export async function readEventStream(response, onEvent) {
+  if (!response.body || !response.body.getReader) {
+    throw new Error('Streaming is not supported in this browser');
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder('utf-8');
+  let buffer = '';
+
+  const flushEvent = (rawEvent) => {
+    let eventName = 'message';
+    const dataLines = [];
+
+    for (const line of rawEvent.split('\n')) {
+      if (line.startsWith('event:')) {
+        eventName = line.slice(6).trim();
+      } else if (line.startsWith('data:')) {
+        dataLines.push(line.slice(5).replace(/^ /, ''));
+      }
+    }
+
+    if (dataLines.length > 0) {
+      onEvent({ event: eventName, data: dataLines.join('\n') });
+    }
+  };
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true }).replace(/\r\n/g, '\n');
+
+    // Events are separated by a blank line
+    let boundary = buffer.indexOf('\n\n');
+    while (boundary !== -1) {
+      flushEvent(buffer.slice(0, boundary));
+      buffer = buffer.slice(boundary + 2);
+      boundary = buffer.indexOf('\n\n');
+    }
+  }
+
+  // Flush a trailing event that was not terminated by a blank line
+  buffer += decoder.decode();
+  if (buffer.trim()) {
+    flushEvent(buffer);
+  }
+}
+
+/**
+ * Parses the JSON payload of an SSE event, ignoring keep-alive and sentinel events
+ * @param {string} data - Raw event data
+ * @returns {Object|null} Parsed payload or null when not JSON
+ */
+export function parseEventData(data) {
+  if (!data || data === '[DONE]') {
+    return null;
+  }
+
+  try {
+    return JSON.parse(data);
+  } catch (error) {
+    console.warn('Skipping malformed stream event:', data);
+    return null;
+  }
+}
+
+/**
+ * Checks whether an error was raised because the request was cancelled
+ * @param {Error} error - Error thrown by fetch or a stream reader
+ * @returns {boolean} True for aborted requests
+ */
+export function isAbortError(error) {
+  return Boolean(error) && error.name === 'AbortError';
+}
@@ -0,0 +1,253 @@
+/**
+ * Tokenizer utilities for LangFork
+ * Counts tokens per model family, entirely offline:
+ * - o200k / cl100k: exact BPE using the tiktoken ranks bundled with js-tiktoken
+ * - claude: cl100k BPE scaled to Claude's denser vocabulary (approximation)
+ * - gemini: SentencePiece-style approximation (digits split, whole common words)
+ */
+
+import { Tiktoken } from 'js-tiktoken/lite';
+
+/**
+ * Tokenizer families keyed by id
+ * @type {Object<string, { label: string, exact: boolean, messageOverhead: number }>}
+ */
+export const TOKENIZER_FAMILIES = {
+  o200k: { label: 'o200k_base', exact: true, messageOverhead: 3 },
+  cl100k: { label: 'cl100k_base', exact: true, messageOverhead: 3 },
+  claude: { label: 'Claude (approx.)', exact: false, messageOverhead: 4 },
+  gemini: { label: 'Gemini SentencePiece (approx.)', exact: false, messageOverhead: 2 }
+};
+
+// Family used when neither the model nor the provider identifies one
+const DEFAULT_FAMILY = 'cl100k';
+
+// Claude's tokenizer produces roughly this many tokens per cl100k token on mixed prose and code
+const CLAUDE_TOKEN_RATIO = 1.1;
+
+// Tokens the chat format adds once per request to prime the reply
+const REPLY_PRIMING_TOKENS = 3;
+
+// The rank tables are large, so they are loaded on demand into their own chunks
+const RANK_LOADERS = {
+  o200k: () => import('js-tiktoken/ranks/o200k_base'),
+  cl100k: () => import('js-tiktoken/ranks/cl100k_base')
+};
+
+// Counting is cached because the context panel recounts the same messages on every render
+const TOKEN_CACHE_LIMIT = 5000;
+
+const encoders = {};
+const pendingLoads = {};
+const tokenCache = new Map();
+
+/**
+ * Picks the tokenizer family for a model, falling back to the provider
+ * @param {Object} [target] - What the text will be sent to
+ * @param {string} [target.model] - Model ID
+ * @param {string} [target.provider] - Provider ID
+ * @returns {string} Family id (a key of TOKENIZER_FAMILIES)
+ */
+export function getTokenizerFamily({ model, provider } = {}) {
+  const modelId = (model || '').toLowerCase();
+
+  if (/^(gpt-4o|gpt-4\.1|gpt-4\.5|gpt-5|chatgpt|o\d)/.test(modelId)) return 'o200k';
+  if (/^(gpt-4|gpt-3\.5|text-embedding)/.test(modelId)) return 'cl100k';
+  if (modelId.includes('claude')) return 'claude';
+  if (modelId.includes('gemini') || modelId.includes('gemma')) return 'gemini';
+
+  switch (provider) {
+    case 'openai':
+      return 'o200k';
+    case 'anthropic':
+      return 'claude';
+    case 'gemini':
+      return 'gemini';
+    default:
+      return DEFAULT_FAMILY;
+  }
+}
+
+/**
+ * Loads the BPE ranks for an encoding so later counts are exact
+ * @param {string} encoding - 'o200k' or 'cl100k'
+ * @returns {Promise<Tiktoken>} The encoder
+ */
+export function loadTokenizer(encoding) {
+  if (encoders[encoding]) {
+    return Promise.resolve(encoders[encoding]);
+  }
+  if (!RANK_LOADERS[encoding]) {
+    return Promise.reject(new Error(`No BPE ranks for encoding ${encoding}`));
+  }
+
+  if (!pendingLoads[encoding]) {
+    pendingLoads[encoding] = RANK_LOADERS[encoding]()
+      .then(module => {
+        encoders[encoding] = new Tiktoken(module.default);
+        // Counts made before the ranks arrived were estimates
+        tokenCache.clear();
+        return encoders[encoding];
+      })
+      .catch(error => {
+        delete pendingLoads[encoding];
+        throw error;
+      });
+  }
+  return pendingLoads[encoding];
+}
+
+/**
+ * Loads every BPE encoder in the background
+ * @returns {Promise<void>} Resolves once all ranks are loaded (or failed to load)
+ */
+export function preloadTokenizers() {
+  return Promise.all(Object.keys(RANK_LOADERS).map(encoding => (
+    loadTokenizer(encoding).catch(error => {
+      console.warn(`Failed to load ${encoding} tokenizer, using estimates:`, error.message);
+    })
+  ))).then(() => undefined);
+}
+
+/**
+ * Estimates BPE tokens while the ranks are still loading, using the tiktoken pre-tokenizer split
+ * @param {string} text - Text to measure
+ * @returns {number} Estimated token count
+ */
+function estimateBpeTokens(text) {
+  const pieces = text.match(/'(?:s|t|re|ve|m|ll|d)|[^\r\n\p{L}\p{N}]?\p{L}+|\p{N}{1,3}| ?[^\s\p{L}\p{N}]+[\r\n]*|\s+/giu) || [];
+  return pieces.reduce((sum, piece) => {
+    const letters = piece.replace(/[^\p{L}]/gu, '');
+    if (letters.length <= 6) return sum + 1;
+    return sum + Math.ceil(letters.length / 5);
+  }, 0);
+}
+
+/**
+ * Counts BPE tokens, using an estimate until the encoder has loaded
+ * @param {string} text - Text to measure
+ * @param {string} encoding - 'o200k' or 'cl100k'
+ * @returns {number} Token count
+ */
+function countBpeTokens(text, encoding) {
+  const encoder = encoders[encoding];
+  if (!encoder) {
+    loadTokenizer(encoding).catch(() => {});
+    return estimateBpeTokens(text);
+  }
+  // Special-token markers in user text are counted as plain text rather than rejected
+  return encoder.encode(text, [], []).length;
+}
+
+/**
+ * Approximates a SentencePiece unigram tokenizer with a large vocabulary (Gemini/Gemma):
+ * common words with their leading space are one piece, digits are split one per token,
+ * and CJK text is roughly one token per character
+ * @param {string} text - Text to measure
+ * @returns {number} Estimated token count
+ */
+function countSentencePieceTokens(text) {
+  const pieces = text.match(/ ?[\p{L}\p{M}]+|\p{N}|\n|[^\S\n]+|[^\s\p{L}\p{M}\p{N}]/gu) || [];
+  return pieces.reduce((sum, piece) => {
+    const word = piece.trim();
+    if (!word) return sum + (piece === '\n' ? 1 : Math.ceil(piece.length / 16));
+    if (/\p{Script=Han}|\p{Script=Hiragana}|\p{Script=Katakana}|\p{Script=Hangul}/u.test(word)) {
+      return sum + word.length;
+    }
+    if (/^\p{Script=Latin}+$/u.test(word)) {
+      return sum + (word.length <= 10 ? 1 : Math.ceil(word.length / 6));
+    }
+    return sum + Math.ceil(word.length / 4);
+  }, 0);
+}
+
+/**
+ * Counts the tokens in a piece of text for a given model
+ * @param {string} text - Text to measure
+ * @param {Object} [target] - Model and/or provider the text is meant for, see getTokenizerFamily
+ * @returns {number} Token count
+ */
+export function countTokens(text, target = {}) {
+  if (!text) {
+    return 0;
+  }
+
+  const family = getTokenizerFamily(target);
+  const cacheKey = `${family}:${text}`;
+  if (tokenCache.has(cacheKey)) {
+    return tokenCache.get(cacheKey);
+  }
+
+  let count;
+  switch (family) {
+    case 'gemini':
+      count = countSentencePieceTokens(text);
+      break;
+    case 'claude':
+      count = Math.ceil(countBpeTokens(text, 'cl100k') * CLAUDE_TOKEN_RATIO);
+      break;
+    default:
+      count = countBpeTokens(text, family);
+  }
+
+  if (tokenCache.size >= TOKEN_CACHE_LIMIT) {
+    tokenCache.clear();
+  }
+  tokenCache.set(cacheKey, count);
+  return count;
+}
+
+/**
+ * Cuts text down to at most the given number of tokens, keeping the beginning
+ * @param {string} text - Text to shorten
+ * @param {number} maxTokens - Token limit
+ * @param {Object} [target] - Model and/or provider to count for
+ * @returns {string} The text itself when it fits, otherwise a prefix that fits
+ */
+export function truncateToTokens(text, maxTokens, target = {}) {
+  if (maxTokens <= 0) {
+    return '';
+  }
+
+  let end = text.length;
+  let tokens = countTokens(text, target);
+  // Shrink proportionally; a few rounds converge because token density is roughly uniform
+  while (tokens > maxTokens && end > 0) {
+    end = Math.min(end - 1, Math.floor(end * (maxTokens / tokens) * 0.98));
+    tokens = countTokens(text.slice(0, end), target);
+  }
+  return text.slice(0, Math.max(end, 0));
+}
+
+/**
+ * Counts the tokens a single chat message uses, including its formatting overhead
+ * @param {Object} message - Message in OpenAI format
+ * @param {Object} [target] - Model and/or provider the message is meant for
+ * @returns {number} Token count
+ */
+export function getMessageTokenCount(message, target = {}) {
+  return TOKENIZER_FAMILIES[getTokenizerFamily(target)].messageOverhead + countTokens(message.content, target);
+}
+
+/**
+ * Counts the tokens a list of chat messages uses, including per-message formatting overhead
+ * @param {Object[]} messages - Messages in OpenAI format
+ * @param {Object} [target] - Model and/or provider the messages are meant for
+ * @returns {number} Token count
+ */
+export function countMessageTokens(messages, target = {}) {
+  return messages.reduce((sum, msg) => sum + getMessageTokenCount(msg, target), REPLY_PRIMING_TOKENS);
+}
+
+/**
+ * Gets a node's token count, counting its content when none was recorded
+ * @param {Node} node - Conversation node
+ * @param {Object} [target] - Model and/or provider to count for when recounting
+ * @returns {number} Token count
+ */
+export function getNodeTokenCount(node, target) {
+  if (node.metadata.tokenCount > 0) {
+    return node.metadata.tokenCount;
+  }
+  return countTokens(node.content, target || { model: node.metadata.modelUsed, provider: node.metadata.provider });
+}
@@ -0,0 +1,94 @@
+/**
+ * @jest-environment node
+ */
+
+import {
+  getTokenizerFamily,
+  loadTokenizer,
+  countTokens,
+  truncateToTokens,
+  getMessageTokenCount,
+  countMessageTokens,
+  getNodeTokenCount
+} from './tokenizer';
+
+describe('getTokenizerFamily', () => {
+  test('picks the family from the model', () => {
+    expect(getTokenizerFamily({ model: 'gpt-4o-mini' })).toBe('o200k');
+    expect(getTokenizerFamily({ model: 'o3-mini' })).toBe('o200k');
+    expect(getTokenizerFamily({ model: 'gpt-4-turbo' })).toBe('cl100k');
+    expect(getTokenizerFamily({ model: 'claude-3-5-sonnet-latest' })).toBe('claude');
+    expect(getTokenizerFamily({ model: 'gemini-2.0-flash' })).toBe('gemini');
+  });
+
+  test('falls back to the provider, then to cl100k', () => {
+    expect(getTokenizerFamily({ model: 'my-finetune', provider: 'anthropic' })).toBe('claude');
+    expect(getTokenizerFamily({ provider: 'openai' })).toBe('o200k');
+    expect(getTokenizerFamily({ provider: 'local' })).toBe('cl100k');
+    expect(getTokenizerFamily()).toBe('cl100k');
+  });
+});
+
+describe('countTokens', () => {
+  beforeAll(() => Promise.all([loadTokenizer('cl100k'), loadTokenizer('o200k')]));
+
+  test('counts BPE tokens exactly once the ranks are loaded', () => {
+    expect(countTokens('hello world', { model: 'gpt-4' })).toBe(2);
+    expect(countTokens('hello world', { model: 'gpt-4o' })).toBe(2);
+  });
+
+  test('counts nothing for empty text', () => {
+    expect(countTokens('')).toBe(0);
+    expect(countTokens(null)).toBe(0);
+  });
+
+  test('scales cl100k counts up for Claude', () => {
+    const text = 'The quick brown fox jumps over the lazy dog. '.repeat(10);
+    const cl100k = countTokens(text, { model: 'gpt-4' });
+    expect(countTokens(text, { model: 'claude-3-opus' })).toBe(Math.ceil(cl100k * 1.1));
+  });
+
+  test('splits digits one per token for Gemini', () => {
+    expect(countTokens('12345', { model: 'gemini-pro' })).toBe(5);
+    expect(countTokens('hello world', { model: 'gemini-pro' })).toBe(2);
+  });
+
+  test('rejects encodings without ranks', async () => {
+    await expect(loadTokenizer('p50k')).rejects.toThrow('No BPE ranks for encoding p50k');
+  });
+});
+
+describe('truncateToTokens', () => {
+  beforeAll(() => loadTokenizer('cl100k'));
+
+  test('keeps text that fits', () => {
+    expect(truncateToTokens('hello world', 10)).toBe('hello world');
+  });
+
+  test('cuts text down to the limit, keeping the beginning', () => {
+    const text = 'one two three four five six seven eight nine ten';
+    const kept = truncateToTokens(text, 4);
+    expect(text.startsWith(kept)).toBe(true);
+    expect(countTokens(kept)).toBeLessThanOrEqual(4);
+    expect(kept.length).toBeGreaterThan(0);
+  });
+
+  test('returns nothing for a limit of zero', () => {
+    expect(truncateToTokens('hello', 0)).toBe('');
+  });
+});
+
+describe('message counts', () => {
+  beforeAll(() => loadTokenizer('cl100k'));
+
+  test('adds the per-message overhead and the reply priming', () => {
+    const message = { role: 'user', content: 'hello world' };
+    expect(getMessageTokenCount(message)).toBe(3 + 2);
+    expect(countMessageTokens([message, message])).toBe(3 + 2 * (3 + 2));
+  });
+
+  test('prefers the recorded count of a node', () => {
+    expect(getNodeTokenCount({ content: 'hello world', metadata: { tokenCount: 42 } })).toBe(42);
+    expect(getNodeTokenCount({ content: 'hello world', metadata: { tokenCount: 0, modelUsed: 'gpt-4' } })).toBe(2);
+  });
+});
@@ -3,41 +3,100 @@
  * Core data structures and tree manipulation functions
  */
 
+import { countTokens } from './tokenizer';
+
 /**
  * Node data structure for the conversation tree
  * @typedef {Object} Node
  * @property {string} id - Unique identifier (UUID)
  * @property {string|null} parentId - ID of parent node (null for root)
  * @property {string[]} children - Array of child node IDs
+ * @property {string[]} [mergeParents] - Additional parents of a merge node (the primary parent is parentId)
  * @property {'user'|'assistant'} role - Message role
  * @property {string} content - Message content
  * @property {Object} metadata - Additional node metadata
  * @property {number} metadata.timestamp - Unix timestamp
  * @property {string} metadata.modelUsed - LLM model used for assistant messages
- * @property {number} metadata.tokenCount - Token count for the message
+ * @property {number} metadata.tokenCount - Token count for the message (API usage when reported, else the model's tokenizer)
+ * @property {Object} [metadata.usage] - Token usage reported by the provider ({ inputTokens, outputTokens })
  * @property {boolean} metadata.isPinned - Whether node is pinned for context
+ * @property {string} [metadata.pinGroupId] - Pin group a pinned node belongs to (DEFAULT_PIN_GROUP_ID when missing)
+ * @property {number} [metadata.pinOrder] - Position of a pinned node within its group
+ * @property {'streaming'|'complete'|'aborted'|'error'} [metadata.status] - Generation state of assistant messages
+ * @property {string} [metadata.provider] - Provider that produced the reply
+ * @property {Object} [metadata.parameters] - Sampling parameters ({ temperature, maxTokens })
+ * @property {number} [metadata.latencyMs] - Time taken by the provider call
+ * @property {boolean} [metadata.fallback] - Whether an earlier provider in the chain failed
+ * @property {string} [metadata.regeneratedFrom] - Assistant node this reply is an alternative to
+ * @property {string} [metadata.selectedAlternativeId] - On user nodes, the reply that continues the branch
+ * @property {string} [metadata.editedFrom] - User node this message is an edited version of
+ * @property {string} [metadata.cherryPickedFrom] - Node this message was copied from by cherry-pick or rebase
+ * @property {Object} [metadata.branchSummary] - On a sub-branch's first node, the rolling LLM summary of the
+ *   branch ({ content, coveredIds, updatedAt, tokenCount })
+ * @property {string} [metadata.memoryMode] - Memory mode for this node and the nodes below it (see MEMORY_MODES)
+ * @property {SystemPromptSetting} [metadata.systemPrompt] - System prompt for this node and the nodes below it
+ * @property {ContextOverrides} [metadata.contextOverrides] - On user nodes, the inspector edits the message was sent with
+ * @property {Object} [metadata.contextRef] - On assistant nodes, the prompt the reply was generated from
+ *   (see createContextReference): { messages, hash, parameters }
+ */
+
+/**
+ * @typedef {Object} PinGroup
+ * @property {string} id - Unique identifier
+ * @property {string} name - Name shown in the context panel and the terminal
+ * @property {boolean} enabled - Whether the group's pins are sent as context
+ */
+
+/**
+ * @typedef {Object} Persona
+ * @property {string} id - Unique identifier
+ * @property {string} name - Name shown in persona pickers
+ * @property {string} content - System prompt text
  */
 
+/**
+ * A system prompt set on a project or node: either custom text, or a persona from the library
+ * (with a copy of its text, used if the persona is later deleted)
+ * @typedef {Object} SystemPromptSetting
+ * @property {string} [personaId] - Persona the prompt comes from
+ * @property {string} [content] - Prompt text
+ */
+
+/**
+ * Hand edits made to the compiled context in the inspector before sending
+ * @typedef {Object} ContextOverrides
+ * @property {string[]} excludeIds - Nodes left out even though the memory mode remembers them
+ * @property {string[]} includeIds - Nodes sent even though the memory mode leaves them out
+ * @property {string[]} order - Node IDs in the order they are sent; entries not listed follow in their usual order
+ */
+
+// Group that pins land in unless another one is chosen; older pins without a group belong to it
+export const DEFAULT_PIN_GROUP_ID = 'default';
+
+export const DEFAULT_PIN_GROUPS = [{ id: DEFAULT_PIN_GROUP_ID, name: 'Pinned', enabled: true }];
+
 /**
  * Creates a new node with the specified properties
  * @param {Object} props - Node properties
  * @param {string} props.parentId - Parent node ID
+ * @param {string[]} [props.mergeParents] - Additional parents when the node merges branches
  * @param {'user'|'assistant'} props.role - Message role
  * @param {string} props.content - Message content
  * @param {Object} props.metadata - Additional metadata
  * @returns {Node} New node object
  */
-export function createNode({ parentId, role, content, metadata = {} }) {
+export function createNode({ parentId, mergeParents = [], role, content, metadata = {} }) {
   return {
     id: generateUUID(),
     parentId,
+    mergeParents,
     children: [],
     role,
     content,
     metadata: {
       timestamp: Date.now(),
       modelUsed: metadata.modelUsed || null,
-      tokenCount: metadata.tokenCount || 0,
+      tokenCount: metadata.tokenCount || countTokens(content, { model: metadata.modelUsed, provider: metadata.provider }),
       isPinned: metadata.isPinned || false,
       ...metadata
     }
@@ -57,14 +116,17 @@ export function generateUUID() {
 }
 
 /**
- * Adds a child node to a parent node
- * @param {Node} parentNode - Parent node to modify
+ * Adds a child node to a parent node, without modifying it: storage only writes nodes
+ * whose object changed
+ * @param {Node} parentNode - Parent node
  * @param {string} childId - ID of child node to add
+ * @returns {Node} The parent with the child added (the same object when it already had it)
  */
 export function addChildToNode(parentNode, childId) {
-  if (!parentNode.children.includes(childId)) {
-    parentNode.children.push(childId);
+  if (parentNode.children.includes(childId)) {
+    return parentNode;
   }
+  return { ...parentNode, children: [...parentNode.children, childId] };
 }
 
 /**
@@ -118,6 +180,177 @@ export function getPathToRoot(nodes, nodeId) {
   return path;
 }
 
+/**
+ * Gets every parent of a node: the primary parent followed by any merge parents
+ * @param {Node} node - Node to inspect
+ * @returns {string[]} Parent IDs
+ */
+export function getParentIds(node) {
+  return [node.parentId, ...(node.mergeParents || [])].filter(Boolean);
+}
+
+/**
+ * Gets the full history leading to a node, following merge parents as well as the primary parent
+ * @param {Node[]} nodes - Array of all nodes
+ * @param {string} nodeId - ID of the target node
+ * @returns {Node[]} Ancestors and the node itself, parents before children; equals getPathToRoot without merges
+ */
+export function getMergedHistory(nodes, nodeId) {
+  const visited = new Set();
+  const history = [];
+
+  // Parents are emitted before their children, so ordering never depends on timestamps
+  // (copies and replies can share the same millisecond)
+  const visit = (currentId) => {
+    if (visited.has(currentId)) return;
+    visited.add(currentId);
+
+    const node = findNodeById(nodes, currentId);
+    if (!node) return;
+
+    getParentIds(node).forEach(visit);
+    history.push(node);
+  };
+
+  visit(nodeId);
+  return history;
+}
+
+/**
+ * Gets the lowest common ancestor of two nodes along their primary parent paths
+ * @param {Node[]} nodes - Array of all nodes
+ * @param {string} nodeIdA - First node ID
+ * @param {string} nodeIdB - Second node ID
+ * @returns {Node|null} Deepest shared node (may be one of the inputs) or null
+ */
+export function getCommonAncestor(nodes, nodeIdA, nodeIdB) {
+  const pathA = getPathToRoot(nodes, nodeIdA);
+  const idsB = new Set(getPathToRoot(nodes, nodeIdB).map(n => n.id));
+
+  for (let i = pathA.length - 1; i >= 0; i--) {
+    if (idsB.has(pathA[i].id)) {
+      return pathA[i];
+    }
+  }
+  return null;
+}
+
+/**
+ * Gets the first node of the sub-branch containing a node. Sub-branches hang off the root
+ * (the main branch), so this is the root's child on the node's path.
+ * @param {Node[]} nodes - Array of all nodes
+ * @param {string} nodeId - Any node in the branch
+ * @returns {Node|null} The branch's first node, or null for the root itself
+ */
+export function getBranchStart(nodes, nodeId) {
+  return getPathToRoot(nodes, nodeId)[1] || null;
+}
+
+/**
+ * Gets the part of a branch that is not shared with another node: the nodes on the path to
+ * the tip that come after the common ancestor of the tip and the base
+ * @param {Node[]} nodes - Array of all nodes
+ * @param {string} tipId - Tip of the branch
+ * @param {string} baseId - Node the branch is compared against
+ * @returns {Node[]} Branch nodes in chronological order (empty when the tip is an ancestor of the base)
+ */
+export function getBranchSegment(nodes, tipId, baseId) {
+  const path = getPathToRoot(nodes, tipId);
+  const commonAncestor = getCommonAncestor(nodes, tipId, baseId);
+  if (!commonAncestor) {
+    return path;
+  }
+
+  return path.slice(path.findIndex(n => n.id === commonAncestor.id) + 1);
+}
+
+/**
+ * Gets the layout depth of a node: one below its deepest parent, counting merge parents
+ * @param {Node[]} nodes - Array of all nodes
+ * @param {string} nodeId - Node ID
+ * @param {Map} [memo] - Cache shared across calls for the same nodes
+ * @returns {number} Depth (0 for the root)
+ */
+export function getLayoutDepth(nodes, nodeId, memo = new Map()) {
+  if (memo.has(nodeId)) return memo.get(nodeId);
+
+  const node = findNodeById(nodes, nodeId);
+  // Guard against cycles in corrupted data while the depth is being computed
+  memo.set(nodeId, 0);
+
+  const parentDepths = node
+    ? getParentIds(node).filter(id => findNodeById(nodes, id)).map(id => getLayoutDepth(nodes, id, memo))
+    : [];
+  const depth = parentDepths.length > 0 ? Math.max(...parentDepths) + 1 : 0;
+
+  memo.set(nodeId, depth);
+  return depth;
+}
+
+/**
+ * Gets the alternative answers to the same user message (the node and its assistant siblings)
+ * @param {Node[]} nodes - Array of all nodes
+ * @param {string} nodeId - ID of an assistant node
+ * @returns {Node[]} Assistant siblings in creation order, including the node itself
+ */
+export function getAlternatives(nodes, nodeId) {
+  const node = findNodeById(nodes, nodeId);
+  if (!node || node.role !== 'assistant' || !node.parentId) {
+    return node ? [node] : [];
+  }
+
+  return nodes
+    .filter(n => n.parentId === node.parentId && n.role === 'assistant')
+    .sort((a, b) => a.metadata.timestamp - b.metadata.timestamp);
+}
+
+/**
+ * Gets the pin group a pinned node belongs to; pins of unknown groups belong to the default group
+ * @param {Node} node - Pinned node
+ * @param {PinGroup[]} [pinGroups] - Pin groups of the project
+ * @returns {string} Group ID
+ */
+export function getPinGroupId(node, pinGroups = []) {
+  return pinGroups.some(group => group.id === node.metadata.pinGroupId)
+    ? node.metadata.pinGroupId
+    : DEFAULT_PIN_GROUP_ID;
+}
+
+/**
+ * Gets the pinned nodes that are sent as context, ordered by group and then by position in the group
+ * @param {Node[]} nodes - Array of all nodes
+ * @param {PinGroup[]} [pinGroups] - Ordered pin groups; when omitted every pin counts
+ * @returns {Node[]} Pinned nodes of enabled groups in send order
+ */
+export function getPinnedNodes(nodes, pinGroups) {
+  const groupIndex = new Map((pinGroups || []).map((group, index) => [group.id, index]));
+  const isEnabled = (node) => (
+    !pinGroups || pinGroups.find(group => group.id === getPinGroupId(node, pinGroups))?.enabled !== false
+  );
+  const rank = (node) => groupIndex.get(getPinGroupId(node, pinGroups)) ?? pinGroups?.length ?? 0;
+
+  return nodes
+    .filter(node => node.metadata.isPinned && isEnabled(node))
+    .sort((a, b) => rank(a) - rank(b)
+      || (a.metadata.pinOrder ?? Infinity) - (b.metadata.pinOrder ?? Infinity)
+      || a.metadata.timestamp - b.metadata.timestamp);
+}
+
+/**
+ * Says why a stored node isn't a usable node, if it isn't
+ * @param {*} node - Node as stored or imported
+ * @returns {string|null} The problem, or null for a well-formed node
+ */
+export function describeMalformedNode(node) {
+  if (!node || typeof node !== 'object') return 'not a node';
+  if (typeof node.id !== 'string' || !node.id) return 'missing ID';
+  if (node.role !== 'user' && node.role !== 'assistant') return `unknown role ${node.role}`;
+  if (typeof node.content !== 'string') return 'content is not text';
+  if (!Array.isArray(node.children) || !Array.isArray(node.mergeParents || [])) return 'malformed links';
+  if (!node.metadata || typeof node.metadata !== 'object') return 'missing metadata';
+  return null;
+}
+
 /**
  * Validates the tree structure
  * @param {Node[]} nodes - Array of all nodes
@@ -125,6 +358,18 @@ export function getPathToRoot(nodes, nodeId) {
  */
 export function validateTree(nodes) {
   const errors = [];
+
+  // Links can only be checked between well-formed nodes
+  nodes.forEach((node, index) => {
+    const problem = describeMalformedNode(node);
+    if (problem) {
+      errors.push(`Node ${node?.id || `#${index}`} is malformed: ${problem}`);
+    }
+  });
+  if (errors.length > 0) {
+    return { isValid: false, errors };
+  }
+
   const nodeIds = new Set(nodes.map(n => n.id));
   
   // Check for duplicate IDs
@@ -143,6 +388,44 @@ export function validateTree(nodes) {
         errors.push(`Node ${node.id} has invalid child ${childId}`);
       }
     }
+
+    for (const mergeParentId of node.mergeParents || []) {
+      if (!nodeIds.has(mergeParentId)) {
+        errors.push(`Node ${node.id} has invalid merge parent ${mergeParentId}`);
+      } else if (mergeParentId === node.id || mergeParentId === node.parentId) {
+        errors.push(`Node ${node.id} lists ${mergeParentId} as a merge parent more than once`);
+      }
+    }
+  }
+
+  // Parent links that loop never reach a root
+  const rootedIds = new Set();
+  let added = true;
+  while (added) {
+    added = false;
+    for (const node of nodes) {
+      if (!rootedIds.has(node.id) && (!node.parentId || rootedIds.has(node.parentId))) {
+        rootedIds.add(node.id);
+        added = true;
+      }
+    }
+  }
+  nodes
+    .filter(node => !rootedIds.has(node.id) && nodeIds.has(node.parentId))
+    .forEach(node => errors.push(`Node ${node.id} is not connected to a root`));
+  if (errors.length > 0) {
+    return { isValid: false, errors };
+  }
+
+  // A merge parent must not be a descendant of the node, or history would loop
+  for (const node of nodes) {
+    if (!node.mergeParents || node.mergeParents.length === 0) continue;
+    const descendantIds = new Set(getDescendants(nodes, node.id).map(n => n.id));
+    for (const mergeParentId of node.mergeParents) {
+      if (descendantIds.has(mergeParentId)) {
+        errors.push(`Node ${node.id} has merge parent ${mergeParentId} that is its own descendant`);
+      }
+    }
   }
   
   return {